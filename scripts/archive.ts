@@ -0,0 +1,320 @@
+/**
+ * Archive Writer for EEZ Projects
+ *
+ * Minimal zip and tar.gz writers for the exported build bundles. Entries are
+ * streamed from disk into the archive file one at a time, so debug builds
+ * with large .wasm and .wasm.map files don't have to fit in memory.
+ */
+
+import * as fs from 'fs';
+import * as crypto from 'crypto';
+import * as zlib from 'zlib';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export type ArchiveFormat = 'zip' | 'tar.gz';
+
+export interface ArchiveEntryOptions {
+  mode?: number;               // Unix permission bits (default 0o644)
+  mtime?: Date;                // Default: now
+}
+
+export interface ArchivedFile {
+  size: number;
+  sha256: string;
+}
+
+export interface ArchiveWriter {
+  // Stream a file into the archive as name (a path with forward slashes)
+  addFile(name: string, filePath: string, options?: ArchiveEntryOptions): Promise<ArchivedFile>;
+  addBuffer(name: string, data: Buffer, options?: ArchiveEntryOptions): Promise<void>;
+  // Write the end of the archive; resolves to its size in bytes
+  finish(): Promise<number>;
+  // Close and delete the unfinished archive file
+  discard(): Promise<void>;
+}
+
+const DEFAULT_MODE = 0o644;
+const S_IFREG = 0o100000;
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * CRC-32 as used by zip, gzip and PNG; pass the previous result to continue it over more data
+ */
+export function crc32(data: Buffer, previous = 0): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Start writing a zip or tar.gz archive to filePath
+ */
+export function createArchiveWriter(filePath: string, format: ArchiveFormat): ArchiveWriter {
+  return format === 'zip' ? createZipWriter(filePath) : createTarGzWriter(filePath);
+}
+
+// Write with backpressure; rejects if the stream failed
+function writeChunk(stream: Writable, chunk: Buffer): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      reject(stream.errored || new Error('Archive stream closed'));
+      return;
+    }
+    const onError = (err: Error) => reject(err);
+    stream.once('error', onError);
+    const done = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    if (stream.write(chunk)) {
+      done();
+    } else {
+      stream.once('drain', done);
+    }
+  });
+}
+
+function endStream(stream: Writable): Promise<void> {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(() => resolve());
+  });
+}
+
+async function discardFile(stream: Writable, filePath: string): Promise<void> {
+  if (!stream.closed) {
+    await new Promise<void>((resolve) => {
+      stream.once('close', () => resolve());
+      stream.destroy();
+    });
+  }
+  await fs.promises.rm(filePath, { force: true });
+}
+
+/**
+ * MS-DOS time and date fields of a zip header
+ */
+function toDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Zip archive (deflate compressed, Unix permissions kept). Sizes and CRC of an
+ * entry follow its data in a data descriptor, so the data is streamed once.
+ */
+function createZipWriter(filePath: string): ArchiveWriter {
+  const out = fs.createWriteStream(filePath);
+  // A failed stream is destroyed, so the next write reports the error
+  out.on('error', () => undefined);
+  const centralParts: Buffer[] = [];
+  let offset = 0;
+  let count = 0;
+
+  const write = async (chunk: Buffer) => {
+    await writeChunk(out, chunk);
+    offset += chunk.length;
+  };
+
+  const addEntry = async (name: string, source: Readable, options: ArchiveEntryOptions = {}) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(options.mtime || new Date());
+    const headerOffset = offset;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);               // Version needed: 2.0 (deflate)
+    local.writeUInt16LE(0x0808, 6);           // UTF-8 file names, sizes in the data descriptor
+    local.writeUInt16LE(8, 8);                // Deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    await write(local);
+    await write(nameBuffer);
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const hash = crypto.createHash('sha256');
+    await pipeline(
+      source,
+      async function* (chunks: AsyncIterable<Buffer>) {
+        for await (const chunk of chunks) {
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          hash.update(chunk);
+          yield chunk;
+        }
+      },
+      zlib.createDeflateRaw(),
+      async (chunks: AsyncIterable<Buffer>) => {
+        for await (const chunk of chunks) {
+          await write(chunk);
+          compressedSize += chunk.length;
+        }
+      }
+    );
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(descriptor);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);  // Made by Unix, so the external attributes hold the mode
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0808, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressedSize, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt16LE(0, 30);             // Extra field length
+    central.writeUInt16LE(0, 32);             // Comment length
+    central.writeUInt16LE(0, 34);             // Disk number
+    central.writeUInt16LE(0, 36);             // Internal attributes
+    central.writeUInt32LE(((S_IFREG | (options.mode ?? DEFAULT_MODE)) << 16) >>> 0, 38);
+    central.writeUInt32LE(headerOffset, 42);
+    centralParts.push(central, nameBuffer);
+    count++;
+
+    return { size, sha256: hash.digest('hex') };
+  };
+
+  return {
+    addFile: (name, sourcePath, options) => addEntry(name, fs.createReadStream(sourcePath), options),
+    addBuffer: async (name, data, options) => {
+      await addEntry(name, Readable.from([data]), options);
+    },
+    finish: async () => {
+      const centralDirectory = Buffer.concat(centralParts);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(count, 8);
+      end.writeUInt16LE(count, 10);
+      end.writeUInt32LE(centralDirectory.length, 12);
+      end.writeUInt32LE(offset, 16);
+      await write(centralDirectory);
+      await write(end);
+      await endStream(out);
+      return offset;
+    },
+    discard: () => discardFile(out, filePath),
+  };
+}
+
+/**
+ * Gzip compressed tar archive (ustar format)
+ */
+function createTarGzWriter(filePath: string): ArchiveWriter {
+  const out = fs.createWriteStream(filePath);
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, out);
+  // Failures surface through the writes; this only keeps the promise from being unhandled
+  written.catch(() => undefined);
+
+  const pad = async (size: number) => {
+    const padding = (512 - (size % 512)) % 512;
+    if (padding > 0) {
+      await writeChunk(gzip, Buffer.alloc(padding));
+    }
+  };
+
+  return {
+    addFile: async (name, sourcePath, options = {}) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await writeChunk(gzip, createTarHeader(name, size, options));
+
+      let copied = 0;
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of fs.createReadStream(sourcePath) as AsyncIterable<Buffer>) {
+        copied += chunk.length;
+        hash.update(chunk);
+        await writeChunk(gzip, chunk);
+      }
+      // The header already holds the size, a file that changed meanwhile would corrupt the archive
+      if (copied !== size) {
+        throw new Error(`${sourcePath} changed while it was archived`);
+      }
+      await pad(size);
+      return { size, sha256: hash.digest('hex') };
+    },
+    addBuffer: async (name, data, options = {}) => {
+      await writeChunk(gzip, createTarHeader(name, data.length, options));
+      await writeChunk(gzip, data);
+      await pad(data.length);
+    },
+    finish: async () => {
+      // End of archive: two empty blocks
+      await writeChunk(gzip, Buffer.alloc(1024));
+      gzip.end();
+      await written;
+      return out.bytesWritten;
+    },
+    discard: async () => {
+      gzip.destroy();
+      await discardFile(out, filePath);
+    },
+  };
+}
+
+function createTarHeader(entryName: string, size: number, options: ArchiveEntryOptions): Buffer {
+  let name = entryName;
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    // Longer paths are split at a slash into prefix (155 bytes) and name (100 bytes)
+    const split = name.lastIndexOf('/', name.length - 1);
+    prefix = name.slice(0, split);
+    name = name.slice(split + 1);
+    if (split < 0 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+      throw new Error(`Path too long for a tar archive: ${entryName}`);
+    }
+  }
+
+  const header = Buffer.alloc(512);
+  const writeString = (value: string, offset: number, length: number) => header.write(value, offset, length, 'utf8');
+  const writeOctal = (value: number, offset: number, length: number) => writeString(value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+
+  writeString(name, 0, 100);
+  writeOctal(options.mode ?? DEFAULT_MODE, 100, 8);
+  writeOctal(0, 108, 8);                      // uid
+  writeOctal(0, 116, 8);                      // gid
+  writeOctal(size, 124, 12);
+  writeOctal(Math.floor((options.mtime || new Date()).getTime() / 1000), 136, 12);
+  writeString('        ', 148, 8);            // Checksum is computed with spaces here
+  writeString('0', 156, 1);                   // Regular file
+  writeString('ustar\0', 257, 6);
+  writeString('00', 263, 2);
+  writeString(prefix, 345, 155);
+
+  let checksum = 0;
+  for (let i = 0; i < 512; i++) {
+    checksum += header[i];
+  }
+  writeString(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
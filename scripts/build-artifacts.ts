@@ -0,0 +1,245 @@
+/**
+ * Build Artifacts for EEZ Projects
+ *
+ * Decides which files of the simulator's build folder are the web output and
+ * verifies the extracted copies. A build can list its output in
+ * eez-artifacts.json in the build folder; without one every file that matches
+ * an include glob and no exclude glob is extracted, which covers the worker
+ * scripts, source maps, symbol files and assets of newer simulator revisions
+ * and debug builds. The extracted files, with size and SHA-256, are recorded
+ * in artifacts.json in the output folder.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { Artifact, BuildError, LogFunction } from './docker-build-lib';
+
+// Written by the build (optional): { "files": ["index.html", { "path": "index.data", "optional": true }, ...] }
+export const BUILD_ARTIFACT_MANIFEST = 'eez-artifacts.json';
+
+// Written to the output folder by extract
+export const ARTIFACTS_FILE = 'artifacts.json';
+
+// Without these there is nothing to run
+export const REQUIRED_ARTIFACTS = ['index.html', 'index.js', 'index.wasm'];
+
+// Source map of a debug build (see build-options.ts)
+export const SOURCE_MAP_FILE = 'index.wasm.map';
+
+// Web output in the top level of the build folder (CMake's files are in subfolders or have other extensions)
+export const DEFAULT_ARTIFACT_INCLUDE = ['*.html', '*.js', '*.mjs', '*.wasm', '*.data', '*.map', '*.symbols', 'assets/**'];
+
+export interface ArtifactSelection {
+  include: string[];           // Globs relative to the build folder; * doesn't match /, ** does
+  exclude: string[];
+}
+
+export interface BuildFile {
+  path: string;                // Relative to the build folder, with / separators
+  size: number;
+}
+
+export interface ArtifactsRecord {
+  extractedAt: string;
+  source: 'manifest' | 'globs';
+  include?: string[];          // The globs, if the build has no manifest
+  exclude?: string[];
+  files: { name: string; size: number; sha256: string }[];
+}
+
+export interface ArtifactManifestEntry {
+  path: string;
+  optional: boolean;
+}
+
+/**
+ * include and exclude with the defaults for what isn't given
+ */
+export function resolveArtifactSelection(selection: Partial<ArtifactSelection> = {}): ArtifactSelection {
+  return {
+    include: selection.include?.length ? selection.include : DEFAULT_ARTIFACT_INCLUDE,
+    exclude: selection.exclude || [],
+  };
+}
+
+/**
+ * Comma separated globs (--artifacts-include, --artifacts-exclude)
+ */
+export function parseGlobList(value: string): string[] {
+  return value.split(',').map((glob) => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Regular expression for a glob: ** matches across folders, * and ? within one
+ */
+export function globToRegExp(glob: string): RegExp {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesAny(file: string, globs: string[]): boolean {
+  return globs.some((glob) => globToRegExp(glob).test(file));
+}
+
+/**
+ * Files of a build folder with their sizes (local backend)
+ */
+export function listBuildFiles(buildDir: string): BuildFile[] {
+  const files: BuildFile[] = [];
+  const walk = (dir: string, prefix: string) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const relative = prefix + entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), relative + '/');
+      } else if (entry.isFile()) {
+        files.push({ path: relative, size: fs.statSync(path.join(dir, entry.name)).size });
+      }
+    }
+  };
+  walk(buildDir, '');
+  return files;
+}
+
+/**
+ * Files of a build folder from `find . -type f -printf '%s %P\n'` (Docker backend)
+ */
+export function parseBuildFileListing(output: string): BuildFile[] {
+  const files: BuildFile[] = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^(\d+) (.+)$/);
+    if (match) {
+      files.push({ path: match[2], size: Number(match[1]) });
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse the build's eez-artifacts.json
+ */
+export function parseArtifactManifest(text: string): ArtifactManifestEntry[] {
+  let manifest: any;
+  try {
+    manifest = JSON.parse(text);
+  } catch (err) {
+    throw new BuildError(`Invalid ${BUILD_ARTIFACT_MANIFEST}: ${(err as Error).message}`, 'extract');
+  }
+  if (!manifest || !Array.isArray(manifest.files)) {
+    throw new BuildError(`Invalid ${BUILD_ARTIFACT_MANIFEST}: "files" must be a list`, 'extract');
+  }
+  return manifest.files.map((entry: any) => {
+    const filePath = typeof entry === 'string' ? entry : entry?.path;
+    if (typeof filePath !== 'string' || !filePath || path.posix.isAbsolute(filePath)
+      || path.posix.normalize(filePath).split('/').includes('..')) {
+      throw new BuildError(`Invalid ${BUILD_ARTIFACT_MANIFEST}: ${JSON.stringify(entry)} is not a file in the build folder`, 'extract');
+    }
+    return { path: path.posix.normalize(filePath), optional: typeof entry === 'object' && !!entry.optional };
+  });
+}
+
+/**
+ * The files to extract: the manifest's if the build wrote one, else those
+ * matching the globs. Throws if a listed or required file is missing
+ */
+export function selectArtifacts(
+  files: BuildFile[],
+  manifest: ArtifactManifestEntry[] | undefined,
+  selection: ArtifactSelection
+): BuildFile[] {
+  let selected: BuildFile[];
+  if (manifest) {
+    const byPath = new Map(files.map((file) => [file.path, file]));
+    selected = [];
+    for (const entry of manifest) {
+      const file = byPath.get(entry.path);
+      if (file) {
+        selected.push(file);
+      } else if (!entry.optional) {
+        throw new BuildError(`${entry.path} is listed in ${BUILD_ARTIFACT_MANIFEST} but wasn't built`, 'extract');
+      }
+    }
+  } else {
+    selected = files.filter((file) => file.path !== BUILD_ARTIFACT_MANIFEST
+      && matchesAny(file.path, selection.include) && !matchesAny(file.path, selection.exclude));
+  }
+
+  for (const required of REQUIRED_ARTIFACTS) {
+    if (!selected.some((file) => file.path === required)) {
+      throw new BuildError(`Build output incomplete: ${required} not found`, 'extract');
+    }
+  }
+  return selected.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+export function sha256(data: Buffer): string {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Check an extracted file against the build folder's size and SHA-256
+ */
+export function verifyArtifact(outputPath: string, file: BuildFile, expectedSha256: string, log: LogFunction): Artifact {
+  const filePath = path.join(outputPath, ...file.path.split('/'));
+  let content: Buffer;
+  try {
+    content = fs.readFileSync(filePath);
+  } catch (err) {
+    throw new BuildError(`Failed to extract ${file.path}: ${(err as Error).message}`, 'extract');
+  }
+  if (content.length !== file.size) {
+    throw new BuildError(`Extracted ${file.path} has ${content.length} bytes, the build has ${file.size}`, 'extract');
+  }
+  const hash = sha256(content);
+  if (hash !== expectedSha256) {
+    throw new BuildError(`Extracted ${file.path} differs from the build (SHA-256 ${hash}, expected ${expectedSha256})`, 'extract');
+  }
+  log(`Extracted ${file.path}: ${file.size} bytes`);
+  return { name: file.path, path: filePath, size: file.size, sha256: hash };
+}
+
+/**
+ * Record the extracted files in artifacts.json
+ */
+export function writeArtifactsFile(
+  outputPath: string,
+  artifacts: Artifact[],
+  fromManifest: boolean,
+  selection: ArtifactSelection
+): void {
+  const record: ArtifactsRecord = {
+    extractedAt: new Date().toISOString(),
+    source: fromManifest ? 'manifest' : 'globs',
+    ...(fromManifest ? {} : { include: selection.include, exclude: selection.exclude }),
+    files: artifacts.map(({ name, size, sha256: hash }) => ({ name, size, sha256: hash })),
+  };
+  fs.writeFileSync(path.join(outputPath, ARTIFACTS_FILE), JSON.stringify(record, null, 2) + '\n');
+}
+
+/**
+ * Log line about where the list of files comes from
+ */
+export function describeArtifactSource(count: number, fromManifest: boolean, selection: ArtifactSelection): string {
+  return fromManifest
+    ? `Extracting ${count} file(s) listed in ${BUILD_ARTIFACT_MANIFEST}...`
+    : `Extracting ${count} file(s) matching ${selection.include.join(', ')}${selection.exclude.length > 0 ? ` (excluding ${selection.exclude.join(', ')})` : ''}...`;
+}
@@ -0,0 +1,26 @@
+/**
+ * Build Backends for EEZ Projects
+ *
+ * Looks up the backend (Docker or local emsdk) that runs Setup, Build,
+ * Extract and the clean operations for a BuildConfig.
+ */
+
+import { BackendName, BuildBackend, BuildConfig, dockerBackend } from './docker-build-lib';
+import { localBackend } from './local-backend';
+
+export const BUILD_BACKENDS: BuildBackend[] = [dockerBackend, localBackend];
+
+export function isBackendName(name: string): name is BackendName {
+  return BUILD_BACKENDS.some((backend) => backend.name === name);
+}
+
+/**
+ * Backend selected by the configuration (Docker by default)
+ */
+export function getBuildBackend(config: Pick<BuildConfig, 'backend'>): BuildBackend {
+  const backend = BUILD_BACKENDS.find((b) => b.name === (config.backend || 'docker'));
+  if (!backend) {
+    throw new Error(`Unknown build backend: ${config.backend}`);
+  }
+  return backend;
+}
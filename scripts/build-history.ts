@@ -0,0 +1,219 @@
+/**
+ * Build History for EEZ Projects
+ *
+ * Keeps a record of every build in a history directory: one folder per build
+ * with record.json (project, LVGL version, display size, step durations and
+ * result), build.log (the full log) and artifacts/ (a copy of the extracted
+ * files). The oldest builds are removed once the retention limit is reached.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { Artifact, BackendName, ProjectInfo } from './docker-build-lib';
+import { DiagnosticsSummary } from './diagnostics';
+import { RepositoryInfo } from './simulator-repository';
+
+const RECORD_FILE = 'record.json';
+const LOG_FILE = 'build.log';
+const ARTIFACTS_DIR = 'artifacts';
+
+export const DEFAULT_HISTORY_LIMIT = 20;
+
+// Successful builds an estimate is based on, newest first
+const ESTIMATE_SAMPLE_SIZE = 5;
+
+export type BuildHistoryStep = 'setup' | 'build' | 'extract';
+
+export const BUILD_HISTORY_STEPS: BuildHistoryStep[] = ['setup', 'build', 'extract'];
+
+export type BuildHistoryStatus = 'success' | 'failed' | 'aborted';
+
+export interface BuildHistoryRecord {
+  id: string;                  // Folder name, sorts by start time
+  projectPath: string;
+  projectName: string;         // File name without .eez-project
+  lvglVersion: string;
+  displayWidth: number;
+  displayHeight: number;
+  backend: BackendName;
+  startedAt: string;
+  durationMs: number;
+  steps: Partial<Record<BuildHistoryStep, number>>;   // Duration of each step that ran, in ms
+  status: BuildHistoryStatus;
+  error?: string;
+  diagnostics?: DiagnosticsSummary;
+  repository?: RepositoryInfo; // Simulator revision
+  artifacts: Artifact[];       // Copies in the artifacts folder (empty unless the build succeeded)
+}
+
+export interface DurationDiff {
+  step: BuildHistoryStep | 'total';
+  beforeMs?: number;
+  afterMs?: number;
+  deltaMs?: number;            // after - before (unset if the step didn't run in both)
+}
+
+export interface BuildDurationEstimate {
+  steps: Record<BuildHistoryStep, number>;  // Expected duration of each step, in ms
+  totalMs: number;
+  samples: number;             // Number of builds it is based on
+}
+
+/**
+ * Expected step durations of the next build of a project: the median of its
+ * last successful builds (with the same backend), or undefined without any
+ */
+export function estimateBuildDuration(
+  records: BuildHistoryRecord[],
+  projectPath: string,
+  backend: BackendName
+): BuildDurationEstimate | undefined {
+  const samples = records
+    .filter((record) => record.projectPath === projectPath && record.backend === backend && record.status === 'success')
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, ESTIMATE_SAMPLE_SIZE);
+  if (samples.length === 0) {
+    return undefined;
+  }
+
+  const median = (values: number[]) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  };
+  const steps = {} as Record<BuildHistoryStep, number>;
+  for (const step of BUILD_HISTORY_STEPS) {
+    steps[step] = median(samples.map((record) => record.steps[step] ?? 0));
+  }
+
+  return {
+    steps,
+    totalMs: BUILD_HISTORY_STEPS.reduce((total, step) => total + steps[step], 0),
+    samples: samples.length,
+  };
+}
+
+/**
+ * A record for a build that is about to start
+ */
+export function createBuildRecord(projectInfo: ProjectInfo, backend: BackendName, startedAt = new Date()): BuildHistoryRecord {
+  const timestamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+  return {
+    id: `${timestamp}-${crypto.randomBytes(3).toString('hex')}`,
+    projectPath: projectInfo.projectPath,
+    projectName: path.basename(projectInfo.projectPath, '.eez-project'),
+    lvglVersion: projectInfo.lvglVersion,
+    displayWidth: projectInfo.displayWidth,
+    displayHeight: projectInfo.displayHeight,
+    backend,
+    startedAt: startedAt.toISOString(),
+    durationMs: 0,
+    steps: {},
+    status: 'failed',
+    artifacts: [],
+  };
+}
+
+/**
+ * Store a finished build with its log and (optionally) a copy of its output directory,
+ * then remove the builds beyond the retention limit
+ */
+export function saveBuildRecord(
+  historyDir: string,
+  record: BuildHistoryRecord,
+  log: string,
+  outputPath?: string,
+  limit = DEFAULT_HISTORY_LIMIT
+): void {
+  const recordDir = path.join(historyDir, record.id);
+  fs.mkdirSync(recordDir, { recursive: true });
+
+  if (outputPath && fs.existsSync(outputPath)) {
+    const artifactsDir = path.join(recordDir, ARTIFACTS_DIR);
+    fs.cpSync(outputPath, artifactsDir, { recursive: true });
+    // The artifacts now live in the history folder
+    record.artifacts = record.artifacts.map((artifact) => ({ ...artifact, path: path.join(artifactsDir, artifact.name) }));
+  }
+
+  fs.writeFileSync(path.join(recordDir, LOG_FILE), log);
+  fs.writeFileSync(path.join(recordDir, RECORD_FILE), JSON.stringify(record, null, 2) + '\n');
+
+  pruneBuildHistory(historyDir, limit);
+}
+
+/**
+ * All stored builds, newest first (unreadable records are skipped)
+ */
+export function listBuildHistory(historyDir: string): BuildHistoryRecord[] {
+  let ids: string[];
+  try {
+    ids = fs.readdirSync(historyDir);
+  } catch (err) {
+    return [];
+  }
+
+  const records: BuildHistoryRecord[] = [];
+  for (const id of ids) {
+    try {
+      records.push(JSON.parse(fs.readFileSync(path.join(historyDir, id, RECORD_FILE), 'utf8')));
+    } catch (err) {
+      // Not a build folder, or a build that is still being written
+    }
+  }
+  return records.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * The full log of a stored build
+ */
+export function readBuildLog(historyDir: string, id: string): string {
+  return fs.readFileSync(path.join(getRecordDir(historyDir, id), LOG_FILE), 'utf8');
+}
+
+/**
+ * Folder with the stored copy of a build's output (can be served by the test server)
+ */
+export function getBuildArtifactsPath(historyDir: string, id: string): string {
+  return path.join(getRecordDir(historyDir, id), ARTIFACTS_DIR);
+}
+
+export function deleteBuildRecord(historyDir: string, id: string): void {
+  fs.rmSync(getRecordDir(historyDir, id), { recursive: true, force: true });
+}
+
+/**
+ * Remove the oldest builds so that at most `limit` remain
+ */
+export function pruneBuildHistory(historyDir: string, limit: number): void {
+  for (const record of listBuildHistory(historyDir).slice(Math.max(limit, 0))) {
+    deleteBuildRecord(historyDir, record.id);
+  }
+}
+
+/**
+ * Step and total durations of two builds side by side
+ */
+export function diffBuildDurations(before: BuildHistoryRecord, after: BuildHistoryRecord): DurationDiff[] {
+  const diff = (step: DurationDiff['step'], beforeMs?: number, afterMs?: number): DurationDiff => ({
+    step,
+    beforeMs,
+    afterMs,
+    deltaMs: beforeMs !== undefined && afterMs !== undefined ? afterMs - beforeMs : undefined,
+  });
+
+  return [
+    ...BUILD_HISTORY_STEPS.map((step) => diff(step, before.steps[step], after.steps[step])),
+    diff('total', before.durationMs, after.durationMs),
+  ];
+}
+
+/**
+ * Folder of a record; ids come from the renderer, so they must not leave the history directory
+ */
+function getRecordDir(historyDir: string, id: string): string {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid build history id: ${id}`);
+  }
+  return path.join(historyDir, id);
+}
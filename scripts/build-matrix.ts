@@ -0,0 +1,278 @@
+/**
+ * Build Matrix for EEZ Projects
+ *
+ * Builds one project against several LVGL versions and display sizes in one
+ * run. The simulator is set up once; every combination is then built and
+ * extracted into its own subfolder of the output directory (e.g.
+ * lvgl-9.2.2-800x480). A failing combination doesn't stop the others.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  Artifact,
+  BuildConfig,
+  BuildError,
+  BuildErrorCode,
+  CompileError,
+  LogFunction,
+  OperationOptions,
+  ProjectInfo,
+  SetupResult,
+  findForeignOutputFiles,
+  isAbortError,
+  mapLvglVersion,
+} from './docker-build-lib';
+import { Diagnostic, DiagnosticsSummary, summarizeDiagnostics } from './diagnostics';
+import { getBuildBackend } from './build-backends';
+import { getBuiltProjectSettings } from './simulator-repository';
+
+export interface DisplaySize {
+  width: number;
+  height: number;
+}
+
+// Values that replace the project's settings; each unset list keeps the project's value
+export interface MatrixOverrides {
+  lvglVersions?: string[];
+  displaySizes?: DisplaySize[];
+}
+
+export interface MatrixEntry {
+  name: string;                // Output subfolder, e.g. lvgl-9.2.2-800x480
+  lvglVersion: string;
+  displayWidth: number;
+  displayHeight: number;
+}
+
+export type MatrixEntryStatus = 'success' | 'failed' | 'aborted' | 'skipped';
+
+// Failure class of an entry, as in the CLI's JSON result event
+export type MatrixErrorCode = BuildErrorCode | 'aborted' | 'failure';
+
+export interface MatrixEntryResult {
+  entry: MatrixEntry;
+  status: MatrixEntryStatus;
+  outputPath: string;          // Subfolder with the extracted files (only filled on success)
+  durationMs: number;
+  diagnostics: Diagnostic[];
+  summary: DiagnosticsSummary;
+  artifacts: Artifact[];
+  error?: string;
+  errorCode?: MatrixErrorCode;
+}
+
+export interface MatrixResult {
+  outputPath: string;
+  setup: SetupResult;
+  entries: MatrixEntryResult[];
+  aborted: boolean;            // Remaining entries are 'skipped'
+}
+
+export type MatrixStep = 'setup' | 'build' | 'extract';
+
+export interface MatrixOptions extends OperationOptions {
+  onEntryStart?: (entry: MatrixEntry, index: number, total: number) => void;
+  onEntryEnd?: (result: MatrixEntryResult, index: number, total: number) => void;
+  // Wraps the setup and every build and extract, e.g. to report step events
+  runStep?: <T>(step: MatrixStep, operation: () => Promise<T>) => Promise<T>;
+}
+
+const LVGL_VERSION_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+const DISPLAY_SIZE_PATTERN = /^(\d+)[xX](\d+)$/;
+
+/**
+ * Where a matrix is built by default: next to the project's single build output
+ * (build/web-matrix for build/web), so neither run empties the other
+ */
+export function getMatrixOutputPath(outputPath: string): string {
+  return `${outputPath.replace(/[\\/]+$/, '')}-matrix`;
+}
+
+/**
+ * Parse a comma separated list of LVGL versions, e.g. "8.4.0,9.2.2"
+ */
+export function parseLvglVersions(value: string): string[] {
+  const versions = splitList(value);
+  for (const version of versions) {
+    if (!LVGL_VERSION_PATTERN.test(version)) {
+      throw new Error(`Invalid LVGL version: ${version} (expected e.g. 9.2.2)`);
+    }
+  }
+  return versions;
+}
+
+/**
+ * Parse a comma separated list of display sizes, e.g. "800x480,1024x600"
+ */
+export function parseDisplaySizes(value: string): DisplaySize[] {
+  return splitList(value).map((size) => {
+    const match = DISPLAY_SIZE_PATTERN.exec(size);
+    const width = match ? parseInt(match[1], 10) : 0;
+    const height = match ? parseInt(match[2], 10) : 0;
+    if (width <= 0 || height <= 0) {
+      throw new Error(`Invalid display size: ${size} (expected <width>x<height>, e.g. 800x480)`);
+    }
+    return { width, height };
+  });
+}
+
+/**
+ * Every combination of the overridden versions and sizes (duplicates removed)
+ */
+export function expandMatrix(projectInfo: ProjectInfo, overrides: MatrixOverrides): MatrixEntry[] {
+  const versions = overrides.lvglVersions?.length
+    ? overrides.lvglVersions.map(mapLvglVersion)
+    : [projectInfo.lvglVersion];
+  const sizes = overrides.displaySizes?.length
+    ? overrides.displaySizes
+    : [{ width: projectInfo.displayWidth, height: projectInfo.displayHeight }];
+
+  const entries = new Map<string, MatrixEntry>();
+  for (const lvglVersion of versions) {
+    for (const size of sizes) {
+      const name = `lvgl-${lvglVersion}-${size.width}x${size.height}`;
+      if (!entries.has(name)) {
+        entries.set(name, { name, lvglVersion, displayWidth: size.width, displayHeight: size.height });
+      }
+    }
+  }
+  return Array.from(entries.values());
+}
+
+/**
+ * The project info with an entry's version and display size
+ */
+export function getEntryProjectInfo(projectInfo: ProjectInfo, entry: MatrixEntry): ProjectInfo {
+  return {
+    ...projectInfo,
+    lvglVersion: entry.lvglVersion,
+    displayWidth: entry.displayWidth,
+    displayHeight: entry.displayHeight,
+  };
+}
+
+/**
+ * Set up once, then build and extract every entry into <outputPath>/<entry name>
+ *
+ * Setup failures are thrown. Build and extract failures are recorded in the
+ * entry's result and the next entry is built; an abort marks the running entry
+ * 'aborted' and the rest 'skipped'.
+ */
+export async function runBuildMatrix(
+  projectInfo: ProjectInfo,
+  entries: MatrixEntry[],
+  outputPath: string,
+  config: BuildConfig,
+  log: LogFunction,
+  options: MatrixOptions = {}
+): Promise<MatrixResult> {
+  const backend = getBuildBackend(config);
+  const operationOptions: OperationOptions = { signal: options.signal, onOutput: options.onOutput };
+  const runStep = options.runStep || (<T>(step: MatrixStep, operation: () => Promise<T>) => operation());
+
+  log(`=== Build matrix: ${entries.length} combination(s) ===`);
+  const setup = await runStep('setup', () => backend.setup(projectInfo, config, log, operationOptions));
+
+  const results: MatrixEntryResult[] = [];
+  let aborted = false;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const entryOutputPath = path.join(outputPath, entry.name);
+
+    if (aborted) {
+      const result = createEntryResult(entry, 'skipped', entryOutputPath, 0, []);
+      results.push(result);
+      options.onEntryEnd?.(result, index, entries.length);
+      continue;
+    }
+
+    const startTime = Date.now();
+    log(`=== Matrix ${index + 1}/${entries.length}: ${entry.name} ===`);
+    options.onEntryStart?.(entry, index, entries.length);
+
+    // Output of an earlier run would look like the result of this one (a folder
+    // with other files is left alone, extract then fails for this entry)
+    if (findForeignOutputFiles(entryOutputPath).length === 0) {
+      fs.rmSync(entryOutputPath, { recursive: true, force: true });
+    }
+
+    let diagnostics: Diagnostic[] = [];
+    let result: MatrixEntryResult;
+    try {
+      const entryInfo = getEntryProjectInfo(projectInfo, entry);
+      const buildResult = await runStep('build', () => backend.build(entryInfo, config, log, operationOptions));
+      diagnostics = buildResult.diagnostics;
+      const extractResult = await runStep('extract', () => backend.extract(entryOutputPath, config, log, {
+        ...operationOptions,
+        project: getBuiltProjectSettings(entryInfo),
+      }));
+
+      result = createEntryResult(entry, 'success', entryOutputPath, Date.now() - startTime, diagnostics);
+      result.artifacts = extractResult.artifacts;
+    } catch (error) {
+      if (error instanceof CompileError) {
+        diagnostics = error.diagnostics;
+      }
+      aborted = isAbortError(error);
+
+      result = createEntryResult(entry, aborted ? 'aborted' : 'failed', entryOutputPath, Date.now() - startTime, diagnostics);
+      result.error = (error as Error).message;
+      result.errorCode = aborted ? 'aborted' : error instanceof BuildError ? error.code : 'failure';
+      log(`${entry.name}: ${aborted ? 'aborted' : `failed: ${result.error}`}`, aborted ? 'warning' : 'error');
+    }
+
+    results.push(result);
+    options.onEntryEnd?.(result, index, entries.length);
+  }
+
+  const succeeded = results.filter((result) => result.status === 'success').length;
+  log(`Build matrix finished: ${succeeded} of ${entries.length} combination(s) succeeded`, succeeded === entries.length ? 'success' : 'warning');
+
+  return { outputPath, setup, entries: results, aborted };
+}
+
+/**
+ * Plain text table of the entry results, one line per row
+ */
+export function formatMatrixTable(results: MatrixEntryResult[]): string[] {
+  const rows = results.map((result) => [
+    result.entry.lvglVersion,
+    `${result.entry.displayWidth}x${result.entry.displayHeight}`,
+    result.status.toUpperCase(),
+    result.status === 'skipped' ? '' : `${(result.durationMs / 1000).toFixed(1)}s`,
+    `${result.summary.errors}/${result.summary.warnings}`,
+    result.status === 'success' ? result.entry.name : result.error || '',
+  ]);
+  const header = ['LVGL', 'DISPLAY', 'STATUS', 'TIME', 'ERR/WARN', 'OUTPUT'];
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const formatRow = (row: string[]) => row
+    .map((cell, column) => column === row.length - 1 ? cell : cell.padEnd(widths[column]))
+    .join('  ');
+
+  return [formatRow(header), ...rows.map(formatRow)];
+}
+
+function createEntryResult(
+  entry: MatrixEntry,
+  status: MatrixEntryStatus,
+  outputPath: string,
+  durationMs: number,
+  diagnostics: Diagnostic[]
+): MatrixEntryResult {
+  return {
+    entry,
+    status,
+    outputPath,
+    durationMs,
+    diagnostics,
+    summary: summarizeDiagnostics(diagnostics),
+    artifacts: [],
+  };
+}
+
+function splitList(value: string): string[] {
+  return value.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+}
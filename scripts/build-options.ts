@@ -0,0 +1,321 @@
+/**
+ * Build Options for EEZ Projects
+ *
+ * What a build is compiled with beyond the LVGL version and display size:
+ * color depth, flow support, optimization level, debug symbols, Emscripten
+ * assertions, initial memory and LV_* defines, or a debug build that sets
+ * what debugging the UI code in the browser needs. The options start from the
+ * project's settings; <project>.build-options.json next to the project file
+ * overrides them, and the app's Build Options (or the CLI's flags) override
+ * both.
+ *
+ * build.sh's command line stays the same, so any simulator revision builds
+ * with them: compiler and linker flags go in EMCC_CFLAGS, which emcc adds to
+ * every invocation, and the defines go in a generated header that includes
+ * the simulator's lv_conf.h (or a replacement) and is passed as LV_CONF_PATH.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { BuildError } from './docker-build-lib';
+import { COLOR_DEPTHS } from './project-check';
+
+export const BUILD_OPTIONS_FILE_SUFFIX = '.build-options.json';
+
+// Folder of the generated files in the simulator checkout (/project in the volume, the local work directory)
+export const BUILD_OPTIONS_DIR = 'build-options';
+
+// Flags of the last setup; make doesn't notice changed flags, so the build folder is removed when they change
+export const EMCC_FLAGS_FILE = 'emcc-flags.txt';
+
+const LV_CONF_HEADER = 'lv_conf_build_options.h';
+const LV_CONF_REPLACEMENT = 'lv_conf_user.h';
+
+// LVGL includes LV_CONF_PATH from lvgl/src/lv_conf_internal.h; relative, so it works in both backends
+const LV_CONF_PATH = `../../${BUILD_OPTIONS_DIR}/${LV_CONF_HEADER}`;
+
+export type OptimizationLevel = 'O0' | 'O1' | 'O2' | 'O3' | 'Os' | 'Oz';
+
+export const OPTIMIZATION_LEVELS: OptimizationLevel[] = ['O0', 'O1', 'O2', 'O3', 'Os', 'Oz'];
+
+const ASSERTION_LEVELS = [0, 1, 2];
+const MAX_MEMORY_SIZE = 2048;
+const DEFINE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export interface BuildOptions {
+  colorDepth?: number;         // LV_COLOR_DEPTH (default: the simulator's lv_conf.h)
+  flowSupport: boolean;        // Passed to the compiler as EEZ_FLOW_SUPPORT (0 or 1)
+  optimization?: OptimizationLevel;   // Default: the simulator's CMake setting
+  debugSymbols: boolean;       // -g and a source map (index.wasm.map)
+  assertions?: number;         // -sASSERTIONS (0, 1 or 2)
+  memorySize?: number;         // Initial WebAssembly memory in MB (-sINITIAL_MEMORY)
+  defines: Record<string, string>;   // Defined after lv_conf.h, replacing its values
+  lvConfPath?: string;         // Absolute path of an lv_conf.h to use instead of the simulator's
+  debugBuild: boolean;         // Debug symbols, source map, -sASSERTIONS=2 and -sSAFE_HEAP (and -O0 unless optimization is set)
+}
+
+// Options that replace the project's; defines are added to the project's by name
+export type BuildOptionsOverrides = Partial<Omit<BuildOptions, 'flowSupport'>>;
+
+/**
+ * Options file of a project (<project>.build-options.json next to the project file)
+ */
+export function getBuildOptionsPath(projectPath: string): string {
+  return path.join(path.dirname(projectPath), path.basename(projectPath, '.eez-project') + BUILD_OPTIONS_FILE_SUFFIX);
+}
+
+/**
+ * Options of a project without overrides, from its settings
+ */
+export function getDefaultBuildOptions(settings: { colorDepth?: number; flowSupport: boolean }): BuildOptions {
+  return {
+    colorDepth: settings.colorDepth,
+    flowSupport: settings.flowSupport,
+    debugSymbols: false,
+    defines: {},
+    debugBuild: false,
+  };
+}
+
+/**
+ * The options a project is built with (readProjectFile resolves them; the defaults otherwise)
+ */
+export function getBuildOptions(projectInfo: { colorDepth?: number; flowSupport: boolean; buildOptions?: BuildOptions }): BuildOptions {
+  return projectInfo.buildOptions || getDefaultBuildOptions(projectInfo);
+}
+
+/**
+ * Check options from a file, the app or the command line; lvConf is resolved
+ * relative to baseDir. Throws an Error naming the invalid option
+ */
+export function parseBuildOptions(value: any, baseDir: string): BuildOptionsOverrides {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Build options must be an object');
+  }
+
+  const overrides: BuildOptionsOverrides = {};
+  if (value.colorDepth !== undefined) {
+    if (!COLOR_DEPTHS.includes(value.colorDepth)) {
+      throw new Error(`Invalid colorDepth: ${value.colorDepth} (expected ${COLOR_DEPTHS.join(', ')})`);
+    }
+    overrides.colorDepth = value.colorDepth;
+  }
+  if (value.optimization !== undefined) {
+    // "-Os" and "Os" are both accepted
+    const level = String(value.optimization).replace(/^-/, '') as OptimizationLevel;
+    if (!OPTIMIZATION_LEVELS.includes(level)) {
+      throw new Error(`Invalid optimization: ${value.optimization} (expected ${OPTIMIZATION_LEVELS.join(', ')})`);
+    }
+    overrides.optimization = level;
+  }
+  if (value.debugSymbols !== undefined) {
+    if (typeof value.debugSymbols !== 'boolean') {
+      throw new Error('debugSymbols must be true or false');
+    }
+    overrides.debugSymbols = value.debugSymbols;
+  }
+  if (value.debugBuild !== undefined) {
+    if (typeof value.debugBuild !== 'boolean') {
+      throw new Error('debugBuild must be true or false');
+    }
+    overrides.debugBuild = value.debugBuild;
+  }
+  if (value.assertions !== undefined) {
+    if (!ASSERTION_LEVELS.includes(value.assertions)) {
+      throw new Error(`Invalid assertions: ${value.assertions} (expected ${ASSERTION_LEVELS.join(', ')})`);
+    }
+    overrides.assertions = value.assertions;
+  }
+  if (value.memorySize !== undefined) {
+    if (!Number.isInteger(value.memorySize) || value.memorySize < 1 || value.memorySize > MAX_MEMORY_SIZE) {
+      throw new Error(`Invalid memorySize: ${value.memorySize} (MB, 1 to ${MAX_MEMORY_SIZE})`);
+    }
+    overrides.memorySize = value.memorySize;
+  }
+  if (value.defines !== undefined) {
+    if (!value.defines || typeof value.defines !== 'object' || Array.isArray(value.defines)) {
+      throw new Error('defines must be an object of names and values, e.g. { "LV_USE_LOG": 1 }');
+    }
+    overrides.defines = {};
+    for (const [name, defineValue] of Object.entries(value.defines)) {
+      overrides.defines[name] = checkDefine(name, defineValue);
+    }
+  }
+  if (value.lvConf !== undefined && value.lvConf !== '') {
+    if (typeof value.lvConf !== 'string') {
+      throw new Error('lvConf must be the path of an lv_conf.h file');
+    }
+    overrides.lvConfPath = path.resolve(baseDir, value.lvConf);
+  }
+  return overrides;
+}
+
+function checkDefine(name: string, value: unknown): string {
+  if (!DEFINE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid define name: ${name}`);
+  }
+  const text = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+  if ((typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') || /[\r\n]/.test(text)) {
+    throw new Error(`Invalid value of define ${name}: ${JSON.stringify(value)}`);
+  }
+  return text;
+}
+
+/**
+ * Parse NAME=VALUE defines (one per line in the app, one per --define); NAME alone defines 1
+ */
+export function parseDefines(lines: string[]): Record<string, string> {
+  const defines: Record<string, string> = {};
+  for (const line of lines.map((l) => l.trim()).filter(Boolean)) {
+    const separator = line.indexOf('=');
+    const name = (separator < 0 ? line : line.slice(0, separator)).trim();
+    defines[name] = checkDefine(name, separator < 0 ? '1' : line.slice(separator + 1).trim());
+  }
+  return defines;
+}
+
+/**
+ * Read a project's options file; undefined if there is none
+ */
+export function readBuildOptionsFile(filePath: string): BuildOptionsOverrides | undefined {
+  if (!fs.existsSync(filePath)) {
+    return undefined;
+  }
+  try {
+    return parseBuildOptions(JSON.parse(fs.readFileSync(filePath, 'utf8')), path.dirname(filePath));
+  } catch (err) {
+    throw new BuildError(`Invalid build options file ${filePath}: ${(err as Error).message}`, 'project-parse');
+  }
+}
+
+/**
+ * Apply overrides; defines are merged, the others replace the option
+ */
+export function mergeBuildOptions(options: BuildOptions, overrides: BuildOptionsOverrides | undefined): BuildOptions {
+  if (!overrides) {
+    return options;
+  }
+  const merged: BuildOptions = { ...options, defines: { ...options.defines, ...overrides.defines } };
+  for (const key of ['colorDepth', 'optimization', 'debugSymbols', 'assertions', 'memorySize', 'lvConfPath', 'debugBuild'] as const) {
+    if (overrides[key] !== undefined) {
+      (merged as any)[key] = overrides[key];
+    }
+  }
+  return merged;
+}
+
+// The generated header is only used if it changes something
+function needsLvConfHeader(options: BuildOptions): boolean {
+  return options.colorDepth !== undefined || Object.keys(options.defines).length > 0 || !!options.lvConfPath;
+}
+
+// The options a debug build replaces; SAFE_HEAP has no option of its own
+function applyDebugBuild(options: BuildOptions): BuildOptions {
+  if (!options.debugBuild) {
+    return options;
+  }
+  return { ...options, optimization: options.optimization || 'O0', debugSymbols: true, assertions: 2 };
+}
+
+/**
+ * Flags for EMCC_CFLAGS
+ */
+export function getEmccFlags(buildOptions: BuildOptions): string[] {
+  const options = applyDebugBuild(buildOptions);
+  const flags = [`-DEEZ_FLOW_SUPPORT=${options.flowSupport ? 1 : 0}`];
+  if (needsLvConfHeader(options)) {
+    flags.push(`-DLV_CONF_PATH=${LV_CONF_PATH}`);
+  }
+  if (options.optimization) {
+    flags.push(`-${options.optimization}`);
+  }
+  if (options.debugSymbols) {
+    flags.push('-g', '-gsource-map');
+  }
+  if (options.assertions !== undefined) {
+    flags.push(`-sASSERTIONS=${options.assertions}`);
+  }
+  if (options.memorySize !== undefined) {
+    flags.push(`-sINITIAL_MEMORY=${options.memorySize * 1024 * 1024}`);
+  }
+  if (options.debugBuild) {
+    flags.push('-sSAFE_HEAP=1');
+  }
+  // EMCC_CFLAGS reaches every compile too, where emcc would warn about each linker setting
+  if (options.assertions !== undefined || options.memorySize !== undefined || options.debugBuild) {
+    flags.push('-Wno-unused-command-line-argument');
+  }
+  return flags;
+}
+
+/**
+ * The generated header: lv_conf.h (the simulator's or the replacement), then the color depth and defines
+ */
+export function getLvConfHeader(options: BuildOptions): string {
+  const defines: Record<string, string> = {
+    ...(options.colorDepth !== undefined ? { LV_COLOR_DEPTH: String(options.colorDepth) } : {}),
+    ...options.defines,
+  };
+  const lines = [
+    '/* Generated from the build options by EEZ Studio Docker Build, changes are overwritten */',
+    options.lvConfPath ? `#include "${LV_CONF_REPLACEMENT}"` : '#include "../lv_conf.h"',
+    '',
+  ];
+  for (const [name, value] of Object.entries(defines)) {
+    lines.push(`#undef ${name}`, `#define ${name} ${value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the build options folder (header, lv_conf.h replacement and the flags
+ * file) into dir, replacing what an earlier setup wrote; the Docker backend
+ * copies it into the volume
+ */
+export function writeBuildOptionsFiles(dir: string, options: BuildOptions): void {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  if (needsLvConfHeader(options)) {
+    fs.writeFileSync(path.join(dir, LV_CONF_HEADER), getLvConfHeader(options));
+  }
+  if (options.lvConfPath) {
+    if (!fs.existsSync(options.lvConfPath)) {
+      throw new BuildError(`lv_conf.h of the build options not found: ${options.lvConfPath}`, 'project-parse');
+    }
+    fs.copyFileSync(options.lvConfPath, path.join(dir, LV_CONF_REPLACEMENT));
+  }
+  fs.writeFileSync(path.join(dir, EMCC_FLAGS_FILE), getEmccFlags(options).join(' '));
+}
+
+/**
+ * One line summary for the build log
+ */
+export function formatBuildOptions(buildOptions: BuildOptions): string {
+  const options = applyDebugBuild(buildOptions);
+  const parts = [options.flowSupport ? 'flow support' : 'no flow support'];
+  if (options.debugBuild) {
+    parts.push('debug build (SAFE_HEAP)');
+  }
+  if (options.colorDepth !== undefined) {
+    parts.push(`color depth ${options.colorDepth}`);
+  }
+  if (options.optimization) {
+    parts.push(`-${options.optimization}`);
+  }
+  if (options.debugSymbols) {
+    parts.push('debug symbols and source map');
+  }
+  if (options.assertions !== undefined) {
+    parts.push(`assertions ${options.assertions}`);
+  }
+  if (options.memorySize !== undefined) {
+    parts.push(`${options.memorySize} MB initial memory`);
+  }
+  if (options.lvConfPath) {
+    parts.push(`lv_conf.h ${options.lvConfPath}`);
+  }
+  for (const [name, value] of Object.entries(options.defines)) {
+    parts.push(`${name}=${value}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,169 @@
+/**
+ * Build Progress for EEZ Projects
+ *
+ * Turns the output of Setup and Build into structured progress events: the
+ * phase of the step (Docker image, clone, compile, link, ...), what it is
+ * doing and, where the tools report one, a percentage. The percentages come
+ * from make's "[ 42%]" lines, git's clone and fetch progress and the step
+ * numbers of Docker image builds; the backends report the other phases as
+ * they enter them (see createProgressReporter).
+ */
+
+import { OperationOptions } from './docker-build-lib';
+
+export type BuildProgressStep = 'setup' | 'build';
+
+export type BuildProgressPhase =
+  | 'image'                    // Building the Docker image
+  | 'freetype'                 // Building FreeType (local backend)
+  | 'clone'
+  | 'fetch'
+  | 'checkout'
+  | 'sources'                  // Copying the project's sources and fonts
+  | 'prepare'                  // build.sh: copying files, checking out LVGL
+  | 'configure'                // CMake
+  | 'compile'
+  | 'link';                    // Linking and emcc's post-link passes
+
+export interface BuildProgress {
+  step: BuildProgressStep;
+  phase: BuildProgressPhase;
+  message: string;
+  percent?: number;            // Progress of the phase (0-100), if the tool reports it
+}
+
+export type ProgressUpdate = Partial<Omit<BuildProgress, 'step'>> & { message: string };
+
+// Longest message, so a long compiler path doesn't flood the progress line
+const MAX_MESSAGE_LENGTH = 80;
+
+const GIT_PROGRESS = /^(?:remote: )?(Enumerating objects|Counting objects|Compressing objects|Receiving objects|Resolving deltas|Updating files|Checking out files):\s+(\d{1,3})%/;
+const GIT_SUBMODULE_CLONE = /^Cloning into '(?:.*\/)?([^/']+)'/;
+const MAKE_PROGRESS = /^\[\s*(\d{1,3})%\]\s+(.*)$/;
+const DOCKER_STEP = /^Step (\d+)\/(\d+) : (.*)$/;
+const BUILDKIT_STEP = /^#\d+ \[(?:\S+ )?(\d+)\/(\d+)\] (.*)$/;
+const LINK_TOOLS: [RegExp, string][] = [
+  [/(?:^|[\s/])wasm-ld\b/, 'Linking (wasm-ld)'],
+  [/(?:^|[\s/])wasm-metadce\b/, 'Removing unused code (wasm-metadce)'],
+  [/(?:^|[\s/])wasm-opt\b/, 'Optimizing (wasm-opt)'],
+  [/(?:^|[\s/])wasm-emscripten-finalize\b|emscripten\.py\b/, 'Generating JavaScript'],
+  [/closure-compiler|google-closure-compiler/, 'Minifying JavaScript (Closure)'],
+];
+// Lines build.sh prints when it enters a phase
+const BUILD_SCRIPT_PHASES: [RegExp, BuildProgressPhase, string][] = [
+  [/^Copying files from /, 'prepare', 'Copying sources'],
+  [/^Initializing submodules/, 'prepare', 'Initializing submodules'],
+  [/^Checking out lvgl version v(\S+?)\.*$/, 'prepare', 'Checking out LVGL $1'],
+  [/^Checking out lv_drivers version (\S+?)\.*$/, 'prepare', 'Checking out lv_drivers $1'],
+  [/^Running emcmake cmake/, 'configure', 'Configuring (CMake)'],
+  [/^Building with make/, 'compile', 'Compiling'],
+];
+
+function shorten(message: string): string {
+  // Object files with their full CMake path: keep the file name
+  const text = message.replace(/\S*\/([^/\s]+)$/, '$1').trim();
+  return text.length > MAX_MESSAGE_LENGTH ? text.slice(0, MAX_MESSAGE_LENGTH - 1) + '…' : text;
+}
+
+/**
+ * The progress one line of output reports, if any; git lines leave the phase
+ * unset (clone or fetch is known from the command that runs)
+ */
+export function parseProgressLine(line: string): ProgressUpdate | undefined {
+  const text = line.trim();
+  let match: RegExpMatchArray | null;
+
+  if ((match = text.match(MAKE_PROGRESS))) {
+    const percent = Math.min(Number(match[1]), 100);
+    return /^Linking\b/.test(match[2])
+      ? { phase: 'link', message: 'Linking', percent }
+      : { phase: 'compile', message: shorten(match[2]), percent };
+  }
+  if ((match = text.match(GIT_PROGRESS))) {
+    return { message: match[1], percent: Math.min(Number(match[2]), 100) };
+  }
+  if ((match = text.match(GIT_SUBMODULE_CLONE)) && match[1] !== '.') {
+    return { message: `Cloning ${match[1]}` };
+  }
+  if ((match = text.match(DOCKER_STEP) || text.match(BUILDKIT_STEP))) {
+    const [, step, total, instruction] = match;
+    return {
+      phase: 'image',
+      message: shorten(`Step ${step}/${total}: ${instruction}`),
+      percent: Math.round(((Number(step) - 1) / Number(total)) * 100),
+    };
+  }
+  for (const [pattern, phase, message] of BUILD_SCRIPT_PHASES) {
+    if ((match = text.match(pattern))) {
+      return { phase, message: message.replace('$1', match[1] || '') };
+    }
+  }
+  for (const [pattern, message] of LINK_TOOLS) {
+    if (pattern.test(text)) {
+      return { phase: 'link', message };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Tracks the progress of a step and reports every change to onProgress
+ */
+export interface ProgressReporter {
+  phase(phase: BuildProgressPhase, message: string): void;    // Enter a phase (percent unknown until a tool reports one)
+  feed(text: string): void;                                   // Parse command output; lines may end with \r (git progress) or \n
+  wrap<T extends OperationOptions>(options: T): T;            // Options whose command output is also parsed
+}
+
+export function createProgressReporter(
+  step: BuildProgressStep,
+  onProgress: ((progress: BuildProgress) => void) | undefined,
+  initialPhase: BuildProgressPhase
+): ProgressReporter {
+  let current: BuildProgress = { step, phase: initialPhase, message: '' };
+  let buffer = '';
+
+  const report = (progress: BuildProgress) => {
+    const previous = current;
+    current = progress;
+    if (progress.phase !== previous.phase || progress.message !== previous.message || progress.percent !== previous.percent) {
+      onProgress?.(progress);
+    }
+  };
+
+  const feed = (text: string) => {
+    const lines = (buffer + text).split(/\r\n|\r|\n/);
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      const update = parseProgressLine(line);
+      if (update) {
+        report({ ...current, percent: undefined, ...update });
+      }
+    }
+  };
+
+  return {
+    phase(phase, message) {
+      report({ step, phase, message });
+    },
+
+    feed,
+
+    wrap(options) {
+      if (!onProgress) {
+        return options;
+      }
+      return {
+        ...options,
+        onOutput: (text: string, stream: 'stdout' | 'stderr') => {
+          feed(text);
+          if (options.onOutput) {
+            options.onOutput(text, stream);
+          } else {
+            (stream === 'stdout' ? process.stdout : process.stderr).write(text);
+          }
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Compiler Diagnostics for EEZ Projects
+ *
+ * Parses the emcc/clang/wasm-ld output of a build into structured diagnostics
+ * and maps paths inside the build container back to the local project.
+ */
+
+import * as path from 'path';
+
+export type DiagnosticSeverity = 'error' | 'warning';
+
+export interface DiagnosticNote {
+  file?: string;
+  line?: number;
+  column?: number;
+  message: string;
+}
+
+export interface Diagnostic {
+  severity: DiagnosticSeverity;
+  file?: string;               // Local path for project sources, container path otherwise (unset for linker errors)
+  line?: number;
+  column?: number;
+  message: string;
+  flag?: string;               // Warning option that triggered it, e.g. -Wunused-variable
+  notes: DiagnosticNote[];     // Follow-up "note:" lines and the include chain
+}
+
+export interface DiagnosticsSummary {
+  errors: number;
+  warnings: number;
+}
+
+export interface PathMapping {
+  containerDir: string;        // e.g. /project/src
+  localDir: string;            // e.g. the project's uiDir
+}
+
+// file:line:col: severity: message [-Wflag]
+const LOCATED_PATTERN = /^(.+?):(\d+)(?::(\d+))?: (fatal error|error|warning|note): (.*)$/;
+
+// Tool level messages, e.g. "wasm-ld: error: undefined symbol: foo" or "emcc: error: ..."
+const TOOL_PATTERN = /^(?:[\w.+-]*\/)?(wasm-ld|emcc|em\+\+|clang(?:\+\+)?|ld(?:\.lld)?)(?:-\d+)?: (fatal error|error|warning|note): (.*)$/;
+
+// "In file included from file:line:" and its continuation lines ("                 from file:line:")
+const INCLUDE_PATTERN = /^(?:In file included from|\s+from) (.+?):(\d+)(?::(\d+))?[:,]$/;
+
+const FLAG_PATTERN = /\s+\[(-W[\w-]+(?:=[\w-]+)?)(?:,[^\]]*)?\]$/;
+
+/**
+ * Parse compiler output into diagnostics
+ *
+ * Notes are attached to the diagnostic they follow. Duplicates (the same header
+ * compiled into several files) are reported once.
+ */
+export function parseDiagnostics(output: string, mapping?: PathMapping): Diagnostic[] {
+  const diagnostics: Diagnostic[] = [];
+  const seen = new Set<string>();
+  let includeChain: DiagnosticNote[] = [];
+  let current: Diagnostic | null = null;
+  let currentIsDuplicate = false;
+
+  // Compilers colour their output when they think they write to a terminal
+  const lines = output.replace(/\x1b\[[0-9;]*m/g, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    const include = INCLUDE_PATTERN.exec(line);
+    if (include) {
+      includeChain.push({
+        file: mapPath(include[1], mapping),
+        line: parseInt(include[2], 10),
+        column: include[3] ? parseInt(include[3], 10) : undefined,
+        message: 'In file included from here',
+      });
+      continue;
+    }
+
+    let severity: string;
+    let location: DiagnosticNote;
+    const located = LOCATED_PATTERN.exec(line);
+    const tool = located ? null : TOOL_PATTERN.exec(line);
+
+    if (located) {
+      severity = located[4];
+      location = {
+        file: mapPath(located[1], mapping),
+        line: parseInt(located[2], 10),
+        column: located[3] ? parseInt(located[3], 10) : undefined,
+        message: located[5],
+      };
+    } else if (tool) {
+      severity = tool[2];
+      location = { message: tool[3] };
+    } else {
+      continue;
+    }
+
+    if (severity === 'note') {
+      if (current && !currentIsDuplicate) {
+        current.notes.push(location);
+      }
+      continue;
+    }
+
+    let message = location.message;
+    let flag: string | undefined;
+    const flagMatch = FLAG_PATTERN.exec(message);
+    if (flagMatch) {
+      flag = flagMatch[1];
+      message = message.slice(0, flagMatch.index);
+    }
+
+    current = {
+      severity: severity === 'warning' ? 'warning' : 'error',
+      file: location.file,
+      line: location.line,
+      column: location.column,
+      message,
+      flag,
+      notes: includeChain,
+    };
+    includeChain = [];
+
+    const key = `${current.severity}|${current.file}|${current.line}|${current.column}|${current.message}`;
+    currentIsDuplicate = seen.has(key);
+    if (!currentIsDuplicate) {
+      seen.add(key);
+      diagnostics.push(current);
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Count errors and warnings
+ */
+export function summarizeDiagnostics(diagnostics: Diagnostic[]): DiagnosticsSummary {
+  return {
+    errors: diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length,
+    warnings: diagnostics.filter((diagnostic) => diagnostic.severity === 'warning').length,
+  };
+}
+
+/**
+ * Format a diagnostic location as file:line:column
+ */
+export function formatLocation(location: DiagnosticNote | Diagnostic, baseDir?: string): string {
+  if (!location.file) {
+    return '';
+  }
+
+  let file = location.file;
+  if (baseDir && path.isAbsolute(file)) {
+    const relative = path.relative(baseDir, file);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      file = relative;
+    }
+  }
+
+  let result = file;
+  if (location.line !== undefined) {
+    result += `:${location.line}`;
+    if (location.column !== undefined) {
+      result += `:${location.column}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Map a container path under mapping.containerDir to the local directory
+ */
+function mapPath(file: string, mapping?: PathMapping): string {
+  if (!mapping) {
+    return file;
+  }
+
+  const normalized = path.posix.normalize(file);
+  const containerDir = mapping.containerDir.replace(/\/+$/, '');
+  if (normalized === containerDir || normalized.startsWith(containerDir + '/')) {
+    const relative = normalized.slice(containerDir.length + 1);
+    return relative ? path.join(mapping.localDir, ...relative.split('/')) : mapping.localDir;
+  }
+
+  return file;
+}
@@ -6,12 +6,119 @@
 
 import * as fs from 'fs';
 import * as path from 'path';
-import { spawn, spawnSync } from 'child_process';
+import * as crypto from 'crypto';
+import * as os from 'os';
+import { spawn, execFile, ChildProcess } from 'child_process';
+import { Diagnostic, parseDiagnostics, summarizeDiagnostics } from './diagnostics';
+import { BuildProgress, createProgressReporter } from './build-progress';
+import { checkProject } from './project-check';
+import {
+  ARTIFACTS_FILE,
+  ArtifactManifestEntry,
+  ArtifactSelection,
+  ArtifactsRecord,
+  BUILD_ARTIFACT_MANIFEST,
+  describeArtifactSource,
+  parseArtifactManifest,
+  parseBuildFileListing,
+  resolveArtifactSelection,
+  selectArtifacts,
+  verifyArtifact,
+  writeArtifactsFile,
+} from './build-artifacts';
+import {
+  BUILD_OPTIONS_DIR,
+  BuildOptions,
+  EMCC_FLAGS_FILE,
+  formatBuildOptions,
+  getBuildOptions,
+  getBuildOptionsPath,
+  getDefaultBuildOptions,
+  getEmccFlags,
+  mergeBuildOptions,
+  readBuildOptionsFile,
+  writeBuildOptionsFiles,
+} from './build-options';
+import {
+  BUILD_INFO_FILE,
+  BuiltProjectSettings,
+  RepositoryInfo,
+  formatRepositoryInfo,
+  getCheckoutCommands,
+  getCloneCommands,
+  getFetchCommands,
+  getBundleCloneCommands,
+  getRepositoryInfoCommands,
+  getRepositoryUrl,
+  getSeedKind,
+  parseRepositoryInfo,
+  writeBuildInfo,
+} from './simulator-repository';
+
+// Docker label that records which .eez-project a volume belongs to
+export const VOLUME_PROJECT_LABEL = 'com.eez.studio.docker-build.project';
+
+// Volume shared by all projects before per-project volumes were introduced
+export const LEGACY_VOLUME_NAME = 'lvgl-simulator';
+
+// Hashes of the files last synced to /project/src (stored in the volume)
+const SOURCE_MANIFEST_PATH = '/project/.eez-src-manifest.json';
+const SOURCE_MANIFEST_VERSION = 1;
+
+// Staging directory for source sync inside the temporary container
+const SYNC_STAGE_DIR = '/tmp/eez-sync';
+
+// Where extract collects the output files in the temporary container
+const EXTRACT_STAGE_DIR = '/tmp/eez-extract';
+
+// Image built from resources/docker-build (the `image` of the compose service)
+export const DOCKER_IMAGE_NAME = 'eez-studio-docker-build';
+
+// Where an offline seed bundle is copied in the temporary container
+const SEED_BUNDLE_PATH = '/tmp/eez-simulator.bundle';
+
+export type BackendName = 'docker' | 'local';
+
+export type ContainerEngine = 'docker' | 'podman';
+
+// docker-compose-v2 is the `docker compose` CLI plugin, docker-compose the standalone binary
+export type ComposeFlavor = 'docker-compose-v2' | 'docker-compose' | 'podman-compose';
+
+export const COMPOSE_FLAVORS: ComposeFlavor[] = ['docker-compose-v2', 'docker-compose', 'podman-compose'];
+
+export interface ContainerRuntime {
+  engine: ContainerEngine;     // CLI for volume, exec, cp, stop and rm commands
+  engineVersion?: string;
+  compose: ComposeFlavor;      // Runs `build` and `run` with docker-compose.yml
+  composeVersion?: string;
+}
+
+export interface RuntimePreference {
+  engine?: ContainerEngine;    // Default: docker if it is running, podman otherwise
+  compose?: ComposeFlavor;     // Default: the first flavor found for the engine
+}
+
+export interface LocalBuildConfig {
+  workDir: string;             // Checkout of the simulator repository (the local counterpart of /project)
+  cacheDir: string;            // Shared by all projects (FreeType build)
+  emsdkDir?: string;           // emsdk installation; emcc must be on PATH if omitted
+}
+
+export interface OfflineConfig {
+  seedPath?: string;           // Checkout (git clone --recursive) or git bundle for the first setup
+}
 
 export interface BuildConfig {
   repositoryName: string;
+  repositoryUrl?: string;      // Fork or mirror to clone instead of eez-open/<repositoryName>
+  repositoryRef?: string;      // Branch, tag or commit to check out (default: the remote's default branch)
   dockerVolumeName: string;
   dockerBuildPath: string;
+  backend?: BackendName;       // Default: docker
+  local?: LocalBuildConfig;    // Required by the local backend
+  runtime?: ContainerRuntime;  // Set by the Docker backend's checkAvailable (default: docker with docker-compose)
+  runtimePreference?: RuntimePreference;   // Restricts the runtime detection
+  offline?: OfflineConfig;     // No network access: seed instead of clone, never fetch
 }
 
 export interface FontInfo {
@@ -21,6 +128,7 @@ export interface FontInfo {
 }
 
 export interface ProjectInfo {
+  projectPath: string;
   lvglVersion: string;
   flowSupport: boolean;
   projectDir: string;
@@ -28,7 +136,35 @@ export interface ProjectInfo {
   destinationFolder: string;
   displayWidth: number;
   displayHeight: number;
+  colorDepth?: number;         // LV_COLOR_DEPTH, if the project sets it
   fonts: FontInfo[];           // Array of FreeType fonts to include
+  buildOptions?: BuildOptions; // Project settings and the build options file (getBuildOptions if unset)
+}
+
+export interface VolumeInfo {
+  name: string;
+  projectPath?: string;        // Value of the project label (unset for unlabeled volumes)
+  createdAt?: string;
+  mountpoint?: string;
+  driver?: string;
+}
+
+export interface VolumeDetails extends VolumeInfo {
+  sizeKb?: number;             // Disk usage of /project inside the volume
+  setupComplete: boolean;      // Simulator repository is cloned
+  buildComplete: boolean;      // build/index.wasm exists
+}
+
+export interface SourceManifest {
+  version: number;
+  files: Record<string, string>;   // Relative path (with /) -> SHA-256 of the content
+}
+
+export interface SourceManifestDiff {
+  added: string[];
+  changed: string[];
+  removed: string[];
+  unchanged: number;
 }
 
 export interface CommandResult {
@@ -37,110 +173,236 @@ export interface CommandResult {
   error?: string;
 }
 
-export type LogFunction = (message: string, type?: 'info' | 'success' | 'error' | 'warning') => void;
+export interface SetupResult {
+  repository?: RepositoryInfo; // Checked out simulator revision
+}
+
+export interface BuildResult {
+  diagnostics: Diagnostic[];   // Warnings of a successful build
+}
+
+export interface Artifact {
+  name: string;                // File name, e.g. index.wasm
+  path: string;                // Absolute path in the output directory
+  size: number;                // Size in bytes
+  sha256: string;
+}
+
+export interface ExtractResult {
+  outputPath: string;
+  artifacts: Artifact[];
+  repository?: RepositoryInfo; // Simulator revision the output was built from (also in build-info.json)
+}
+
+export interface BuildStatus {
+  setupComplete: boolean;      // Simulator repository is checked out
+  buildComplete: boolean;      // build/index.wasm exists
+  repository?: RepositoryInfo; // Checked out simulator revision
+}
 
 /**
- * Read and parse the EEZ project file
+ * A way of running the simulator build (Docker container or local emsdk)
  */
-export async function readProjectFile(projectPath: string, log: LogFunction): Promise<ProjectInfo> {
-  log(`Reading project file: ${projectPath}`);
+export interface BuildBackend {
+  name: BackendName;
+  displayName: string;
+  checkAvailable(config: BuildConfig, log: LogFunction): Promise<boolean>;
+  getStatus(config: BuildConfig): Promise<BuildStatus>;
+  setup(projectInfo: ProjectInfo, config: BuildConfig, log: LogFunction, options?: OperationOptions): Promise<SetupResult>;
+  build(projectInfo: ProjectInfo, config: BuildConfig, log: LogFunction, options?: OperationOptions): Promise<BuildResult>;
+  extract(outputPath: string, config: BuildConfig, log: LogFunction, options?: ExtractOptions): Promise<ExtractResult>;
+  cleanBuild(config: BuildConfig, log: LogFunction, options?: OperationOptions): Promise<void>;
+  cleanAll(config: BuildConfig, log: LogFunction, options?: OperationOptions): Promise<void>;
+}
 
-  if (!fs.existsSync(projectPath)) {
-    throw new Error(`Project file not found: ${projectPath}`);
-  }
+// Failure classes, so callers (e.g. the CLI exit code) can tell them apart
+export type BuildErrorCode = 'docker-unavailable' | 'toolchain-unavailable' | 'project-parse' | 'clone' | 'compile' | 'extract' | 'export' | 'ui-test';
 
-  const content = fs.readFileSync(projectPath, 'utf8');
-  const project = JSON.parse(content);
+// Files build.sh produced before extract selected the output by manifest or globs (see build-artifacts.ts)
+export const BUILD_OUTPUT_FILES = ['index.html', 'index.js', 'index.wasm', 'index.data'];
 
-  let lvglVersion = project.settings?.general?.lvglVersion;
-  const flowSupport = project.settings?.general?.flowSupport || false;
-  const displayWidth = project.settings?.general?.displayWidth || 800;
-  const displayHeight = project.settings?.general?.displayHeight || 480;
-  const destinationFolder = project.settings?.build?.destinationFolder || 'src/ui';
+// Written to every extracted output folder, so a later extract may empty it without asking
+export const OUTPUT_MARKER_FILE = '.eez-build-output';
 
-  if (!lvglVersion) {
-    throw new Error('LVGL version not specified in project settings');
+export type LogFunction = (message: string, type?: 'info' | 'success' | 'error' | 'warning') => void;
+
+export interface OperationOptions {
+  signal?: AbortSignal;        // Aborts the operation and tears down its processes and containers
+  onOutput?: (text: string, stream: 'stdout' | 'stderr') => void;   // Output of spawned commands (default: written to process.stdout/stderr)
+  onProgress?: (progress: BuildProgress) => void;   // Phase and percentage of Setup and Build
+}
+
+export interface ExtractOptions extends OperationOptions {
+  forceClean?: boolean;        // Empty the output folder even if it holds files that aren't build output
+  artifacts?: Partial<ArtifactSelection>;   // Globs of the files to extract if the build has no manifest
+  project?: BuiltProjectSettings;   // Settings the build was made with, recorded in build-info.json
+}
+
+/**
+ * Error thrown when an operation is cancelled through its abort signal
+ */
+export class AbortError extends Error {
+  constructor(message = 'Operation aborted') {
+    super(message);
+    this.name = 'AbortError';
   }
+}
 
-  // Map unsupported versions to supported ones
-  const versionMap: Record<string, string> = {
-    '8.3': '8.4.0',
-    '8.3.0': '8.4.0',
-    '9.0': '9.2.2',
-    '9.0.0': '9.2.2',
-  };
+/**
+ * Error thrown for a known class of build failure
+ */
+export class BuildError extends Error {
+  constructor(message: string, public readonly code: BuildErrorCode) {
+    super(message);
+    this.name = 'BuildError';
+  }
+}
+
+/**
+ * Error thrown when the compiler or linker fails, with the parsed diagnostics
+ */
+export class CompileError extends BuildError {
+  constructor(message: string, public readonly diagnostics: Diagnostic[]) {
+    super(message, 'compile');
+    this.name = 'CompileError';
+  }
+}
 
-  if (versionMap[lvglVersion]) {
-    log(`LVGL version ${lvglVersion} mapped to ${versionMap[lvglVersion]}`, 'info');
-    lvglVersion = versionMap[lvglVersion];
+/**
+ * Error thrown when extract would delete files it didn't write
+ */
+export class OutputDirectoryError extends BuildError {
+  constructor(public readonly outputPath: string, public readonly files: string[]) {
+    super(`Output folder ${outputPath} contains files that are not build output (${formatFileList(files)}), refusing to delete them`, 'extract');
+    this.name = 'OutputDirectoryError';
   }
+}
 
-  const projectDir = path.dirname(projectPath);
-  const normalizedDestination = destinationFolder.replace(/\\/g, '/');
-  const uiDir = path.join(projectDir, normalizedDestination);
+/**
+ * Check whether an error (possibly serialized across IPC) is an abort
+ */
+export function isAbortError(error: unknown): boolean {
+  return error instanceof AbortError || (error as Error | undefined)?.name === 'AbortError';
+}
 
-  // Check if destination folder exists
-  if (!fs.existsSync(uiDir)) {
-    throw new Error(`Build destination directory not found at: ${uiDir}`);
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new AbortError();
   }
+}
 
-  // Parse fonts
-  const fonts: FontInfo[] = [];
-  if (project.fonts && Array.isArray(project.fonts)) {
-    for (const font of project.fonts) {
-      if (font.lvglUseFreeType === true) {
-        const localFontPath = path.join(projectDir, font.source.filePath.replace(/\\/g, '/'));
-        const targetFontPath = font.lvglFreeTypeFilePath;
-        const fontFileName = path.basename(localFontPath);
-
-        // Validate that font file exists
-        if (!fs.existsSync(localFontPath)) {
-          log(`Warning: Font file not found: ${localFontPath}`, 'warning');
-          continue;
-        }
+// Unsupported LVGL versions and the supported ones they are built with
+const LVGL_VERSION_MAP: Record<string, string> = {
+  '8.3': '8.4.0',
+  '8.3.0': '8.4.0',
+  '9.0': '9.2.2',
+  '9.0.0': '9.2.2',
+};
+
+/**
+ * LVGL version the simulator builds for a project's (or override's) version
+ */
+export function mapLvglVersion(version: string): string {
+  return LVGL_VERSION_MAP[version] || version;
+}
 
-        fonts.push({
-          localPath: localFontPath,
-          targetPath: targetFontPath,
-          fileName: fontFileName,
-        });
+/**
+ * Read and parse the EEZ project file
+ *
+ * Throws only if the project can't be built at all; checkProject reports
+ * every other problem.
+ */
+export async function readProjectFile(projectPath: string, log: LogFunction): Promise<ProjectInfo> {
+  log(`Reading project file: ${projectPath}`);
 
-        log(`Found FreeType font: ${fontFileName} -> ${targetFontPath}`);
-      }
+  const report = checkProject(projectPath);
+  const settings = report.settings;
+  if (!settings) {
+    throw new BuildError(report.checks.find((check) => check.severity === 'error')!.message, 'project-parse');
+  }
+  if (!settings.lvglVersion) {
+    throw new BuildError('LVGL version not specified in project settings', 'project-parse');
+  }
+  if (!fs.existsSync(settings.uiDir)) {
+    throw new BuildError(`Build destination directory not found at: ${settings.uiDir}`, 'project-parse');
+  }
+
+  let lvglVersion = settings.lvglVersion;
+  const mappedVersion = mapLvglVersion(lvglVersion);
+  if (mappedVersion !== lvglVersion) {
+    log(`LVGL version ${lvglVersion} mapped to ${mappedVersion}`, 'warning');
+    lvglVersion = mappedVersion;
+  }
+
+  // FreeType fonts are copied into the build; missing ones are left out
+  const fonts: FontInfo[] = [];
+  for (const font of settings.fonts) {
+    if (!font.freeType || !font.sourcePath || !font.targetPath) {
+      continue;
     }
+    if (!fs.existsSync(font.sourcePath)) {
+      log(`Warning: Font file not found: ${font.sourcePath}`, 'warning');
+      continue;
+    }
+    const fontFileName = path.basename(font.sourcePath);
+    fonts.push({
+      localPath: font.sourcePath,
+      targetPath: font.targetPath,
+      fileName: fontFileName,
+    });
+    log(`Found FreeType font: ${fontFileName} -> ${font.targetPath}`);
   }
 
   if (fonts.length > 0) {
     log(`Total FreeType fonts to include: ${fonts.length}`, 'success');
   }
 
-  log(`Detected project: LVGL ${lvglVersion} (${flowSupport ? 'with' : 'no'} flow support)`, 'success');
-  log(`Display: ${displayWidth}x${displayHeight}`);
-  log(`UI directory: ${uiDir}`);
+  log(`Detected project: LVGL ${lvglVersion} (${settings.flowSupport ? 'with' : 'no'} flow support)`, 'success');
+  log(`Display: ${settings.displayWidth}x${settings.displayHeight}`);
+  log(`UI directory: ${settings.uiDir}`);
+
+  const buildOptionsPath = getBuildOptionsPath(projectPath);
+  const buildOptionsFile = readBuildOptionsFile(buildOptionsPath);
+  if (buildOptionsFile) {
+    log(`Build options file: ${buildOptionsPath}`);
+  }
+  const buildOptions = mergeBuildOptions(getDefaultBuildOptions(settings), buildOptionsFile);
 
   return {
+    projectPath,
     lvglVersion,
-    flowSupport,
-    projectDir,
-    uiDir,
-    destinationFolder: normalizedDestination,
-    displayWidth,
-    displayHeight,
+    flowSupport: settings.flowSupport,
+    projectDir: path.dirname(projectPath),
+    uiDir: settings.uiDir,
+    destinationFolder: settings.destinationFolder,
+    displayWidth: settings.displayWidth,
+    displayHeight: settings.displayHeight,
+    colorDepth: settings.colorDepth,
     fonts,
+    buildOptions,
   };
 }
 
 /**
  * Run a command and return the result
+ *
+ * Rejects with AbortError if the signal is aborted; the process and its children are killed.
  */
-function runCommand(
+export function runCommand(
   command: string,
   args: string[],
   cwd: string | undefined,
   env: Record<string, string> | undefined,
-  log: LogFunction
+  log: LogFunction,
+  options: OperationOptions = {}
 ): Promise<CommandResult> {
-  return new Promise((resolve) => {
+  const { signal, onOutput } = options;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
     log(`Running: ${command} ${args.join(' ')}`);
     
     const mergedEnv = { ...process.env, ...env };
@@ -148,15 +410,24 @@ function runCommand(
       cwd: cwd || process.cwd(),
       env: mergedEnv,
       shell: true,
+      // Own process group, so the shell and everything it started can be killed together
+      detached: process.platform !== 'win32',
     });
 
+    const onAbort = () => killProcessTree(proc);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     let stdout = '';
     let stderr = '';
 
     proc.stdout?.on('data', (data) => {
       const text = data.toString();
       stdout += text;
-      process.stdout.write(text);
+      if (onOutput) {
+        onOutput(text, 'stdout');
+      } else {
+        process.stdout.write(text);
+      }
     });
 
     proc.stderr?.on('data', (data) => {
@@ -164,11 +435,20 @@ function runCommand(
       stderr += text;
       // Filter out Docker noise
       if (!shouldFilterDockerMessage(text)) {
-        process.stderr.write(text);
+        if (onOutput) {
+          onOutput(text, 'stderr');
+        } else {
+          process.stderr.write(text);
+        }
       }
     });
 
     proc.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) {
+        reject(new AbortError());
+        return;
+      }
       resolve({
         success: code === 0,
         output: stdout,
@@ -177,6 +457,7 @@ function runCommand(
     });
 
     proc.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
       resolve({
         success: false,
         error: error.message,
@@ -186,35 +467,55 @@ function runCommand(
 }
 
 /**
- * Run a command silently (suppress output)
+ * Run a command silently (suppress output); onData still sees the output, e.g. to parse progress
+ *
+ * Rejects with AbortError if the signal is aborted; the process and its children are killed.
  */
-function runCommandSilent(
+export function runCommandSilent(
   command: string,
   args: string[],
   cwd: string | undefined,
-  env: Record<string, string> | undefined
+  env: Record<string, string> | undefined,
+  signal?: AbortSignal,
+  onData?: (text: string) => void
 ): Promise<CommandResult> {
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
     const mergedEnv = { ...process.env, ...env };
     const proc = spawn(command, args, {
       cwd: cwd || process.cwd(),
       env: mergedEnv,
       shell: true,
       stdio: 'pipe',
+      detached: process.platform !== 'win32',
     });
 
+    const onAbort = () => killProcessTree(proc);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     let stdout = '';
     let stderr = '';
 
     proc.stdout?.on('data', (data) => {
       stdout += data.toString();
+      onData?.(data.toString());
     });
 
     proc.stderr?.on('data', (data) => {
       stderr += data.toString();
+      onData?.(data.toString());
     });
 
     proc.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) {
+        reject(new AbortError());
+        return;
+      }
       resolve({
         success: code === 0,
         output: stdout,
@@ -223,6 +524,7 @@ function runCommandSilent(
     });
 
     proc.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
       resolve({
         success: false,
         error: error.message,
@@ -231,6 +533,87 @@ function runCommandSilent(
   });
 }
 
+/**
+ * Kill a spawned process together with its children
+ *
+ * Commands run through a shell, so killing only the shell would leave the
+ * docker/docker-compose client running.
+ */
+function killProcessTree(proc: ChildProcess): void {
+  if (proc.pid === undefined || proc.exitCode !== null) {
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+
+  try {
+    process.kill(-proc.pid, 'SIGTERM');
+  } catch (err) {
+    proc.kill('SIGTERM');
+  }
+}
+
+// Teardown callbacks of containers that must be removed if their operation is aborted
+const trackedContainers = new Map<string, () => void>();
+
+/**
+ * Remove the container (`docker rm -f`) when the signal is aborted
+ */
+function trackContainer(container: string, runtime: ContainerRuntime, signal?: AbortSignal): void {
+  if (!signal) {
+    return;
+  }
+
+  const teardown = () => {
+    trackedContainers.delete(container);
+    spawn(runtime.engine, ['rm', '-f', container], { shell: true, stdio: 'ignore' });
+  };
+
+  signal.addEventListener('abort', teardown, { once: true });
+  trackedContainers.set(container, () => signal.removeEventListener('abort', teardown));
+}
+
+/**
+ * Stop tracking a container that was shut down normally
+ */
+function untrackContainer(container: string): void {
+  const untrack = trackedContainers.get(container);
+  if (untrack) {
+    trackedContainers.delete(container);
+    untrack();
+  }
+}
+
+/**
+ * Run a one-off `docker-compose run --rm` container (or its equivalent for the runtime)
+ *
+ * The container is named so it can be removed on abort; killing the compose
+ * client alone leaves the container running. Output is logged unless `log` is omitted.
+ */
+async function runInContainer(
+  args: string[],
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction | undefined,
+  options: OperationOptions = {}
+): Promise<CommandResult> {
+  const runtime = getRuntime(config);
+  const containerName = `eez-build-${crypto.randomBytes(6).toString('hex')}`;
+  const compose = getComposeCommand(runtime, ['run', '--rm', '--name', containerName, 'emscripten-build', ...args]);
+
+  trackContainer(containerName, runtime, options.signal);
+  try {
+    return log
+      ? await runCommand(compose.command, compose.args, config.dockerBuildPath, env, log, options)
+      : await runCommandSilent(compose.command, compose.args, config.dockerBuildPath, env, options.signal);
+  } finally {
+    untrackContainer(containerName);
+  }
+}
+
 /**
  * Filter out Docker noise messages
  */
@@ -241,6 +624,10 @@ function shouldFilterDockerMessage(text: string): boolean {
     'Container ID:',
     '--remove-orphans flag',
     'cache:INFO',
+    // podman-compose reports its versions and each podman exit code
+    'podman-compose version',
+    'using podman version',
+    'exit code: ',
   ];
 
   if (filters.some((filter) => text.includes(filter))) {
@@ -252,185 +639,461 @@ function shouldFilterDockerMessage(text: string): boolean {
   return isContainerId;
 }
 
+// Runtime used when the configuration has none (the compose binary the tool started with)
+const DEFAULT_RUNTIME: ContainerRuntime = { engine: 'docker', compose: 'docker-compose' };
+
+function getRuntime(config?: Pick<BuildConfig, 'runtime'>): ContainerRuntime {
+  return config?.runtime || DEFAULT_RUNTIME;
+}
+
+/**
+ * Command line of a compose subcommand for the runtime
+ *
+ * The `docker compose` plugin takes the subcommand after `compose`; docker-compose
+ * and podman-compose are binaries of their own that take the same arguments.
+ */
+export function getComposeCommand(runtime: ContainerRuntime, args: string[]): { command: string; args: string[] } {
+  switch (runtime.compose) {
+    case 'docker-compose-v2':
+      return { command: 'docker', args: ['compose', ...args] };
+    case 'podman-compose':
+      return { command: 'podman-compose', args };
+    default:
+      return { command: 'docker-compose', args };
+  }
+}
+
 /**
- * Check if Docker is installed and running
+ * Human readable runtime description, e.g. "podman 4.9.3 with podman-compose 1.0.6"
  */
-export async function checkDocker(log: LogFunction): Promise<boolean> {
-  log('Checking Docker status...');
+export function describeContainerRuntime(runtime: ContainerRuntime): string {
+  const engine = runtime.engineVersion ? `${runtime.engine} ${runtime.engineVersion}` : runtime.engine;
+  const compose = runtime.compose === 'docker-compose-v2' ? 'docker compose' : runtime.compose;
+  return `${engine} with ${runtime.composeVersion ? `${compose} ${runtime.composeVersion}` : compose}`;
+}
+
+function parseVersion(output: string): string | undefined {
+  const match = /version:?\s+v?(\d+\.\d+(?:\.\d+)?[^\s,]*)/i.exec(output);
+  return match ? match[1] : undefined;
+}
+
+// A hung daemon (e.g. a stopped Docker Desktop VM) can leave `docker ps` waiting forever
+const PROBE_TIMEOUT_MS = 30000;
+
+function probeCommand(command: string, args: string[]): Promise<{ success: boolean; output: string }> {
+  return new Promise(resolve => {
+    execFile(command, args, { shell: true, timeout: PROBE_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+      resolve({ success: !error, output: `${stdout || ''}${stderr || ''}` });
+    });
+  });
+}
+
+// Compose flavors that drive each engine, in detection order
+const ENGINE_COMPOSE_FLAVORS: Record<ContainerEngine, ComposeFlavor[]> = {
+  docker: ['docker-compose-v2', 'docker-compose'],
+  podman: ['podman-compose'],
+};
 
-  // Check if Docker is installed
-  const versionResult = spawnSync('docker', ['--version'], { shell: true });
-  if (versionResult.status !== 0) {
-    log('Docker is not installed. Please install Docker Desktop.', 'error');
-    return false;
+async function detectComposeVersion(flavor: ComposeFlavor): Promise<string | null> {
+  const { command, args } = getComposeCommand({ engine: 'docker', compose: flavor }, ['--version']);
+  const result = await probeCommand(command, args);
+  return result.success ? parseVersion(result.output) || '' : null;
+}
+
+/**
+ * Find an installed and running container runtime
+ *
+ * Docker is tried before Podman unless the preference names an engine. With the
+ * podman-docker shim installed, `docker` is Podman; it is reported as such.
+ */
+export async function detectContainerRuntime(
+  preference: RuntimePreference = {}
+): Promise<{ runtime?: ContainerRuntime; error?: string }> {
+  const engines: ContainerEngine[] = preference.engine
+    ? [preference.engine]
+    : preference.compose === 'podman-compose' ? ['podman'] : ['docker', 'podman'];
+  const errors: string[] = [];
+
+  for (const engine of engines) {
+    const versionResult = await probeCommand(engine, ['--version']);
+    if (!versionResult.success) {
+      errors.push(`${engine} is not installed`);
+      continue;
+    }
+
+    // `podman info` also sets up the rootless user namespace, `docker ps` needs the daemon
+    const runningResult = await probeCommand(engine, engine === 'podman' ? ['info'] : ['ps']);
+    if (!runningResult.success) {
+      errors.push(engine === 'podman' ? 'podman is not working (podman info failed)' : 'docker is not running');
+      continue;
+    }
+
+    const reportedEngine: ContainerEngine = /podman/i.test(versionResult.output) ? 'podman' : engine;
+    const flavors = preference.compose ? [preference.compose] : ENGINE_COMPOSE_FLAVORS[engine];
+
+    for (const compose of flavors) {
+      const composeVersion = await detectComposeVersion(compose);
+      if (composeVersion !== null) {
+        return {
+          runtime: {
+            engine: reportedEngine,
+            engineVersion: parseVersion(versionResult.output),
+            compose,
+            composeVersion: composeVersion || undefined,
+          },
+        };
+      }
+    }
+
+    errors.push(`no compose tool found for ${engine} (tried ${flavors.join(', ')})`);
   }
 
-  // Check if Docker daemon is running
-  const psResult = spawnSync('docker', ['ps'], { shell: true });
-  if (psResult.status !== 0) {
-    log('Docker is not running. Please start Docker Desktop.', 'error');
-    return false;
+  return { error: errors.join('; ') };
+}
+
+/**
+ * Check if a container runtime (Docker or Podman, with a compose tool) is installed and running
+ *
+ * Returns the detected runtime, or null if none is usable.
+ */
+export async function checkDocker(log: LogFunction, preference: RuntimePreference = {}): Promise<ContainerRuntime | null> {
+  log('Checking container runtime...');
+
+  const { runtime, error } = await detectContainerRuntime(preference);
+  if (!runtime) {
+    log(`No usable container runtime: ${error}. Please install and start Docker Desktop or Podman.`, 'error');
+    return null;
   }
 
-  log('Docker is ready.', 'success');
-  return true;
+  log(`Container runtime: ${describeContainerRuntime(runtime)}`);
+  log(`${runtime.engine === 'podman' ? 'Podman' : 'Docker'} is ready.`, 'success');
+  return runtime;
 }
 
 /**
- * Create a temporary Docker container
+ * Derive a Docker volume name from the project file path
+ *
+ * The name combines the project file name (for readability in `docker volume ls`)
+ * with a short hash of the absolute path, so two projects with the same file name
+ * in different folders still get separate volumes.
  */
-async function createTempContainer(config: BuildConfig, env: Record<string, string>, log: LogFunction): Promise<string> {
-  const result = await runCommandSilent(
-    'docker-compose',
-    ['run', '-d', 'emscripten-build', 'sleep', 'infinity'],
-    config.dockerBuildPath,
-    env
+export function getProjectVolumeName(projectPath: string): string {
+  const resolvedPath = path.resolve(projectPath);
+  const hashSource = process.platform === 'win32' ? resolvedPath.toLowerCase() : resolvedPath;
+  const hash = crypto.createHash('sha1').update(hashSource).digest('hex').slice(0, 8);
+
+  const baseName = path.basename(resolvedPath, '.eez-project')
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]+/g, '-')
+    .replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '')
+    .slice(0, 40);
+
+  return `eez-sim-${baseName || 'project'}-${hash}`;
+}
+
+/**
+ * Create the project volume if it doesn't exist yet
+ */
+export async function ensureVolume(
+  volumeName: string,
+  projectPath: string | undefined,
+  log: LogFunction,
+  runtime: ContainerRuntime = DEFAULT_RUNTIME
+): Promise<void> {
+  const inspectResult = await runCommandSilent(runtime.engine, ['volume', 'inspect', volumeName], undefined, undefined);
+  if (inspectResult.success) {
+    return;
+  }
+
+  log(`Creating Docker volume: ${volumeName}`);
+
+  const args = ['volume', 'create'];
+  if (projectPath) {
+    args.push('--label', `"${VOLUME_PROJECT_LABEL}=${path.resolve(projectPath)}"`);
+  }
+  args.push(volumeName);
+
+  const result = await runCommandSilent(runtime.engine, args, undefined, undefined);
+  if (!result.success) {
+    throw new Error(`Failed to create Docker volume ${volumeName}: ${(result.error || '').trim()}`);
+  }
+}
+
+/**
+ * List project volumes (labeled volumes plus the legacy shared volume)
+ */
+export async function listVolumes(runtime: ContainerRuntime = DEFAULT_RUNTIME): Promise<VolumeInfo[]> {
+  const lsResult = await runCommandSilent(
+    runtime.engine,
+    ['volume', 'ls', '-q', '--filter', `label=${VOLUME_PROJECT_LABEL}`],
+    undefined,
+    undefined
+  );
+
+  if (!lsResult.success) {
+    throw new Error(`Failed to list Docker volumes: ${(lsResult.error || '').trim()}`);
+  }
+
+  const names = (lsResult.output || '').split('\n').map((name) => name.trim()).filter(Boolean);
+
+  const legacyResult = await runCommandSilent(runtime.engine, ['volume', 'inspect', LEGACY_VOLUME_NAME], undefined, undefined);
+  if (legacyResult.success && !names.includes(LEGACY_VOLUME_NAME)) {
+    names.push(LEGACY_VOLUME_NAME);
+  }
+
+  if (names.length === 0) {
+    return [];
+  }
+
+  const inspectResult = await runCommandSilent(runtime.engine, ['volume', 'inspect', ...names], undefined, undefined);
+  if (!inspectResult.success || !inspectResult.output) {
+    throw new Error(`Failed to inspect Docker volumes: ${(inspectResult.error || '').trim()}`);
+  }
+
+  return (JSON.parse(inspectResult.output) as any[])
+    .map(parseVolumeInspect)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Inspect a single volume, including its disk usage and build state
+ */
+export async function inspectVolume(volumeName: string, config: BuildConfig): Promise<VolumeDetails> {
+  const inspectResult = await runCommandSilent(getRuntime(config).engine, ['volume', 'inspect', volumeName], undefined, undefined);
+  if (!inspectResult.success || !inspectResult.output) {
+    throw new Error(`Docker volume not found: ${volumeName}`);
+  }
+
+  const info = parseVolumeInspect(JSON.parse(inspectResult.output)[0]);
+
+  const env = { PROJECT_VOLUME: volumeName };
+  const probeResult = await runInContainer(
+    ['sh', '-c', '"du -sk /project | cut -f1; test -f /project/build.sh && echo setup; test -f /project/build/index.wasm && echo built"'],
+    config,
+    env,
+    undefined
   );
 
-  if (!result.success || !result.output) {
-    throw new Error('Failed to create temporary container');
+  const lines = (probeResult.output || '').split('\n').map((line) => line.trim());
+  const sizeKb = parseInt(lines[0], 10);
+
+  return {
+    ...info,
+    sizeKb: isNaN(sizeKb) ? undefined : sizeKb,
+    setupComplete: lines.includes('setup'),
+    buildComplete: lines.includes('built'),
+  };
+}
+
+/**
+ * Delete a project volume
+ */
+export async function removeVolume(
+  volumeName: string,
+  log: LogFunction,
+  runtime: ContainerRuntime = DEFAULT_RUNTIME
+): Promise<void> {
+  log(`Removing Docker volume: ${volumeName}`);
+
+  const result = await runCommandSilent(runtime.engine, ['volume', 'rm', volumeName], undefined, undefined);
+  if (!result.success) {
+    throw new Error(`Failed to remove Docker volume ${volumeName}: ${(result.error || '').trim()}`);
+  }
+
+  log(`Docker volume ${volumeName} removed.`, 'success');
+}
+
+function parseVolumeInspect(volume: any): VolumeInfo {
+  return {
+    name: volume.Name,
+    projectPath: volume.Labels?.[VOLUME_PROJECT_LABEL],
+    createdAt: volume.CreatedAt,
+    mountpoint: volume.Mountpoint,
+    driver: volume.Driver,
+  };
+}
+
+/**
+ * Create a temporary Docker container
+ */
+async function createTempContainer(
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  signal?: AbortSignal
+): Promise<string> {
+  const runtime = getRuntime(config);
+  // Named, because what `run -d` prints differs between the compose tools
+  const containerId = `eez-build-${crypto.randomBytes(6).toString('hex')}`;
+  const compose = getComposeCommand(runtime, ['run', '-d', '--name', containerId, 'emscripten-build', 'sleep', 'infinity']);
+
+  trackContainer(containerId, runtime, signal);
+  const result = await runCommandSilent(compose.command, compose.args, config.dockerBuildPath, env, signal);
+
+  if (!result.success) {
+    untrackContainer(containerId);
+    throw new Error(`Failed to create temporary container: ${(result.error || '').trim()}`);
   }
 
-  const containerId = result.output.trim();
   log(`Created temporary container: ${containerId}`);
   return containerId;
 }
 
+/**
+ * Stop a temporary container created by createTempContainer
+ */
+async function stopTempContainer(
+  containerId: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction
+): Promise<void> {
+  untrackContainer(containerId);
+  log(`Stopping temporary container: ${containerId}`);
+  await runCommandSilent(getRuntime(config).engine, ['stop', containerId], config.dockerBuildPath, env);
+}
+
 /**
  * Setup the Docker environment and project files
  */
-export async function setupProject(projectInfo: ProjectInfo, config: BuildConfig, log: LogFunction): Promise<void> {
+export async function setupProject(
+  projectInfo: ProjectInfo,
+  config: BuildConfig,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<SetupResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
   const startTime = Date.now();
   log('=== Step 1/3: Setup ===');
 
+  const progress = createProgressReporter('setup', options.onProgress, 'image');
+  options = progress.wrap(options);
   const env = { PROJECT_VOLUME: config.dockerVolumeName };
 
-  // Step 1: Build Docker image
-  log('Building Docker image...');
-  let result = await runCommandSilent('docker-compose', ['build'], config.dockerBuildPath, env);
-  if (!result.success) {
-    throw new Error('Failed to build Docker image');
+  if (config.offline) {
+    log('Offline mode: the simulator repository is not cloned or fetched from the network.', 'warning');
+  }
+
+  await ensureVolume(config.dockerVolumeName, projectInfo.projectPath, log, getRuntime(config));
+
+  // Step 1: Build Docker image (offline only if it doesn't exist yet, building needs the network)
+  let result: CommandResult;
+  if (config.offline && await imageExists(config)) {
+    log(`Docker image ${DOCKER_IMAGE_NAME} exists, skipping image build (offline).`);
+  } else {
+    log('Building Docker image...');
+    progress.phase('image', 'Building Docker image');
+    const compose = getComposeCommand(getRuntime(config), ['build']);
+    result = await runCommandSilent(compose.command, compose.args, config.dockerBuildPath, env, signal, progress.feed);
+    if (!result.success) {
+      throw new Error(config.offline
+        ? `Failed to build Docker image: ${DOCKER_IMAGE_NAME} doesn't exist and can't be built offline. Build it on a machine with network access (docker save/load to copy it).`
+        : 'Failed to build Docker image');
+    }
+    log('Docker image built successfully.', 'success');
   }
-  log('Docker image built successfully.', 'success');
 
   // Step 2: Check if volume exists and has content
   log('Checking if project is already set up...');
-  result = await runCommandSilent(
-    'docker-compose',
-    ['run', '--rm', 'emscripten-build', 'test', '-f', '/project/build.sh'],
-    config.dockerBuildPath,
-    env
-  );
+  result = await runInContainer(['test', '-f', '/project/build.sh'], config, env, undefined, options);
 
   const projectAlreadySetup = result.success;
+  const repositoryUrl = getRepositoryUrl(config);
 
-  let containerId: string | undefined;
+  const containerId = await createTempContainer(config, env, log, signal);
 
-  if (!projectAlreadySetup) {
+  if (!projectAlreadySetup && config.offline) {
+    // Step 3: Seed repository from the local checkout or bundle (only on first setup)
+    progress.phase('clone', 'Seeding repository');
+    try {
+      await seedRepository(containerId, config, env, log, options);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        await stopTempContainer(containerId, config, env, log);
+      }
+      throw error;
+    }
+  } else if (!projectAlreadySetup) {
     // Step 3: Clone repository (only on first setup)
-    log('First-time setup: Cloning repository from GitHub...');
+    log(`First-time setup: Cloning repository from ${repositoryUrl}...`);
+    progress.phase('clone', 'Cloning repository');
 
-    containerId = await createTempContainer(config, env, log);
-
-    result = await runCommand(
-      'docker',
-      ['exec', containerId, 'sh', '-c', `"cd /project && git clone --recursive https://github.com/eez-open/${config.repositoryName} ."`],
-      config.dockerBuildPath,
-      env,
-      log
-    );
+    result = await runContainerScript(containerId, ['cd /project', ...getCloneCommands(repositoryUrl)], config, env, log, options);
 
     if (!result.success) {
-      await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
-      throw new Error('Git clone failed');
+      await stopTempContainer(containerId, config, env, log);
+      throw new BuildError('Git clone failed', 'clone');
     }
 
     log('Repository cloned successfully.', 'success');
+  } else if (config.offline) {
+    log('Project already exists in Docker volume. Offline mode: not fetching updates.');
   } else {
     log('Project already exists in Docker volume. Checking for updates...');
 
-    // Pull latest changes from GitHub
-    log('Pulling latest changes from GitHub...');
+    // Fetch latest changes (the checkout below decides what is used)
+    log(`Fetching latest changes from ${repositoryUrl}...`);
+    progress.phase('fetch', 'Fetching updates');
 
-    result = await runCommand(
-      'docker-compose',
-      ['run', '--rm', 'emscripten-build', 'sh', '-c', '"cd /project && git pull"'],
-      config.dockerBuildPath,
-      env,
-      log
-    );
+    result = await runContainerScript(containerId, ['cd /project', ...getFetchCommands(repositoryUrl)], config, env, log, options);
 
     if (!result.success) {
-      log('Git pull failed, continuing with existing code...', 'warning');
+      log('Git fetch failed, continuing with existing code...', 'warning');
     } else {
-      log('Latest changes pulled successfully.', 'success');
+      log('Latest changes fetched successfully.', 'success');
     }
   }
 
-  // Step 4: Update build files
-  log('Updating build files...');
-  if (!containerId) {
-    containerId = await createTempContainer(config, env, log);
+  let repository: RepositoryInfo | undefined;
+  progress.phase('checkout', `Checking out ${config.repositoryRef || 'the default branch'}`);
+  try {
+    repository = await checkoutRepository(containerId, config, env, log, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      await stopTempContainer(containerId, config, env, log);
+    }
+    throw error;
   }
 
-  // Remove and recreate src directory
-  log('Preparing src directory...');
-  await runCommand(
-    'docker',
-    ['exec', containerId, 'sh', '-c', '"rm -rf /project/src && mkdir -p /project/src"'],
-    config.dockerBuildPath,
-    env,
-    log
-  );
+  // Step 4: Update build files
+  log('Updating build files...');
+  progress.phase('sources', 'Copying sources');
 
   // Copy build destination directory
   if (!projectInfo.uiDir) {
-    await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
+    await stopTempContainer(containerId, config, env, log);
     throw new Error('UI directory path is missing');
   }
 
   if (!fs.existsSync(projectInfo.uiDir)) {
-    await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
+    await stopTempContainer(containerId, config, env, log);
     throw new Error(`UI directory not found: ${projectInfo.uiDir}`);
   }
 
-  const resolvedUiDir = path.resolve(projectInfo.uiDir);
-  log(`Copying ${resolvedUiDir} to container...`);
-
-  // Copy contents of destination folder directly into /project/src/
-  result = await runCommand(
-    'docker',
-    ['cp', `${resolvedUiDir}/.`, `${containerId}:/project/src/`],
-    config.dockerBuildPath,
-    env,
-    log
-  );
-
-  if (!result.success) {
-    await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
-    throw new Error('Failed to copy build destination directory');
+  // Copy only added/changed files to /project/src/ so CMake recompiles just those
+  try {
+    await syncSources(containerId, path.resolve(projectInfo.uiDir), config, env, log, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      await stopTempContainer(containerId, config, env, log);
+    }
+    throw error;
   }
 
-  // Update timestamps to ensure CMake detects changes
-  await runCommand(
-    'docker',
-    ['exec', containerId, 'find', '/project/src', '-type', 'f', '(', '-name', '*.c', '-o', '-name', '*.h', ')', '-exec', 'touch', '{}', '+'],
-    config.dockerBuildPath,
-    env,
-    log
-  );
-
   // Copy fonts if any are specified
   if (projectInfo.fonts && projectInfo.fonts.length > 0) {
     log(`Copying ${projectInfo.fonts.length} font(s) to container...`);
+    progress.phase('sources', 'Copying fonts');
     
     // Create fonts directory in container
     await runCommand(
-      'docker',
+      getRuntime(config).engine,
       ['exec', containerId, 'mkdir', '-p', '/project/fonts'],
       config.dockerBuildPath,
       env,
-      log
+      log,
+      options
     );
 
     // Copy each font file
@@ -443,24 +1106,26 @@ export async function setupProject(projectInfo: ProjectInfo, config: BuildConfig
       
       // Create target directory structure in container
       await runCommand(
-        'docker',
+        getRuntime(config).engine,
         ['exec', containerId, 'mkdir', '-p', `/project${targetDir}`],
         config.dockerBuildPath,
         env,
-        log
+        log,
+        options
       );
 
       // Copy the font file to the container
       result = await runCommand(
-        'docker',
+        getRuntime(config).engine,
         ['cp', font.localPath, `${containerId}:/project${targetDir}/${targetFileName}`],
         config.dockerBuildPath,
         env,
-        log
+        log,
+        options
       );
 
       if (!result.success) {
-        await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
+        await stopTempContainer(containerId, config, env, log);
         throw new Error(`Failed to copy font file: ${font.fileName}`);
       }
     }
@@ -470,36 +1135,443 @@ export async function setupProject(projectInfo: ProjectInfo, config: BuildConfig
     const manifestContent = Buffer.from(fontsManifest).toString('base64');
     
     await runCommand(
-      'docker',
+      getRuntime(config).engine,
       ['exec', containerId, 'sh', '-c', `"echo '${manifestContent}' | base64 -d > /project/fonts.txt"`],
       config.dockerBuildPath,
       env,
-      log
+      log,
+      options
     );
 
     log('Fonts manifest created: /project/fonts.txt', 'success');
   }
 
+  try {
+    await syncBuildOptions(containerId, getBuildOptions(projectInfo), config, env, log, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      await stopTempContainer(containerId, config, env, log);
+    }
+    throw error;
+  }
+
   // Stop container
-  await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
+  await stopTempContainer(containerId, config, env, log);
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   log(`Setup completed successfully in ${duration}s!`, 'success');
+
+  return { repository };
+}
+
+/**
+ * Whether the build image exists locally
+ */
+async function imageExists(config: BuildConfig): Promise<boolean> {
+  const result = await runCommandSilent(
+    getRuntime(config).engine,
+    ['image', 'inspect', DOCKER_IMAGE_NAME],
+    undefined,
+    undefined
+  );
+  return result.success;
+}
+
+/**
+ * Fill the empty /project with the offline seed (a checkout or a git bundle)
+ */
+async function seedRepository(
+  containerId: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<void> {
+  const seedPath = config.offline?.seedPath;
+  if (!seedPath) {
+    throw new BuildError('Offline mode needs a local simulator checkout or git bundle for the first setup', 'clone');
+  }
+
+  const { kind, error } = getSeedKind(seedPath);
+  if (!kind) {
+    throw new BuildError(error || 'Invalid offline seed', 'clone');
+  }
+
+  log(`First-time setup (offline): Seeding repository from ${kind === 'bundle' ? 'bundle' : 'checkout'} ${seedPath}...`);
+
+  const engine = getRuntime(config).engine;
+  const resolvedSeedPath = path.resolve(seedPath);
+  let result: CommandResult;
+  if (kind === 'directory') {
+    // The whole checkout, including .git and the checked out submodules
+    result = await runCommand(
+      engine,
+      ['cp', `"${resolvedSeedPath}/."`, `${containerId}:/project`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+  } else {
+    result = await runCommand(
+      engine,
+      ['cp', `"${resolvedSeedPath}"`, `${containerId}:${SEED_BUNDLE_PATH}`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+    if (result.success) {
+      result = await runContainerScript(
+        containerId,
+        ['cd /project', ...getBundleCloneCommands(SEED_BUNDLE_PATH), `rm -f ${SEED_BUNDLE_PATH}`],
+        config,
+        env,
+        log,
+        options
+      );
+    }
+  }
+
+  if (!result.success) {
+    throw new BuildError(kind === 'bundle'
+      ? 'Seeding from the git bundle failed (submodules missing from the bundle can\'t be fetched offline; seed from a checkout instead)'
+      : 'Seeding from the local checkout failed', 'clone');
+  }
+
+  log('Repository seeded successfully.', 'success');
+}
+
+/**
+ * Check out the configured revision in the temporary container and report it
+ */
+async function checkoutRepository(
+  containerId: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<RepositoryInfo | undefined> {
+  const target = config.repositoryRef || 'the default branch';
+  log(`Checking out ${target}...`);
+
+  const result = await runContainerScript(
+    containerId,
+    ['cd /project', ...getCheckoutCommands(config.repositoryRef)],
+    config,
+    env,
+    log,
+    options
+  );
+  if (!result.success) {
+    throw new BuildError(`Failed to check out ${target}`, 'clone');
+  }
+
+  const repository = await readContainerRepositoryInfo(containerId, config, env, options);
+  if (repository) {
+    log(`Simulator revision: ${formatRepositoryInfo(repository)}`, 'success');
+  }
+  return repository;
+}
+
+/**
+ * Commit and origin of the checkout in /project (undefined if there is none)
+ */
+async function readContainerRepositoryInfo(
+  containerId: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  options: OperationOptions
+): Promise<RepositoryInfo | undefined> {
+  const result = await runContainerScript(
+    containerId,
+    ['cd /project', ...getRepositoryInfoCommands()],
+    config,
+    env,
+    undefined,
+    options
+  );
+  return result.success ? parseRepositoryInfo(result.output || '', config.repositoryRef) : undefined;
+}
+
+/**
+ * Run a sh script in a temporary container
+ *
+ * The script is passed base64 encoded, so nothing in it has to be quoted for
+ * the host shell. Output is logged unless `log` is omitted.
+ */
+async function runContainerScript(
+  containerId: string,
+  lines: string[],
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction | undefined,
+  options: OperationOptions = {}
+): Promise<CommandResult> {
+  const script = Buffer.from(['set -e', ...lines].join('\n') + '\n').toString('base64');
+  const args = ['exec', containerId, 'sh', '-c', `"echo '${script}' | base64 -d | sh"`];
+  return log
+    ? runCommand(getRuntime(config).engine, args, config.dockerBuildPath, env, log, options)
+    : runCommandSilent(getRuntime(config).engine, args, config.dockerBuildPath, env, options.signal);
+}
+
+/**
+ * Compute the content hash of every file in a directory
+ */
+export function computeSourceManifest(dir: string): SourceManifest {
+  const files: Record<string, string> = {};
+
+  const walk = (currentDir: string) => {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const entryPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile()) {
+        const relativePath = path.relative(dir, entryPath).split(path.sep).join('/');
+        files[relativePath] = crypto.createHash('sha256').update(fs.readFileSync(entryPath)).digest('hex');
+      }
+    }
+  };
+
+  walk(dir);
+  return { version: SOURCE_MANIFEST_VERSION, files };
+}
+
+/**
+ * Compare the last synced manifest with the current one
+ */
+export function diffSourceManifests(previous: SourceManifest, current: SourceManifest): SourceManifestDiff {
+  const diff: SourceManifestDiff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const [file, hash] of Object.entries(current.files)) {
+    const previousHash = previous.files[file];
+    if (previousHash === undefined) {
+      diff.added.push(file);
+    } else if (previousHash !== hash) {
+      diff.changed.push(file);
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  for (const file of Object.keys(previous.files)) {
+    if (current.files[file] === undefined) {
+      diff.removed.push(file);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Sync the UI directory into /project/src of the volume
+ *
+ * The manifest stored in the volume records the hashes of the last synced files.
+ * Only added and changed files are copied (and get new timestamps), deleted files
+ * are removed. Without a manifest, /project/src is replaced completely.
+ *
+ * Files and a small shell script are staged in a local temp directory, copied into
+ * the container with one `docker cp` and applied with one `docker exec`.
+ */
+async function syncSources(
+  containerId: string,
+  uiDir: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<void> {
+  const { signal } = options;
+  log(`Syncing ${uiDir} to container...`);
+
+  const currentManifest = computeSourceManifest(uiDir);
+
+  // Read the manifest of the last sync (only valid if /project/src still exists)
+  const manifestResult = await runCommandSilent(
+    getRuntime(config).engine,
+    ['exec', containerId, 'sh', '-c', `"test -d /project/src && cat ${SOURCE_MANIFEST_PATH}"`],
+    config.dockerBuildPath,
+    env,
+    signal
+  );
+
+  let previousManifest: SourceManifest | undefined;
+  if (manifestResult.success && manifestResult.output) {
+    try {
+      const parsed = JSON.parse(manifestResult.output) as SourceManifest;
+      if (parsed.version === SOURCE_MANIFEST_VERSION && parsed.files) {
+        previousManifest = parsed;
+      }
+    } catch (err) {
+      log('Source manifest in volume is invalid, doing a full sync.', 'warning');
+    }
+  }
+
+  let filesToCopy: string[];
+  let filesToRemove: string[] = [];
+  const fullSync = !previousManifest;
+
+  if (previousManifest) {
+    const diff = diffSourceManifests(previousManifest, currentManifest);
+    log(`Sources: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+
+    if (diff.added.length === 0 && diff.changed.length === 0 && diff.removed.length === 0) {
+      log('Sources are up to date.', 'success');
+      return;
+    }
+
+    filesToCopy = [...diff.added, ...diff.changed];
+    filesToRemove = diff.removed;
+  } else {
+    filesToCopy = Object.keys(currentManifest.files);
+    log(`No previous sync found, copying all ${filesToCopy.length} source files...`);
+  }
+
+  const stageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eez-sync-'));
+  try {
+    for (const file of filesToCopy) {
+      const destPath = path.join(stageDir, 'files', ...file.split('/'));
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(path.join(uiDir, ...file.split('/')), destPath);
+    }
+
+    fs.writeFileSync(path.join(stageDir, 'copied.txt'), filesToCopy.map((file) => file + '\n').join(''));
+    fs.writeFileSync(path.join(stageDir, 'removed.txt'), filesToRemove.map((file) => file + '\n').join(''));
+    fs.writeFileSync(path.join(stageDir, 'manifest.json'), JSON.stringify(currentManifest));
+
+    const script = [
+      'set -e',
+      fullSync ? 'rm -rf /project/src' : '',
+      'mkdir -p /project/src',
+      'cd /project/src',
+      `xargs -r -d '\\n' rm -f -- < ${SYNC_STAGE_DIR}/removed.txt`,
+      `if [ -d ${SYNC_STAGE_DIR}/files ]; then cp -R ${SYNC_STAGE_DIR}/files/. /project/src/; fi`,
+      // Copied files keep their local timestamps, which may be older than the object files
+      `xargs -r -d '\\n' touch -- < ${SYNC_STAGE_DIR}/copied.txt`,
+      'find /project/src -mindepth 1 -type d -empty -delete',
+      `mv ${SYNC_STAGE_DIR}/manifest.json ${SOURCE_MANIFEST_PATH}`,
+      `rm -rf ${SYNC_STAGE_DIR}`,
+    ].filter(Boolean).join('\n');
+    fs.writeFileSync(path.join(stageDir, 'sync.sh'), script + '\n');
+
+    let result = await runCommand(
+      getRuntime(config).engine,
+      ['cp', `"${stageDir}/."`, `${containerId}:${SYNC_STAGE_DIR}`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new Error('Failed to copy build destination directory');
+    }
+
+    result = await runCommand(
+      getRuntime(config).engine,
+      ['exec', containerId, 'sh', `${SYNC_STAGE_DIR}/sync.sh`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to sync source files: ${(result.error || '').trim()}`);
+    }
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
+
+  log(`Synced ${filesToCopy.length} file(s), removed ${filesToRemove.length} file(s).`, 'success');
+}
+
+/**
+ * Write the build options folder into /project; a build folder compiled with
+ * other flags is removed, make wouldn't rebuild it
+ */
+async function syncBuildOptions(
+  containerId: string,
+  buildOptions: BuildOptions,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<void> {
+  const stageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eez-build-options-'));
+  try {
+    writeBuildOptionsFiles(path.join(stageDir, BUILD_OPTIONS_DIR), buildOptions);
+
+    const flagsPath = `${BUILD_OPTIONS_DIR}/${EMCC_FLAGS_FILE}`;
+    const script = [
+      'set -e',
+      `if [ -d /project/build ] && ! cmp -s ${SYNC_STAGE_DIR}/${flagsPath} /project/${flagsPath}; then`,
+      '  rm -rf /project/build',
+      '  echo "Build options changed, removed the build directory."',
+      'fi',
+      `rm -rf /project/${BUILD_OPTIONS_DIR}`,
+      `mv ${SYNC_STAGE_DIR}/${BUILD_OPTIONS_DIR} /project/${BUILD_OPTIONS_DIR}`,
+      `rm -rf ${SYNC_STAGE_DIR}`,
+    ].join('\n');
+    fs.writeFileSync(path.join(stageDir, 'sync.sh'), script + '\n');
+
+    let result = await runCommand(
+      getRuntime(config).engine,
+      ['cp', `"${stageDir}/."`, `${containerId}:${SYNC_STAGE_DIR}`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new Error('Failed to copy build options');
+    }
+
+    result = await runCommand(
+      getRuntime(config).engine,
+      ['exec', containerId, 'sh', `${SYNC_STAGE_DIR}/sync.sh`],
+      config.dockerBuildPath,
+      env,
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to write build options: ${(result.error || '').trim()}`);
+    }
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
 }
 
 /**
  * Build the project using Emscripten
  */
-export async function buildProject(projectInfo: ProjectInfo, config: BuildConfig, log: LogFunction): Promise<void> {
+export async function buildProject(
+  projectInfo: ProjectInfo,
+  config: BuildConfig,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<BuildResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
   const startTime = Date.now();
   log('=== Step 2/3: Build ===');
 
+  const progress = createProgressReporter('build', options.onProgress, 'prepare');
+  progress.phase('prepare', 'Starting build');
   const env = { PROJECT_VOLUME: config.dockerVolumeName };
 
   log(`Starting build (LVGL ${projectInfo.lvglVersion}, ${projectInfo.displayWidth}x${projectInfo.displayHeight})...`);
 
-  // Use the build.sh script with parameters
-  let buildCommand = `"./build.sh --lvgl=${projectInfo.lvglVersion} --display-width=${projectInfo.displayWidth} --display-height=${projectInfo.displayHeight}`;
+  const buildOptions = getBuildOptions(projectInfo);
+  const emccFlags = getEmccFlags(buildOptions).join(' ');
+  log(`Build options: ${formatBuildOptions(buildOptions)}`);
+  log(`EMCC_CFLAGS: ${emccFlags}`);
+
+  // Use the build.sh script with parameters (build.sh has no options for the flags, emcc reads them from EMCC_CFLAGS)
+  let buildCommand = `"EMCC_CFLAGS='${emccFlags}' ./build.sh --lvgl=${projectInfo.lvglVersion} --display-width=${projectInfo.displayWidth} --display-height=${projectInfo.displayHeight}`;
   
   // Add fonts parameter if fonts are present
   if (projectInfo.fonts && projectInfo.fonts.length > 0) {
@@ -508,26 +1580,125 @@ export async function buildProject(projectInfo: ProjectInfo, config: BuildConfig
   
   buildCommand += '"';
 
-  const result = await runCommand(
-    'docker-compose',
-    ['run', '--rm', 'emscripten-build', 'sh', '-c', buildCommand],
-    config.dockerBuildPath,
-    env,
-    log
-  );
+  const result = await runInContainer(['sh', '-c', buildCommand], config, env, log, progress.wrap(options));
+
+  // Sources are compiled from /project/src, report them at their local paths
+  const diagnostics = parseDiagnostics(`${result.output || ''}\n${result.error || ''}`, {
+    containerDir: '/project/src',
+    localDir: path.resolve(projectInfo.uiDir),
+  });
+  const summary = summarizeDiagnostics(diagnostics);
 
   if (!result.success) {
-    throw new Error('Build failed');
+    throw new CompileError(
+      summary.errors > 0 ? `Build failed with ${summary.errors} error(s)` : 'Build failed',
+      diagnostics
+    );
   }
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   log(`Build completed successfully in ${duration}s!`, 'success');
+  if (summary.warnings > 0) {
+    log(`${summary.warnings} warning(s)`, 'warning');
+  }
+
+  return { diagnostics };
+}
+
+/**
+ * Default output folder of a project: build/web next to the .eez-project file
+ */
+export function getDefaultOutputPath(projectPath: string): string {
+  return path.join(path.dirname(path.resolve(projectPath)), 'build', 'web');
+}
+
+/**
+ * Files (and empty folders) of outputPath that the last extract didn't write:
+ * everything but the files artifacts.json lists, artifacts.json itself, the
+ * output marker and build-info.json. A missing folder has none.
+ */
+export function findForeignOutputFiles(outputPath: string): string[] {
+  if (!fs.existsSync(outputPath)) {
+    return [];
+  }
+  if (!fs.statSync(outputPath).isDirectory()) {
+    return [path.basename(outputPath)];
+  }
+
+  const buildFiles = new Set([OUTPUT_MARKER_FILE, BUILD_INFO_FILE, ARTIFACTS_FILE, ...readExtractedFiles(outputPath)]);
+  return listOutputEntries(outputPath).filter((name) => !buildFiles.has(name)).sort();
+}
+
+// Files the last extract wrote; folders extracted before artifacts.json existed hold only the fixed build files
+function readExtractedFiles(outputPath: string): string[] {
+  try {
+    const record: ArtifactsRecord = JSON.parse(fs.readFileSync(path.join(outputPath, ARTIFACTS_FILE), 'utf8'));
+    return record.files.map((file) => file.name);
+  } catch (err) {
+    return BUILD_OUTPUT_FILES;
+  }
+}
+
+// Files below dir as relative paths with forward slashes, empty folders with a trailing slash
+function listOutputEntries(dir: string, prefix = ''): string[] {
+  const entries: string[] = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      const children = listOutputEntries(path.join(dir, entry.name), relative);
+      entries.push(...(children.length > 0 ? children : [`${relative}/`]));
+    } else {
+      entries.push(relative);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Empty (or create) the output folder and mark it as build output
+ *
+ * Throws an OutputDirectoryError if the folder holds other files, unless
+ * forceClean is set. The file system root and the home folder are never emptied.
+ */
+export function prepareOutputDirectory(outputPath: string, log: LogFunction, forceClean = false): void {
+  const resolved = path.resolve(outputPath);
+  if (resolved === path.parse(resolved).root || resolved === os.homedir()) {
+    throw new BuildError(`Refusing to use ${resolved} as output folder`, 'extract');
+  }
+
+  const foreignFiles = findForeignOutputFiles(resolved);
+  if (foreignFiles.length > 0 && !forceClean) {
+    throw new OutputDirectoryError(resolved, foreignFiles);
+  }
+
+  if (fs.existsSync(resolved)) {
+    log('Cleaning output directory...');
+    if (foreignFiles.length > 0) {
+      log(`Deleting ${foreignFiles.length} file(s) that are not build output: ${formatFileList(foreignFiles)}`, 'warning');
+    }
+    fs.rmSync(resolved, { recursive: true, force: true });
+    log('Output directory cleaned.');
+  }
+
+  fs.mkdirSync(resolved, { recursive: true });
+  fs.writeFileSync(path.join(resolved, OUTPUT_MARKER_FILE), 'Build output of EEZ Studio Docker Build. This folder is emptied on every extract.\n');
+}
+
+function formatFileList(files: string[], limit = 5): string {
+  return files.length > limit ? `${files.slice(0, limit).join(', ')} and ${files.length - limit} more` : files.join(', ');
 }
 
 /**
  * Extract build output from Docker volume
  */
-export async function extractBuild(outputPath: string, config: BuildConfig, log: LogFunction): Promise<void> {
+export async function extractBuild(
+  outputPath: string,
+  config: BuildConfig,
+  log: LogFunction,
+  options: ExtractOptions = {}
+): Promise<ExtractResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
   const startTime = Date.now();
   log('=== Step 3/3: Extract ===');
 
@@ -536,61 +1707,131 @@ export async function extractBuild(outputPath: string, config: BuildConfig, log:
   log(`Output path: ${outputPath}`);
 
   // Clean output directory first
-  log('Cleaning output directory...');
-  if (fs.existsSync(outputPath)) {
-    fs.rmSync(outputPath, { recursive: true, force: true });
-    log('Output directory cleaned.');
-  }
-
-  // Create fresh output directory
-  fs.mkdirSync(outputPath, { recursive: true });
+  prepareOutputDirectory(outputPath, log, options.forceClean);
 
   log('Extracting build files from Docker volume...');
 
   // Create temp container and copy files
-  const containerId = await createTempContainer(config, env, log);
+  let containerId: string;
+  try {
+    containerId = await createTempContainer(config, env, log, signal);
+  } catch (error) {
+    throw isAbortError(error) ? error : new BuildError((error as Error).message, 'extract');
+  }
   log(`Container ID: ${containerId}`);
 
-  const files = ['index.html', 'index.js', 'index.wasm', 'index.data'];
-  for (const file of files) {
-    const destPath = path.join(outputPath, file);
-    const result = await runCommand(
-      'docker',
-      ['cp', `${containerId}:/project/build/${file}`, destPath],
-      config.dockerBuildPath,
-      env,
-      log
-    );
+  let artifacts: Artifact[];
+  try {
+    artifacts = await extractArtifacts(containerId, outputPath, config, env, log, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      await stopTempContainer(containerId, config, env, log);
+    }
+    throw error;
+  }
+
+  // Record which simulator revision produced the output
+  const repository = await readContainerRepositoryInfo(containerId, config, env, options);
+  await stopTempContainer(containerId, config, env, log);
+  writeBuildInfo(outputPath, repository, options.project, log);
 
-    // index.data is optional - only fail if required files are missing
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Build files extracted successfully in ${duration}s!`, 'success');
+
+  return { outputPath, artifacts, repository };
+}
+
+/**
+ * Copy the build's output files from the container and verify them against
+ * the build folder; the list is recorded in artifacts.json
+ */
+async function extractArtifacts(
+  containerId: string,
+  outputPath: string,
+  config: BuildConfig,
+  env: Record<string, string>,
+  log: LogFunction,
+  options: ExtractOptions
+): Promise<Artifact[]> {
+  const { signal } = options;
+  const engine = getRuntime(config).engine;
+  const selection = resolveArtifactSelection(options.artifacts);
+
+  // Scripts instead of command lines, which would need quoting for the host shell too
+  const stageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eez-extract-'));
+  try {
+    fs.writeFileSync(path.join(stageDir, 'list.sh'), [
+      'set -e',
+      'cd /project/build',
+      'find . -type f -printf \'%s %P\\n\'',
+    ].join('\n') + '\n');
+    fs.writeFileSync(path.join(stageDir, 'copy.sh'), [
+      'set -e',
+      'cd /project/build',
+      `mkdir -p ${EXTRACT_STAGE_DIR}/files`,
+      `xargs -r -d '\\n' cp --parents -t ${EXTRACT_STAGE_DIR}/files -- < ${EXTRACT_STAGE_DIR}/files.txt`,
+      `xargs -r -d '\\n' sha256sum -- < ${EXTRACT_STAGE_DIR}/files.txt`,
+    ].join('\n') + '\n');
+
+    let result = await runCommand(engine, ['cp', `"${stageDir}/."`, `${containerId}:${EXTRACT_STAGE_DIR}`], config.dockerBuildPath, env, log, options);
     if (!result.success) {
-      if (file === 'index.data') {
-        log(`${file} not found (optional file, skipping)`);
-        continue;
+      throw new BuildError('Failed to copy the extract scripts to the container', 'extract');
+    }
+
+    result = await runCommandSilent(engine, ['exec', containerId, 'sh', `${EXTRACT_STAGE_DIR}/list.sh`], config.dockerBuildPath, env, signal);
+    if (!result.success) {
+      throw new BuildError(`Failed to list the build folder: ${(result.error || '').trim()}`, 'extract');
+    }
+    const buildFiles = parseBuildFileListing(result.output || '');
+
+    let manifest: ArtifactManifestEntry[] | undefined;
+    if (buildFiles.some((file) => file.path === BUILD_ARTIFACT_MANIFEST)) {
+      result = await runCommandSilent(engine, ['exec', containerId, 'cat', `/project/build/${BUILD_ARTIFACT_MANIFEST}`], config.dockerBuildPath, env, signal);
+      if (!result.success) {
+        throw new BuildError(`Could not read the manifest ${BUILD_ARTIFACT_MANIFEST}: ${(result.error || result.output || '').trim()}`, 'extract');
       }
-      await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
-      throw new Error(`Failed to extract ${file}`);
+      manifest = parseArtifactManifest(result.output || '');
     }
+    const files = selectArtifacts(buildFiles, manifest, selection);
+    log(describeArtifactSource(files.length, !!manifest, selection));
 
-    // Log file info
-    try {
-      const stats = fs.statSync(destPath);
-      log(`Extracted ${file}: ${stats.size} bytes`);
-    } catch (err) {
-      log(`Could not stat ${file}: ${(err as Error).message}`, 'warning');
+    fs.writeFileSync(path.join(stageDir, 'files.txt'), files.map((file) => file.path + '\n').join(''));
+    result = await runCommand(engine, ['cp', `"${path.join(stageDir, 'files.txt')}"`, `${containerId}:${EXTRACT_STAGE_DIR}/files.txt`], config.dockerBuildPath, env, log, options);
+    if (result.success) {
+      result = await runCommandSilent(engine, ['exec', containerId, 'sh', `${EXTRACT_STAGE_DIR}/copy.sh`], config.dockerBuildPath, env, signal);
+    }
+    if (!result.success) {
+      throw new BuildError(`Failed to collect the build output: ${(result.error || '').trim()}`, 'extract');
+    }
+    // sha256sum prints "<hash>  <file>"
+    const hashes = new Map<string, string>();
+    for (const line of (result.output || '').split('\n')) {
+      const match = line.match(/^([0-9a-f]{64}) [ *](.+)$/);
+      if (match) {
+        hashes.set(match[2], match[1]);
+      }
     }
-  }
 
-  await runCommand('docker', ['stop', containerId], config.dockerBuildPath, env, log);
+    result = await runCommand(engine, ['cp', `${containerId}:${EXTRACT_STAGE_DIR}/files/.`, `"${outputPath}"`], config.dockerBuildPath, env, log, options);
+    if (!result.success) {
+      throw new BuildError('Failed to copy the build output from the container', 'extract');
+    }
 
-  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-  log(`Build files extracted successfully in ${duration}s!`, 'success');
+    const artifacts = files.map((file) => verifyArtifact(outputPath, file, hashes.get(file.path) || '', log));
+    writeArtifactsFile(outputPath, artifacts, !!manifest, selection);
+    log(`${ARTIFACTS_FILE} written (${artifacts.length} file(s) verified)`);
+    return artifacts;
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
 }
 
 /**
  * Clean build directory
  */
-export async function cleanBuild(config: BuildConfig, log: LogFunction): Promise<void> {
+export async function cleanBuild(config: BuildConfig, log: LogFunction, options: OperationOptions = {}): Promise<void> {
+  const { signal } = options;
+  throwIfAborted(signal);
   const startTime = Date.now();
   log('=== Clean Build Directory ===');
 
@@ -598,13 +1839,7 @@ export async function cleanBuild(config: BuildConfig, log: LogFunction): Promise
 
   log('Removing build directory...');
 
-  const result = await runCommand(
-    'docker-compose',
-    ['run', '--rm', 'emscripten-build', 'rm', '-rf', '/project/build'],
-    config.dockerBuildPath,
-    env,
-    log
-  );
+  const result = await runInContainer(['rm', '-rf', '/project/build'], config, env, log, options);
 
   if (!result.success) {
     throw new Error('Clean build failed');
@@ -617,7 +1852,9 @@ export async function cleanBuild(config: BuildConfig, log: LogFunction): Promise
 /**
  * Clean all (delete entire /project directory for fresh start)
  */
-export async function cleanAll(config: BuildConfig, log: LogFunction): Promise<void> {
+export async function cleanAll(config: BuildConfig, log: LogFunction, options: OperationOptions = {}): Promise<void> {
+  const { signal } = options;
+  throwIfAborted(signal);
   const startTime = Date.now();
   log('=== Clean All ===');
 
@@ -625,13 +1862,7 @@ export async function cleanAll(config: BuildConfig, log: LogFunction): Promise<v
 
   log('Removing all contents from /project directory...');
 
-  const result = await runCommand(
-    'docker-compose',
-    ['run', '--rm', 'emscripten-build', 'sh', '-c', '"rm -rf /project/* /project/.*[!.]*"'],
-    config.dockerBuildPath,
-    env,
-    log
-  );
+  const result = await runInContainer(['sh', '-c', '"rm -rf /project/* /project/.*[!.]*"'], config, env, log, options);
 
   if (!result.success) {
     throw new Error('Clean all failed');
@@ -640,3 +1871,46 @@ export async function cleanAll(config: BuildConfig, log: LogFunction): Promise<v
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   log(`Project directory cleaned in ${duration}s. Next build will start from scratch.`, 'success');
 }
+
+/**
+ * Check whether the project's volume has been set up and built
+ */
+export async function getBuildStatus(config: BuildConfig): Promise<BuildStatus> {
+  const env = { PROJECT_VOLUME: config.dockerVolumeName };
+  const repositoryInfo = getRepositoryInfoCommands().join(' && ');
+  const result = await runInContainer(
+    ['sh', '-c', `"test -f /project/build.sh && echo setup; test -f /project/build/index.wasm && echo built; cd /project && ${repositoryInfo}"`],
+    config,
+    env,
+    undefined
+  );
+
+  const lines = (result.output || '').split('\n').map((line) => line.trim());
+  return {
+    setupComplete: lines.includes('setup'),
+    buildComplete: lines.includes('built'),
+    repository: parseRepositoryInfo(lines.filter((line) => line !== 'setup' && line !== 'built').join('\n'), config.repositoryRef),
+  };
+}
+
+/**
+ * Builds in a Docker container, with the project in a Docker volume
+ */
+export const dockerBackend: BuildBackend = {
+  name: 'docker',
+  displayName: 'Docker',
+  // Fills in config.runtime, so the following operations use the detected runtime
+  checkAvailable: async (config, log) => {
+    const runtime = await checkDocker(log, config.runtimePreference);
+    if (runtime) {
+      config.runtime = runtime;
+    }
+    return runtime !== null;
+  },
+  getStatus: getBuildStatus,
+  setup: setupProject,
+  build: buildProject,
+  extract: extractBuild,
+  cleanBuild,
+  cleanAll,
+};
@@ -11,31 +11,70 @@
  * 4. Extracts the build output to the specified folder
  * 
  * Usage:
- *   ts-node scripts/docker-build.ts <path-to-eez-project-file> <output-folder>
+ *   ts-node scripts/docker-build.ts [options] <path-to-eez-project-file> [<output-folder>]
+ *
+ * Run without arguments for the list of options; scripts/README.md describes them.
  * 
  * Example:
  *   ts-node scripts/docker-build.ts ./my-project.eez-project ./output
  */
 
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
 import {
   ProjectInfo,
   FontInfo,
   BuildConfig,
-  checkDocker,
+  VolumeInfo,
+  COMPOSE_FLAVORS,
+  ComposeFlavor,
+  ContainerEngine,
+  RuntimePreference,
+  getProjectVolumeName,
+  listVolumes,
+  inspectVolume,
+  removeVolume,
   readProjectFile,
-  setupProject,
-  buildProject,
-  extractBuild,
-  cleanBuild,
-  cleanAll,
+  isAbortError,
+  BuildError,
+  BuildErrorCode,
+  CompileError,
+  OutputDirectoryError,
+  ExtractOptions,
+  ExtractResult,
+  OperationOptions,
+  getDefaultOutputPath,
 } from './docker-build-lib';
+import { Diagnostic, formatLocation, summarizeDiagnostics } from './diagnostics';
+import { ProjectWatcher, watchProject } from './project-watcher';
+import { getBuildBackend, isBackendName, BUILD_BACKENDS } from './build-backends';
+import { getDefaultLocalConfig } from './local-backend';
+import {
+  MatrixOverrides,
+  MatrixResult,
+  expandMatrix,
+  formatMatrixTable,
+  getEntryProjectInfo,
+  getMatrixOutputPath,
+  parseDisplaySizes,
+  parseLvglVersions,
+  runBuildMatrix,
+} from './build-matrix';
+import { ExportResult, exportBuild, getExportFormat } from './export-bundle';
+import { UiTestResult, getDefaultScenarioPath, getDefaultScreenshotsPath, runHeadlessUiTest } from './ui-test';
+import { ScreenshotMode, checkScreenshots } from './screenshot-regression';
+import { BuildOptionsOverrides, OPTIMIZATION_LEVELS, formatBuildOptions, getBuildOptions, mergeBuildOptions, parseBuildOptions, parseDefines } from './build-options';
+import { ProjectCheckReport, ProjectCheckSeverity, checkProject } from './project-check';
+import { ArtifactSelection, DEFAULT_ARTIFACT_INCLUDE, parseGlobList } from './build-artifacts';
+import { getBuiltProjectSettings } from './simulator-repository';
 
 // Constants
 const REPOSITORY_NAME = 'lvgl-simulator-for-studio-docker-build';
-const DOCKER_VOLUME_NAME = 'lvgl-simulator';
-const DOCKER_BUILD_PATH = path.join(__dirname, '../docker-build');
+const DOCKER_BUILD_PATH = path.join(__dirname, '../resources/docker-build');
+
+// Work directories and the FreeType cache of the local backend
+const LOCAL_BUILD_PATH = path.join(os.homedir(), '.cache', 'eez-studio-docker-build');
 
 // ANSI color codes for console output
 const colors = {
@@ -47,7 +86,54 @@ const colors = {
   cyan: '\x1b[36m',
 };
 
+// Exit codes for known failure classes; anything else exits with 1
+const EXIT_CODES: Record<BuildErrorCode, number> = {
+  'docker-unavailable': 2,
+  'toolchain-unavailable': 2,
+  'project-parse': 3,
+  clone: 4,
+  compile: 5,
+  extract: 6,
+  export: 7,
+  'ui-test': 8,
+};
+const EXIT_FAILURE = 1;
+const EXIT_ABORTED = 130;
+
+type Reporter = 'pretty' | 'json';
+type PipelineStep = 'setup' | 'build' | 'extract' | 'ui-test';
+
+interface ExportSettings {
+  exportPath: string;          // .zip, .tar.gz or .tgz
+  launcher: boolean;           // Add serve.py to the archive
+}
+
+let reporter: Reporter = 'pretty';
+
+// --force-clean: extract may delete files in the output folder that aren't build output
+let forceClean = false;
+
+// --define, --optimize, ...: replace the build options of the project
+let buildOptionOverrides: BuildOptionsOverrides | undefined;
+
+// --artifacts-include, --artifacts-exclude: the files extract copies if the build has no manifest
+const artifactSelection: Partial<ArtifactSelection> = {};
+
+/**
+ * Write one JSON event line to stdout (--json)
+ */
+function emit(event: string, data: Record<string, unknown> = {}) {
+  process.stdout.write(JSON.stringify({ event, time: new Date().toISOString(), ...data }) + '\n');
+}
+
 function log(message: string, type: 'info' | 'success' | 'error' | 'warning' = 'info') {
+  if (reporter === 'json') {
+    if (message) {
+      emit('log', { level: type, message });
+    }
+    return;
+  }
+
   const timestamp = new Date().toISOString();
   const prefix = {
     info: `${colors.cyan}[INFO]${colors.reset}`,
@@ -58,6 +144,429 @@ function log(message: string, type: 'info' | 'success' | 'error' | 'warning' = '
   console.log(`${timestamp} ${prefix[type]} ${message}`);
 }
 
+// Checklist symbols of the project check
+const CHECK_SYMBOLS: Record<ProjectCheckSeverity, string> = {
+  ok: `${colors.green}✓${colors.reset}`,
+  info: `${colors.cyan}i${colors.reset}`,
+  warning: `${colors.yellow}⚠${colors.reset}`,
+  error: `${colors.red}✗${colors.reset}`,
+};
+
+/**
+ * Print the project volumes as a table
+ */
+function printVolumes(volumes: VolumeInfo[]) {
+  if (volumes.length === 0) {
+    log('No project volumes found.');
+    return;
+  }
+
+  const nameWidth = Math.max(...volumes.map((v) => v.name.length), 'VOLUME'.length);
+  console.log(`${'VOLUME'.padEnd(nameWidth)}  ${'CREATED'.padEnd(25)}  PROJECT`);
+  for (const volume of volumes) {
+    console.log(`${volume.name.padEnd(nameWidth)}  ${(volume.createdAt || '').padEnd(25)}  ${volume.projectPath || '(shared)'}`);
+  }
+}
+
+function getExitCode(error: unknown): number {
+  if (isAbortError(error)) {
+    return EXIT_ABORTED;
+  }
+  if (error instanceof BuildError) {
+    return EXIT_CODES[error.code];
+  }
+  return EXIT_FAILURE;
+}
+
+/**
+ * Emit the final result event (--json)
+ */
+function emitResult(startTime: number, error?: unknown, data: Record<string, unknown> = {}) {
+  if (reporter !== 'json') {
+    return;
+  }
+
+  emit('result', {
+    success: !error,
+    exitCode: error ? getExitCode(error) : 0,
+    durationMs: Date.now() - startTime,
+    ...data,
+    ...(error ? {
+      error: {
+        code: isAbortError(error) ? 'aborted' : error instanceof BuildError ? error.code : 'failure',
+        message: (error as Error).message,
+      },
+    } : {}),
+  });
+}
+
+/**
+ * Options for library operations; in JSON mode tool output is moved to stderr
+ * and Setup and Build report progress events
+ */
+function createOperationOptions(signal: AbortSignal): ExtractOptions {
+  return {
+    signal,
+    onOutput: reporter === 'json' ? (text) => process.stderr.write(text) : undefined,
+    onProgress: reporter === 'json' ? (progress) => emit('progress', { ...progress }) : undefined,
+    forceClean,
+    artifacts: artifactSelection,
+  };
+}
+
+/**
+ * Read the project file and report the parsed project info
+ */
+async function loadProject(projectFilePath: string): Promise<ProjectInfo> {
+  const projectInfo = await readProjectFile(projectFilePath, log);
+  if (buildOptionOverrides) {
+    projectInfo.buildOptions = mergeBuildOptions(getBuildOptions(projectInfo), buildOptionOverrides);
+    log(`Build options overridden: ${formatBuildOptions(projectInfo.buildOptions)}`, 'warning');
+  }
+  if (reporter === 'json') {
+    emit('project', { project: projectInfo });
+  }
+  return projectInfo;
+}
+
+/**
+ * The project info with the single --lvgl/--display override applied
+ */
+function applyOverrides(projectInfo: ProjectInfo, overrides: MatrixOverrides): ProjectInfo {
+  const [entry] = expandMatrix(projectInfo, overrides);
+  if (entry.lvglVersion !== projectInfo.lvglVersion || entry.displayWidth !== projectInfo.displayWidth || entry.displayHeight !== projectInfo.displayHeight) {
+    log(`Overridden: LVGL ${entry.lvglVersion}, display ${entry.displayWidth}x${entry.displayHeight}`, 'warning');
+  }
+  return getEntryProjectInfo(projectInfo, entry);
+}
+
+/**
+ * Run one pipeline step, reporting its start, end and duration
+ */
+async function runStep<T>(step: PipelineStep, operation: () => Promise<T>): Promise<T> {
+  const startTime = Date.now();
+  if (reporter === 'json') {
+    emit('step-start', { step });
+  }
+
+  try {
+    const result = await operation();
+    if (reporter === 'json') {
+      emit('step-end', { step, success: true, durationMs: Date.now() - startTime });
+    }
+    return result;
+  } catch (error) {
+    if (reporter === 'json') {
+      emit('step-end', {
+        step,
+        success: false,
+        aborted: isAbortError(error),
+        durationMs: Date.now() - startTime,
+        error: (error as Error).message,
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Print compiler diagnostics followed by an error/warning count
+ */
+function printDiagnostics(diagnostics: Diagnostic[], baseDir: string) {
+  if (reporter === 'json') {
+    emit('diagnostics', { ...summarizeDiagnostics(diagnostics), diagnostics });
+    return;
+  }
+
+  if (diagnostics.length === 0) {
+    return;
+  }
+
+  console.log('');
+  for (const diagnostic of diagnostics) {
+    const color = diagnostic.severity === 'error' ? colors.red : colors.yellow;
+    const location = formatLocation(diagnostic, baseDir);
+    const flag = diagnostic.flag ? ` [${diagnostic.flag}]` : '';
+    console.log(`${location ? location + ': ' : ''}${color}${diagnostic.severity}:${colors.reset} ${diagnostic.message}${flag}`);
+    for (const note of diagnostic.notes) {
+      const noteLocation = formatLocation(note, baseDir);
+      console.log(`    ${noteLocation ? noteLocation + ': ' : ''}${colors.cyan}note:${colors.reset} ${note.message}`);
+    }
+  }
+
+  const summary = summarizeDiagnostics(diagnostics);
+  console.log('');
+  log(`Diagnostics: ${summary.errors} error(s), ${summary.warnings} warning(s)`, summary.errors > 0 ? 'error' : 'warning');
+}
+
+/**
+ * Print the project check as a checklist (only the problems before a build)
+ */
+function printProjectCheck(report: ProjectCheckReport, problemsOnly: boolean) {
+  for (const check of report.checks) {
+    if (!problemsOnly || check.severity === 'error' || check.severity === 'warning') {
+      console.log(`  ${CHECK_SYMBOLS[check.severity]} ${check.message}`);
+    }
+  }
+  const type = report.errors > 0 ? 'error' : report.warnings > 0 ? 'warning' : 'success';
+  log(`Project check: ${report.errors} error(s), ${report.warnings} warning(s)`, type);
+}
+
+/**
+ * Validate the project file with the LVGL versions the build uses (--check,
+ * and before every build)
+ */
+function runProjectCheck(projectFilePath: string, overrides: MatrixOverrides, problemsOnly: boolean): ProjectCheckReport {
+  const report = checkProject(projectFilePath, { lvglVersions: overrides.lvglVersions, buildOptions: buildOptionOverrides });
+  if (reporter === 'json') {
+    emit('check', { report });
+  } else if (!problemsOnly || report.errors > 0 || report.warnings > 0) {
+    printProjectCheck(report, problemsOnly);
+  }
+  return report;
+}
+
+/**
+ * Don't start a build the project check already knows will fail
+ */
+function checkProjectBeforeBuild(projectFilePath: string, overrides: MatrixOverrides) {
+  const report = runProjectCheck(projectFilePath, overrides, true);
+  if (!report.passed) {
+    throw new BuildError(`Project check failed with ${report.errors} error(s)`, 'project-parse');
+  }
+}
+
+/**
+ * Run Setup -> Build -> Extract for a project
+ */
+async function runPipeline(
+  projectInfo: ProjectInfo,
+  outputPath: string,
+  config: BuildConfig,
+  options: ExtractOptions
+): Promise<ExtractResult> {
+  const backend = getBuildBackend(config);
+
+  // Setup project
+  await runStep('setup', () => backend.setup(projectInfo, config, log, options));
+
+  // Build project
+  try {
+    const buildResult = await runStep('build', () => backend.build(projectInfo, config, log, options));
+    printDiagnostics(buildResult.diagnostics, projectInfo.projectDir);
+  } catch (error) {
+    if (error instanceof CompileError) {
+      printDiagnostics(error.diagnostics, projectInfo.projectDir);
+    }
+    throw error;
+  }
+
+  // Extract build output
+  const extractResult = await runStep('extract', () => backend.extract(outputPath, config, log, {
+    ...options,
+    project: getBuiltProjectSettings(projectInfo),
+  }));
+  if (reporter === 'json') {
+    emit('artifacts', {
+      outputPath: extractResult.outputPath,
+      artifacts: extractResult.artifacts,
+      repository: extractResult.repository,
+    });
+  }
+  return extractResult;
+}
+
+/**
+ * Build every matrix entry into a subfolder of outputPath and print the result table
+ */
+async function runMatrix(
+  projectInfo: ProjectInfo,
+  overrides: MatrixOverrides,
+  outputPath: string,
+  config: BuildConfig,
+  options: OperationOptions
+): Promise<MatrixResult> {
+  const entries = expandMatrix(projectInfo, overrides);
+
+  const result = await runBuildMatrix(projectInfo, entries, outputPath, config, log, {
+    ...options,
+    runStep,
+    onEntryStart: (entry, index, total) => {
+      if (reporter === 'json') {
+        emit('matrix-entry-start', { entry, index, total });
+      }
+    },
+    onEntryEnd: (entryResult, index, total) => {
+      if (reporter === 'json') {
+        emit('matrix-entry-end', { result: entryResult, index, total });
+      } else if (entryResult.status !== 'skipped') {
+        printDiagnostics(entryResult.diagnostics, projectInfo.projectDir);
+      }
+    },
+  });
+
+  if (reporter === 'pretty') {
+    console.log('');
+    for (const line of formatMatrixTable(result.entries)) {
+      console.log(line);
+    }
+    console.log('');
+  }
+  return result;
+}
+
+/**
+ * Exit code of a matrix run: the code of the first failed entry
+ */
+function getMatrixExitCode(result: MatrixResult): number {
+  if (result.aborted) {
+    return EXIT_ABORTED;
+  }
+  const failed = result.entries.find((entry) => entry.status === 'failed');
+  if (!failed) {
+    return 0;
+  }
+  return failed.errorCode && failed.errorCode in EXIT_CODES
+    ? EXIT_CODES[failed.errorCode as BuildErrorCode]
+    : EXIT_FAILURE;
+}
+
+/**
+ * Package the build output (--export), reporting the archive and its manifest
+ */
+async function runExport(projectInfo: ProjectInfo, outputPath: string, exportSettings: ExportSettings): Promise<ExportResult> {
+  const result = await exportBuild(outputPath, exportSettings.exportPath, projectInfo, log, { launcher: exportSettings.launcher });
+  if (reporter === 'json') {
+    emit('export', { exportPath: result.exportPath, format: result.format, size: result.size, manifest: result.manifest });
+  }
+  return result;
+}
+
+/**
+ * Run the UI smoke test against the build output (--ui-test), then compare or
+ * update its screenshots (--compare-screenshots, --update-baselines); a failed
+ * test throws
+ */
+async function runUiTestStep(
+  projectInfo: ProjectInfo,
+  outputPath: string,
+  scenarioPath: string,
+  screenshotMode: ScreenshotMode | undefined,
+  options: OperationOptions
+): Promise<UiTestResult> {
+  const screenshotsPath = getDefaultScreenshotsPath(projectInfo.projectPath);
+  const result = await runStep('ui-test', async () => {
+    const testResult = await runHeadlessUiTest(
+      outputPath,
+      scenarioPath,
+      screenshotsPath,
+      { width: projectInfo.displayWidth, height: projectInfo.displayHeight },
+      log,
+      options
+    );
+    return screenshotMode ? checkScreenshots(testResult, screenshotMode, screenshotsPath, log) : testResult;
+  });
+  if (reporter === 'json') {
+    emit('ui-test', { result });
+  }
+  if (!result.passed) {
+    throw new BuildError(`UI test failed: ${result.error}`, 'ui-test');
+  }
+  return result;
+}
+
+/**
+ * Build the project, then rebuild whenever its sources change (until Ctrl+C)
+ */
+function watchMode(
+  projectFilePath: string,
+  outputPath: string,
+  config: BuildConfig,
+  overrides: MatrixOverrides,
+  exportSettings?: ExportSettings
+): Promise<never> {
+  let watcher: ProjectWatcher | null = null;
+  let abortController: AbortController | null = null;
+  let rebuildPending = false;
+
+  const updateWatcher = (projectInfo?: ProjectInfo) => {
+    watcher?.close();
+    // Without project info (unreadable project file) only the project file itself is watched
+    watcher = watchProject(projectInfo || { projectPath: projectFilePath, uiDir: '', fonts: [] }, {
+      onChange: (files) => {
+        log(`Change detected: ${files.map((file) => path.basename(file)).join(', ')}`);
+        rebuild();
+      },
+      onError: (error) => log(`Watch error: ${error.message}`, 'warning'),
+    });
+  };
+
+  const rebuild = async () => {
+    if (abortController) {
+      rebuildPending = true;
+      return;
+    }
+
+    const startTime = Date.now();
+    abortController = new AbortController();
+    let projectInfo: ProjectInfo | undefined;
+
+    try {
+      projectInfo = await loadProject(projectFilePath);
+      // uiDir and fonts may have changed in the project file
+      updateWatcher(projectInfo);
+      checkProjectBeforeBuild(projectFilePath, overrides);
+
+      const builtProjectInfo = applyOverrides(projectInfo, overrides);
+      const extractResult = await runPipeline(builtProjectInfo, outputPath, config, createOperationOptions(abortController.signal));
+      const exportResult = exportSettings ? await runExport(builtProjectInfo, outputPath, exportSettings) : undefined;
+
+      const totalDuration = ((Date.now() - startTime) / 1000).toFixed(1);
+      log(`=== Build completed successfully in ${totalDuration}s! ===`, 'success');
+      emitResult(startTime, undefined, {
+        outputPath,
+        artifacts: extractResult.artifacts,
+        repository: extractResult.repository,
+        exportPath: exportResult?.exportPath,
+      });
+    } catch (error) {
+      if (isAbortError(error)) {
+        log('Build aborted.', 'warning');
+      } else {
+        log(`Build failed: ${(error as Error).message}`, 'error');
+      }
+      emitResult(startTime, error);
+      if (!projectInfo) {
+        updateWatcher();
+      }
+    }
+
+    abortController = null;
+    log('Watching for changes... (Ctrl+C to abort the build or exit)');
+
+    if (rebuildPending) {
+      rebuildPending = false;
+      rebuild();
+    }
+  };
+
+  // Ctrl+C aborts a running build; when idle it exits
+  process.on('SIGINT', () => {
+    if (abortController && !abortController.signal.aborted) {
+      log('Aborting...', 'warning');
+      rebuildPending = false;
+      abortController.abort();
+      return;
+    }
+    watcher?.close();
+    process.exit(0);
+  });
+
+  rebuild();
+
+  return new Promise<never>(() => {});
+}
+
 /**
  * Main function
  */
@@ -67,104 +576,512 @@ async function main() {
   // Parse options
   let cleanBuildFlag = false;
   let cleanAllFlag = false;
+  let listVolumesFlag = false;
+  let inspectVolumeName: string | undefined;
+  let removeVolumeName: string | undefined;
+  let volumeName: string | undefined;
+  let watchFlag = false;
+  let backendName = 'docker';
+  let emsdkDir: string | undefined;
+  let workDir: string | undefined;
+  let runtimeEngine: string | undefined;
+  let composeFlavor: string | undefined;
+  let repositoryUrl: string | undefined;
+  let repositoryRef: string | undefined;
+  let offlineFlag = false;
+  let seedPath: string | undefined;
+  let matrixFlag = false;
+  const overrides: MatrixOverrides = {};
+  let exportPath: string | undefined;
+  let exportLauncherFlag = false;
+  let uiTestFlag = false;
+  let uiTestScenarioArg: string | undefined;
+  let noBuildFlag = false;
+  let screenshotMode: ScreenshotMode | undefined;
+  let checkFlag = false;
+  const buildOptionArgs: Record<string, unknown> = {};
+  const defineArgs: string[] = [];
   const filteredArgs: string[] = [];
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--clean-build') {
       cleanBuildFlag = true;
     } else if (arg === '--clean-all') {
       cleanAllFlag = true;
+    } else if (arg === '--list-volumes') {
+      listVolumesFlag = true;
+    } else if (arg.startsWith('--inspect-volume=')) {
+      inspectVolumeName = arg.slice('--inspect-volume='.length);
+    } else if (arg.startsWith('--remove-volume=')) {
+      removeVolumeName = arg.slice('--remove-volume='.length);
+    } else if (arg === '--watch') {
+      watchFlag = true;
+    } else if (arg === '--json' || arg === '--reporter=json') {
+      reporter = 'json';
+    } else if (arg === '--reporter=pretty') {
+      reporter = 'pretty';
+    } else if (arg.startsWith('--volume=')) {
+      volumeName = arg.slice('--volume='.length);
+    } else if (arg.startsWith('--backend=')) {
+      backendName = arg.slice('--backend='.length);
+    } else if (arg.startsWith('--emsdk=')) {
+      emsdkDir = path.resolve(arg.slice('--emsdk='.length));
+    } else if (arg.startsWith('--work-dir=')) {
+      workDir = path.resolve(arg.slice('--work-dir='.length));
+    } else if (arg.startsWith('--runtime=')) {
+      runtimeEngine = arg.slice('--runtime='.length);
+    } else if (arg.startsWith('--compose=')) {
+      composeFlavor = arg.slice('--compose='.length);
+    } else if (arg.startsWith('--repo-url=')) {
+      repositoryUrl = arg.slice('--repo-url='.length) || undefined;
+    } else if (arg.startsWith('--repo-ref=')) {
+      repositoryRef = arg.slice('--repo-ref='.length) || undefined;
+    } else if (arg === '--offline') {
+      offlineFlag = true;
+    } else if (arg.startsWith('--seed=')) {
+      // A seed is only used offline
+      offlineFlag = true;
+      seedPath = path.resolve(arg.slice('--seed='.length));
+    } else if (arg === '--export' && i + 1 < args.length) {
+      exportPath = path.resolve(args[++i]);
+    } else if (arg.startsWith('--export=')) {
+      exportPath = path.resolve(arg.slice('--export='.length));
+    } else if (arg === '--force-clean') {
+      forceClean = true;
+    } else if (arg === '--export-launcher') {
+      exportLauncherFlag = true;
+    } else if (arg === '--ui-test') {
+      uiTestFlag = true;
+    } else if (arg.startsWith('--ui-test=')) {
+      uiTestFlag = true;
+      uiTestScenarioArg = path.resolve(arg.slice('--ui-test='.length));
+    } else if (arg === '--no-build') {
+      noBuildFlag = true;
+    } else if (arg === '--compare-screenshots' || arg === '--update-baselines') {
+      const mode: ScreenshotMode = arg === '--compare-screenshots' ? 'compare' : 'update';
+      if (screenshotMode && screenshotMode !== mode) {
+        console.error('--compare-screenshots and --update-baselines can\'t be combined');
+        process.exit(1);
+      }
+      // Both run the UI test
+      uiTestFlag = true;
+      screenshotMode = mode;
+    } else if (arg === '--check') {
+      checkFlag = true;
+    } else if (arg.startsWith('--define=')) {
+      defineArgs.push(arg.slice('--define='.length));
+    } else if (arg.startsWith('--optimize=')) {
+      buildOptionArgs.optimization = arg.slice('--optimize='.length);
+    } else if (arg === '--debug-build') {
+      buildOptionArgs.debugBuild = true;
+    } else if (arg === '--debug-symbols') {
+      buildOptionArgs.debugSymbols = true;
+    } else if (arg.startsWith('--assertions=')) {
+      buildOptionArgs.assertions = Number(arg.slice('--assertions='.length));
+    } else if (arg.startsWith('--memory=')) {
+      buildOptionArgs.memorySize = Number(arg.slice('--memory='.length));
+    } else if (arg.startsWith('--color-depth=')) {
+      buildOptionArgs.colorDepth = Number(arg.slice('--color-depth='.length));
+    } else if (arg.startsWith('--lv-conf=')) {
+      buildOptionArgs.lvConf = arg.slice('--lv-conf='.length);
+    } else if (arg.startsWith('--artifacts-include=')) {
+      artifactSelection.include = parseGlobList(arg.slice('--artifacts-include='.length));
+    } else if (arg.startsWith('--artifacts-exclude=')) {
+      artifactSelection.exclude = parseGlobList(arg.slice('--artifacts-exclude='.length));
+    } else if (arg === '--matrix') {
+      matrixFlag = true;
+    } else if (arg.startsWith('--lvgl=') || arg.startsWith('--display=')) {
+      try {
+        if (arg.startsWith('--lvgl=')) {
+          overrides.lvglVersions = parseLvglVersions(arg.slice('--lvgl='.length));
+        } else {
+          overrides.displaySizes = parseDisplaySizes(arg.slice('--display='.length));
+        }
+      } catch (error) {
+        console.error((error as Error).message);
+        process.exit(1);
+      }
     } else {
       filteredArgs.push(arg);
     }
   }
 
-  // For clean operations, we don't need project file and output folder
-  if (cleanBuildFlag || cleanAllFlag) {
+  if (defineArgs.length > 0 || Object.keys(buildOptionArgs).length > 0) {
+    try {
+      buildOptionOverrides = parseBuildOptions(
+        { ...buildOptionArgs, ...(defineArgs.length > 0 ? { defines: parseDefines(defineArgs) } : {}) },
+        process.cwd()
+      );
+    } catch (error) {
+      console.error((error as Error).message);
+      process.exit(1);
+    }
+  }
+
+  if (!isBackendName(backendName)) {
+    console.error(`Unknown backend: ${backendName} (expected ${BUILD_BACKENDS.map((b) => b.name).join(' or ')})`);
+    process.exit(1);
+  }
+
+  if (runtimeEngine !== undefined && runtimeEngine !== 'docker' && runtimeEngine !== 'podman') {
+    console.error(`Unknown container runtime: ${runtimeEngine} (expected docker or podman)`);
+    process.exit(1);
+  }
+
+  if (composeFlavor !== undefined && !COMPOSE_FLAVORS.includes(composeFlavor as ComposeFlavor)) {
+    console.error(`Unknown compose tool: ${composeFlavor} (expected ${COMPOSE_FLAVORS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const matrixMode = matrixFlag || (overrides.lvglVersions?.length || 0) > 1 || (overrides.displaySizes?.length || 0) > 1;
+  if (matrixMode && watchFlag) {
+    console.error('--watch builds a single combination: give at most one --lvgl and --display value, without --matrix');
+    process.exit(1);
+  }
+
+  if (exportPath !== undefined) {
+    try {
+      getExportFormat(exportPath);
+    } catch (error) {
+      console.error((error as Error).message);
+      process.exit(1);
+    }
+    if (matrixMode) {
+      console.error('--export packages a single build and can\'t be combined with a build matrix');
+      process.exit(1);
+    }
+  } else if (exportLauncherFlag) {
+    console.error('--export-launcher needs --export=<file>');
+    process.exit(1);
+  }
+  const exportSettings: ExportSettings | undefined = exportPath ? { exportPath, launcher: exportLauncherFlag } : undefined;
+
+  if (uiTestFlag && (matrixMode || watchFlag)) {
+    console.error('--ui-test tests a single build and can\'t be combined with a build matrix or --watch');
+    process.exit(1);
+  }
+  if (noBuildFlag && (!uiTestFlag || exportSettings)) {
+    console.error('--no-build only skips the build before --ui-test (and can\'t be combined with --export)');
+    process.exit(1);
+  }
+
+  if (checkFlag && (watchFlag || exportSettings || uiTestFlag || cleanBuildFlag || cleanAllFlag)) {
+    console.error('--check only validates the project and can\'t be combined with a build, clean, --export or --ui-test option');
+    process.exit(1);
+  }
+
+  const runtimePreference: RuntimePreference = {
+    engine: runtimeEngine as ContainerEngine | undefined,
+    compose: composeFlavor as ComposeFlavor | undefined,
+  };
+
+  const volumeCommand = listVolumesFlag || inspectVolumeName !== undefined || removeVolumeName !== undefined;
+  if (checkFlag && volumeCommand) {
+    console.error('--check can\'t be combined with volume commands');
+    process.exit(1);
+  }
+
+  // Clean operations need only the project file (or --volume) to locate the volume
+  if (volumeCommand) {
     if (filteredArgs.length !== 0) {
-      console.error('Usage: ts-node scripts/docker-build.ts --clean-build|--clean-all');
-      console.error('');
-      console.error('Clean operations do not require project file or output folder arguments.');
+      console.error('Usage: ts-node scripts/docker-build.ts --list-volumes|--inspect-volume=<name>|--remove-volume=<name>');
       process.exit(1);
     }
-  } else if (filteredArgs.length !== 2) {
-    console.error('Usage: ts-node scripts/docker-build.ts <path-to-eez-project-file> <output-folder>');
-    console.error('   or: ts-node scripts/docker-build.ts --clean-build');
-    console.error('   or: ts-node scripts/docker-build.ts --clean-all');
+  } else if (cleanBuildFlag || cleanAllFlag) {
+    if (filteredArgs.length > 1 || (filteredArgs.length === 0 && !volumeName && !workDir)) {
+      console.error('Usage: ts-node scripts/docker-build.ts --clean-build|--clean-all <path-to-eez-project-file>');
+      console.error('   or: ts-node scripts/docker-build.ts --clean-build|--clean-all --volume=<name>');
+      console.error('   or: ts-node scripts/docker-build.ts --clean-build|--clean-all --backend=local --work-dir=<dir>');
+      process.exit(1);
+    }
+  } else if (filteredArgs.length < 1 || filteredArgs.length > 2) {
+    console.error('Usage: ts-node scripts/docker-build.ts [--watch] [--json] [--backend=docker|local] [--volume=<name>] <path-to-eez-project-file> [<output-folder>]');
+    console.error('   or: ts-node scripts/docker-build.ts --clean-build <path-to-eez-project-file>');
+    console.error('   or: ts-node scripts/docker-build.ts --clean-all <path-to-eez-project-file>');
+    console.error('   or: ts-node scripts/docker-build.ts --list-volumes');
     console.error('');
     console.error('Options:');
-    console.error('  --clean-build    Remove only the build directory');
-    console.error('  --clean-all      Remove entire project directory (fresh start)');
+    console.error('  --clean-build              Remove only the build directory');
+    console.error('  --clean-all                Remove entire project directory (fresh start)');
+    console.error('  --watch                    Keep running and rebuild when the project sources change');
+    console.error('  --force-clean              Empty the output folder even if it holds files that aren\'t build output');
+    console.error('  --volume=<name>            Use this Docker volume instead of the one derived from the project path');
+    console.error('  --list-volumes             List project volumes');
+    console.error('  --inspect-volume=<name>    Show size and build state of a volume');
+    console.error('  --remove-volume=<name>     Delete a volume');
+    console.error('  --backend=docker|local     Build in Docker (default) or with a local emsdk');
+    console.error('  --runtime=docker|podman    Container runtime (default: Docker if it is running, else Podman)');
+    console.error(`  --compose=<tool>           Compose tool: ${COMPOSE_FLAVORS.join(', ')} (default: detected)`);
+    console.error('  --repo-url=<url>           Clone the simulator from this fork or mirror instead of GitHub');
+    console.error('  --repo-ref=<ref>           Check out this branch, tag or commit of the simulator (default: default branch)');
+    console.error('  --offline                  Don\'t use the network: seed the simulator locally, never fetch updates');
+    console.error('  --seed=<dir|bundle>        Simulator checkout or git bundle for the first offline setup (implies --offline)');
+    console.error('  --lvgl=<v1,v2,...>         Build with these LVGL versions instead of the project\'s');
+    console.error('  --display=<WxH,...>        Build with these display sizes instead of the project\'s, e.g. 800x480,1024x600');
+    console.error('  --matrix                   Build every --lvgl/--display combination into <output-folder>/lvgl-<version>-<WxH>');
+    console.error('                             (implied by more than one --lvgl or --display value)');
+    console.error('  --export=<file>            Package the build output as a .zip, .tar.gz or .tgz with a manifest');
+    console.error('  --export-launcher          Add serve.py (a local web server launcher) to the exported archive');
+    console.error('  --ui-test[=<file>]         Run the UI smoke test (default: <project>.ui-test.json) against the build');
+    console.error('  --no-build                 With --ui-test: test the existing output folder without building');
+    console.error('  --compare-screenshots      Run the UI test and compare its screenshots with the baselines');
+    console.error('                             (<project>.ui-test-baselines), writing build/ui-test/report.html');
+    console.error('  --update-baselines         Run the UI test and store its screenshots as the new baselines');
+    console.error('  --check                    Only validate the project file (LVGL version, generated sources, fonts, images, ...)');
+    console.error('                             and print the checklist; exits with 3 if it finds errors');
+    console.error('  --debug-build              Debug build: debug symbols, source map, -sASSERTIONS=2, -sSAFE_HEAP, -O0');
+    console.error('                             (unless --optimize is given); the source map is extracted too');
+    console.error('  --define=<NAME>[=<value>]  Define an LV_* (or other) macro after lv_conf.h; repeatable');
+    console.error(`  --optimize=<level>         Optimization level: ${OPTIMIZATION_LEVELS.join(', ')} (default: the simulator's)`);
+    console.error('  --debug-symbols            Compile with debug symbols and write a source map');
+    console.error('  --assertions=0|1|2         Emscripten runtime assertions');
+    console.error('  --memory=<MB>              Initial WebAssembly memory');
+    console.error('  --color-depth=<bits>       LV_COLOR_DEPTH instead of the project\'s');
+    console.error('  --lv-conf=<file>           Use this lv_conf.h instead of the simulator\'s');
+    console.error('                             (these override <project>.build-options.json and the project\'s settings)');
+    console.error('  --artifacts-include=<globs> Comma separated globs of the build files to extract if the build has no');
+    console.error(`                             eez-artifacts.json (default: ${DEFAULT_ARTIFACT_INCLUDE.join(',')})`);
+    console.error('  --artifacts-exclude=<globs> Build files not to extract, e.g. *.symbols');
+    console.error('  --emsdk=<dir>              emsdk installation for --backend=local (default: $EMSDK, or emcc on PATH)');
+    console.error('  --work-dir=<dir>           Work directory for --backend=local (default: derived from the project path)');
+    console.error('  --json, --reporter=json    Print newline-delimited JSON events instead of log lines');
+    console.error('');
+    console.error('The output folder defaults to build/web next to the project file (build/web-matrix for a matrix).');
+    console.error('');
+    console.error('Exit codes:');
+    console.error('  0 success, 1 other failure, 2 Docker (or local emsdk) unavailable, 3 project file error,');
+    console.error('  4 repository clone failed, 5 compile failed, 6 extract failed, 7 export failed,');
+    console.error('  8 UI test failed, 130 aborted');
+    console.error('  (a matrix build exits with the code of its first failed combination)');
     console.error('');
     console.error('Example:');
     console.error('  ts-node scripts/docker-build.ts ./my-project.eez-project ./output');
-    console.error('  ts-node scripts/docker-build.ts --clean-build');
-    console.error('  ts-node scripts/docker-build.ts --clean-all');
+    console.error('  ts-node scripts/docker-build.ts --clean-build ./my-project.eez-project');
+    console.error('  ts-node scripts/docker-build.ts --clean-all --volume=lvgl-simulator');
+    console.error('  ts-node scripts/docker-build.ts --lvgl=8.4.0,9.2.2 --display=800x480,1024x600 ./my-project.eez-project ./output');
+    console.error('  ts-node scripts/docker-build.ts --export=./my-project.zip --export-launcher ./my-project.eez-project ./output');
+    console.error('  ts-node scripts/docker-build.ts --ui-test ./my-project.eez-project');
+    console.error('  ts-node scripts/docker-build.ts --lvgl=9.2.2 --compare-screenshots ./my-project.eez-project');
+    console.error('  ts-node scripts/docker-build.ts --check ./my-project.eez-project');
+    console.error('  ts-node scripts/docker-build.ts --optimize=O0 --debug-symbols --define=LV_USE_LOG=1 ./my-project.eez-project');
     process.exit(1);
   }
 
-  const [projectFilePath, outputFolder] = filteredArgs;
+  const [projectFilePath, outputFolderArg] = filteredArgs;
+
+  // Ctrl+C aborts the running operation (kills Docker processes and temporary
+  // containers); a second Ctrl+C exits immediately
+  // (watch mode handles Ctrl+C itself)
+  const abortController = new AbortController();
+  if (!watchFlag) {
+    process.on('SIGINT', () => {
+      if (abortController.signal.aborted) {
+        process.exit(EXIT_ABORTED);
+      }
+      log('Aborting...', 'warning');
+      abortController.abort();
+    });
+  }
+  const options = createOperationOptions(abortController.signal);
+  const overallStartTime = Date.now();
 
   try {
-    const overallStartTime = Date.now();
-    
     log('=== EEZ Studio Docker Build Tool ===', 'info');
 
+    // The check needs neither Docker nor the local toolchain
+    if (checkFlag) {
+      log(`Checking project: ${projectFilePath}`);
+      const report = runProjectCheck(projectFilePath, overrides, false);
+      const exitCode = report.passed ? 0 : EXIT_CODES['project-parse'];
+      if (reporter === 'json') {
+        emit('result', { success: report.passed, exitCode, durationMs: Date.now() - overallStartTime });
+      }
+      process.exit(exitCode);
+    }
+
+    if (offlineFlag) {
+      log(`Running offline${seedPath ? ` (seed: ${seedPath})` : ''}`, 'warning');
+    }
+
     // Build configuration
+    const dockerVolumeName = volumeName || (projectFilePath ? getProjectVolumeName(projectFilePath) : '');
     const config: BuildConfig = {
       repositoryName: REPOSITORY_NAME,
-      dockerVolumeName: DOCKER_VOLUME_NAME,
+      repositoryUrl,
+      repositoryRef,
+      dockerVolumeName,
       dockerBuildPath: DOCKER_BUILD_PATH,
+      backend: volumeCommand ? 'docker' : backendName,
+      runtimePreference,
+      offline: offlineFlag ? { seedPath } : undefined,
     };
+    if (config.backend === 'local') {
+      // The work directory is named like the project's Docker volume
+      config.local = getDefaultLocalConfig(LOCAL_BUILD_PATH, dockerVolumeName, emsdkDir);
+      if (workDir) {
+        config.local.workDir = workDir;
+      }
+    }
+    const backend = getBuildBackend(config);
 
-    // Check Docker
-    const dockerReady = await checkDocker(log);
-    if (!dockerReady) {
-      process.exit(1);
+    // Check Docker (or the local toolchain)
+    const backendReady = await backend.checkAvailable(config, log);
+    if (!backendReady) {
+      throw backend.name === 'docker'
+        ? new BuildError('No container runtime (Docker or Podman) is available', 'docker-unavailable')
+        : new BuildError('Local Emscripten toolchain is not available', 'toolchain-unavailable');
+    }
+    if (reporter === 'json' && config.runtime) {
+      emit('runtime', { runtime: config.runtime });
+    }
+
+    // Handle volume management
+    if (listVolumesFlag) {
+      const volumes = await listVolumes(config.runtime);
+      if (reporter === 'json') {
+        emitResult(overallStartTime, undefined, { volumes });
+      } else {
+        printVolumes(volumes);
+      }
+      return;
+    }
+
+    if (inspectVolumeName !== undefined) {
+      const details = await inspectVolume(inspectVolumeName, config);
+      if (reporter === 'json') {
+        emitResult(overallStartTime, undefined, { volume: details });
+        return;
+      }
+      log(`Volume: ${details.name}`);
+      log(`Project: ${details.projectPath || '(shared)'}`);
+      log(`Created: ${details.createdAt || 'unknown'}`);
+      log(`Mountpoint: ${details.mountpoint || 'unknown'}`);
+      log(`Size: ${details.sizeKb !== undefined ? `${(details.sizeKb / 1024).toFixed(1)} MB` : 'unknown'}`);
+      log(`Setup complete: ${details.setupComplete ? 'yes' : 'no'}`);
+      log(`Build complete: ${details.buildComplete ? 'yes' : 'no'}`);
+      return;
+    }
+
+    if (removeVolumeName !== undefined) {
+      await removeVolume(removeVolumeName, log, config.runtime);
+      emitResult(overallStartTime);
+      return;
+    }
+
+    if (config.local) {
+      log(`Backend: ${backend.displayName} (work directory: ${config.local.workDir})`);
+    } else {
+      log(`Docker volume: ${config.dockerVolumeName}`);
     }
 
     // Handle clean operations
     if (cleanAllFlag) {
-      await cleanAll(config, log);
+      await backend.cleanAll(config, log, options);
       log('');
       log('=== Clean all completed successfully! ===', 'success');
+      emitResult(overallStartTime);
       return;
     }
 
     if (cleanBuildFlag) {
-      await cleanBuild(config, log);
+      await backend.cleanBuild(config, log, options);
       log('');
       log('=== Clean build completed successfully! ===', 'success');
+      emitResult(overallStartTime);
       return;
     }
 
     // Normal build flow
+    const outputFolder = outputFolderArg || (matrixMode
+      ? getMatrixOutputPath(getDefaultOutputPath(projectFilePath))
+      : getDefaultOutputPath(projectFilePath));
     log(`Project: ${projectFilePath}`);
     log(`Output: ${outputFolder}`);
     log('');
 
-    // Read project file
-    const projectInfo = await readProjectFile(projectFilePath, log);
+    const resolvedOutputPath = path.resolve(outputFolder);
 
-    // Setup project
-    await setupProject(projectInfo, config, log);
+    if (watchFlag) {
+      await watchMode(projectFilePath, resolvedOutputPath, config, overrides, exportSettings);
+    }
 
-    // Build project
-    await buildProject(projectInfo, config, log);
+    // Read and check the project file
+    const projectInfo = await loadProject(projectFilePath);
+    if (!noBuildFlag) {
+      checkProjectBeforeBuild(projectFilePath, overrides);
+    }
 
-    // Extract build output
-    const resolvedOutputPath = path.resolve(outputFolder);
-    await extractBuild(resolvedOutputPath, config, log);
+    if (matrixMode) {
+      const matrixResult = await runMatrix(projectInfo, overrides, resolvedOutputPath, config, options);
+      const exitCode = getMatrixExitCode(matrixResult);
+      const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(1);
+      log(`=== Build matrix completed in ${totalDuration}s ===`, exitCode === 0 ? 'success' : 'error');
+      if (reporter === 'json') {
+        emit('result', {
+          success: exitCode === 0,
+          exitCode,
+          durationMs: Date.now() - overallStartTime,
+          outputPath: resolvedOutputPath,
+          repository: matrixResult.setup.repository,
+          matrix: matrixResult.entries,
+        });
+      }
+      process.exit(exitCode);
+    }
+
+    const builtProjectInfo = applyOverrides(projectInfo, overrides);
+    let extractResult: ExtractResult | undefined;
+    if (noBuildFlag) {
+      if (!fs.existsSync(path.join(resolvedOutputPath, 'index.html'))) {
+        throw new BuildError(`No build output to test in ${resolvedOutputPath}`, 'ui-test');
+      }
+      log('Skipping the build, testing the existing output');
+    } else {
+      extractResult = await runPipeline(builtProjectInfo, resolvedOutputPath, config, options);
+    }
+    const exportResult = exportSettings ? await runExport(builtProjectInfo, resolvedOutputPath, exportSettings) : undefined;
+    const uiTestResult = uiTestFlag
+      ? await runUiTestStep(
+        builtProjectInfo,
+        resolvedOutputPath,
+        uiTestScenarioArg || getDefaultScenarioPath(projectFilePath),
+        screenshotMode,
+        options
+      )
+      : undefined;
 
     const totalDuration = ((Date.now() - overallStartTime) / 1000).toFixed(1);
     log('');
-    log(`=== Build completed successfully in ${totalDuration}s! ===`, 'success');
+    log(`=== ${noBuildFlag ? 'UI test passed' : 'Build completed successfully'} in ${totalDuration}s! ===`, 'success');
     log(`Output files are in: ${resolvedOutputPath}`);
+    if (exportResult) {
+      log(`Exported bundle: ${exportResult.exportPath}`);
+    }
+    emitResult(overallStartTime, undefined, {
+      outputPath: resolvedOutputPath,
+      artifacts: extractResult?.artifacts,
+      repository: extractResult?.repository,
+      exportPath: exportResult?.exportPath,
+      uiTest: uiTestResult,
+    });
 
   } catch (error) {
-    log('', 'error');
-    log(`Build failed: ${(error as Error).message}`, 'error');
-    process.exit(1);
+    if (isAbortError(error)) {
+      log('', 'warning');
+      log('Build aborted.', 'warning');
+    } else if (error instanceof BuildError && error.code === 'ui-test') {
+      log('', 'error');
+      log(error.message, 'error');
+    } else {
+      log('', 'error');
+      log(`Build failed: ${(error as Error).message}`, 'error');
+      if (error instanceof OutputDirectoryError) {
+        log('Choose another output folder, or pass --force-clean to delete them', 'warning');
+      }
+    }
+    emitResult(overallStartTime, error);
+    process.exit(getExitCode(error));
   }
 }
 
@@ -172,6 +1089,6 @@ async function main() {
 if (require.main === module) {
   main().catch((error) => {
     log(`Unexpected error: ${error.message}`, 'error');
-    process.exit(1);
+    process.exit(EXIT_FAILURE);
   });
 }
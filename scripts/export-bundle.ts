@@ -0,0 +1,214 @@
+/**
+ * Build Export for EEZ Projects
+ *
+ * Packages an extracted web build as a zip or tar.gz that can be sent to
+ * customers and QA. The archive holds the build output in one top-level
+ * folder, a manifest.json describing the build (project, LVGL version,
+ * display size, simulator commit and the SHA-256 of every file) and,
+ * optionally, a small Python launcher that serves the build locally. The
+ * LVGL version, display size and simulator commit come from the
+ * build-info.json written at extract time, not from the current settings.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { BuildError, LogFunction, OUTPUT_MARKER_FILE, ProjectInfo } from './docker-build-lib';
+import { BUILD_INFO_FILE, BuiltProjectSettings, RepositoryInfo, formatRepositoryInfo, readBuildInfo } from './simulator-repository';
+import { ArchiveWriter, createArchiveWriter } from './archive';
+
+export type ExportFormat = 'zip' | 'tar.gz';
+
+export const EXPORT_MANIFEST_FILE = 'manifest.json';
+export const EXPORT_LAUNCHER_FILE = 'serve.py';
+
+export interface ExportOptions {
+  launcher?: boolean;          // Add serve.py (needs Python 3) to the archive
+}
+
+export interface ExportedFile {
+  name: string;                // Path relative to the build folder
+  size: number;
+  sha256: string;
+}
+
+export interface ExportManifest {
+  project: string;             // Project file name without .eez-project
+  lvglVersion: string;
+  displayWidth: number;
+  displayHeight: number;
+  flowSupport: boolean;
+  simulator?: RepositoryInfo;  // From build-info.json, if the output has one
+  exportedAt: string;
+  files: ExportedFile[];
+}
+
+export interface ExportResult {
+  exportPath: string;
+  format: ExportFormat;
+  size: number;                // Size of the archive in bytes
+  manifest: ExportManifest;
+}
+
+// Static server with the MIME types the simulator needs (Python's default lacks .wasm on some versions)
+// and the cross-origin isolation headers of pthreads builds
+const LAUNCHER_SCRIPT = `#!/usr/bin/env python3
+"""Serve this simulator build on http://localhost:8000 (usage: python3 serve.py [port])"""
+import http.server
+import os
+import sys
+import webbrowser
+
+
+class Handler(http.server.SimpleHTTPRequestHandler):
+    extensions_map = {
+        **http.server.SimpleHTTPRequestHandler.extensions_map,
+        '.wasm': 'application/wasm',
+        '.js': 'text/javascript',
+        '.data': 'application/octet-stream',
+    }
+
+    def end_headers(self):
+        self.send_header('Cache-Control', 'no-store')
+        self.send_header('Cross-Origin-Opener-Policy', 'same-origin')
+        self.send_header('Cross-Origin-Embedder-Policy', 'require-corp')
+        super().end_headers()
+
+
+os.chdir(os.path.dirname(os.path.abspath(__file__)))
+port = int(sys.argv[1]) if len(sys.argv) > 1 else 8000
+server = http.server.ThreadingHTTPServer(('127.0.0.1', port), Handler)
+url = f'http://localhost:{port}/'
+print(f'Serving {os.getcwd()} on {url} (Ctrl+C to stop)')
+webbrowser.open(url)
+try:
+    server.serve_forever()
+except KeyboardInterrupt:
+    pass
+`;
+
+/**
+ * Archive format of an export file name (.zip, .tar.gz or .tgz)
+ */
+export function getExportFormat(exportPath: string): ExportFormat {
+  const lower = exportPath.toLowerCase();
+  if (lower.endsWith('.zip')) {
+    return 'zip';
+  }
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+    return 'tar.gz';
+  }
+  throw new BuildError(`Unknown export format: ${path.basename(exportPath)} (expected .zip, .tar.gz or .tgz)`, 'export');
+}
+
+/**
+ * Default archive name, e.g. my-project-lvgl-9.2.2-800x480.zip (with the settings
+ * of the build in outputPath, if given and recorded)
+ */
+export function getDefaultExportName(projectInfo: ProjectInfo, format: ExportFormat = 'zip', outputPath?: string): string {
+  const built = (outputPath && readBuildInfo(outputPath)?.project) || projectInfo;
+  return `${getBundleName(projectInfo, built)}.${format}`;
+}
+
+/**
+ * Package the build in outputPath as exportPath (zip or tar.gz, by extension)
+ *
+ * The files are streamed into the archive, which is written as it grows.
+ */
+export async function exportBuild(
+  outputPath: string,
+  exportPath: string,
+  projectInfo: ProjectInfo,
+  log: LogFunction,
+  options: ExportOptions = {}
+): Promise<ExportResult> {
+  const format = getExportFormat(exportPath);
+  log(`Exporting ${outputPath} to ${exportPath}...`);
+
+  if (!fs.existsSync(path.join(outputPath, 'index.html'))) {
+    throw new BuildError(`No build output to export in ${outputPath}`, 'export');
+  }
+
+  // The project's settings may have changed since the build, build-info.json has the ones it was built with
+  const buildInfo = readBuildInfo(outputPath);
+  const simulator = buildInfo?.simulator;
+  if (simulator) {
+    log(`Simulator: ${formatRepositoryInfo(simulator)}`);
+  } else {
+    log(`${BUILD_INFO_FILE} has no simulator commit, the manifest won't have one`, 'warning');
+  }
+  let built: BuiltProjectSettings = projectInfo;
+  if (buildInfo?.project) {
+    built = buildInfo.project;
+  } else {
+    log(`${BUILD_INFO_FILE} has no build settings, the manifest has the project's current settings`, 'warning');
+  }
+
+  const bundleName = getBundleName(projectInfo, built);
+  const mtime = new Date();
+  const names = await listFiles(outputPath);
+  const files: ExportedFile[] = [];
+
+  let archive: ArchiveWriter;
+  try {
+    await fs.promises.mkdir(path.dirname(path.resolve(exportPath)), { recursive: true });
+    archive = createArchiveWriter(exportPath, format);
+  } catch (err) {
+    throw new BuildError(`Failed to write ${exportPath}: ${(err as Error).message}`, 'export');
+  }
+
+  let manifest: ExportManifest;
+  let size: number;
+  try {
+    for (const name of names) {
+      const file = await archive.addFile(`${bundleName}/${name}`, path.join(outputPath, ...name.split('/')), { mtime });
+      files.push({ name, ...file });
+    }
+
+    manifest = {
+      project: path.basename(projectInfo.projectPath, '.eez-project'),
+      lvglVersion: built.lvglVersion,
+      displayWidth: built.displayWidth,
+      displayHeight: built.displayHeight,
+      flowSupport: built.flowSupport,
+      simulator,
+      exportedAt: mtime.toISOString(),
+      files,
+    };
+    await archive.addBuffer(`${bundleName}/${EXPORT_MANIFEST_FILE}`, Buffer.from(JSON.stringify(manifest, null, 2) + '\n'), { mtime });
+    if (options.launcher) {
+      await archive.addBuffer(`${bundleName}/${EXPORT_LAUNCHER_FILE}`, Buffer.from(LAUNCHER_SCRIPT), { mode: 0o755, mtime });
+    }
+    size = await archive.finish();
+  } catch (err) {
+    await archive.discard();
+    throw new BuildError(`Failed to write ${exportPath}: ${(err as Error).message}`, 'export');
+  }
+
+  log(`Exported ${files.length} file(s)${options.launcher ? ` and ${EXPORT_LAUNCHER_FILE}` : ''}: ${exportPath} (${size} bytes)`, 'success');
+
+  return { exportPath, format, size, manifest };
+}
+
+/**
+ * Top-level folder of the archive, e.g. my-project-lvgl-9.2.2-800x480
+ */
+function getBundleName(projectInfo: ProjectInfo, built: BuiltProjectSettings): string {
+  const projectName = path.basename(projectInfo.projectPath, '.eez-project').replace(/[^\w.-]+/g, '-');
+  return `${projectName}-lvgl-${built.lvglVersion}-${built.displayWidth}x${built.displayHeight}`;
+}
+
+/**
+ * Files below dir as sorted relative paths with forward slashes (without the output marker)
+ */
+async function listFiles(dir: string, prefix = ''): Promise<string[]> {
+  const files: string[] = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile() && relative !== OUTPUT_MARKER_FILE) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
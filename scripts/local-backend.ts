@@ -0,0 +1,699 @@
+/**
+ * Local Emscripten Backend for EEZ Projects
+ *
+ * Runs the simulator's build.sh in a local work directory with a local emsdk
+ * instead of a Docker container. The work directory plays the role of the
+ * Docker volume's /project; FreeType is built once into a shared cache
+ * directory (the Docker image builds it into /opt).
+ *
+ * Requires bash, git, cmake, make and curl on PATH.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  BuildBackend,
+  BuildConfig,
+  BuildError,
+  BuildResult,
+  BuildStatus,
+  CompileError,
+  ExtractOptions,
+  ExtractResult,
+  LocalBuildConfig,
+  LogFunction,
+  OperationOptions,
+  ProjectInfo,
+  SetupResult,
+  Artifact,
+  SourceManifest,
+  computeSourceManifest,
+  diffSourceManifests,
+  prepareOutputDirectory,
+  runCommand,
+  runCommandSilent,
+  throwIfAborted,
+} from './docker-build-lib';
+import { parseDiagnostics, summarizeDiagnostics } from './diagnostics';
+import { createProgressReporter } from './build-progress';
+import {
+  ARTIFACTS_FILE,
+  BUILD_ARTIFACT_MANIFEST,
+  describeArtifactSource,
+  listBuildFiles,
+  parseArtifactManifest,
+  resolveArtifactSelection,
+  selectArtifacts,
+  sha256,
+  verifyArtifact,
+  writeArtifactsFile,
+} from './build-artifacts';
+import {
+  BUILD_OPTIONS_DIR,
+  EMCC_FLAGS_FILE,
+  formatBuildOptions,
+  getBuildOptions,
+  getEmccFlags,
+  writeBuildOptionsFiles,
+} from './build-options';
+import {
+  RepositoryInfo,
+  formatRepositoryInfo,
+  getCheckoutCommands,
+  getCloneCommands,
+  getFetchCommands,
+  getBundleCloneCommands,
+  getRepositoryInfoCommands,
+  getRepositoryUrl,
+  getSeedKind,
+  parseRepositoryInfo,
+  writeBuildInfo,
+} from './simulator-repository';
+
+// Same FreeType version as the Docker image
+const FREETYPE_VERSION = '2.14.1';
+const FREETYPE_URL = `https://download.sourceforge.net/freetype/freetype-${FREETYPE_VERSION}.tar.gz`;
+
+// Used instead of downloading when placed in the cache directory (for offline machines)
+const FREETYPE_ARCHIVE = `freetype-${FREETYPE_VERSION}.tar.gz`;
+
+// Hashes of the files last synced to <workDir>/src
+const SOURCE_MANIFEST_FILE = '.eez-src-manifest.json';
+const SOURCE_MANIFEST_VERSION = 1;
+
+/**
+ * Default local configuration: one work directory per project under baseDir,
+ * named like the project's Docker volume
+ */
+export function getDefaultLocalConfig(baseDir: string, workDirName: string, emsdkDir?: string): LocalBuildConfig {
+  return {
+    workDir: path.join(baseDir, 'projects', workDirName),
+    cacheDir: path.join(baseDir, 'cache'),
+    emsdkDir: emsdkDir || process.env.EMSDK || undefined,
+  };
+}
+
+function getLocalConfig(config: BuildConfig): LocalBuildConfig {
+  if (!config.local) {
+    throw new Error('Local backend is not configured (work directory missing)');
+  }
+  return config.local;
+}
+
+function getFreetypeDir(local: LocalBuildConfig): string {
+  return path.join(local.cacheDir, `freetype-${FREETYPE_VERSION}`);
+}
+
+/**
+ * Run a bash script with emsdk activated
+ *
+ * The script is written to a temp file and paths are passed as environment
+ * variables, so nothing has to be quoted for the shell.
+ */
+async function runScript(
+  lines: string[],
+  local: LocalBuildConfig,
+  env: Record<string, string>,
+  log: LogFunction | undefined,
+  options: OperationOptions = {}
+) {
+  const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eez-local-'));
+  const scriptPath = path.join(scriptDir, 'run.sh');
+
+  const script = [
+    'set -e',
+    'if [ -n "$EMSDK_DIR" ]; then',
+    '  EMSDK_QUIET=1 . "$EMSDK_DIR/emsdk_env.sh" > /dev/null',
+    'fi',
+    ...lines,
+  ].join('\n');
+  fs.writeFileSync(scriptPath, script + '\n');
+
+  const scriptEnv = { ...env, EMSDK_DIR: local.emsdkDir || '' };
+
+  try {
+    return log
+      ? await runCommand('bash', [`"${scriptPath}"`], undefined, scriptEnv, log, options)
+      : await runCommandSilent('bash', [`"${scriptPath}"`], undefined, scriptEnv, options.signal);
+  } finally {
+    fs.rmSync(scriptDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check that emcc and the build tools are available
+ */
+export async function checkLocalToolchain(config: BuildConfig, log: LogFunction): Promise<boolean> {
+  log('Checking local Emscripten toolchain...');
+
+  const local = getLocalConfig(config);
+  const result = await runScript(
+    [
+      'for tool in emcc emcmake git cmake make curl; do',
+      '  command -v "$tool" > /dev/null || { echo "$tool not found" >&2; exit 1; }',
+      'done',
+      'emcc --version | head -n 1',
+    ],
+    local,
+    {},
+    undefined
+  );
+
+  if (!result.success) {
+    const reason = (result.error || '').trim() || 'bash not found';
+    log(`Local Emscripten toolchain is not available: ${reason}`, 'error');
+    log(local.emsdkDir
+      ? `Check the emsdk installation in ${local.emsdkDir}.`
+      : 'Install emsdk and set the emsdk directory (or EMSDK), or put emcc on PATH.', 'error');
+    return false;
+  }
+
+  log(`Emscripten: ${(result.output || '').trim()}`, 'success');
+  return true;
+}
+
+/**
+ * Check whether the work directory has been set up and built
+ */
+export async function getLocalBuildStatus(config: BuildConfig): Promise<BuildStatus> {
+  const local = getLocalConfig(config);
+  const setupComplete = fs.existsSync(path.join(local.workDir, 'build.sh'));
+  return {
+    setupComplete,
+    buildComplete: fs.existsSync(path.join(local.workDir, 'build', 'index.wasm')),
+    repository: setupComplete ? await readRepositoryInfo(config, local, {}) : undefined,
+  };
+}
+
+/**
+ * Commit and origin of the checkout in the work directory
+ */
+async function readRepositoryInfo(
+  config: BuildConfig,
+  local: LocalBuildConfig,
+  options: OperationOptions
+): Promise<RepositoryInfo | undefined> {
+  const result = await runScript(
+    ['cd "$WORK_DIR"', ...getRepositoryInfoCommands()],
+    local,
+    { WORK_DIR: local.workDir },
+    undefined,
+    options
+  );
+  return result.success ? parseRepositoryInfo(result.output || '', config.repositoryRef) : undefined;
+}
+
+/**
+ * Build FreeType with Emscripten once; later builds reuse the cached library
+ */
+async function ensureFreetype(
+  local: LocalBuildConfig,
+  offline: boolean,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<void> {
+  const freetypeDir = getFreetypeDir(local);
+  const libraryPath = path.join(freetypeDir, 'build', 'libfreetype.a');
+  if (fs.existsSync(libraryPath)) {
+    log(`Using cached FreeType ${FREETYPE_VERSION}: ${freetypeDir}`);
+    return;
+  }
+
+  const archivePath = path.join(local.cacheDir, FREETYPE_ARCHIVE);
+  if (offline && !fs.existsSync(archivePath)) {
+    throw new Error(`FreeType ${FREETYPE_VERSION} is not built yet and can't be downloaded offline. Copy ${FREETYPE_ARCHIVE} to ${local.cacheDir}.`);
+  }
+
+  log(`Building FreeType ${FREETYPE_VERSION} (only needed once)...`);
+  fs.mkdirSync(local.cacheDir, { recursive: true });
+
+  // Build in a scratch directory of its own and rename it at the end, so an aborted build doesn't
+  // leave a broken cache and projects running Setup at the same time don't share a folder
+  const scratchDir = fs.mkdtempSync(path.join(local.cacheDir, 'freetype.'));
+  try {
+    const result = await runScript(
+      [
+        'cd "$SCRATCH_DIR"',
+        'if [ -f "$CACHE_DIR/$FREETYPE_ARCHIVE" ]; then',
+        '  cp "$CACHE_DIR/$FREETYPE_ARCHIVE" freetype.tar.gz',
+        'else',
+        '  curl -fsSL -o freetype.tar.gz "$FREETYPE_URL"',
+        'fi',
+        'tar -xzf freetype.tar.gz --strip-components=1',
+        'rm -f freetype.tar.gz',
+        'mkdir build',
+        'cd build',
+        'emcmake cmake ..',
+        'emmake make -j"$(getconf _NPROCESSORS_ONLN 2>/dev/null || echo 2)"',
+      ],
+      local,
+      { CACHE_DIR: local.cacheDir, SCRATCH_DIR: scratchDir, FREETYPE_URL, FREETYPE_ARCHIVE },
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new Error('Failed to build FreeType');
+    }
+
+    // Another project may have finished building it meanwhile; renaming onto its folder fails
+    if (fs.existsSync(libraryPath)) {
+      log('FreeType was built by another project meanwhile, using that build.');
+      return;
+    }
+    fs.rmSync(freetypeDir, { recursive: true, force: true });
+    fs.renameSync(scratchDir, freetypeDir);
+    log('FreeType built successfully.', 'success');
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Sync the UI directory into <workDir>/src, copying only changed files
+ */
+function syncLocalSources(uiDir: string, local: LocalBuildConfig, log: LogFunction): void {
+  log(`Syncing ${uiDir} to ${local.workDir}...`);
+
+  const srcDir = path.join(local.workDir, 'src');
+  const manifestPath = path.join(local.workDir, SOURCE_MANIFEST_FILE);
+  const currentManifest = computeSourceManifest(uiDir);
+
+  let previousManifest: SourceManifest | undefined;
+  if (fs.existsSync(srcDir) && fs.existsSync(manifestPath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf8')) as SourceManifest;
+      if (parsed.version === SOURCE_MANIFEST_VERSION && parsed.files) {
+        previousManifest = parsed;
+      }
+    } catch (err) {
+      log('Source manifest is invalid, doing a full sync.', 'warning');
+    }
+  }
+
+  let filesToCopy: string[];
+  let filesToRemove: string[] = [];
+
+  if (previousManifest) {
+    const diff = diffSourceManifests(previousManifest, currentManifest);
+    log(`Sources: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+
+    if (diff.added.length === 0 && diff.changed.length === 0 && diff.removed.length === 0) {
+      log('Sources are up to date.', 'success');
+      return;
+    }
+
+    filesToCopy = [...diff.added, ...diff.changed];
+    filesToRemove = diff.removed;
+  } else {
+    filesToCopy = Object.keys(currentManifest.files);
+    log(`No previous sync found, copying all ${filesToCopy.length} source files...`);
+    fs.rmSync(srcDir, { recursive: true, force: true });
+  }
+
+  for (const file of filesToRemove) {
+    fs.rmSync(path.join(srcDir, ...file.split('/')), { force: true });
+  }
+
+  // Copied files get the current time, so make sees them as newer than the object files
+  for (const file of filesToCopy) {
+    const destPath = path.join(srcDir, ...file.split('/'));
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.copyFileSync(path.join(uiDir, ...file.split('/')), destPath);
+  }
+
+  removeEmptyDirectories(srcDir);
+  fs.writeFileSync(manifestPath, JSON.stringify(currentManifest));
+
+  log(`Synced ${filesToCopy.length} file(s), removed ${filesToRemove.length} file(s).`, 'success');
+}
+
+function removeEmptyDirectories(dir: string): void {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const subdir = path.join(dir, entry.name);
+      removeEmptyDirectories(subdir);
+      if (fs.readdirSync(subdir).length === 0) {
+        fs.rmdirSync(subdir);
+      }
+    }
+  }
+}
+
+/**
+ * Clone or update the simulator repository, build FreeType and sync the project files
+ */
+export async function setupLocalProject(
+  projectInfo: ProjectInfo,
+  config: BuildConfig,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<SetupResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
+  const startTime = Date.now();
+  log('=== Step 1/3: Setup ===');
+
+  const local = getLocalConfig(config);
+  log(`Work directory: ${local.workDir}`);
+
+  const progress = createProgressReporter('setup', options.onProgress, 'freetype');
+  options = progress.wrap(options);
+
+  if (config.offline) {
+    log('Offline mode: the simulator repository is not cloned or fetched from the network.', 'warning');
+  }
+
+  progress.phase('freetype', `Checking FreeType ${FREETYPE_VERSION}`);
+  await ensureFreetype(local, !!config.offline, log, options);
+
+  const repositoryUrl = getRepositoryUrl(config);
+  const projectAlreadySetup = fs.existsSync(path.join(local.workDir, 'build.sh'));
+
+  if (!projectAlreadySetup && config.offline) {
+    progress.phase('clone', 'Seeding repository');
+    await seedLocalRepository(config, local, log, options);
+  } else if (!projectAlreadySetup) {
+    log(`First-time setup: Cloning repository from ${repositoryUrl}...`);
+    progress.phase('clone', 'Cloning repository');
+
+    // A previous clone may have been interrupted
+    fs.rmSync(local.workDir, { recursive: true, force: true });
+    fs.mkdirSync(local.workDir, { recursive: true });
+
+    const result = await runScript(
+      ['cd "$WORK_DIR"', ...getCloneCommands(repositoryUrl)],
+      local,
+      { WORK_DIR: local.workDir },
+      log,
+      options
+    );
+
+    if (!result.success) {
+      throw new BuildError('Git clone failed', 'clone');
+    }
+
+    log('Repository cloned successfully.', 'success');
+  } else if (config.offline) {
+    log('Offline mode: not fetching updates.');
+  } else {
+    log(`Fetching latest changes from ${repositoryUrl}...`);
+    progress.phase('fetch', 'Fetching updates');
+
+    const result = await runScript(
+      ['cd "$WORK_DIR"', ...getFetchCommands(repositoryUrl)],
+      local,
+      { WORK_DIR: local.workDir },
+      log,
+      options
+    );
+
+    if (!result.success) {
+      log('Git fetch failed, continuing with existing code...', 'warning');
+    } else {
+      log('Latest changes fetched successfully.', 'success');
+    }
+  }
+
+  const target = config.repositoryRef || 'the default branch';
+  log(`Checking out ${target}...`);
+  progress.phase('checkout', `Checking out ${target}`);
+
+  const checkoutResult = await runScript(
+    ['cd "$WORK_DIR"', ...getCheckoutCommands(config.repositoryRef)],
+    local,
+    { WORK_DIR: local.workDir },
+    log,
+    options
+  );
+  if (!checkoutResult.success) {
+    throw new BuildError(`Failed to check out ${target}`, 'clone');
+  }
+
+  const repository = await readRepositoryInfo(config, local, options);
+  if (repository) {
+    log(`Simulator revision: ${formatRepositoryInfo(repository)}`, 'success');
+  }
+
+  log('Updating build files...');
+  progress.phase('sources', 'Copying sources');
+
+  if (!projectInfo.uiDir) {
+    throw new Error('UI directory path is missing');
+  }
+
+  if (!fs.existsSync(projectInfo.uiDir)) {
+    throw new Error(`UI directory not found: ${projectInfo.uiDir}`);
+  }
+
+  syncLocalSources(path.resolve(projectInfo.uiDir), local, log);
+
+  if (projectInfo.fonts && projectInfo.fonts.length > 0) {
+    log(`Copying ${projectInfo.fonts.length} font(s) to work directory...`);
+
+    for (const font of projectInfo.fonts) {
+      log(`Copying font: ${font.fileName}`);
+      const destPath = path.join(local.workDir, ...font.targetPath.split('/').filter(Boolean));
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(font.localPath, destPath);
+    }
+
+    fs.writeFileSync(path.join(local.workDir, 'fonts.txt'), projectInfo.fonts.map((f) => f.targetPath).join('\n'));
+    log(`Fonts manifest created: ${path.join(local.workDir, 'fonts.txt')}`, 'success');
+  }
+
+  // make doesn't notice changed flags, the build folder is compiled from scratch
+  const buildOptionsDir = path.join(local.workDir, BUILD_OPTIONS_DIR);
+  const flagsPath = path.join(buildOptionsDir, EMCC_FLAGS_FILE);
+  const previousFlags = fs.existsSync(flagsPath) ? fs.readFileSync(flagsPath, 'utf8') : undefined;
+  writeBuildOptionsFiles(buildOptionsDir, getBuildOptions(projectInfo));
+  const buildDir = path.join(local.workDir, 'build');
+  if (fs.existsSync(buildDir) && previousFlags !== fs.readFileSync(flagsPath, 'utf8')) {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+    log('Build options changed, removed the build directory.');
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Setup completed successfully in ${duration}s!`, 'success');
+
+  return { repository };
+}
+
+/**
+ * Fill a new work directory with the offline seed (a checkout or a git bundle)
+ */
+async function seedLocalRepository(
+  config: BuildConfig,
+  local: LocalBuildConfig,
+  log: LogFunction,
+  options: OperationOptions
+): Promise<void> {
+  const seedPath = config.offline?.seedPath;
+  if (!seedPath) {
+    throw new BuildError('Offline mode needs a local simulator checkout or git bundle for the first setup', 'clone');
+  }
+
+  const { kind, error } = getSeedKind(seedPath);
+  if (!kind) {
+    throw new BuildError(error || 'Invalid offline seed', 'clone');
+  }
+
+  log(`First-time setup (offline): Seeding repository from ${kind === 'bundle' ? 'bundle' : 'checkout'} ${seedPath}...`);
+
+  // A previous seed may have been interrupted
+  fs.rmSync(local.workDir, { recursive: true, force: true });
+  fs.mkdirSync(local.workDir, { recursive: true });
+
+  if (kind === 'directory') {
+    // The whole checkout, including .git and the checked out submodules
+    try {
+      fs.cpSync(seedPath, local.workDir, { recursive: true, verbatimSymlinks: true });
+    } catch (err) {
+      throw new BuildError(`Seeding from the local checkout failed: ${(err as Error).message}`, 'clone');
+    }
+  } else {
+    const result = await runScript(
+      ['cd "$WORK_DIR"', ...getBundleCloneCommands(path.resolve(seedPath))],
+      local,
+      { WORK_DIR: local.workDir },
+      log,
+      options
+    );
+    if (!result.success) {
+      throw new BuildError(
+        'Seeding from the git bundle failed (submodules missing from the bundle can\'t be fetched offline; seed from a checkout instead)',
+        'clone'
+      );
+    }
+  }
+
+  log('Repository seeded successfully.', 'success');
+}
+
+/**
+ * Build the project with the local emsdk
+ */
+export async function buildLocalProject(
+  projectInfo: ProjectInfo,
+  config: BuildConfig,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<BuildResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
+  const startTime = Date.now();
+  log('=== Step 2/3: Build ===');
+
+  const local = getLocalConfig(config);
+  const progress = createProgressReporter('build', options.onProgress, 'prepare');
+  progress.phase('prepare', 'Starting build');
+
+  log(`Starting build (LVGL ${projectInfo.lvglVersion}, ${projectInfo.displayWidth}x${projectInfo.displayHeight})...`);
+
+  const buildOptions = getBuildOptions(projectInfo);
+  const emccFlags = getEmccFlags(buildOptions).join(' ');
+  log(`Build options: ${formatBuildOptions(buildOptions)}`);
+  log(`EMCC_CFLAGS: ${emccFlags}`);
+
+  let buildCommand = `./build.sh --lvgl=${projectInfo.lvglVersion} --display-width=${projectInfo.displayWidth} --display-height=${projectInfo.displayHeight}`;
+  if (projectInfo.fonts && projectInfo.fonts.length > 0) {
+    buildCommand += ' --fonts="$WORK_DIR/fonts.txt"';
+  }
+
+  // build.sh finds the cached FreeType build through FREETYPE_DIR (/opt/freetype-<version> in Docker)
+  const result = await runScript(
+    ['cd "$WORK_DIR"', buildCommand],
+    local,
+    { WORK_DIR: local.workDir, FREETYPE_DIR: getFreetypeDir(local), EMCC_CFLAGS: emccFlags },
+    log,
+    progress.wrap(options)
+  );
+
+  const diagnostics = parseDiagnostics(`${result.output || ''}\n${result.error || ''}`, {
+    containerDir: path.join(local.workDir, 'src').split(path.sep).join('/'),
+    localDir: path.resolve(projectInfo.uiDir),
+  });
+  const summary = summarizeDiagnostics(diagnostics);
+
+  if (!result.success) {
+    throw new CompileError(
+      summary.errors > 0 ? `Build failed with ${summary.errors} error(s)` : 'Build failed',
+      diagnostics
+    );
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Build completed successfully in ${duration}s!`, 'success');
+  if (summary.warnings > 0) {
+    log(`${summary.warnings} warning(s)`, 'warning');
+  }
+
+  return { diagnostics };
+}
+
+/**
+ * Copy the build output from the work directory
+ */
+export async function extractLocalBuild(
+  outputPath: string,
+  config: BuildConfig,
+  log: LogFunction,
+  options: ExtractOptions = {}
+): Promise<ExtractResult> {
+  const { signal } = options;
+  throwIfAborted(signal);
+  const startTime = Date.now();
+  log('=== Step 3/3: Extract ===');
+
+  const local = getLocalConfig(config);
+
+  log(`Output path: ${outputPath}`);
+
+  prepareOutputDirectory(outputPath, log, options.forceClean);
+
+  const buildDir = path.join(local.workDir, 'build');
+  if (!fs.existsSync(buildDir)) {
+    throw new BuildError('Build output incomplete: the build folder doesn\'t exist', 'extract');
+  }
+  const buildFiles = listBuildFiles(buildDir);
+  const selection = resolveArtifactSelection(options.artifacts);
+  const manifest = buildFiles.some((file) => file.path === BUILD_ARTIFACT_MANIFEST)
+    ? parseArtifactManifest(fs.readFileSync(path.join(buildDir, BUILD_ARTIFACT_MANIFEST), 'utf8'))
+    : undefined;
+  const files = selectArtifacts(buildFiles, manifest, selection);
+  log(describeArtifactSource(files.length, !!manifest, selection));
+
+  const artifacts: Artifact[] = [];
+  for (const file of files) {
+    const sourcePath = path.join(buildDir, ...file.path.split('/'));
+    let hash: string;
+    try {
+      hash = sha256(fs.readFileSync(sourcePath));
+      const destPath = path.join(outputPath, ...file.path.split('/'));
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(sourcePath, destPath);
+    } catch (err) {
+      throw new BuildError(`Failed to extract ${file.path}: ${(err as Error).message}`, 'extract');
+    }
+    artifacts.push(verifyArtifact(outputPath, file, hash, log));
+  }
+  writeArtifactsFile(outputPath, artifacts, !!manifest, selection);
+  log(`${ARTIFACTS_FILE} written (${artifacts.length} file(s) verified)`);
+
+  // Record which simulator revision produced the output
+  const repository = await readRepositoryInfo(config, local, options);
+  writeBuildInfo(outputPath, repository, options.project, log);
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Build files extracted successfully in ${duration}s!`, 'success');
+
+  return { outputPath, artifacts, repository };
+}
+
+/**
+ * Remove the build directory of the work directory
+ */
+export async function cleanLocalBuild(config: BuildConfig, log: LogFunction, options: OperationOptions = {}): Promise<void> {
+  throwIfAborted(options.signal);
+  const startTime = Date.now();
+  log('=== Clean Build Directory ===');
+
+  const local = getLocalConfig(config);
+  log('Removing build directory...');
+  fs.rmSync(path.join(local.workDir, 'build'), { recursive: true, force: true });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Build directory cleaned in ${duration}s!`, 'success');
+}
+
+/**
+ * Remove the whole work directory (the FreeType cache is kept)
+ */
+export async function cleanLocalAll(config: BuildConfig, log: LogFunction, options: OperationOptions = {}): Promise<void> {
+  throwIfAborted(options.signal);
+  const startTime = Date.now();
+  log('=== Clean All ===');
+
+  const local = getLocalConfig(config);
+  log(`Removing ${local.workDir}...`);
+  fs.rmSync(local.workDir, { recursive: true, force: true });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Work directory cleaned in ${duration}s. Next build will start from scratch.`, 'success');
+}
+
+/**
+ * Builds with a local emsdk in a per-project work directory
+ */
+export const localBackend: BuildBackend = {
+  name: 'local',
+  displayName: 'Local emsdk',
+  checkAvailable: checkLocalToolchain,
+  getStatus: getLocalBuildStatus,
+  setup: setupLocalProject,
+  build: buildLocalProject,
+  extract: extractLocalBuild,
+  cleanBuild: cleanLocalBuild,
+  cleanAll: cleanLocalAll,
+};
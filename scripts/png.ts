@@ -0,0 +1,190 @@
+/**
+ * PNG Reader and Writer
+ *
+ * Minimal PNG support for the screenshot regression tests, using only Node's
+ * zlib: 8-bit grayscale, RGB, palette and RGBA images (with or without alpha,
+ * not interlaced) are decoded to RGBA; images are written as 8-bit RGBA.
+ */
+
+import * as zlib from 'zlib';
+import { crc32 } from './archive';
+
+export interface RgbaImage {
+  width: number;
+  height: number;
+  data: Buffer;                // 4 bytes (R, G, B, A) per pixel, row by row
+}
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel of each color type at 8 bits per sample
+const CHANNELS: Record<number, number> = {
+  0: 1,                        // Grayscale
+  2: 3,                        // RGB
+  3: 1,                        // Palette
+  4: 2,                        // Grayscale + alpha
+  6: 4,                        // RGBA
+};
+
+/**
+ * Decode a PNG file to RGBA pixels
+ */
+export function decodePng(png: Buffer): RgbaImage {
+  if (png.length < SIGNATURE.length || !png.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width = 0;
+  let height = 0;
+  let colorType = -1;
+  let palette: Buffer | undefined;
+  let transparency: Buffer | undefined;
+  const compressed: Buffer[] = [];
+
+  for (let offset = SIGNATURE.length; offset + 8 <= png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const chunk = png.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const bitDepth = chunk[8];
+      colorType = chunk[9];
+      const interlace = chunk[12];
+      if (bitDepth !== 8 || !(colorType in CHANNELS) || interlace !== 0) {
+        throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}${interlace ? ', interlaced' : ''})`);
+      }
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      compressed.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (colorType < 0 || width === 0 || height === 0) {
+    throw new Error('PNG file has no image header');
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG palette image without a palette');
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  if (raw.length < (stride + 1) * height) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  // Undo the per-row filters in place
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : undefined;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? out[x - channels] : 0;
+      const up = previous ? previous[x] : 0;
+      const upLeft = previous && x >= channels ? previous[x - channels] : 0;
+      let value: number;
+      switch (filter) {
+        case 0: value = row[x]; break;
+        case 1: value = row[x] + left; break;
+        case 2: value = row[x] + up; break;
+        case 3: value = row[x] + ((left + up) >> 1); break;
+        case 4: value = row[x] + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      out[x] = value & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    let r: number, g: number, b: number, a = 255;
+    switch (colorType) {
+      case 0:
+        r = g = b = pixels[j];
+        break;
+      case 2:
+        r = pixels[j];
+        g = pixels[j + 1];
+        b = pixels[j + 2];
+        break;
+      case 3: {
+        const index = pixels[j];
+        r = palette![index * 3];
+        g = palette![index * 3 + 1];
+        b = palette![index * 3 + 2];
+        a = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        r = g = b = pixels[j];
+        a = pixels[j + 1];
+        break;
+      default:
+        r = pixels[j];
+        g = pixels[j + 1];
+        b = pixels[j + 2];
+        a = pixels[j + 3];
+    }
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+    data[i * 4 + 3] = a;
+  }
+
+  return { width, height, data };
+}
+
+function paeth(left: number, up: number, upLeft: number): number {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) {
+    return left;
+  }
+  return pb <= pc ? up : upLeft;
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ */
+export function encodePng(image: RgbaImage): Buffer {
+  const stride = image.width * 4;
+  const raw = Buffer.alloc((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    // Filter type 0 (none) for every row
+    image.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8;               // Bit depth
+  header[9] = 6;               // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function chunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
@@ -0,0 +1,335 @@
+/**
+ * Project Check for EEZ Projects
+ *
+ * Reads every build-relevant setting of an .eez-project file and validates it
+ * before a build: the LVGL version, display size and color depth, the
+ * destination folder and the sources EEZ Studio generates into it, the fonts
+ * and the images the project references, and the build options. The result is a checklist report
+ * (used by the app's pre-flight check and the CLI's --check) instead of the
+ * first error only; readProjectFile uses the same parsed settings.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { mapLvglVersion } from './docker-build-lib';
+import { BuildOptionsOverrides, getBuildOptionsPath, readBuildOptionsFile } from './build-options';
+
+// LVGL versions the simulator repository is known to have a build configuration for;
+// newer simulator checkouts may support more, so other versions are only a warning
+export const SUPPORTED_LVGL_VERSIONS = ['8.4.0', '9.2.2', '9.3.0', '9.4.0'];
+
+// Files EEZ Studio always generates into the destination folder
+export const REQUIRED_GENERATED_FILES = ['ui.c', 'ui.h', 'screens.c'];
+
+export const DEFAULT_DESTINATION_FOLDER = 'src/ui';
+export const DEFAULT_DISPLAY_WIDTH = 800;
+export const DEFAULT_DISPLAY_HEIGHT = 480;
+
+// LV_COLOR_DEPTH values; LVGL 8 has no 24-bit color
+export const COLOR_DEPTHS = [1, 8, 16, 24, 32];
+const LVGL8_COLOR_DEPTHS = [1, 8, 16, 32];
+
+// Bits per pixel of LVGL bitmap fonts (lv_font_conv)
+const FONT_BPPS = [1, 2, 4, 8];
+
+// Bitmap fonts above this size become large C arrays; FreeType renders them at runtime
+const LARGE_BITMAP_FONT_SIZE = 96;
+
+const MAX_DISPLAY_SIZE = 8192;
+
+export type ProjectCheckId =
+  | 'project-file'
+  | 'lvgl-version'
+  | 'display-size'
+  | 'color-depth'
+  | 'destination-folder'
+  | 'generated-files'
+  | 'fonts'
+  | 'images'
+  | 'build-options';
+
+export type ProjectCheckSeverity = 'ok' | 'info' | 'warning' | 'error';
+
+export interface ProjectCheck {
+  id: ProjectCheckId;
+  severity: ProjectCheckSeverity;
+  message: string;
+  path?: string;               // File or folder the check is about
+}
+
+export interface ProjectFont {
+  name: string;
+  freeType: boolean;           // Rendered by FreeType at runtime, else compiled into a C array
+  sourcePath?: string;         // Absolute path of the font file
+  targetPath?: string;         // FreeType: path the simulator loads the font from (/fonts/...)
+  size?: number;               // Size in pixels
+  bpp?: number;                // Bitmap fonts: bits per pixel
+}
+
+export interface ProjectImage {
+  name: string;
+  sourcePath?: string;         // Absolute path of the image file; undefined if embedded in the project
+}
+
+export interface ProjectSettings {
+  lvglVersion?: string;        // As set in the project (see mapLvglVersion for the version built)
+  flowSupport: boolean;
+  displayWidth: number;
+  displayHeight: number;
+  colorDepth?: number;         // LV_COLOR_DEPTH, if the project sets it
+  destinationFolder: string;   // Relative to the project, with forward slashes
+  uiDir: string;               // Absolute path of the destination folder
+  fonts: ProjectFont[];
+  images: ProjectImage[];
+}
+
+export interface ProjectCheckReport {
+  projectPath: string;
+  passed: boolean;             // No errors (warnings don't fail the check)
+  errors: number;
+  warnings: number;
+  checks: ProjectCheck[];
+  settings?: ProjectSettings;  // Undefined if the project file can't be read
+}
+
+export interface ProjectCheckOptions {
+  lvglVersions?: string[];     // Versions the build uses instead of the project's (--lvgl, build matrix)
+  buildOptions?: BuildOptionsOverrides;   // Build options of the app or the command line
+}
+
+/**
+ * Read the build-relevant settings of a parsed project file
+ */
+export function parseProjectSettings(project: any, projectPath: string): ProjectSettings {
+  const general = project.settings?.general || {};
+  const projectDir = path.dirname(projectPath);
+  const destinationFolder = String(project.settings?.build?.destinationFolder || DEFAULT_DESTINATION_FOLDER).replace(/\\/g, '/');
+  const resolve = (filePath: unknown) =>
+    typeof filePath === 'string' && filePath ? path.join(projectDir, filePath.replace(/\\/g, '/')) : undefined;
+
+  const fonts: ProjectFont[] = (Array.isArray(project.fonts) ? project.fonts : []).map((font: any) => ({
+    name: String(font.name || ''),
+    freeType: font.lvglUseFreeType === true,
+    sourcePath: resolve(font.source?.filePath),
+    targetPath: font.lvglUseFreeType === true ? font.lvglFreeTypeFilePath || undefined : undefined,
+    size: font.source?.size,
+    bpp: font.bpp,
+  }));
+
+  // Images are embedded as data URLs; older projects reference the file
+  const images: ProjectImage[] = (Array.isArray(project.bitmaps) ? project.bitmaps : []).map((bitmap: any) => ({
+    name: String(bitmap.name || ''),
+    sourcePath: typeof bitmap.image === 'string' && !bitmap.image.startsWith('data:') ? resolve(bitmap.image) : undefined,
+  }));
+
+  return {
+    lvglVersion: general.lvglVersion || undefined,
+    flowSupport: general.flowSupport || false,
+    displayWidth: general.displayWidth || DEFAULT_DISPLAY_WIDTH,
+    displayHeight: general.displayHeight || DEFAULT_DISPLAY_HEIGHT,
+    colorDepth: general.colorDepth,
+    destinationFolder,
+    uiDir: path.join(projectDir, destinationFolder),
+    fonts,
+    images,
+  };
+}
+
+/**
+ * Validate a project file; every problem found is reported, not just the first
+ */
+export function checkProject(projectPath: string, options: ProjectCheckOptions = {}): ProjectCheckReport {
+  const checks: ProjectCheck[] = [];
+  const add = (id: ProjectCheckId, severity: ProjectCheckSeverity, message: string, filePath?: string) => {
+    checks.push({ id, severity, message, ...(filePath ? { path: filePath } : {}) });
+  };
+
+  let settings: ProjectSettings | undefined;
+  if (!fs.existsSync(projectPath)) {
+    add('project-file', 'error', `Project file not found: ${projectPath}`, projectPath);
+  } else {
+    try {
+      const project = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+      settings = parseProjectSettings(project, projectPath);
+      const projectType = project.settings?.general?.projectType;
+      if (projectType && projectType !== 'lvgl') {
+        add('project-file', 'error', `Not an LVGL project (project type: ${projectType})`, projectPath);
+      } else {
+        add('project-file', 'ok', `Project file: ${path.basename(projectPath)}`, projectPath);
+      }
+    } catch (err) {
+      add('project-file', 'error', `Invalid project file ${projectPath}: ${(err as Error).message}`, projectPath);
+    }
+  }
+
+  if (settings) {
+    const versions = options.lvglVersions?.length ? options.lvglVersions : [settings.lvglVersion];
+    checkLvglVersions(versions, add);
+    checkDisplaySize(settings, add);
+    const colorDepth = checkBuildOptions(projectPath, options.buildOptions, add);
+    checkColorDepth({ ...settings, colorDepth: colorDepth ?? settings.colorDepth }, versions, add);
+    checkDestinationFolder(settings, add);
+    checkFonts(settings, add);
+    checkImages(settings, add);
+  }
+
+  const errors = checks.filter((check) => check.severity === 'error').length;
+  const warnings = checks.filter((check) => check.severity === 'warning').length;
+  return { projectPath, passed: errors === 0, errors, warnings, checks, settings };
+}
+
+type AddCheck = (id: ProjectCheckId, severity: ProjectCheckSeverity, message: string, filePath?: string) => void;
+
+function checkLvglVersions(versions: (string | undefined)[], add: AddCheck): void {
+  for (const version of versions) {
+    if (!version) {
+      add('lvgl-version', 'error', 'LVGL version not specified in project settings');
+      continue;
+    }
+    const mapped = mapLvglVersion(version);
+    if (!SUPPORTED_LVGL_VERSIONS.includes(mapped)) {
+      add('lvgl-version', 'warning', `LVGL ${version} is not a known simulator version (known: ${SUPPORTED_LVGL_VERSIONS.join(', ')}), the build fails if the simulator has no configuration for it`);
+    } else if (mapped !== version) {
+      add('lvgl-version', 'warning', `LVGL ${version} is not supported, the simulator builds with LVGL ${mapped}`);
+    } else {
+      add('lvgl-version', 'ok', `LVGL ${version}`);
+    }
+  }
+}
+
+function checkDisplaySize(project: ProjectSettings, add: AddCheck): void {
+  const valid = (size: unknown) => Number.isInteger(size) && (size as number) > 0 && (size as number) <= MAX_DISPLAY_SIZE;
+  if (!valid(project.displayWidth) || !valid(project.displayHeight)) {
+    add('display-size', 'error', `Invalid display size ${project.displayWidth}x${project.displayHeight} (1 to ${MAX_DISPLAY_SIZE} pixels)`);
+  } else {
+    add('display-size', 'ok', `Display ${project.displayWidth}x${project.displayHeight}`);
+  }
+}
+
+function checkColorDepth(project: ProjectSettings, versions: (string | undefined)[], add: AddCheck): void {
+  const depth = project.colorDepth;
+  if (depth === undefined) {
+    add('color-depth', 'info', 'Color depth not set, the simulator\'s default is used');
+    return;
+  }
+  if (!COLOR_DEPTHS.includes(depth)) {
+    add('color-depth', 'error', `Invalid color depth ${depth} (expected ${COLOR_DEPTHS.join(', ')})`);
+    return;
+  }
+  const lvgl8 = versions.filter((version) => version && mapLvglVersion(version).startsWith('8.'));
+  if (lvgl8.length > 0 && !LVGL8_COLOR_DEPTHS.includes(depth)) {
+    add('color-depth', 'error', `Color depth ${depth} is not supported by LVGL ${lvgl8[0]} (expected ${LVGL8_COLOR_DEPTHS.join(', ')})`);
+    return;
+  }
+  add('color-depth', 'ok', `Color depth ${depth} bit`);
+}
+
+// Returns the color depth the build options set, which replaces the project's
+function checkBuildOptions(projectPath: string, overrides: BuildOptionsOverrides | undefined, add: AddCheck): number | undefined {
+  const filePath = getBuildOptionsPath(projectPath);
+  let fileOptions: BuildOptionsOverrides | undefined;
+  try {
+    fileOptions = readBuildOptionsFile(filePath);
+  } catch (err) {
+    add('build-options', 'error', (err as Error).message, filePath);
+  }
+
+  const lvConfPath = overrides?.lvConfPath ?? fileOptions?.lvConfPath;
+  if (lvConfPath && !fs.existsSync(lvConfPath)) {
+    add('build-options', 'error', `lv_conf.h of the build options not found: ${lvConfPath}`, lvConfPath);
+  } else if (fileOptions) {
+    add('build-options', 'ok', `Build options file: ${path.basename(filePath)}`, filePath);
+  }
+  return overrides?.colorDepth ?? fileOptions?.colorDepth;
+}
+
+function checkDestinationFolder(project: ProjectSettings, add: AddCheck): void {
+  if (!fs.existsSync(project.uiDir) || !fs.statSync(project.uiDir).isDirectory()) {
+    add('destination-folder', 'error', `Build destination directory not found at: ${project.uiDir}`, project.uiDir);
+    return;
+  }
+  if (fs.readdirSync(project.uiDir).length === 0) {
+    add('destination-folder', 'error', `Build destination directory ${project.destinationFolder} is empty, generate the code in EEZ Studio first`, project.uiDir);
+    return;
+  }
+  add('destination-folder', 'ok', `Destination folder: ${project.destinationFolder}`, project.uiDir);
+
+  const missing = REQUIRED_GENERATED_FILES.filter((file) => !fs.existsSync(path.join(project.uiDir, file)));
+  for (const file of missing) {
+    add('generated-files', 'error', `Generated file ${file} is missing in ${project.destinationFolder}, generate the code in EEZ Studio`, path.join(project.uiDir, file));
+  }
+  if (missing.length === 0) {
+    add('generated-files', 'ok', `Generated sources: ${REQUIRED_GENERATED_FILES.join(', ')}`);
+  }
+}
+
+function checkFonts(project: ProjectSettings, add: AddCheck): void {
+  const count = countProblems(add);
+  const targets = new Map<string, ProjectFont>();
+
+  for (const font of project.fonts) {
+    if (font.freeType) {
+      if (!font.sourcePath) {
+        count.add('fonts', 'error', `FreeType font ${font.name} has no font file`);
+      } else if (!fs.existsSync(font.sourcePath)) {
+        count.add('fonts', 'error', `Font file of ${font.name} not found: ${font.sourcePath}`, font.sourcePath);
+      }
+      if (!font.targetPath) {
+        count.add('fonts', 'error', `FreeType font ${font.name} has no file path for the simulator (lvglFreeTypeFilePath)`);
+        continue;
+      }
+      // Fonts are copied to their target path, a second font there replaces the first
+      const other = targets.get(font.targetPath);
+      if (other && other.sourcePath !== font.sourcePath) {
+        count.add('fonts', 'error', `Fonts ${other.name} and ${font.name} use the same file path ${font.targetPath}`);
+      }
+      targets.set(font.targetPath, font);
+      continue;
+    }
+
+    if (!Number.isInteger(font.size) || (font.size as number) <= 0) {
+      count.add('fonts', 'error', `Bitmap font ${font.name} has an invalid size: ${font.size}`);
+    } else if ((font.size as number) > LARGE_BITMAP_FONT_SIZE) {
+      count.add('fonts', 'warning', `Bitmap font ${font.name} is ${font.size} px, large bitmap fonts slow down the build (consider FreeType)`);
+    }
+    if (font.bpp !== undefined && !FONT_BPPS.includes(font.bpp)) {
+      count.add('fonts', 'error', `Bitmap font ${font.name} has an invalid bpp: ${font.bpp} (expected ${FONT_BPPS.join(', ')})`);
+    }
+    // Bitmap fonts are compiled from the generated C files, a missing source only prevents regenerating them
+    if (font.sourcePath && !fs.existsSync(font.sourcePath)) {
+      count.add('fonts', 'warning', `Font file of ${font.name} not found: ${font.sourcePath}`, font.sourcePath);
+    }
+  }
+
+  if (count.problems === 0) {
+    const freeType = project.fonts.filter((font) => font.freeType).length;
+    add('fonts', 'ok', project.fonts.length === 0
+      ? 'No fonts besides LVGL\'s built-in fonts'
+      : `${project.fonts.length} font(s), ${freeType} rendered with FreeType`);
+  }
+}
+
+function checkImages(project: ProjectSettings, add: AddCheck): void {
+  const count = countProblems(add);
+  for (const image of project.images) {
+    // Like bitmap fonts, images are compiled from the generated C files
+    if (image.sourcePath && !fs.existsSync(image.sourcePath)) {
+      count.add('images', 'warning', `Image file of ${image.name} not found: ${image.sourcePath}`, image.sourcePath);
+    }
+  }
+  if (count.problems === 0) {
+    add('images', 'ok', `${project.images.length} image(s)`);
+  }
+}
+
+// Adds checks and counts them, so a category without problems gets an "ok" item
+function countProblems(add: AddCheck): { add: AddCheck; problems: number } {
+  const counter = {
+    problems: 0,
+    add: (id: ProjectCheckId, severity: ProjectCheckSeverity, message: string, filePath?: string) => {
+      counter.problems++;
+      add(id, severity, message, filePath);
+    },
+  };
+  return counter;
+}
@@ -0,0 +1,163 @@
+/**
+ * Project Watcher for EEZ Projects
+ *
+ * Watches everything that goes into a build - the generated UI sources in the
+ * destination folder, the .eez-project file and the FreeType font files - and
+ * reports changes once the files have been quiet for a moment (EEZ Studio writes
+ * many files when it regenerates the sources).
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { ProjectInfo } from './docker-build-lib';
+
+export interface ProjectWatcherOptions {
+  debounceMs?: number;                           // Quiet period before onChange is called (default 500)
+  onChange: (changedFiles: string[]) => void;    // Absolute paths of the changed files
+  onError?: (error: Error) => void;
+}
+
+export interface ProjectWatcher {
+  close(): void;
+}
+
+export type WatchTargets = Pick<ProjectInfo, 'projectPath' | 'uiDir' | 'fonts'>;
+
+// Recursive fs.watch is not supported on Linux in the Node versions we run on
+const nativeRecursiveWatch = process.platform === 'win32' || process.platform === 'darwin';
+
+/**
+ * Start watching the project's build inputs
+ */
+export function watchProject(targets: WatchTargets, options: ProjectWatcherOptions): ProjectWatcher {
+  const debounceMs = options.debounceMs ?? 500;
+  const watchers = new Map<string, fs.FSWatcher>();
+  const changedFiles = new Set<string>();
+  let debounceTimer: NodeJS.Timeout | null = null;
+  let closed = false;
+
+  const reportError = (error: Error) => {
+    if (options.onError) {
+      options.onError(error);
+    }
+  };
+
+  const fileChanged = (filePath: string) => {
+    if (closed || isIgnoredFile(filePath)) {
+      return;
+    }
+
+    changedFiles.add(filePath);
+
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      const files = Array.from(changedFiles);
+      changedFiles.clear();
+      options.onChange(files);
+    }, debounceMs);
+  };
+
+  const addWatcher = (key: string, dir: string, recursive: boolean, listener: (fileName: string) => void) => {
+    if (watchers.has(key)) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(dir, { recursive }, (eventType, fileName) => {
+        if (fileName) {
+          listener(fileName.toString());
+        }
+      });
+      watcher.on('error', reportError);
+      watchers.set(key, watcher);
+    } catch (error) {
+      reportError(error as Error);
+    }
+  };
+
+  // Destination folder: every file, including ones in new subdirectories
+  const watchSourceDir = (dir: string) => {
+    addWatcher(`dir:${dir}`, dir, nativeRecursiveWatch, (fileName) => {
+      const filePath = path.join(dir, fileName);
+      fileChanged(filePath);
+
+      if (!nativeRecursiveWatch && isDirectory(filePath)) {
+        watchSourceDir(filePath);
+      }
+    });
+
+    if (!nativeRecursiveWatch) {
+      for (const subdir of listSubdirectories(dir)) {
+        watchSourceDir(subdir);
+      }
+    }
+  };
+
+  if (targets.uiDir && isDirectory(targets.uiDir)) {
+    watchSourceDir(path.resolve(targets.uiDir));
+  }
+
+  // Single files are watched through their parent directory, because editors
+  // often save by replacing the file, which ends a watch on the file itself
+  const singleFiles = [targets.projectPath, ...(targets.fonts || []).map((font) => font.localPath)];
+  const filesByDir = new Map<string, Set<string>>();
+  for (const file of singleFiles) {
+    const resolvedFile = path.resolve(file);
+    const dir = path.dirname(resolvedFile);
+    if (!filesByDir.has(dir)) {
+      filesByDir.set(dir, new Set());
+    }
+    filesByDir.get(dir)!.add(path.basename(resolvedFile));
+  }
+
+  for (const [dir, fileNames] of filesByDir) {
+    addWatcher(`files:${dir}`, dir, false, (fileName) => {
+      if (fileNames.has(fileName)) {
+        fileChanged(path.join(dir, fileName));
+      }
+    });
+  }
+
+  return {
+    close() {
+      closed = true;
+      if (debounceTimer) {
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+      }
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Editor swap/backup files and hidden files don't trigger rebuilds
+ */
+function isIgnoredFile(filePath: string): boolean {
+  const fileName = path.basename(filePath);
+  return fileName.startsWith('.') || fileName.endsWith('~') || fileName.endsWith('.swp') || fileName.endsWith('.tmp');
+}
+
+function isDirectory(filePath: string): boolean {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function listSubdirectories(dir: string): string[] {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map((entry) => path.join(dir, entry.name));
+  } catch (err) {
+    return [];
+  }
+}
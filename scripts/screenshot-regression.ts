@@ -0,0 +1,327 @@
+/**
+ * Screenshot Regression Tests for EEZ Projects
+ *
+ * Compares the screenshots of a UI test run with baseline PNGs, e.g. to catch
+ * layout changes between LVGL versions: build with the known good version and
+ * store its screenshots as baselines, then compare the builds of other
+ * versions against them.
+ *
+ * Two pixels differ when one of their channels differs by more than the
+ * threshold; a screenshot matches its baseline when at most maxDiffPixels
+ * pixels differ. Every comparison writes a diff image (the baseline faded,
+ * with the differing pixels in red) and a report.html that shows baseline,
+ * screenshot and diff side by side.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { BuildError, LogFunction } from './docker-build-lib';
+import { RgbaImage, decodePng, encodePng } from './png';
+import { UiTestResult } from './ui-test';
+
+export type ScreenshotMode = 'compare' | 'update';
+
+export const SCREENSHOT_REPORT_FILE = 'report.html';
+
+// Subfolders of the report folder with the compared baselines and the diff images
+const BASELINE_DIR = 'baseline';
+const DIFF_DIR = 'diff';
+
+// Opacity of the baseline in diff images, so the red pixels stand out
+const DIFF_FADE = 0.2;
+
+export interface ScreenshotTolerance {
+  threshold: number;           // Largest difference of a channel (0-255) that still counts as equal
+  maxDiffPixels: number;       // Number of differing pixels allowed
+}
+
+export const DEFAULT_SCREENSHOT_TOLERANCE: ScreenshotTolerance = { threshold: 0, maxDiffPixels: 0 };
+
+/**
+ * A screenshot taken by a UI test, with the tolerance of its comparison
+ */
+export interface UiTestScreenshot extends ScreenshotTolerance {
+  name: string;
+  path: string;
+}
+
+export type ScreenshotStatus = 'passed' | 'failed' | 'size-mismatch' | 'missing-baseline' | 'updated';
+
+export interface ScreenshotComparison extends ScreenshotTolerance {
+  name: string;
+  status: ScreenshotStatus;
+  screenshotPath: string;
+  baselinePath: string;
+  diffPath?: string;
+  width: number;
+  height: number;
+  baselineWidth?: number;
+  baselineHeight?: number;
+  diffPixels: number;
+}
+
+export interface ScreenshotRegressionResult {
+  mode: ScreenshotMode;
+  passed: boolean;
+  baselinesPath: string;
+  reportPath: string;
+  comparisons: ScreenshotComparison[];
+}
+
+export interface ImageDiff {
+  diffPixels: number;
+  diff: RgbaImage;
+}
+
+/**
+ * Count the pixels of two images of the same size that differ by more than
+ * threshold in a channel, and draw them in red over the faded baseline
+ */
+export function diffImages(actual: RgbaImage, baseline: RgbaImage, threshold: number): ImageDiff {
+  const diff: RgbaImage = { width: baseline.width, height: baseline.height, data: Buffer.alloc(baseline.data.length) };
+  let diffPixels = 0;
+
+  for (let i = 0; i < baseline.data.length; i += 4) {
+    let differs = false;
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual.data[i + c] - baseline.data[i + c]) > threshold) {
+        differs = true;
+        break;
+      }
+    }
+
+    if (differs) {
+      diffPixels++;
+      diff.data[i] = 255;
+      diff.data[i + 1] = 0;
+      diff.data[i + 2] = 0;
+    } else {
+      const luma = 0.299 * baseline.data[i] + 0.587 * baseline.data[i + 1] + 0.114 * baseline.data[i + 2];
+      const gray = Math.round(255 - (255 - luma * baseline.data[i + 3] / 255) * DIFF_FADE);
+      diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = gray;
+    }
+    diff.data[i + 3] = 255;
+  }
+
+  return { diffPixels, diff };
+}
+
+function readPng(filePath: string): RgbaImage {
+  try {
+    return decodePng(fs.readFileSync(filePath));
+  } catch (err) {
+    throw new BuildError(`Failed to read ${filePath}: ${(err as Error).message}`, 'ui-test');
+  }
+}
+
+/**
+ * Compare the screenshots of a UI test with their baselines ('compare'), or
+ * store them as the new baselines ('update'), and write the report into
+ * reportDir. A regression (or a missing baseline) fails the returned result.
+ */
+export function checkScreenshots(
+  result: UiTestResult,
+  mode: ScreenshotMode,
+  reportDir: string,
+  log: LogFunction
+): UiTestResult {
+  const baselinesPath = result.baselinesPath;
+
+  if (mode === 'update' && !result.passed) {
+    log('Baselines not updated, the UI test failed', 'warning');
+    return result;
+  }
+
+  // Leave nothing of an earlier run in the report
+  for (const dir of [BASELINE_DIR, DIFF_DIR]) {
+    fs.rmSync(path.join(reportDir, dir), { recursive: true, force: true });
+  }
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  log(mode === 'update'
+    ? `Storing ${result.screenshots.length} screenshot(s) as baselines...`
+    : `Comparing ${result.screenshots.length} screenshot(s) with the baselines in ${baselinesPath}...`);
+  const comparisons = result.screenshots.map((screenshot) => mode === 'update'
+    ? updateBaseline(screenshot, baselinesPath, log)
+    : compareScreenshot(screenshot, baselinesPath, reportDir, log));
+
+  const regressions = comparisons.filter((comparison) => comparison.status !== 'passed' && comparison.status !== 'updated');
+  const reportPath = path.join(reportDir, SCREENSHOT_REPORT_FILE);
+  const regression: ScreenshotRegressionResult = {
+    mode,
+    passed: regressions.length === 0,
+    baselinesPath,
+    reportPath,
+    comparisons,
+  };
+  fs.writeFileSync(reportPath, formatReport(result, regression));
+
+  if (mode === 'update') {
+    log(`Updated ${comparisons.length} baseline(s) in ${baselinesPath}`, 'success');
+  } else if (regression.passed) {
+    log(`All ${comparisons.length} screenshot(s) match their baselines`, 'success');
+  } else {
+    log(`${regressions.length} of ${comparisons.length} screenshot(s) differ from their baselines, see ${reportPath}`, 'error');
+  }
+
+  if (regression.passed || !result.passed) {
+    return { ...result, regression };
+  }
+  const missing = regressions.filter((comparison) => comparison.status === 'missing-baseline').length;
+  return {
+    ...result,
+    passed: false,
+    error: missing === regressions.length
+      ? `${missing} screenshot(s) have no baseline yet (update the baselines to store them)`
+      : `${regressions.length} screenshot(s) differ from their baselines`,
+    regression,
+  };
+}
+
+function compareScreenshot(
+  screenshot: UiTestScreenshot,
+  baselinesPath: string,
+  reportDir: string,
+  log: LogFunction
+): ScreenshotComparison {
+  const actual = readPng(screenshot.path);
+  const comparison: ScreenshotComparison = {
+    name: screenshot.name,
+    status: 'passed',
+    screenshotPath: screenshot.path,
+    baselinePath: path.join(baselinesPath, `${screenshot.name}.png`),
+    width: actual.width,
+    height: actual.height,
+    diffPixels: 0,
+    threshold: screenshot.threshold,
+    maxDiffPixels: screenshot.maxDiffPixels,
+  };
+
+  if (!fs.existsSync(comparison.baselinePath)) {
+    log(`  ✗ ${screenshot.name}: no baseline`, 'error');
+    return { ...comparison, status: 'missing-baseline' };
+  }
+
+  // The report shows the baseline it was compared with, even after the baselines change
+  fs.mkdirSync(path.join(reportDir, BASELINE_DIR), { recursive: true });
+  fs.copyFileSync(comparison.baselinePath, path.join(reportDir, BASELINE_DIR, `${screenshot.name}.png`));
+
+  const baseline = readPng(comparison.baselinePath);
+  comparison.baselineWidth = baseline.width;
+  comparison.baselineHeight = baseline.height;
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    log(`  ✗ ${screenshot.name}: ${actual.width}x${actual.height}, the baseline is ${baseline.width}x${baseline.height}`, 'error');
+    return { ...comparison, status: 'size-mismatch', diffPixels: actual.width * actual.height };
+  }
+
+  const { diffPixels, diff } = diffImages(actual, baseline, screenshot.threshold);
+  comparison.diffPixels = diffPixels;
+  comparison.diffPath = path.join(reportDir, DIFF_DIR, `${screenshot.name}.png`);
+  fs.mkdirSync(path.dirname(comparison.diffPath), { recursive: true });
+  fs.writeFileSync(comparison.diffPath, encodePng(diff));
+
+  if (diffPixels > screenshot.maxDiffPixels) {
+    log(`  ✗ ${screenshot.name}: ${formatDiffPixels(comparison)} differ, ${screenshot.maxDiffPixels} allowed`, 'error');
+    return { ...comparison, status: 'failed' };
+  }
+  log(`  ✓ ${screenshot.name}${diffPixels > 0 ? `: ${formatDiffPixels(comparison)} differ, ${screenshot.maxDiffPixels} allowed` : ''}`);
+  return comparison;
+}
+
+function updateBaseline(screenshot: UiTestScreenshot, baselinesPath: string, log: LogFunction): ScreenshotComparison {
+  const actual = readPng(screenshot.path);
+  const baselinePath = path.join(baselinesPath, `${screenshot.name}.png`);
+  fs.mkdirSync(baselinesPath, { recursive: true });
+  fs.copyFileSync(screenshot.path, baselinePath);
+  log(`  ✓ ${screenshot.name} → ${baselinePath}`);
+
+  return {
+    name: screenshot.name,
+    status: 'updated',
+    screenshotPath: screenshot.path,
+    baselinePath,
+    width: actual.width,
+    height: actual.height,
+    diffPixels: 0,
+    threshold: screenshot.threshold,
+    maxDiffPixels: screenshot.maxDiffPixels,
+  };
+}
+
+function formatDiffPixels(comparison: ScreenshotComparison): string {
+  const percent = (comparison.diffPixels / (comparison.width * comparison.height)) * 100;
+  return `${comparison.diffPixels} pixel(s) (${percent < 0.01 && percent > 0 ? '<0.01' : percent.toFixed(2)}%)`;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+const STATUS_LABELS: Record<ScreenshotStatus, string> = {
+  'passed': 'Passed',
+  'failed': 'Failed',
+  'size-mismatch': 'Size mismatch',
+  'missing-baseline': 'No baseline',
+  'updated': 'Baseline updated',
+};
+
+function formatReport(result: UiTestResult, regression: ScreenshotRegressionResult): string {
+  const reportDir = path.dirname(regression.reportPath);
+  const image = (title: string, filePath: string | undefined) => {
+    const source = filePath && path.relative(reportDir, filePath).split(path.sep).join('/');
+    return `<figure><figcaption>${title}</figcaption>${source
+      ? `<a href="${escapeHtml(source)}"><img src="${escapeHtml(source)}" alt="${title}"></a>`
+      : '<div class="none">—</div>'}</figure>`;
+  };
+
+  const rows = regression.comparisons.map((comparison) => {
+    const baseline = comparison.status === 'updated' || comparison.status === 'missing-baseline'
+      ? undefined
+      : path.join(reportDir, BASELINE_DIR, `${comparison.name}.png`);
+    const details = [
+      `${comparison.width}x${comparison.height}`,
+      comparison.status === 'size-mismatch' ? `baseline ${comparison.baselineWidth}x${comparison.baselineHeight}` : '',
+      comparison.status === 'passed' || comparison.status === 'failed' ? `${formatDiffPixels(comparison)} differ` : '',
+      `threshold ${comparison.threshold}, ${comparison.maxDiffPixels} pixel(s) allowed`,
+    ].filter(Boolean).join(' · ');
+
+    return `<section class="${comparison.status}">
+<h2>${escapeHtml(comparison.name)} <span class="status">${STATUS_LABELS[comparison.status]}</span></h2>
+<p>${escapeHtml(details)}</p>
+<div class="images">${image('Baseline', baseline)}${image('Screenshot', comparison.screenshotPath)}${image('Diff', comparison.diffPath)}</div>
+</section>`;
+  }).join('\n');
+
+  const summary = regression.mode === 'update'
+    ? `${regression.comparisons.length} baseline(s) updated`
+    : `${regression.comparisons.filter((comparison) => comparison.status === 'passed').length} of ${regression.comparisons.length} screenshot(s) match`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(result.scenario)} - Screenshot Report</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; }
+h2 { font-size: 16px; margin: 0 0 4px; }
+p { margin: 0 0 8px; color: #666; font-size: 13px; }
+section { border: 1px solid #ddd; border-left: 4px solid #4caf50; padding: 12px; margin-bottom: 16px; }
+section.failed, section.size-mismatch, section.missing-baseline { border-left-color: #f44336; }
+section.updated { border-left-color: #2196f3; }
+.status { font-size: 12px; font-weight: normal; color: #666; }
+.images { display: flex; gap: 12px; flex-wrap: wrap; }
+figure { margin: 0; }
+figcaption { font-size: 12px; color: #666; margin-bottom: 4px; }
+img { display: block; max-width: 480px; image-rendering: pixelated; border: 1px solid #ccc; }
+.none { color: #999; padding: 8px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(result.scenario)}: ${summary}</h1>
+<p>${escapeHtml(new Date().toLocaleString())} · baselines in ${escapeHtml(regression.baselinesPath)}${result.passed ? '' : ` · UI test failed: ${escapeHtml(result.error || '')}`}</p>
+${rows || '<p>The UI test took no screenshots.</p>'}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,152 @@
+/**
+ * Self-Signed Certificate for the Test Server
+ *
+ * Generates an RSA key and an X.509 certificate signed with it, using only
+ * Node's crypto module (no openssl or extra packages needed). The certificate
+ * names localhost and the given IP addresses, so the test server can be opened
+ * over HTTPS from this computer and from other devices on the network.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import * as net from 'net';
+
+export interface SelfSignedCertificate {
+  key: string;                 // PEM private key
+  cert: string;                // PEM certificate
+  hosts: string[];             // Host names and IP addresses in the subjectAltName
+  notAfter: string;            // ISO date the certificate expires
+}
+
+const COMMON_NAME = 'EEZ Studio Docker Build Test Server';
+const VALIDITY_DAYS = 365;
+
+// Renewed this long before it expires
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The certificate stored in certificatePath, or a new one (saved there) if it is
+ * missing, about to expire or doesn't cover all hosts
+ */
+export function getSelfSignedCertificate(certificatePath: string, hosts: string[]): SelfSignedCertificate {
+  try {
+    const stored: SelfSignedCertificate = JSON.parse(fs.readFileSync(certificatePath, 'utf8'));
+    const valid = new Date(stored.notAfter).getTime() - Date.now() > RENEW_BEFORE_MS;
+    if (valid && hosts.every((host) => stored.hosts.includes(host))) {
+      return stored;
+    }
+  } catch (err) {
+    // Not generated yet, or unreadable
+  }
+
+  const certificate = generateSelfSignedCertificate(hosts);
+  fs.mkdirSync(path.dirname(certificatePath), { recursive: true });
+  fs.writeFileSync(certificatePath, JSON.stringify(certificate, null, 2) + '\n', { mode: 0o600 });
+  return certificate;
+}
+
+/**
+ * A new 2048-bit RSA key and a certificate for hosts, valid for a year
+ */
+export function generateSelfSignedCertificate(hosts: string[], now = new Date()): SelfSignedCertificate {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // Backdated a little, so clocks that are slightly off still accept it
+  const notBefore = new Date(now.getTime() - 60 * 60 * 1000);
+  const notAfter = new Date(now.getTime() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const signatureAlgorithm = sequence(oid('1.2.840.113549.1.1.11'), der(0x05));    // sha256WithRSAEncryption
+  const name = sequence(set(sequence(oid('2.5.4.3'), der(0x0c, Buffer.from(COMMON_NAME, 'utf8')))));
+
+  const tbsCertificate = sequence(
+    der(0xa0, integer(Buffer.from([2]))),                // Version 3
+    integer(serial),
+    signatureAlgorithm,
+    name,                                                 // Issuer
+    sequence(utcTime(notBefore), utcTime(notAfter)),
+    name,                                                 // Subject
+    publicKey.export({ type: 'spki', format: 'der' }),
+    der(0xa3, sequence(
+      extension('2.5.29.17', sequence(...hosts.map(subjectAltName))),             // subjectAltName
+      extension('2.5.29.19', sequence()),                                         // basicConstraints: not a CA
+      extension('2.5.29.37', sequence(oid('1.3.6.1.5.5.7.3.1')))                  // extKeyUsage: serverAuth
+    ))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = sequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.from([0]), signature));
+
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string,
+    cert: toPem(certificate, 'CERTIFICATE'),
+    hosts,
+    notAfter: notAfter.toISOString(),
+  };
+}
+
+// DER encoding of the ASN.1 values the certificate needs
+
+function der(tag: number, ...contents: Buffer[]): Buffer {
+  const content = Buffer.concat(contents);
+  let length: Buffer;
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes: number[] = [];
+    for (let value = content.length; value > 0; value >>= 8) {
+      bytes.unshift(value & 0xff);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+function sequence(...contents: Buffer[]): Buffer {
+  return der(0x30, ...contents);
+}
+
+function set(...contents: Buffer[]): Buffer {
+  return der(0x31, ...contents);
+}
+
+function integer(value: Buffer): Buffer {
+  // A leading 1 bit would make the number negative
+  return der(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+}
+
+function oid(value: string): Buffer {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const component of rest) {
+    const encoded = [component & 0x7f];
+    for (let remaining = component >> 7; remaining > 0; remaining >>= 7) {
+      encoded.unshift(0x80 | (remaining & 0x7f));
+    }
+    bytes.push(...encoded);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date: Date): Buffer {
+  const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';    // YYMMDDHHMMSSZ
+  return der(0x17, Buffer.from(text, 'ascii'));
+}
+
+function extension(id: string, value: Buffer): Buffer {
+  return sequence(oid(id), der(0x04, value));
+}
+
+function subjectAltName(host: string): Buffer {
+  if (net.isIPv4(host)) {
+    return der(0x87, Buffer.from(host.split('.').map(Number)));                 // iPAddress
+  }
+  return der(0x82, Buffer.from(host, 'ascii'));                                 // dNSName
+}
+
+function toPem(data: Buffer, label: string): string {
+  const lines = data.toString('base64').match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
@@ -0,0 +1,205 @@
+/**
+ * Simulator Repository for EEZ Projects
+ *
+ * Shell commands that clone the LVGL simulator repository, update it and check
+ * out the pinned revision (shared by the Docker and the local backend), and the
+ * build-info.json file that records which simulator commit and which project
+ * settings produced a build.
+ *
+ * In offline mode the repository is seeded from a local checkout or a git
+ * bundle instead of being cloned, and never fetched.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { BuildConfig, LogFunction, ProjectInfo } from './docker-build-lib';
+
+// Written next to the extracted build output
+export const BUILD_INFO_FILE = 'build-info.json';
+
+export interface RepositoryInfo {
+  url: string;                 // URL of the checkout's origin remote
+  ref?: string;                // Pinned branch, tag or commit (unset: default branch)
+  commit: string;              // Full SHA of the checked out commit
+  describe?: string;           // `git describe --tags --always`, e.g. v1.2.0-3-gabc1234
+}
+
+// Offline seed: a checkout made with `git clone --recursive`, or a `git bundle` file
+export type SeedKind = 'directory' | 'bundle';
+
+// Project settings a build was made with
+export type BuiltProjectSettings = Pick<ProjectInfo, 'lvglVersion' | 'displayWidth' | 'displayHeight' | 'flowSupport'>;
+
+export interface BuildInfo {
+  simulator?: RepositoryInfo;  // Unset if the checkout's revision couldn't be read
+  project?: BuiltProjectSettings;   // Unset if the extract didn't know them (and in older files)
+  extractedAt: string;
+}
+
+/**
+ * Repository URL of the configuration (a fork, mirror or the eez-open repository)
+ */
+export function getRepositoryUrl(config: Pick<BuildConfig, 'repositoryName' | 'repositoryUrl'>): string {
+  return config.repositoryUrl || `https://github.com/eez-open/${config.repositoryName}`;
+}
+
+/**
+ * Quote a value for sh
+ */
+export function shellQuote(value: string): string {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Clone into the current directory (which must be empty)
+ */
+export function getCloneCommands(url: string): string[] {
+  // --progress: git only reports progress to a terminal otherwise
+  return [`git clone --recursive --progress ${shellQuote(url)} .`];
+}
+
+/**
+ * Clone a git bundle into the current directory (which must be empty)
+ *
+ * A bundle holds only the repository itself; submodules that aren't already
+ * available can't be fetched offline.
+ */
+export function getBundleCloneCommands(bundlePath: string): string[] {
+  return [
+    `git clone ${shellQuote(bundlePath)} .`,
+    'git submodule update --init --recursive',
+  ];
+}
+
+/**
+ * Check an offline seed: a directory must be a git checkout, a file is taken as a bundle
+ */
+export function getSeedKind(seedPath: string): { kind?: SeedKind; error?: string } {
+  let stat: fs.Stats;
+  try {
+    stat = fs.statSync(seedPath);
+  } catch (err) {
+    return { error: `Offline seed not found: ${seedPath}` };
+  }
+
+  if (stat.isDirectory()) {
+    if (!fs.existsSync(path.join(seedPath, '.git'))) {
+      return { error: `Offline seed is not a git checkout (no .git): ${seedPath}` };
+    }
+    return { kind: 'directory' };
+  }
+
+  return { kind: 'bundle' };
+}
+
+/**
+ * Point origin at the URL and fetch branches and tags
+ */
+export function getFetchCommands(url: string): string[] {
+  return [
+    `git remote set-url origin ${shellQuote(url)}`,
+    'git fetch --tags --progress origin',
+    // The default branch of a different remote may have another name
+    'git remote set-head origin --auto > /dev/null',
+  ];
+}
+
+/**
+ * Check out the pinned ref (detached), or the remote's default branch
+ *
+ * A branch name is resolved against origin, so a pinned branch follows the
+ * remote; tags and commits are checked out as they are. Local changes (the
+ * synced sources) are kept, as with `git pull`.
+ */
+export function getCheckoutCommands(ref?: string): string[] {
+  return [
+    `REF=${shellQuote(ref || '')}`,
+    'if [ -z "$REF" ]; then',
+    '  TARGET=origin/HEAD',
+    '  git rev-parse -q --verify refs/remotes/origin/HEAD > /dev/null || TARGET=HEAD',
+    'elif git rev-parse -q --verify "refs/remotes/origin/$REF^{commit}" > /dev/null; then',
+    '  TARGET="origin/$REF"',
+    'else',
+    '  TARGET="$REF"',
+    'fi',
+    'git checkout -q --detach "$TARGET"',
+    'git submodule update --init --recursive',
+  ];
+}
+
+/**
+ * Print the commit, origin URL and description of the checkout (see parseRepositoryInfo)
+ */
+export function getRepositoryInfoCommands(): string[] {
+  return [
+    'git rev-parse HEAD',
+    'git remote get-url origin',
+    'git describe --tags --always 2> /dev/null || true',
+  ];
+}
+
+/**
+ * Parse the output of getRepositoryInfoCommands (undefined if there is no checkout)
+ */
+export function parseRepositoryInfo(output: string, ref?: string): RepositoryInfo | undefined {
+  const [commit, url, describe] = output.split('\n').map((line) => line.trim());
+  if (!commit || !/^[0-9a-f]{40}$/.test(commit)) {
+    return undefined;
+  }
+
+  return {
+    url: url || '',
+    ref: ref || undefined,
+    commit,
+    describe: describe || undefined,
+  };
+}
+
+/**
+ * Short description, e.g. "abc1234def56 (v1.2.0) from https://github.com/..."
+ */
+export function formatRepositoryInfo(info: RepositoryInfo): string {
+  const label = info.ref || info.describe;
+  return `${info.commit.slice(0, 12)}${label ? ` (${label})` : ''} from ${info.url}`;
+}
+
+/**
+ * The settings of projectInfo that go into build-info.json
+ */
+export function getBuiltProjectSettings(projectInfo: ProjectInfo): BuiltProjectSettings {
+  const { lvglVersion, displayWidth, displayHeight, flowSupport } = projectInfo;
+  return { lvglVersion, displayWidth, displayHeight, flowSupport };
+}
+
+/**
+ * Record the simulator revision and the project settings of the build in the output directory
+ */
+export function writeBuildInfo(
+  outputPath: string,
+  repository: RepositoryInfo | undefined,
+  project: BuiltProjectSettings | undefined,
+  log: LogFunction
+): void {
+  const buildInfo: BuildInfo = {
+    simulator: repository,
+    project,
+    extractedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(path.join(outputPath, BUILD_INFO_FILE), JSON.stringify(buildInfo, null, 2) + '\n');
+  if (repository) {
+    log(`Simulator commit recorded in ${BUILD_INFO_FILE}: ${formatRepositoryInfo(repository)}`);
+  } else {
+    log(`Could not read the simulator revision, ${BUILD_INFO_FILE} has no simulator commit`, 'warning');
+  }
+}
+
+/**
+ * Read build-info.json of an output directory (undefined if it has none)
+ */
+export function readBuildInfo(outputPath: string): BuildInfo | undefined {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outputPath, BUILD_INFO_FILE), 'utf8'));
+  } catch (err) {
+    return undefined;
+  }
+}
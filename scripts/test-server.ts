@@ -0,0 +1,304 @@
+/**
+ * Test Server for EEZ Projects
+ *
+ * Serves an extracted web build for the preview and for browsers on other
+ * devices. Options cover the cross-origin isolation headers that pthreads /
+ * SharedArrayBuffer builds need, brotli/gzip compression of the large .wasm
+ * and .data files, HTTPS with a generated self-signed certificate, and
+ * listening on localhost only or on the local network. For a debug build
+ * the project's sources are served too, where the source map points the
+ * browser's debugger.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import * as http from 'http';
+import * as https from 'https';
+import * as zlib from 'zlib';
+import { promisify } from 'util';
+import express, { Express, NextFunction, Request, Response } from 'express';
+import { getSelfSignedCertificate } from './self-signed-certificate';
+
+export type TestServerHost = 'localhost' | 'lan';
+
+export const TEST_SERVER_HOSTS: TestServerHost[] = ['localhost', 'lan'];
+
+export interface TestServerOptions {
+  crossOriginIsolation: boolean;   // COOP/COEP headers, so SharedArrayBuffer is available
+  compression: boolean;            // brotli or gzip, as accepted by the browser
+  https: boolean;                  // Serve over HTTPS with a self-signed certificate
+  host: TestServerHost;            // localhost only, or every network interface
+}
+
+export const DEFAULT_TEST_SERVER_OPTIONS: TestServerOptions = {
+  crossOriginIsolation: true,
+  compression: true,
+  https: false,
+  host: 'localhost',
+};
+
+export interface StartTestServerOptions extends TestServerOptions {
+  port: number;                    // First port tried; the next free one is used
+  certificatePath: string;         // Where the self-signed certificate is kept (with https)
+  injectHtml?: string;             // Inserted before </head> of index.html
+  sourcesDir?: string;             // Served at SOURCES_URL_PATH (the UI sources of a debug build)
+}
+
+export interface TestServer {
+  server: http.Server;
+  port: number;
+  url: string;                     // URL on this computer
+  lanUrls: string[];               // URLs for other devices (host 'lan' only)
+  certificate?: string;            // PEM certificate (https only)
+}
+
+// Sent with an explicit type, whatever the platform's MIME database says
+const MIME_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.c': 'text/plain; charset=utf-8',
+  '.h': 'text/plain; charset=utf-8',
+  '.cpp': 'text/plain; charset=utf-8',
+};
+
+// The build compiles the sources from <simulator>/src and the source map's
+// paths are relative to <simulator>/build, so the browser asks for them here
+export const SOURCES_URL_PATH = '/src';
+
+const COMPRESSIBLE_EXTENSIONS = ['.html', '.js', '.mjs', '.wasm', '.data', '.json', '.map', '.css', '.svg'];
+
+// Smaller files aren't worth compressing
+const MIN_COMPRESS_SIZE = 1024;
+
+// Ports tried after the requested one before giving up
+const MAX_PORT_ATTEMPTS = 100;
+
+type Encoding = 'br' | 'gzip';
+
+const compressors: Record<Encoding, (data: Buffer) => Promise<Buffer>> = {
+  // Quality 5 compresses a multi-MB .wasm in well under a second, close to the best ratio
+  br: (data) => promisify(zlib.brotliCompress)(data, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length,
+    },
+  }),
+  gzip: (data) => promisify(zlib.gzip)(data),
+};
+
+/**
+ * Content type of a file, by extension
+ */
+export function getMimeType(filePath: string): string | undefined {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()];
+}
+
+/**
+ * IPv4 addresses of this computer on the local network
+ */
+export function getLanAddresses(): string[] {
+  const addresses: string[] = [];
+  for (const interfaces of Object.values(os.networkInterfaces())) {
+    for (const address of interfaces || []) {
+      if (address.family === 'IPv4' && !address.internal) {
+        addresses.push(address.address);
+      }
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Express app that serves outputPath with the given options
+ */
+export function createTestServerApp(outputPath: string, options: TestServerOptions, injectHtml?: string, sourcesDir?: string): Express {
+  const app = express();
+  const root = path.resolve(outputPath);
+
+  // Compressed files, reused until the file changes
+  const cache = new Map<string, { mtimeMs: number; size: number; data: Buffer }>();
+
+  app.use((req: Request, res: Response, next: NextFunction) => {
+    // Disable caching for all responses
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    if (options.crossOriginIsolation) {
+      res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+      res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+    }
+    next();
+  });
+
+  // index.html with the injected script
+  app.get(['/', '/index.html'], async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      let html = await fs.promises.readFile(path.join(root, 'index.html'), 'utf8');
+      if (injectHtml) {
+        html = html.replace('</head>', injectHtml + '</head>');
+      }
+      await sendBody(req, res, Buffer.from(html, 'utf8'), MIME_TYPES['.html'], options.compression);
+    } catch (error) {
+      next();
+    }
+  });
+
+  if (options.compression) {
+    app.use(async (req: Request, res: Response, next: NextFunction) => {
+      const encoding = getAcceptedEncoding(req);
+      const filePath = resolveRequestPath(root, req.path);
+      // Range requests are left to express.static, which serves the uncompressed bytes
+      if ((req.method !== 'GET' && req.method !== 'HEAD') || req.headers.range || !encoding || !filePath
+        || !COMPRESSIBLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        next();
+        return;
+      }
+
+      try {
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile() || stat.size < MIN_COMPRESS_SIZE) {
+          next();
+          return;
+        }
+
+        const key = `${encoding}:${filePath}`;
+        let cached = cache.get(key);
+        if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+          cached = { mtimeMs: stat.mtimeMs, size: stat.size, data: await compressors[encoding](await fs.promises.readFile(filePath)) };
+          cache.set(key, cached);
+        }
+        sendEncoded(req, res, cached.data, encoding, getMimeType(filePath));
+      } catch (error) {
+        next();
+      }
+    });
+  }
+
+  const setHeaders = (res: Response, filePath: string) => {
+    const type = getMimeType(filePath);
+    if (type) {
+      res.setHeader('Content-Type', type);
+    }
+  };
+
+  if (sourcesDir) {
+    app.use(SOURCES_URL_PATH, express.static(path.resolve(sourcesDir), { setHeaders }));
+  }
+
+  app.use(express.static(root, { setHeaders }));
+
+  return app;
+}
+
+/**
+ * Start serving outputPath on the first free port from options.port
+ */
+export async function startTestServer(outputPath: string, options: StartTestServerOptions): Promise<TestServer> {
+  const app = createTestServerApp(outputPath, options, options.injectHtml, options.sourcesDir);
+  const lanAddresses = options.host === 'lan' ? getLanAddresses() : [];
+
+  let certificate: string | undefined;
+  let server: http.Server;
+  if (options.https) {
+    const selfSigned = getSelfSignedCertificate(options.certificatePath, ['localhost', '127.0.0.1', ...lanAddresses]);
+    certificate = selfSigned.cert;
+    server = https.createServer({ key: selfSigned.key, cert: selfSigned.cert }, app);
+  } else {
+    server = http.createServer(app);
+  }
+
+  const port = await listen(server, options.port, options.host === 'lan' ? '0.0.0.0' : '127.0.0.1');
+  const protocol = options.https ? 'https' : 'http';
+
+  return {
+    server,
+    port,
+    url: `${protocol}://localhost:${port}`,
+    lanUrls: lanAddresses.map((address) => `${protocol}://${address}:${port}`),
+    certificate,
+  };
+}
+
+function listen(server: http.Server, port: number, host: string, attempt = 0): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const onError = (error: NodeJS.ErrnoException) => {
+      server.off('listening', onListening);
+      if (error.code === 'EADDRINUSE' && attempt < MAX_PORT_ATTEMPTS) {
+        resolve(listen(server, port + 1, host, attempt + 1));
+      } else {
+        reject(error);
+      }
+    };
+    const onListening = () => {
+      server.off('error', onError);
+      resolve(port);
+    };
+    server.once('error', onError);
+    server.once('listening', onListening);
+    server.listen(port, host);
+  });
+}
+
+/**
+ * brotli if the browser accepts it, else gzip (undefined for neither)
+ */
+function getAcceptedEncoding(req: Request): Encoding | undefined {
+  const accepted = String(req.headers['accept-encoding'] || '')
+    .split(',')
+    .map((item) => item.trim().split(';'))
+    .filter(([, quality]) => quality?.trim() !== 'q=0')
+    .map(([name]) => name.toLowerCase());
+  if (accepted.includes('br')) {
+    return 'br';
+  }
+  return accepted.includes('gzip') ? 'gzip' : undefined;
+}
+
+/**
+ * File for a request path inside root (undefined for paths outside it and hidden files)
+ */
+function resolveRequestPath(root: string, requestPath: string): string | undefined {
+  let decoded: string;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch (error) {
+    return undefined;
+  }
+  const filePath = path.join(root, decoded);
+  const relative = path.relative(root, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)
+    || relative.split(path.sep).some((segment) => segment.startsWith('.'))) {
+    return undefined;
+  }
+  return filePath;
+}
+
+async function sendBody(req: Request, res: Response, data: Buffer, type: string, compression: boolean): Promise<void> {
+  const encoding = compression && data.length >= MIN_COMPRESS_SIZE ? getAcceptedEncoding(req) : undefined;
+  if (encoding) {
+    sendEncoded(req, res, await compressors[encoding](data), encoding, type);
+  } else {
+    res.setHeader('Content-Type', type);
+    res.send(data);
+  }
+}
+
+function sendEncoded(req: Request, res: Response, data: Buffer, encoding: Encoding, type?: string): void {
+  res.setHeader('Content-Encoding', encoding);
+  res.setHeader('Vary', 'Accept-Encoding');
+  res.setHeader('Content-Length', data.length);
+  if (type) {
+    res.setHeader('Content-Type', type);
+  }
+  res.status(200).end(req.method === 'HEAD' ? undefined : data);
+}
@@ -0,0 +1,536 @@
+/**
+ * UI Smoke Tests for EEZ Projects
+ *
+ * Runs a scripted scenario against a built simulator: clicks and key presses
+ * at display coordinates, waits, checks of the console output and screenshots
+ * of the display. The scenario is a JSON file next to the project file
+ * (<project>.ui-test.json by default).
+ *
+ * Screenshots can be compared with baselines afterwards (checkScreenshots in
+ * screenshot-regression.ts); the baselines are in <project>.ui-test-baselines
+ * next to the scenario, or in the folder given by its "baselines" field.
+ *
+ * The page is driven through a UiTestDriver. The Electron app implements it
+ * with a hidden window; the CLI starts the app headless for that
+ * (runHeadlessUiTest), so the same runner is used in both.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { spawn } from 'child_process';
+import { AbortError, BuildError, LogFunction, OperationOptions, throwIfAborted } from './docker-build-lib';
+import { DisplaySize } from './build-matrix';
+import {
+  DEFAULT_SCREENSHOT_TOLERANCE,
+  ScreenshotRegressionResult,
+  ScreenshotTolerance,
+  UiTestScreenshot,
+} from './screenshot-regression';
+
+export const UI_TEST_FILE_SUFFIX = '.ui-test.json';
+export const UI_TEST_BASELINES_SUFFIX = '.ui-test-baselines';
+
+// Default for waitForConsole steps and for loading the page
+export const DEFAULT_UI_TEST_TIMEOUT_MS = 30000;
+
+// Arguments of the app when it runs a UI test headless
+export const UI_TEST_ARG = '--ui-test';
+export const UI_TEST_SCENARIO_ARG = '--ui-test-scenario=';
+export const UI_TEST_OUTPUT_ARG = '--ui-test-output=';
+export const UI_TEST_SCREENSHOTS_ARG = '--ui-test-screenshots=';
+export const UI_TEST_DISPLAY_ARG = '--ui-test-display=';
+
+// Lines of the headless app's stdout that carry a log message or the result
+const HEADLESS_LINE_PREFIX = '@ui-test ';
+
+// How often waitForConsole looks for new messages
+const POLL_INTERVAL_MS = 50;
+
+export type UiTestStep =
+  | { action: 'click'; x: number; y: number }
+  | { action: 'type'; text: string }
+  | { action: 'key'; key: string }                 // Electron key code, e.g. Enter, Backspace, Up
+  | { action: 'wait'; ms: number }
+  | { action: 'waitForConsole'; text?: string; pattern?: string; timeout?: number }
+  | { action: 'assertConsole'; text?: string; pattern?: string; absent?: boolean }
+  | { action: 'assertNoErrors' }
+  | { action: 'screenshot'; name: string; threshold?: number; maxDiffPixels?: number };
+
+export type UiTestAction = UiTestStep['action'];
+
+export interface UiTestScenario {
+  name: string;
+  timeout: number;             // Default timeout of waitForConsole steps, in ms
+  failOnError: boolean;        // Errors in the console (uncaught, abort(), printErr) fail the test
+  baselinesPath: string;       // Folder of the baseline screenshots
+  tolerance: ScreenshotTolerance; // Default of the screenshot steps
+  steps: UiTestStep[];
+}
+
+export interface UiTestConsoleMessage {
+  level: 'log' | 'info' | 'warn' | 'error' | 'debug';
+  message: string;
+  timestamp: number;
+}
+
+/**
+ * A loaded simulator page the scenario is run against
+ */
+export interface UiTestDriver {
+  readonly console: UiTestConsoleMessage[];   // Every message since the page was loaded, appended by the driver
+  click(x: number, y: number): Promise<void>;
+  type(text: string): Promise<void>;
+  pressKey(key: string): Promise<void>;
+  screenshot(): Promise<Buffer>;               // PNG of the canvas at the display resolution
+}
+
+export type UiTestStepStatus = 'passed' | 'failed' | 'skipped';
+
+export interface UiTestStepResult {
+  index: number;
+  description: string;
+  status: UiTestStepStatus;
+  durationMs: number;
+  error?: string;
+  screenshotPath?: string;
+}
+
+export interface UiTestResult {
+  scenario: string;
+  scenarioPath: string;
+  passed: boolean;
+  durationMs: number;
+  steps: UiTestStepResult[];
+  errors: string[];            // Console errors (with failOnError they fail the test)
+  error?: string;              // Why the test failed, if it did
+  screenshots: UiTestScreenshot[];
+  baselinesPath: string;
+  regression?: ScreenshotRegressionResult; // Set by checkScreenshots
+}
+
+const ACTIONS: UiTestAction[] = ['click', 'type', 'key', 'wait', 'waitForConsole', 'assertConsole', 'assertNoErrors', 'screenshot'];
+
+/**
+ * Default scenario file of a project, e.g. my-project.ui-test.json
+ */
+export function getDefaultScenarioPath(projectPath: string): string {
+  return path.join(path.dirname(projectPath), path.basename(projectPath, '.eez-project') + UI_TEST_FILE_SUFFIX);
+}
+
+/**
+ * Default folder for the screenshots of a project's UI test (build/ui-test next to the project file)
+ */
+export function getDefaultScreenshotsPath(projectPath: string): string {
+  return path.join(path.dirname(projectPath), 'build', 'ui-test');
+}
+
+/**
+ * Default baselines folder of a scenario, e.g. my-project.ui-test-baselines next to my-project.ui-test.json
+ */
+export function getDefaultBaselinesPath(scenarioPath: string): string {
+  return path.join(path.dirname(scenarioPath), path.basename(scenarioPath, UI_TEST_FILE_SUFFIX) + UI_TEST_BASELINES_SUFFIX);
+}
+
+/**
+ * Read and check a scenario file
+ */
+export function readScenario(scenarioPath: string): UiTestScenario {
+  let data: any;
+  try {
+    data = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+  } catch (err) {
+    const error = err as NodeJS.ErrnoException;
+    throw new BuildError(error.code === 'ENOENT'
+      ? `UI test scenario not found: ${scenarioPath}`
+      : `Failed to read UI test scenario ${scenarioPath}: ${error.message}`, 'ui-test');
+  }
+
+  const fail = (message: string): never => {
+    throw new BuildError(`Invalid UI test scenario ${path.basename(scenarioPath)}: ${message}`, 'ui-test');
+  };
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.steps)) {
+    fail('expected an object with a "steps" array');
+  }
+  if (data.timeout !== undefined && !isPositiveNumber(data.timeout)) {
+    fail('"timeout" must be a positive number of milliseconds');
+  }
+  if (data.baselines !== undefined && (typeof data.baselines !== 'string' || !data.baselines)) {
+    fail('"baselines" must be a folder, relative to the scenario file');
+  }
+  const tolerance = checkTolerance(data, 'scenario', DEFAULT_SCREENSHOT_TOLERANCE, fail);
+
+  const screenshotNames = new Set<string>();
+  const steps = data.steps.map((step: any, index: number): UiTestStep => {
+    const where = `step ${index + 1}`;
+    if (!step || typeof step !== 'object' || !ACTIONS.includes(step.action)) {
+      fail(`${where} has no valid "action" (expected ${ACTIONS.join(', ')})`);
+    }
+    switch (step.action) {
+      case 'click':
+        if (!isCoordinate(step.x) || !isCoordinate(step.y)) {
+          fail(`${where}: click needs "x" and "y" display coordinates`);
+        }
+        return { action: 'click', x: step.x, y: step.y };
+      case 'type':
+        if (typeof step.text !== 'string') {
+          fail(`${where}: type needs "text"`);
+        }
+        return { action: 'type', text: step.text };
+      case 'key':
+        if (typeof step.key !== 'string' || !step.key) {
+          fail(`${where}: key needs "key", e.g. "Enter"`);
+        }
+        return { action: 'key', key: step.key };
+      case 'wait':
+        if (!isPositiveNumber(step.ms)) {
+          fail(`${where}: wait needs "ms"`);
+        }
+        return { action: 'wait', ms: step.ms };
+      case 'waitForConsole':
+      case 'assertConsole':
+        checkMatcher(step, where, fail);
+        if (step.action === 'waitForConsole') {
+          if (step.timeout !== undefined && !isPositiveNumber(step.timeout)) {
+            fail(`${where}: "timeout" must be a positive number of milliseconds`);
+          }
+          return { action: 'waitForConsole', text: step.text, pattern: step.pattern, timeout: step.timeout };
+        }
+        return { action: 'assertConsole', text: step.text, pattern: step.pattern, absent: !!step.absent };
+      case 'assertNoErrors':
+        return { action: 'assertNoErrors' };
+      case 'screenshot':
+        if (typeof step.name !== 'string' || !/^[\w.-]+$/.test(step.name)) {
+          fail(`${where}: screenshot needs a "name" of letters, digits, '.', '-' and '_'`);
+        }
+        if (screenshotNames.has(step.name)) {
+          fail(`${where}: screenshot name "${step.name}" is used twice`);
+        }
+        screenshotNames.add(step.name);
+        checkTolerance(step, where, tolerance, fail);
+        return { action: 'screenshot', name: step.name, threshold: step.threshold, maxDiffPixels: step.maxDiffPixels };
+    }
+    return fail(`${where}: unknown action`);
+  });
+
+  return {
+    name: typeof data.name === 'string' && data.name ? data.name : path.basename(scenarioPath, UI_TEST_FILE_SUFFIX),
+    timeout: data.timeout ?? DEFAULT_UI_TEST_TIMEOUT_MS,
+    failOnError: data.failOnError !== false,
+    baselinesPath: data.baselines
+      ? path.resolve(path.dirname(scenarioPath), data.baselines)
+      : getDefaultBaselinesPath(scenarioPath),
+    tolerance,
+    steps,
+  };
+}
+
+function isPositiveNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isCoordinate(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function checkTolerance(
+  data: any,
+  where: string,
+  defaults: ScreenshotTolerance,
+  fail: (message: string) => never
+): ScreenshotTolerance {
+  const { threshold = defaults.threshold, maxDiffPixels = defaults.maxDiffPixels } = data;
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > 255) {
+    fail(`${where}: "threshold" must be a channel difference from 0 to 255`);
+  }
+  if (!Number.isInteger(maxDiffPixels) || maxDiffPixels < 0) {
+    fail(`${where}: "maxDiffPixels" must be a number of pixels`);
+  }
+  return { threshold, maxDiffPixels };
+}
+
+function checkMatcher(step: any, where: string, fail: (message: string) => never): void {
+  if ((typeof step.text !== 'string') === (typeof step.pattern !== 'string')) {
+    fail(`${where}: ${step.action} needs either "text" or "pattern"`);
+  }
+  if (typeof step.pattern === 'string') {
+    try {
+      new RegExp(step.pattern);
+    } catch (err) {
+      fail(`${where}: invalid pattern: ${(err as Error).message}`);
+    }
+  }
+}
+
+/**
+ * Short description of a step for logs and reports
+ */
+export function describeStep(step: UiTestStep): string {
+  const matcher = (s: { text?: string; pattern?: string }) => s.pattern !== undefined ? `/${s.pattern}/` : JSON.stringify(s.text);
+  switch (step.action) {
+    case 'click': return `click at ${step.x},${step.y}`;
+    case 'type': return `type ${JSON.stringify(step.text)}`;
+    case 'key': return `press ${step.key}`;
+    case 'wait': return `wait ${step.ms} ms`;
+    case 'waitForConsole': return `wait for console ${matcher(step)}`;
+    case 'assertConsole': return `console ${step.absent ? 'lacks' : 'has'} ${matcher(step)}`;
+    case 'assertNoErrors': return 'no console errors';
+    case 'screenshot': return `screenshot ${step.name}`;
+  }
+}
+
+function matches(message: UiTestConsoleMessage, step: { text?: string; pattern?: string }): boolean {
+  return step.pattern !== undefined ? new RegExp(step.pattern).test(message.message) : message.message.includes(step.text!);
+}
+
+function getErrors(driver: UiTestDriver): string[] {
+  return driver.console.filter((message) => message.level === 'error').map((message) => message.message);
+}
+
+function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function runStep(
+  step: UiTestStep,
+  scenario: UiTestScenario,
+  driver: UiTestDriver,
+  screenshotsPath: string,
+  signal?: AbortSignal
+): Promise<string | undefined> {
+  switch (step.action) {
+    case 'click':
+      await driver.click(step.x, step.y);
+      return undefined;
+    case 'type':
+      await driver.type(step.text);
+      return undefined;
+    case 'key':
+      await driver.pressKey(step.key);
+      return undefined;
+    case 'wait':
+      await delay(step.ms, signal);
+      return undefined;
+    case 'waitForConsole': {
+      const timeout = step.timeout ?? scenario.timeout;
+      const deadline = Date.now() + timeout;
+      while (!driver.console.some((message) => matches(message, step))) {
+        if (Date.now() > deadline) {
+          throw new Error(`Not in the console after ${timeout} ms`);
+        }
+        await delay(POLL_INTERVAL_MS, signal);
+      }
+      return undefined;
+    }
+    case 'assertConsole': {
+      const found = driver.console.find((message) => matches(message, step));
+      if (step.absent && found) {
+        throw new Error(`Found in the console: ${found.message}`);
+      }
+      if (!step.absent && !found) {
+        throw new Error('Not in the console');
+      }
+      return undefined;
+    }
+    case 'assertNoErrors': {
+      const errors = getErrors(driver);
+      if (errors.length > 0) {
+        throw new Error(`${errors.length} console error(s), the first: ${errors[0]}`);
+      }
+      return undefined;
+    }
+    case 'screenshot': {
+      const screenshotPath = path.join(screenshotsPath, `${step.name}.png`);
+      fs.mkdirSync(screenshotsPath, { recursive: true });
+      fs.writeFileSync(screenshotPath, await driver.screenshot());
+      return screenshotPath;
+    }
+  }
+}
+
+/**
+ * Run the scenario's steps in order; after the first failing step the rest are skipped
+ */
+export async function runUiTest(
+  scenario: UiTestScenario,
+  scenarioPath: string,
+  driver: UiTestDriver,
+  screenshotsPath: string,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<UiTestResult> {
+  const startTime = Date.now();
+  const steps: UiTestStepResult[] = [];
+  const screenshots: UiTestScreenshot[] = [];
+  let error: string | undefined;
+
+  log(`Running UI test "${scenario.name}" (${scenario.steps.length} step(s))...`);
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const description = describeStep(step);
+    if (error) {
+      steps.push({ index, description, status: 'skipped', durationMs: 0 });
+      continue;
+    }
+
+    throwIfAborted(options.signal);
+    const stepStartTime = Date.now();
+    try {
+      const screenshotPath = await runStep(step, scenario, driver, screenshotsPath, options.signal);
+      steps.push({ index, description, status: 'passed', durationMs: Date.now() - stepStartTime, screenshotPath });
+      if (step.action === 'screenshot' && screenshotPath) {
+        screenshots.push({
+          name: step.name,
+          path: screenshotPath,
+          threshold: step.threshold ?? scenario.tolerance.threshold,
+          maxDiffPixels: step.maxDiffPixels ?? scenario.tolerance.maxDiffPixels,
+        });
+      }
+      log(`  ✓ ${description}${screenshotPath ? ` → ${screenshotPath}` : ''}`);
+    } catch (err) {
+      if (err instanceof AbortError) {
+        throw err;
+      }
+      error = `Step ${index + 1} (${description}): ${(err as Error).message}`;
+      steps.push({ index, description, status: 'failed', durationMs: Date.now() - stepStartTime, error: (err as Error).message });
+      log(`  ✗ ${description}: ${(err as Error).message}`, 'error');
+    }
+  }
+
+  const errors = getErrors(driver);
+  if (!error && scenario.failOnError && errors.length > 0) {
+    error = `${errors.length} console error(s), the first: ${errors[0]}`;
+  }
+
+  const result: UiTestResult = {
+    scenario: scenario.name,
+    scenarioPath,
+    passed: !error,
+    durationMs: Date.now() - startTime,
+    steps,
+    errors,
+    error,
+    screenshots,
+    baselinesPath: scenario.baselinesPath,
+  };
+
+  const duration = (result.durationMs / 1000).toFixed(1);
+  if (result.passed) {
+    log(`UI test "${scenario.name}" passed in ${duration}s`, 'success');
+  } else {
+    log(`UI test "${scenario.name}" failed in ${duration}s: ${error}`, 'error');
+  }
+  return result;
+}
+
+/**
+ * Write a log message, the result or the error that stopped the test from the
+ * headless app, for runHeadlessUiTest
+ */
+export function writeHeadlessLine(data: { log?: { message: string; type?: string }; result?: UiTestResult; error?: string }): void {
+  process.stdout.write(HEADLESS_LINE_PREFIX + JSON.stringify(data) + '\n');
+}
+
+/**
+ * Run a UI test from plain Node.js (the CLI): the Electron app is started
+ * headless to serve outputPath and drive it in a hidden window
+ */
+export function runHeadlessUiTest(
+  outputPath: string,
+  scenarioPath: string,
+  screenshotsPath: string,
+  displaySize: DisplaySize,
+  log: LogFunction,
+  options: OperationOptions = {}
+): Promise<UiTestResult> {
+  let electronPath: string;
+  try {
+    // Outside of Electron the package exports the path of its executable
+    electronPath = require('electron') as unknown as string;
+  } catch (err) {
+    return Promise.reject(new BuildError('Electron is not installed, run npm install to run UI tests', 'ui-test'));
+  }
+
+  // The app folder (with package.json), from scripts/ or dist/scripts/
+  const parent = path.resolve(__dirname, '..');
+  const appRoot = path.basename(parent) === 'dist' ? path.dirname(parent) : parent;
+  const args = [
+    appRoot,
+    UI_TEST_ARG,
+    UI_TEST_SCENARIO_ARG + path.resolve(scenarioPath),
+    UI_TEST_OUTPUT_ARG + path.resolve(outputPath),
+    UI_TEST_SCREENSHOTS_ARG + path.resolve(screenshotsPath),
+    UI_TEST_DISPLAY_ARG + `${displaySize.width}x${displaySize.height}`,
+  ];
+
+  return new Promise((resolve, reject) => {
+    throwIfAborted(options.signal);
+    const child = spawn(electronPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let result: UiTestResult | undefined;
+    let error: string | undefined;
+    let buffer = '';
+
+    const onAbort = () => child.kill();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', (data: Buffer) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (!line.startsWith(HEADLESS_LINE_PREFIX)) {
+          continue;
+        }
+        let message;
+        try {
+          message = JSON.parse(line.slice(HEADLESS_LINE_PREFIX.length));
+        } catch (err) {
+          log(`Ignoring malformed output of the UI test: ${line}`, 'warning');
+          continue;
+        }
+        if (message.log) {
+          log(message.log.message, message.log.type);
+        } else if (message.result) {
+          result = message.result;
+        } else if (message.error) {
+          error = message.error;
+        }
+      }
+    });
+    // Electron and Chromium diagnostics
+    child.stderr.on('data', (data: Buffer) => {
+      if (options.onOutput) {
+        options.onOutput(data.toString(), 'stderr');
+      } else {
+        process.stderr.write(data);
+      }
+    });
+
+    child.on('error', (err) => {
+      options.signal?.removeEventListener('abort', onAbort);
+      reject(new BuildError(`Failed to start Electron: ${err.message}`, 'ui-test'));
+    });
+    child.on('close', (code) => {
+      options.signal?.removeEventListener('abort', onAbort);
+      if (options.signal?.aborted) {
+        reject(new AbortError());
+      } else if (result) {
+        resolve(result);
+      } else if (error) {
+        reject(new BuildError(error, 'ui-test'));
+      } else {
+        reject(new BuildError(`The headless UI test runner exited with code ${code} without a result`, 'ui-test'));
+      }
+    });
+  });
+}
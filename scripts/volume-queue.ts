@@ -0,0 +1,100 @@
+/**
+ * Volume Queue for EEZ Projects
+ *
+ * Serializes the operations on one project volume (or local work directory)
+ * while operations on different volumes run side by side. Setup syncs a
+ * project's sources into the volume and Build compiles whatever is there, so
+ * two projects sharing a volume must not interleave: the first keeps the
+ * volume from its Setup until its Extract, the other waits for it in FIFO
+ * order.
+ */
+
+import { AbortError, throwIfAborted } from './docker-build-lib';
+
+// Gives the volume to the next waiting owner; calling it again does nothing
+export type VolumeRelease = () => void;
+
+export interface VolumeQueue {
+  // Resolves once owner has the volume; onWait is called with the current owner if it has to wait.
+  // Rejects with an AbortError if signal is aborted while waiting
+  acquire(
+    volumeName: string,
+    owner: string,
+    options?: { signal?: AbortSignal; onWait?: (holder: string) => void }
+  ): Promise<VolumeRelease>;
+  holder(volumeName: string): string | undefined;            // Owner that has the volume
+}
+
+interface Waiter {
+  owner: string;
+  grant: () => void;
+}
+
+export function createVolumeQueue(): VolumeQueue {
+  const holders = new Map<string, string>();
+  const waiters = new Map<string, Waiter[]>();
+
+  const grantNext = (volumeName: string) => {
+    const queue = waiters.get(volumeName) || [];
+    const next = queue.shift();
+    if (queue.length === 0) {
+      waiters.delete(volumeName);
+    }
+    if (next) {
+      holders.set(volumeName, next.owner);
+      next.grant();
+    } else {
+      holders.delete(volumeName);
+    }
+  };
+
+  const createRelease = (volumeName: string): VolumeRelease => {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      grantNext(volumeName);
+    };
+  };
+
+  return {
+    acquire(volumeName, owner, options = {}) {
+      const { signal, onWait } = options;
+      throwIfAborted(signal);
+
+      const holder = holders.get(volumeName);
+      if (holder === undefined) {
+        holders.set(volumeName, owner);
+        return Promise.resolve(createRelease(volumeName));
+      }
+
+      onWait?.(holder);
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          const queue = waiters.get(volumeName) || [];
+          const index = queue.indexOf(waiter);
+          if (index >= 0) {
+            queue.splice(index, 1);
+            if (queue.length === 0) {
+              waiters.delete(volumeName);
+            }
+          }
+          reject(new AbortError());
+        };
+        const waiter: Waiter = {
+          owner,
+          grant: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(createRelease(volumeName));
+          },
+        };
+        waiters.set(volumeName, [...(waiters.get(volumeName) || []), waiter]);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    },
+
+    holder(volumeName) {
+      return holders.get(volumeName);
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// Script injected into the served index.html. It forwards console output,
+// uncaught errors, unhandled promise rejections, Emscripten's print/printErr
+// and abort(), and WebAssembly traps to the preview console in the app window.
+//
+// Each message is posted to the parent window as
+// { type: 'console', level, message, stack?, source, timestamp }, where level is
+// log, info, warn, error or debug and source is console, emscripten, uncaught,
+// rejection, abort or wasm-trap.
+export const CONSOLE_CAPTURE_SCRIPT = `
+<script>
+(function() {
+  const original = {
+    log: console.log,
+    error: console.error,
+    warn: console.warn,
+    info: console.info,
+    debug: console.debug
+  };
+
+  // Set while Module.print/printErr runs, so console output it makes isn't sent twice
+  let forwarding = false;
+
+  function formatArg(arg) {
+    if (arg instanceof Error) {
+      return arg.name + ': ' + arg.message;
+    }
+    if (typeof arg === 'object' && arg !== null) {
+      try { return JSON.stringify(arg); }
+      catch { return String(arg); }
+    }
+    return String(arg);
+  }
+
+  function send(level, message, stack, source) {
+    window.parent.postMessage({
+      type: 'console',
+      level: level,
+      message: message,
+      stack: stack || undefined,
+      source: source,
+      timestamp: Date.now()
+    }, '*');
+  }
+
+  function sendArgs(level, args, source) {
+    const error = Array.from(args).find(arg => arg instanceof Error);
+    send(level, Array.from(args).map(formatArg).join(' '), error && error.stack, source);
+  }
+
+  ['log', 'error', 'warn', 'info', 'debug'].forEach(level => {
+    console[level] = function(...args) {
+      original[level].apply(console, args);
+      if (!forwarding) {
+        sendArgs(level, args, 'console');
+      }
+    };
+  });
+
+  function isWasmTrap(error) {
+    return typeof WebAssembly !== 'undefined' && error instanceof WebAssembly.RuntimeError;
+  }
+
+  // Uncaught errors, and resources (scripts, images) that failed to load
+  window.addEventListener('error', function(e) {
+    if (e.target && e.target !== window) {
+      send('error', 'Failed to load ' + (e.target.src || e.target.href || e.target.tagName), undefined, 'uncaught');
+      return;
+    }
+    const location = e.filename ? ' at ' + e.filename + ':' + e.lineno + ':' + e.colno : '';
+    send('error', (e.message || 'Uncaught error') + location, e.error && e.error.stack, isWasmTrap(e.error) ? 'wasm-trap' : 'uncaught');
+  }, true);
+
+  window.addEventListener('unhandledrejection', function(e) {
+    const reason = e.reason;
+    send(
+      'error',
+      'Unhandled promise rejection: ' + formatArg(reason),
+      reason && reason.stack,
+      isWasmTrap(reason) ? 'wasm-trap' : 'rejection'
+    );
+  });
+
+  function wrapOutput(module, name, level) {
+    const print = module[name];
+    module[name] = function(...args) {
+      const text = args.join(' ');
+      // abort() prints "Aborted(...)" after onAbort already reported it
+      if (!(name === 'printErr' && text.startsWith('Aborted('))) {
+        send(level, text, undefined, 'emscripten');
+      }
+      if (print) {
+        forwarding = true;
+        try { print.apply(this, args); }
+        finally { forwarding = false; }
+      } else {
+        original[level === 'error' ? 'error' : 'log'].apply(console, args);
+      }
+    };
+  }
+
+  function hookModule(module) {
+    if (!module || typeof module !== 'object' || module.__eezConsoleCapture) return;
+    Object.defineProperty(module, '__eezConsoleCapture', { value: true });
+    wrapOutput(module, 'print', 'log');
+    wrapOutput(module, 'printErr', 'error');
+    const onAbort = module.onAbort;
+    module.onAbort = function(what) {
+      send('error', 'Aborted(' + (what === undefined ? '' : what) + ')', new Error('abort').stack, 'abort');
+      if (onAbort) onAbort.apply(this, arguments);
+    };
+  }
+
+  // The page defines the Emscripten Module object after this script runs
+  let moduleObject = window.Module;
+  hookModule(moduleObject);
+  Object.defineProperty(window, 'Module', {
+    configurable: true,
+    get: function() { return moduleObject; },
+    set: function(value) {
+      moduleObject = value;
+      hookModule(value);
+    }
+  });
+})();
+</script>
+`;
@@ -1,20 +1,94 @@
-import { app, BrowserWindow, ipcMain, dialog } from 'electron';
+import { app, BrowserWindow, ipcMain, dialog, shell } from 'electron';
 import * as path from 'path';
 import { promises as fs } from 'fs';
-import { spawn, ChildProcess } from 'child_process';
-import express, { Express, Request, Response, NextFunction } from 'express';
 import * as http from 'http';
 
 // Import build library functions
 import {
-  checkDocker,
+  BackendName,
+  BuildConfig,
+  BuildStatus,
+  COMPOSE_FLAVORS,
+  OperationOptions,
+  ProjectInfo,
+  ContainerRuntime,
+  RuntimePreference,
+  describeContainerRuntime,
+  detectContainerRuntime,
+  findForeignOutputFiles,
+  getDefaultOutputPath,
+  getProjectVolumeName,
+  listVolumes,
+  inspectVolume,
+  removeVolume,
   readProjectFile,
-  setupProject,
-  buildProject,
-  extractBuild,
-  cleanBuild,
-  cleanAll,
+  isAbortError,
+  CompileError,
+  LogFunction,
 } from '../../scripts/docker-build-lib';
+import { SOURCE_MAP_FILE } from '../../scripts/build-artifacts';
+import { VolumeRelease, createVolumeQueue } from '../../scripts/volume-queue';
+import {
+  BuildOptionsOverrides,
+  getBuildOptions,
+  getBuildOptionsPath,
+  mergeBuildOptions,
+  parseBuildOptions,
+} from '../../scripts/build-options';
+import { ProjectWatcher, watchProject } from '../../scripts/project-watcher';
+import { getBuildBackend, isBackendName } from '../../scripts/build-backends';
+import { getDefaultLocalConfig } from '../../scripts/local-backend';
+import { BuiltProjectSettings, getBuiltProjectSettings, getRepositoryUrl } from '../../scripts/simulator-repository';
+import {
+  DisplaySize,
+  expandMatrix,
+  getMatrixOutputPath,
+  parseDisplaySizes,
+  parseLvglVersions,
+  runBuildMatrix,
+} from '../../scripts/build-matrix';
+import { summarizeDiagnostics } from '../../scripts/diagnostics';
+import { exportBuild, getDefaultExportName } from '../../scripts/export-bundle';
+import {
+  DEFAULT_TEST_SERVER_OPTIONS,
+  SOURCES_URL_PATH,
+  TEST_SERVER_HOSTS,
+  TestServerOptions,
+  startTestServer,
+} from '../../scripts/test-server';
+import { CONSOLE_CAPTURE_SCRIPT } from './console-capture';
+import { PREVIEW_SUPPORT_SCRIPT } from './preview-support';
+import { openUiTestWindow } from './ui-test-window';
+import {
+  UI_TEST_ARG,
+  UI_TEST_DISPLAY_ARG,
+  UI_TEST_OUTPUT_ARG,
+  UI_TEST_SCENARIO_ARG,
+  UI_TEST_SCREENSHOTS_ARG,
+  UiTestResult,
+  getDefaultScenarioPath,
+  getDefaultScreenshotsPath,
+  readScenario,
+  runUiTest,
+  writeHeadlessLine,
+} from '../../scripts/ui-test';
+import { ScreenshotMode, checkScreenshots } from '../../scripts/screenshot-regression';
+import { checkProject } from '../../scripts/project-check';
+import {
+  BuildHistoryRecord,
+  BuildHistoryStatus,
+  BuildHistoryStep,
+  DEFAULT_HISTORY_LIMIT,
+  createBuildRecord,
+  deleteBuildRecord,
+  diffBuildDurations,
+  getBuildArtifactsPath,
+  estimateBuildDuration,
+  listBuildHistory,
+  pruneBuildHistory,
+  readBuildLog,
+  saveBuildRecord,
+} from '../../scripts/build-history';
 
 // Determine if running from compiled code (production) or source (development)
 const isProduction = __dirname.includes('dist');
@@ -35,55 +109,319 @@ const getResourcePath = (relativePath: string): string => {
   return path.join(appRoot, 'resources', relativePath);
 };
 
-// Get output path (always at root /output)
-const getOutputPath = (): string => {
-  if (app.isPackaged) {
-    // In packaged app, use process.resourcesPath parent (app folder)
-    return path.join(path.dirname(process.resourcesPath), 'output');
-  }
-  // In dev, use root output directory
-  return path.join(appRoot, 'output');
-};
-
 let mainWindow: BrowserWindow | null = null;
-let testServer: http.Server | null = null;
-let currentPort: number | null = null;
-let currentDockerProcess: ChildProcess | null = null;
 
 // Single repository for all LVGL versions
 const REPOSITORY_NAME = 'lvgl-simulator-for-studio-docker-build';
-const DOCKER_VOLUME_NAME = 'lvgl-simulator';
 const DOCKER_BUILD_PATH = getResourcePath('docker-build');
 
-// Build configuration
-const buildConfig = {
-  repositoryName: REPOSITORY_NAME,
-  dockerVolumeName: DOCKER_VOLUME_NAME,
-  dockerBuildPath: DOCKER_BUILD_PATH,
-};
-
 // Store recent projects
 const RECENT_PROJECTS_FILE = path.join(app.getPath('userData'), 'recent-projects.json');
 const WINDOW_STATE_FILE = path.join(app.getPath('userData'), 'window-state.json');
+const SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
+
+// Work directories and the FreeType cache of the local emsdk backend
+const LOCAL_BUILD_PATH = path.join(app.getPath('userData'), 'local-builds');
+
+// Past builds with their logs and a copy of their output
+const BUILD_HISTORY_DIR = path.join(app.getPath('userData'), 'build-history');
+
+// Self-signed certificate of the HTTPS test server (generated on first use)
+const TEST_SERVER_CERTIFICATE_FILE = path.join(app.getPath('userData'), 'test-server-certificate.json');
+
+// First port tried by the server of a UI test, apart from the preview's
+const UI_TEST_PORT = 3100;
+
+interface HeadlessUiTestArgs {
+  scenarioPath: string;
+  outputPath: string;
+  screenshotsPath: string;
+  displaySize: DisplaySize;
+}
+
+// Set when the CLI started the app to run a UI test without a window (see runHeadlessUiTest)
+const headlessUiTest = process.argv.includes(UI_TEST_ARG) ? parseHeadlessUiTestArgs(process.argv) : null;
+
+function parseHeadlessUiTestArgs(argv: string[]): HeadlessUiTestArgs {
+  const getArg = (prefix: string) => argv.find((arg) => arg.startsWith(prefix))?.slice(prefix.length) || '';
+  const [displaySize] = parseDisplaySizes(getArg(UI_TEST_DISPLAY_ARG));
+  return {
+    scenarioPath: getArg(UI_TEST_SCENARIO_ARG),
+    outputPath: getArg(UI_TEST_OUTPUT_ARG),
+    screenshotsPath: getArg(UI_TEST_SCREENSHOTS_ARG),
+    displaySize,
+  };
+}
+
 let recentProjects: string[] = [];
 
-// Current project state
-let currentProjectPath: string | null = null;
-let currentProjectInfo: any = null;
+// Per-project settings, keyed by .eez-project path
+interface ProjectSettings {
+  volumeName?: string;         // Overrides the volume name derived from the project path
+  backend?: BackendName;       // Build backend (default: docker)
+  repositoryUrl?: string;      // Fork or mirror of the simulator repository
+  repositoryRef?: string;      // Pinned branch, tag or commit of the simulator
+  matrixLvglVersions?: string; // Build matrix LVGL versions, e.g. "8.4.0,9.2.2"
+  matrixDisplaySizes?: string; // Build matrix display sizes, e.g. "800x480,1024x600"
+  outputPath?: string;         // Extract destination (default: build/web next to the project file)
+  buildOptions?: BuildOptionsOverrides;   // Replace the project's and the build options file's options
+}
+
+interface AppSettings {
+  projects: Record<string, ProjectSettings>;
+  emsdkDir?: string;           // emsdk installation used by the local backend
+  runtime?: RuntimePreference; // Container runtime for the Docker backend (default: detected)
+  offline?: boolean;           // No network access (seed the simulator from seedPath)
+  seedPath?: string;           // Simulator checkout or git bundle for offline setups
+  historyLimit?: number;       // Builds kept in the history (default: DEFAULT_HISTORY_LIMIT, 0: no history)
+  testServer?: Partial<TestServerOptions>;   // Test server options that differ from the defaults
+}
 
-// Logging adapter - sends messages to renderer process
+let settings: AppSettings = { projects: {} };
+
+// Container runtime found by the last check (Docker or Podman and its compose tool)
+let containerRuntime: ContainerRuntime | undefined;
+
+// State of a project open in the renderer (one per project tab)
+interface ProjectSession {
+  projectPath: string;
+  operation: AbortController | null;           // Running operation (the tab's Abort button aborts its signal)
+  releaseVolume: VolumeRelease | null;         // Held from Setup until Extract or a failure
+  watcher: ProjectWatcher | null;
+  watchGeneration: number;
+  testServer: http.Server | null;
+  testServerPort: number | null;
+  testServerCertificate: string | null;
+  // Build being recorded for the history, from Setup until Extract or a failure
+  buildRecording: { record: BuildHistoryRecord; log: string[] } | null;
+  builtProject: BuiltProjectSettings | null;   // Settings of the last Build, recorded by Extract
+}
+
+// Open projects, keyed by .eez-project path
+const sessions = new Map<string, ProjectSession>();
+
+// Projects building on the same volume (or local work directory) take turns
+const volumeQueue = createVolumeQueue();
+
+function getSession(projectPath: string): ProjectSession {
+  let session = sessions.get(projectPath);
+  if (!session) {
+    session = {
+      projectPath,
+      operation: null,
+      releaseVolume: null,
+      watcher: null,
+      watchGeneration: 0,
+      testServer: null,
+      testServerPort: null,
+      testServerCertificate: null,
+      buildRecording: null,
+      builtProject: null,
+    };
+    sessions.set(projectPath, session);
+  }
+  return session;
+}
+
+// Logging adapter - sends messages to renderer process (shown in the active project's log)
 function log(message: string, type: 'info' | 'success' | 'error' | 'warning' = 'info'): void {
   if (mainWindow && mainWindow.webContents) {
     if (mainWindow) mainWindow.webContents.send('log-message', { type, text: message + '\n' });
   }
 }
 
+// Logging adapter of a project: shown in its tab and recorded with its build
+function getProjectLog(projectPath: string): LogFunction {
+  return (message, type = 'info') => {
+    sessions.get(projectPath)?.buildRecording?.log.push(message + '\n');
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type, text: message + '\n' });
+  };
+}
+
+// Docker volume used for a project (configured name or derived from the path)
+function getVolumeName(projectPath: string): string {
+  return settings.projects[projectPath]?.volumeName || getProjectVolumeName(projectPath);
+}
+
+// Folder the project's build is extracted to (configured or build/web next to the project file)
+function getOutputPath(projectPath: string): string {
+  return settings.projects[projectPath]?.outputPath || getDefaultOutputPath(projectPath);
+}
+
+// Extract empties the output folder, so it must not hold the project itself
+function validateOutputPath(projectPath: string, outputPath: string): void {
+  if (!path.isAbsolute(outputPath)) {
+    throw new Error(`Output folder must be an absolute path: ${outputPath}`);
+  }
+  const relative = path.relative(path.resolve(outputPath), path.dirname(path.resolve(projectPath)));
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error(`Output folder ${outputPath} contains the project, choose a folder inside or next to it`);
+  }
+}
+
+// Ask before extract deletes files it didn't write; true if the user agreed, null if they cancelled
+async function confirmOutputCleanup(outputPath: string): Promise<boolean | null> {
+  const files = findForeignOutputFiles(outputPath);
+  if (files.length === 0 || !mainWindow) {
+    return false;
+  }
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Delete and Extract'],
+    defaultId: 0,
+    cancelId: 0,
+    message: `The output folder contains ${files.length} file(s) that are not build output`,
+    detail: `${outputPath}\n\n${files.slice(0, 10).join('\n')}${files.length > 10 ? `\n... and ${files.length - 10} more` : ''}\n\nExtract empties the folder first. Delete these files?`,
+  });
+  return result.response === 1 ? true : null;
+}
+
+// Build configuration for a project
+function getBuildConfig(projectPath: string): BuildConfig {
+  const config: BuildConfig = {
+    repositoryName: REPOSITORY_NAME,
+    repositoryUrl: settings.projects[projectPath]?.repositoryUrl,
+    repositoryRef: settings.projects[projectPath]?.repositoryRef,
+    dockerVolumeName: getVolumeName(projectPath),
+    dockerBuildPath: DOCKER_BUILD_PATH,
+    backend: settings.projects[projectPath]?.backend || 'docker',
+    runtime: containerRuntime,
+    runtimePreference: settings.runtime,
+    offline: settings.offline ? { seedPath: settings.seedPath } : undefined,
+  };
+  if (config.backend === 'local') {
+    // Work directory named like the project's Docker volume
+    config.local = getDefaultLocalConfig(LOCAL_BUILD_PATH, config.dockerVolumeName, settings.emsdkDir);
+  }
+  return config;
+}
+
 // Helper to get error message from unknown error
 function getErrorMessage(error: unknown): string {
   if (error instanceof Error) return error.message;
   return String(error);
 }
 
+// Start a cancellable operation of a project (the Abort button aborts its signal);
+// null while another operation of the project runs or an aborted one hasn't settled yet
+function beginOperation(session: ProjectSession): AbortController | null {
+  if (session.operation) {
+    return null;
+  }
+  session.operation = new AbortController();
+  return session.operation;
+}
+
+// Result of a handler whose operation beginOperation refused
+function operationBusy(projectPath: string) {
+  const error = `${path.basename(projectPath)} is already running an operation`;
+  if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'warning', text: `${error}, not starting another one.\n` });
+  return { success: false, error };
+}
+
+function endOperation(session: ProjectSession, operation: AbortController): void {
+  if (session.operation === operation) {
+    session.operation = null;
+  }
+}
+
+// The volume, or the local backend's work directory, a build uses
+function getVolumeKey(config: BuildConfig): string {
+  return config.local ? `local:${config.local.workDir}` : `docker:${config.dockerVolumeName}`;
+}
+
+// Wait until no other project builds on the project's volume; a Build keeps it from Setup until Extract
+async function acquireVolume(session: ProjectSession, config: BuildConfig, operation: AbortController): Promise<void> {
+  if (session.releaseVolume) return;
+  
+  session.releaseVolume = await volumeQueue.acquire(getVolumeKey(config), session.projectPath, {
+    signal: operation.signal,
+    onWait: (holder) => getProjectLog(session.projectPath)(
+      `${config.local ? 'Work directory' : `Volume ${config.dockerVolumeName}`} is in use by ${path.basename(holder)}, waiting for its build to finish...`,
+      'warning'
+    ),
+  });
+}
+
+function releaseVolume(session: ProjectSession): void {
+  session.releaseVolume?.();
+  session.releaseVolume = null;
+}
+
+// Options for a build step: command output also goes into the recorded build log,
+// progress (phase and percentage) to the progress bar of the project's tab
+function getStepOptions(session: ProjectSession, operation: AbortController): OperationOptions {
+  return {
+    signal: operation.signal,
+    onOutput: (text, stream) => {
+      session.buildRecording?.log.push(text);
+      (stream === 'stdout' ? process.stdout : process.stderr).write(text);
+    },
+    onProgress: (progress) => {
+      if (mainWindow) mainWindow.webContents.send('build-progress', { ...progress, projectPath: session.projectPath });
+    },
+  };
+}
+
+function getTestServerOptions(): TestServerOptions {
+  return { ...DEFAULT_TEST_SERVER_OPTIONS, ...settings.testServer };
+}
+
+function getHistoryLimit(): number {
+  return settings.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+}
+
+// Start recording a build (a Build starts with Setup); an unfinished earlier one was abandoned
+function startBuildRecording(session: ProjectSession, projectInfo: ProjectInfo, config: BuildConfig): void {
+  if (session.buildRecording) {
+    finishBuildRecording(session, 'aborted');
+  }
+  if (getHistoryLimit() > 0) {
+    session.buildRecording = { record: createBuildRecord(projectInfo, config.backend || 'docker'), log: [] };
+  }
+}
+
+function recordStepDuration(session: ProjectSession, step: BuildHistoryStep, startTime: number): void {
+  if (session.buildRecording) {
+    session.buildRecording.record.steps[step] = Date.now() - startTime;
+  }
+}
+
+// Store the recorded build in the history (with a copy of outputPath after a successful Extract)
+function finishBuildRecording(session: ProjectSession, status: BuildHistoryStatus, error?: unknown, outputPath?: string): void {
+  const recording = session.buildRecording;
+  if (!recording) return;
+  session.buildRecording = null;
+  
+  const { record } = recording;
+  record.status = status;
+  record.durationMs = Date.now() - Date.parse(record.startedAt);
+  if (error) {
+    record.error = getErrorMessage(error);
+  }
+  
+  try {
+    saveBuildRecord(BUILD_HISTORY_DIR, record, recording.log.join(''), outputPath, getHistoryLimit());
+  } catch (saveError: unknown) {
+    getProjectLog(session.projectPath)(`Could not save the build to the history: ${getErrorMessage(saveError)}`, 'warning');
+  }
+  if (mainWindow) mainWindow.webContents.send('build-history-changed');
+}
+
+// Report a failed operation of a project; aborts are flagged so the renderer shows them as Aborted
+function operationFailed(operationName: string, error: unknown, projectPath: string) {
+  if (isAbortError(error)) {
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'warning', text: `${operationName} aborted.\n` });
+    return { success: false, aborted: true, error: getErrorMessage(error) };
+  }
+
+  if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'error', text: `${operationName} failed: ${getErrorMessage(error)}\n` });
+  if (error instanceof CompileError) {
+    return { success: false, error: getErrorMessage(error), diagnostics: error.diagnostics };
+  }
+  return { success: false, error: getErrorMessage(error) };
+}
+
 // Load window state
 async function loadWindowState(): Promise<{ width: number; height: number; x?: number; y?: number; isMaximized: boolean }> {
   try {
@@ -153,8 +491,31 @@ async function createWindow() {
   }
 }
 
+// The preview iframe isn't cross-origin isolated inside the app window, so
+// SharedArrayBuffer (pthreads builds) is enabled explicitly
+app.commandLine.appendSwitch('enable-features', 'SharedArrayBuffer');
+
+// Accept the test servers' self-signed certificate in the previews (and nothing else)
+app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
+  const normalize = (pem: string) => pem.replace(/\s+/g, '');
+  const port = new URL(url).port;
+  if ([...sessions.values()].some((session) => session.testServerCertificate && String(session.testServerPort) === port
+    && normalize(certificate.data) === normalize(session.testServerCertificate))) {
+    event.preventDefault();
+    callback(true);
+  } else {
+    callback(false);
+  }
+});
+
 app.whenReady().then(async () => {
+  if (headlessUiTest) {
+    await runHeadlessUiTestMode(headlessUiTest);
+    return;
+  }
+  
   await loadRecentProjects();
+  await loadSettings();
   createWindow();
 
   app.on('activate', () => {
@@ -165,32 +526,18 @@ app.whenReady().then(async () => {
 });
 
 app.on('window-all-closed', () => {
-  stopTestServer();
+  // The headless UI test exits by itself once the result is written
+  if (headlessUiTest) return;
+  
+  for (const session of sessions.values()) {
+    stopTestServer(session);
+    stopProjectWatcher(session);
+  }
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
 
-// Filter out Docker noise messages
-function shouldFilterDockerMessage(text: string): boolean {
-  const filters = [
-    'Found orphan containers',
-    'Container docker-build-emscripten-build-run-',
-    'Container ID:',
-    '--remove-orphans flag',
-    'cache:INFO'
-  ];
-  
-  // Check string filters
-  if (filters.some(filter => text.includes(filter))) {
-    return true;
-  }
-  
-  // Filter out 64-character container IDs (hex strings on their own line)
-  const isContainerId = /^[a-f0-9]{64}$/.test(text.trim());
-  return isContainerId;
-}
-
 // Load recent projects from disk
 async function loadRecentProjects() {
   try {
@@ -210,6 +557,38 @@ async function saveRecentProjects(): Promise<void> {
   }
 }
 
+// Load settings from disk
+async function loadSettings(): Promise<void> {
+  try {
+    const data = await fs.readFile(SETTINGS_FILE, 'utf8');
+    settings = { projects: {}, ...JSON.parse(data) };
+  } catch (error) {
+    settings = { projects: {} };
+  }
+}
+
+// Save settings to disk
+async function saveSettings(): Promise<void> {
+  try {
+    await fs.writeFile(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+  }
+}
+
+// Merge changes into a project's settings (undefined or empty values are removed)
+function updateProjectSettings(projectPath: string, changes: Partial<ProjectSettings>): ProjectSettings {
+  const projectSettings: Record<string, any> = { ...settings.projects[projectPath], ...changes };
+  for (const key of Object.keys(projectSettings)) {
+    if (projectSettings[key] === undefined || projectSettings[key] === '') {
+      delete projectSettings[key];
+    }
+  }
+  settings.projects[projectPath] = projectSettings;
+  saveSettings();
+  return projectSettings;
+}
+
 // Add project to recent list
 function addToRecentProjects(projectPath: string): void {
   // Remove if already exists
@@ -249,6 +628,23 @@ ipcMain.handle('select-project-file', async () => {
   return { success: false };
 });
 
+// Choose the output folder of a project
+ipcMain.handle('select-output-folder', async (event, projectPath) => {
+  if (!mainWindow) return { canceled: true };
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Output Folder',
+    defaultPath: getOutputPath(projectPath),
+    properties: ['openDirectory', 'createDirectory'],
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    return { success: true, path: result.filePaths[0] };
+  }
+
+  return { success: false };
+});
+
 // Get recent projects
 ipcMain.handle('get-recent-projects', async () => {
   return recentProjects;
@@ -266,52 +662,158 @@ ipcMain.handle('remove-from-recent-projects', async (event, projectPath) => {
   return { success: true };
 });
 
-// Check Docker status
-ipcMain.handle('check-docker', async () => {
-  return new Promise((resolve) => {
-    const dockerProcess = spawn('docker', ['--version']);
-    
-    dockerProcess.on('close', (code) => {
-      if (code === 0) {
-        // Check if Docker daemon is running
-        const psProcess = spawn('docker', ['ps']);
-        psProcess.on('close', (psCode) => {
-          resolve({
-            installed: true,
-            running: psCode === 0
-          });
-        });
-      } else {
-        resolve({
-          installed: false,
-          running: false
-        });
+// Get project settings
+ipcMain.handle('get-project-settings', async (event, projectPath) => {
+  return settings.projects[projectPath] || {};
+});
+
+// Update project settings
+ipcMain.handle('update-project-settings', async (event, projectPath, changes) => {
+  if (changes.backend !== undefined && !isBackendName(changes.backend)) {
+    throw new Error(`Unknown build backend: ${changes.backend}`);
+  }
+  if (changes.outputPath) {
+    validateOutputPath(projectPath, changes.outputPath);
+  }
+  if (changes.buildOptions) {
+    const buildOptions = parseBuildOptions(changes.buildOptions, path.dirname(projectPath));
+    changes = { ...changes, buildOptions: Object.keys(buildOptions).length > 0 ? buildOptions : undefined };
+  }
+  return updateProjectSettings(projectPath, changes);
+});
+
+// Get app-wide settings
+ipcMain.handle('get-app-settings', async () => {
+  return getAppSettings();
+});
+
+// App-wide settings shown in the renderer
+function getAppSettings() {
+  return {
+    emsdkDir: settings.emsdkDir,
+    runtime: settings.runtime,
+    offline: !!settings.offline,
+    seedPath: settings.seedPath,
+    historyLimit: getHistoryLimit(),
+    testServer: getTestServerOptions(),
+  };
+}
+
+// Update app-wide settings
+ipcMain.handle('update-app-settings', async (event, changes) => {
+  if ('emsdkDir' in changes) {
+    settings.emsdkDir = changes.emsdkDir || undefined;
+  }
+  if ('runtime' in changes) {
+    const runtime: RuntimePreference = changes.runtime || {};
+    if (runtime.engine && runtime.engine !== 'docker' && runtime.engine !== 'podman') {
+      throw new Error(`Unknown container runtime: ${runtime.engine}`);
+    }
+    if (runtime.compose && !COMPOSE_FLAVORS.includes(runtime.compose)) {
+      throw new Error(`Unknown compose tool: ${runtime.compose}`);
+    }
+    settings.runtime = runtime.engine || runtime.compose ? runtime : undefined;
+    // Detected again with the new preference by the next check
+    containerRuntime = undefined;
+  }
+  if ('offline' in changes) {
+    settings.offline = !!changes.offline || undefined;
+  }
+  if ('seedPath' in changes) {
+    settings.seedPath = changes.seedPath || undefined;
+  }
+  if ('historyLimit' in changes) {
+    const historyLimit = Number(changes.historyLimit);
+    if (!Number.isInteger(historyLimit) || historyLimit < 0) {
+      throw new Error(`Invalid build history limit: ${changes.historyLimit}`);
+    }
+    settings.historyLimit = historyLimit === DEFAULT_HISTORY_LIMIT ? undefined : historyLimit;
+    pruneBuildHistory(BUILD_HISTORY_DIR, historyLimit);
+  }
+  if ('testServer' in changes) {
+    const testServer: TestServerOptions = { ...getTestServerOptions(), ...changes.testServer };
+    if (!TEST_SERVER_HOSTS.includes(testServer.host)) {
+      throw new Error(`Unknown test server host: ${testServer.host}`);
+    }
+    // Only the options that differ from the defaults are stored
+    const stored: Partial<TestServerOptions> = {};
+    for (const key of Object.keys(DEFAULT_TEST_SERVER_OPTIONS) as (keyof TestServerOptions)[]) {
+      const value = key === 'host' ? testServer.host : !!testServer[key];
+      if (value !== DEFAULT_TEST_SERVER_OPTIONS[key]) {
+        (stored as Record<string, unknown>)[key] = value;
       }
-    });
+    }
+    settings.testServer = Object.keys(stored).length > 0 ? stored : undefined;
+  }
+  await saveSettings();
+  return getAppSettings();
+});
 
-    dockerProcess.on('error', () => {
-      resolve({
-        installed: false,
-        running: false
-      });
-    });
-  });
+// Check that the project's build backend can run (Docker running, or emcc found)
+ipcMain.handle('check-backend', async (event, projectPath) => {
+  try {
+    const config = getBuildConfig(projectPath);
+    const available = await getBuildBackend(config).checkAvailable(config, getProjectLog(projectPath));
+    if (config.runtime) {
+      containerRuntime = config.runtime;
+    }
+    return { success: true, backend: config.backend, available, runtime: config.runtime };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Detect the container runtime (Docker or Podman, and the compose tool)
+ipcMain.handle('check-docker', async () => {
+  const { runtime, error } = await detectContainerRuntime(settings.runtime);
+  containerRuntime = runtime;
+  return {
+    available: !!runtime,
+    runtime,
+    description: runtime ? describeContainerRuntime(runtime) : undefined,
+    error,
+  };
 });
 
+// Read the project file with the build options of the app's settings
+async function readProjectInfo(projectPath: string, logFunction: LogFunction): Promise<ProjectInfo> {
+  const projectInfo = await readProjectFile(projectPath, logFunction);
+  const overrides = settings.projects[projectPath]?.buildOptions;
+  if (overrides) {
+    projectInfo.buildOptions = mergeBuildOptions(getBuildOptions(projectInfo), overrides);
+  }
+  return projectInfo;
+}
+
 // Read and parse project file
 ipcMain.handle('read-project-file', async (event, projectPath) => {
   try {
-    const projectInfo = await readProjectFile(projectPath, log);
+    const projectInfo = await readProjectInfo(projectPath, getProjectLog(projectPath));
     
-    // Check if build files already exist (using single volume)
-    const buildStatus = await checkBuildStatus(DOCKER_VOLUME_NAME);
+    // Check if build files already exist in the project's volume (or work directory)
+    const volumeName = getVolumeName(projectPath);
+    const config = getBuildConfig(projectPath);
+    const buildStatus = await checkBuildStatus(config);
     
     // Set outputPath if build is complete
-    const outputPath = getOutputPath();
+    const outputPath = getOutputPath(projectPath);
     
     return {
       success: true,
       ...projectInfo,
+      volumeName,
+      defaultVolumeName: getProjectVolumeName(projectPath),
+      backend: config.backend,
+      workDir: config.local?.workDir,
+      repositoryUrl: config.repositoryUrl,
+      repositoryRef: config.repositoryRef,
+      defaultRepositoryUrl: getRepositoryUrl({ repositoryName: REPOSITORY_NAME }),
+      repository: buildStatus.repository,
+      matrixLvglVersions: settings.projects[projectPath]?.matrixLvglVersions,
+      matrixDisplaySizes: settings.projects[projectPath]?.matrixDisplaySizes,
+      buildOptionOverrides: settings.projects[projectPath]?.buildOptions,
+      buildOptionsPath: getBuildOptionsPath(projectPath),
+      defaultOutputPath: getDefaultOutputPath(projectPath),
       setupComplete: buildStatus.setupComplete,
       buildComplete: buildStatus.buildComplete,
       outputPath: outputPath
@@ -324,268 +826,573 @@ ipcMain.handle('read-project-file', async (event, projectPath) => {
   }
 });
 
-// Run Docker command
-ipcMain.handle('run-docker-command', async (event, command, args, options = {}) => {
-  return new Promise((resolve) => {
-    const dockerPath = getResourcePath('docker-build');
-    const env = { ...process.env, ...options.env };
-    
-    const dockerProcess = spawn(command, args, {
-      cwd: dockerPath,
-      env,
-      shell: true
-    });
-    
-    // Track the current process so it can be aborted
-    currentDockerProcess = dockerProcess;
-
-    let output = '';
-    let hasError = false;
-
-    dockerProcess.stdout.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', {
-          type: 'stdout',
-          text
-        });
-      }
-    });
-
-    dockerProcess.stderr.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', {
-          type: 'stderr',
-          text
-        });
-      }
-    });
-
-    dockerProcess.on('error', (error) => {
-      hasError = true;
-      resolve({
-        success: false,
-        error: getErrorMessage(error),
-        output
-      });
-    });
-
-    dockerProcess.on('close', (code) => {
-      currentDockerProcess = null;
-      resolve({
-        success: !hasError && code === 0,
-        code: code ?? undefined,
-        output
-      });
-    });
-  });
+// Pre-flight check of the project file, with the LVGL versions of a build matrix if given
+ipcMain.handle('check-project', async (event, projectPath: string, lvglVersions?: string) => {
+  try {
+    return {
+      success: true,
+      report: checkProject(projectPath, {
+        lvglVersions: parseLvglVersions(lvglVersions || ''),
+        buildOptions: settings.projects[projectPath]?.buildOptions,
+      }),
+    };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
 });
 
-// Setup Docker project
+// Setup Docker project (waits for the project's volume if another project builds on it)
 ipcMain.handle('setup-project', async (event, projectInfo) => {
-  const startTime = Date.now();
+  const session = getSession(projectInfo.projectPath);
+  const projectLog = getProjectLog(session.projectPath);
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
+  let startTime = Date.now();
   try {
-    currentProjectPath = projectInfo.projectPath;
-    currentProjectInfo = projectInfo;
-    
-    await setupProject(projectInfo, buildConfig, log);
-    
-    // File watcher is already started when project is loaded
+    const config = getBuildConfig(projectInfo.projectPath);
+    await acquireVolume(session, config, operation);
+    startTime = Date.now();
+    startBuildRecording(session, projectInfo, config);
+    const setupResult = await getBuildBackend(config).setup(projectInfo, config, projectLog, getStepOptions(session, operation));
+    recordStepDuration(session, 'setup', startTime);
+    if (session.buildRecording) {
+      session.buildRecording.record.repository = setupResult.repository;
+    }
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'success', text: `Setup completed successfully in ${duration}s!\n` });
-    return { success: true };
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath: session.projectPath, type: 'success', text: `Setup completed successfully in ${duration}s!\n` });
+    return { success: true, repository: setupResult.repository };
     
   } catch (error: unknown) {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'error', text: `Setup failed: ${getErrorMessage(error)}\n` });
-    return { success: false, error: getErrorMessage(error) };
+    recordStepDuration(session, 'setup', startTime);
+    finishBuildRecording(session, isAbortError(error) ? 'aborted' : 'failed', error);
+    releaseVolume(session);
+    return operationFailed('Setup', error, session.projectPath);
+  } finally {
+    endOperation(session, operation);
   }
 });
 
 // Build project
 ipcMain.handle('build-project', async (event, projectInfo) => {
+  const session = getSession(projectInfo.projectPath);
   const startTime = Date.now();
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
   try {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'info', text: `Starting build (LVGL ${projectInfo.lvglVersion}, ${projectInfo.displayWidth}x${projectInfo.displayHeight})...\n` });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath: session.projectPath, type: 'info', text: `Starting build (LVGL ${projectInfo.lvglVersion}, ${projectInfo.displayWidth}x${projectInfo.displayHeight})...\n` });
     
-    await buildProject(projectInfo, buildConfig, log);
+    const config = getBuildConfig(projectInfo.projectPath);
+    await acquireVolume(session, config, operation);
+    session.builtProject = null;
+    const buildResult = await getBuildBackend(config).build(projectInfo, config, getProjectLog(session.projectPath), getStepOptions(session, operation));
+    session.builtProject = getBuiltProjectSettings(projectInfo);
+    recordStepDuration(session, 'build', startTime);
+    if (session.buildRecording) {
+      session.buildRecording.record.diagnostics = summarizeDiagnostics(buildResult.diagnostics);
+    }
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'success', text: `Build completed successfully in ${duration}s!\n` });
-    return { success: true };
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath: session.projectPath, type: 'success', text: `Build completed successfully in ${duration}s!\n` });
+    return { success: true, diagnostics: buildResult.diagnostics };
     
   } catch (error: unknown) {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'error', text: `Build failed: ${getErrorMessage(error)}\n` });
-    return { success: false, error: getErrorMessage(error) };
+    recordStepDuration(session, 'build', startTime);
+    if (session.buildRecording && error instanceof CompileError) {
+      session.buildRecording.record.diagnostics = summarizeDiagnostics(error.diagnostics);
+    }
+    finishBuildRecording(session, isAbortError(error) ? 'aborted' : 'failed', error);
+    releaseVolume(session);
+    return operationFailed('Build', error, session.projectPath);
+  } finally {
+    endOperation(session, operation);
   }
 });
 
 // Clean build directory
-ipcMain.handle('clean-build', async (event) => {
+ipcMain.handle('clean-build', async (event, projectPath) => {
+  const session = getSession(projectPath);
   const startTime = Date.now();
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
   try {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'info', text: 'Removing build directory...\n' });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'info', text: 'Removing build directory...\n' });
     
-    await cleanBuild(buildConfig, log);
+    const config = getBuildConfig(projectPath);
+    await acquireVolume(session, config, operation);
+    await getBuildBackend(config).cleanBuild(config, getProjectLog(projectPath), { signal: operation.signal });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'success', text: `Build directory cleaned in ${duration}s!\n` });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'success', text: `Build directory cleaned in ${duration}s!\n` });
     return { success: true };
     
   } catch (error: unknown) {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'error', text: `Clean failed: ${getErrorMessage(error)}\n` });
-    return { success: false, error: getErrorMessage(error) };
+    return operationFailed('Clean', error, projectPath);
+  } finally {
+    releaseVolume(session);
+    endOperation(session, operation);
   }
 });
 
 // Clean project (delete entire /project directory for fresh start)
-ipcMain.handle('clean-project', async (event) => {
+ipcMain.handle('clean-project', async (event, projectPath) => {
+  const session = getSession(projectPath);
   const startTime = Date.now();
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
   try {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'info', text: 'Removing all contents from /project directory...\n' });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'info', text: 'Removing all project files...\n' });
     
-    await cleanAll(buildConfig, log);
+    const config = getBuildConfig(projectPath);
+    await acquireVolume(session, config, operation);
+    await getBuildBackend(config).cleanAll(config, getProjectLog(projectPath), { signal: operation.signal });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'success', text: `Project directory cleaned in ${duration}s. Next build will start from scratch.\n` });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'success', text: `Project directory cleaned in ${duration}s. Next build will start from scratch.\n` });
     return { success: true };
     
   } catch (error: unknown) {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'error', text: `Clean failed: ${getErrorMessage(error)}\n` });
-    return { success: false, error: getErrorMessage(error) };
+    return operationFailed('Clean', error, projectPath);
+  } finally {
+    releaseVolume(session);
+    endOperation(session, operation);
   }
 });
 
-// Extract build output
-ipcMain.handle('extract-build', async (event) => {
+// Extract build output (the last step of a Build gives the volume to the next project)
+ipcMain.handle('extract-build', async (event, projectPath) => {
+  const session = getSession(projectPath);
+  const projectLog = getProjectLog(projectPath);
   const startTime = Date.now();
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
   try {
-    const outputPath = getOutputPath();
+    const outputPath = getOutputPath(projectPath);
     
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'info', text: `Output path: ${outputPath}\n` });
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'info', text: `Output path: ${outputPath}\n` });
     
-    await extractBuild(outputPath, buildConfig, log);
+    const forceClean = await confirmOutputCleanup(outputPath);
+    if (forceClean === null) {
+      finishBuildRecording(session, 'aborted');
+      if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'warning', text: 'Extract cancelled, the output folder was not changed.\n' });
+      return { success: false, aborted: true };
+    }
+    const config = getBuildConfig(projectPath);
+    await acquireVolume(session, config, operation);
+    const extractResult = await getBuildBackend(config).extract(outputPath, config, projectLog, {
+      ...getStepOptions(session, operation),
+      forceClean,
+      project: session.builtProject ?? undefined,
+    });
+    recordStepDuration(session, 'extract', startTime);
+    if (session.buildRecording) {
+      session.buildRecording.record.artifacts = extractResult.artifacts;
+      session.buildRecording.record.repository = extractResult.repository || session.buildRecording.record.repository;
+    }
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'success', text: `Build files extracted successfully in ${duration}s!\n` });
-    return { success: true, outputPath };
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'success', text: `Build files extracted successfully in ${duration}s!\n` });
+    finishBuildRecording(session, 'success', undefined, outputPath);
+    return { success: true, outputPath, artifacts: extractResult.artifacts, repository: extractResult.repository };
     
   } catch (error: unknown) {
-    if (mainWindow) mainWindow.webContents.send('log-message', { type: 'error', text: `Extract failed: ${getErrorMessage(error)}\n` });
-    return { success: false, error: getErrorMessage(error) };
+    recordStepDuration(session, 'extract', startTime);
+    finishBuildRecording(session, isAbortError(error) ? 'aborted' : 'failed', error);
+    return operationFailed('Extract', error, projectPath);
+  } finally {
+    releaseVolume(session);
+    endOperation(session, operation);
   }
 });
 
-// Start test server
-ipcMain.handle('start-test-server', async (event, outputPath: string) => {
+// Build matrix: build every LVGL version / display size combination into its own folder
+ipcMain.handle('build-matrix', async (event, projectPath, matrix) => {
+  const session = getSession(projectPath);
+  const projectLog = getProjectLog(projectPath);
+  const startTime = Date.now();
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
   try {
-    // Stop existing server if running
-    stopTestServer();
+    const overrides = {
+      lvglVersions: parseLvglVersions(matrix.lvglVersions || ''),
+      displaySizes: parseDisplaySizes(matrix.displaySizes || ''),
+    };
+    const projectInfo = await readProjectInfo(projectPath, projectLog);
+    const entries = expandMatrix(projectInfo, overrides);
+    const outputPath = getMatrixOutputPath(getOutputPath(projectPath));
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'info', text: `Output path: ${outputPath}\n` });
     
-    // Find available port
-    currentPort = await findAvailablePort(3000);
+    const config = getBuildConfig(projectPath);
+    await acquireVolume(session, config, operation);
+    const result = await runBuildMatrix(projectInfo, entries, outputPath, config, projectLog, {
+      signal: operation.signal,
+      onEntryStart: (entry, index, total) => {
+        if (mainWindow) mainWindow.webContents.send('matrix-progress', { projectPath, entry, index, total });
+      },
+      onEntryEnd: (entryResult, index, total) => {
+        if (mainWindow) mainWindow.webContents.send('matrix-progress', { projectPath, entry: entryResult.entry, result: entryResult, index, total });
+      },
+    });
     
-    // Create Express server
-    const app: Express = express();
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    if (mainWindow) mainWindow.webContents.send('log-message', { projectPath, type: 'info', text: `Build matrix finished in ${duration}s.\n` });
+    return {
+      success: true,
+      aborted: result.aborted,
+      outputPath,
+      repository: result.setup.repository,
+      entries: result.entries,
+    };
+    
+  } catch (error: unknown) {
+    return operationFailed('Build matrix', error, projectPath);
+  } finally {
+    releaseVolume(session);
+    endOperation(session, operation);
+  }
+});
+
+// Package the extracted build as a zip or tar.gz (asks where to save it)
+ipcMain.handle('export-build', async (event, projectInfo, outputPath, options = {}) => {
+  if (!mainWindow) return { success: false, canceled: true };
+  
+  const saveResult = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Build',
+    defaultPath: path.join(projectInfo.projectDir, getDefaultExportName(projectInfo, 'zip', outputPath)),
+    filters: [
+      { name: 'Zip Archive', extensions: ['zip'] },
+      { name: 'Gzipped Tar Archive', extensions: ['tar.gz', 'tgz'] }
+    ]
+  });
+  if (saveResult.canceled || !saveResult.filePath) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    const result = await exportBuild(outputPath, saveResult.filePath, projectInfo, getProjectLog(projectInfo.projectPath), { launcher: !!options.launcher });
+    return { success: true, exportPath: result.exportPath, size: result.size, manifest: result.manifest };
+  } catch (error: unknown) {
+    return operationFailed('Export', error, projectInfo.projectPath);
+  }
+});
+
+// List past builds, newest first
+ipcMain.handle('list-build-history', async () => {
+  try {
+    const records = listBuildHistory(BUILD_HISTORY_DIR).map((record) => ({
+      ...record,
+      artifactsPath: record.artifacts.length > 0 ? getBuildArtifactsPath(BUILD_HISTORY_DIR, record.id) : undefined,
+    }));
+    return { success: true, records };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Expected step durations of the project's next build, from its past builds (for the progress ETA)
+ipcMain.handle('get-build-estimate', async (event, projectPath: string) => {
+  try {
+    const backend = settings.projects[projectPath]?.backend || 'docker';
+    return { success: true, estimate: estimateBuildDuration(listBuildHistory(BUILD_HISTORY_DIR), projectPath, backend) };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Full log of a past build
+ipcMain.handle('read-build-log', async (event, id) => {
+  try {
+    return { success: true, log: readBuildLog(BUILD_HISTORY_DIR, id) };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Compare the step durations of two past builds
+ipcMain.handle('diff-build-durations', async (event, beforeId, afterId) => {
+  try {
+    const records = listBuildHistory(BUILD_HISTORY_DIR);
+    const before = records.find((record) => record.id === beforeId);
+    const after = records.find((record) => record.id === afterId);
+    if (!before || !after) {
+      throw new Error('Build not found in the history');
+    }
+    return { success: true, diff: diffBuildDurations(before, after) };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Delete a past build
+ipcMain.handle('delete-build-record', async (event, id) => {
+  try {
+    deleteBuildRecord(BUILD_HISTORY_DIR, id);
+    return { success: true };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Start watching the project for changes (watch mode)
+ipcMain.handle('start-watch', async (event, projectPath) => {
+  try {
+    await startProjectWatcher(getSession(projectPath));
+    return { success: true };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Stop watching the project
+ipcMain.handle('stop-watch', async (event, projectPath) => {
+  const session = sessions.get(projectPath);
+  if (session) {
+    stopProjectWatcher(session);
+  }
+  return { success: true };
+});
+
+// The project's tab was closed: abort what it runs and free its volume, watcher and test server
+ipcMain.handle('close-project', async (event, projectPath) => {
+  const session = sessions.get(projectPath);
+  if (!session) return { success: true };
+  
+  // A running operation releases the volume itself once its backend call has settled
+  if (session.operation) {
+    session.operation.abort();
+  } else {
+    releaseVolume(session);
+  }
+  finishBuildRecording(session, 'aborted');
+  stopProjectWatcher(session);
+  stopTestServer(session);
+  sessions.delete(projectPath);
+  return { success: true };
+});
+
+// List project volumes
+ipcMain.handle('list-volumes', async () => {
+  try {
+    const volumes = await listVolumes(containerRuntime);
+    return { success: true, volumes };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Inspect a project volume
+ipcMain.handle('inspect-volume', async (event, volumeName) => {
+  try {
+    const details = await inspectVolume(volumeName, {
+      repositoryName: REPOSITORY_NAME,
+      dockerVolumeName: volumeName,
+      dockerBuildPath: DOCKER_BUILD_PATH,
+      runtime: containerRuntime,
+    });
+    return { success: true, details };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Remove a project volume
+ipcMain.handle('remove-volume', async (event, volumeName) => {
+  try {
+    await removeVolume(volumeName, log, containerRuntime);
+    return { success: true };
+  } catch (error: unknown) {
+    log(getErrorMessage(error), 'error');
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Start the project's test server (each project on a port of its own);
+// the sources are served for the source map of a debug build
+ipcMain.handle('start-test-server', async (event, projectPath: string, outputPath: string, sourcesDir?: string) => {
+  const session = getSession(projectPath);
+  const projectLog = getProjectLog(projectPath);
+  try {
+    // Stop the project's server if running
+    stopTestServer(session);
     
-    // Disable caching for all responses
-    app.use((req: Request, res: Response, next: NextFunction) => {
-      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
-      res.setHeader('Pragma', 'no-cache');
-      res.setHeader('Expires', '0');
-      next();
+    const options = getTestServerOptions();
+    const debugBuild = await fs.stat(path.join(outputPath, SOURCE_MAP_FILE)).then(() => true, () => false);
+    const server = await startTestServer(outputPath, {
+      ...options,
+      port: 3000,
+      certificatePath: TEST_SERVER_CERTIFICATE_FILE,
+      injectHtml: CONSOLE_CAPTURE_SCRIPT + PREVIEW_SUPPORT_SCRIPT,
+      sourcesDir: debugBuild ? sourcesDir : undefined,
     });
+    session.testServer = server.server;
+    session.testServerPort = server.port;
+    session.testServerCertificate = server.certificate || null;
     
-    // Inject console capture script into HTML
-    app.get('/', async (req: Request, res: Response, next: NextFunction) => {
-      try {
-        const indexPath = path.join(outputPath, 'index.html');
-        let html = await fs.readFile(indexPath, 'utf8');
-        
-        // Inject console capture script before </head>
-        const captureScript = `
-<script>
-(function() {
-  const original = {
-    log: console.log,
-    error: console.error,
-    warn: console.warn,
-    info: console.info
-  };
+    const features = [
+      options.crossOriginIsolation ? 'COOP/COEP' : '',
+      options.compression ? 'compression' : '',
+      options.https ? 'self-signed HTTPS' : '',
+    ].filter(Boolean);
+    projectLog(`Test server started at ${server.url}${features.length > 0 ? ` (${features.join(', ')})` : ''}`, 'success');
+    for (const url of server.lanUrls) {
+      projectLog(`On the local network: ${url}`);
+    }
+    if (options.host === 'lan' && server.lanUrls.length === 0) {
+      projectLog('No network interface found, the test server is only reachable from this computer', 'warning');
+    }
+    if (debugBuild && sourcesDir) {
+      projectLog(`Debug build: ${sourcesDir} is served at ${server.url}${SOURCES_URL_PATH} for the source map (Open DevTools to debug)`);
+    }
+    
+    return { success: true, port: server.port, url: server.url, lanUrls: server.lanUrls };
+    
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Serve a build on a port of its own and run a UI test scenario against it in a hidden window
+async function runUiTestOnBuild(
+  outputPath: string,
+  scenarioPath: string,
+  screenshotsPath: string,
+  displaySize: DisplaySize,
+  logFunction: LogFunction,
+  options: OperationOptions
+): Promise<UiTestResult> {
+  const scenario = readScenario(scenarioPath);
+  const server = await startTestServer(outputPath, {
+    ...DEFAULT_TEST_SERVER_OPTIONS,
+    compression: false,
+    port: UI_TEST_PORT,
+    certificatePath: TEST_SERVER_CERTIFICATE_FILE,
+    injectHtml: CONSOLE_CAPTURE_SCRIPT + PREVIEW_SUPPORT_SCRIPT,
+  });
   
-  function sendToParent(type, args) {
-    window.parent.postMessage({
-      type: 'console',
-      level: type,
-      message: Array.from(args).map(arg => {
-        if (typeof arg === 'object') {
-          try { return JSON.stringify(arg); }
-          catch { return String(arg); }
-        }
-        return String(arg);
-      }).join(' ')
-    }, '*');
+  try {
+    const window = await openUiTestWindow(server.url, displaySize, scenario.timeout);
+    try {
+      return await runUiTest(scenario, scenarioPath, window, screenshotsPath, logFunction, options);
+    } finally {
+      window.close();
+    }
+  } finally {
+    server.server.close();
   }
+}
+
+// Run the UI test the CLI asked for, report through stdout and exit (1 if it failed)
+async function runHeadlessUiTestMode(args: HeadlessUiTestArgs): Promise<void> {
+  app.dock?.hide();
+  const headlessLog: LogFunction = (message, type = 'info') => writeHeadlessLine({ log: { message, type } });
   
-  console.log = function(...args) {
-    original.log.apply(console, args);
-    sendToParent('log', args);
-  };
+  try {
+    const result = await runUiTestOnBuild(args.outputPath, args.scenarioPath, args.screenshotsPath, args.displaySize, headlessLog, {});
+    writeHeadlessLine({ result });
+    app.exit(result.passed ? 0 : 1);
+  } catch (error: unknown) {
+    writeHeadlessLine({ error: getErrorMessage(error) });
+    app.exit(1);
+  }
+}
+
+// Run the project's UI test scenario (<project>.ui-test.json) against a build;
+// with screenshotMode its screenshots are compared with the baselines or replace them
+ipcMain.handle('run-ui-test', async (
+  event,
+  projectPath: string,
+  outputPath: string,
+  displaySize: DisplaySize,
+  screenshotMode?: ScreenshotMode
+) => {
+  const session = getSession(projectPath);
+  const projectLog = getProjectLog(projectPath);
+  const operation = beginOperation(session);
+  if (!operation) return operationBusy(session.projectPath);
+  try {
+    const screenshotsPath = getDefaultScreenshotsPath(projectPath);
+    let result = await runUiTestOnBuild(
+      outputPath,
+      getDefaultScenarioPath(projectPath),
+      screenshotsPath,
+      displaySize,
+      projectLog,
+      { signal: operation.signal }
+    );
+    if (screenshotMode) {
+      result = checkScreenshots(result, screenshotMode, screenshotsPath, projectLog);
+    }
+    return { success: true, result };
+  } catch (error: unknown) {
+    return operationFailed('UI test', error, projectPath);
+  } finally {
+    endOperation(session, operation);
+  }
+});
+
+// Open the HTML report of a screenshot comparison in the default browser
+ipcMain.handle('open-screenshot-report', async (event, reportPath: string) => {
+  const error = await shell.openPath(reportPath);
+  return error ? { success: false, error } : { success: true };
+});
+
+// Save the preview console messages (already formatted by the renderer) as a text file
+ipcMain.handle('export-console-log', async (event, text: string) => {
+  if (!mainWindow) return { canceled: true };
   
-  console.error = function(...args) {
-    original.error.apply(console, args);
-    sendToParent('error', args);
-  };
+  const saveResult = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Console',
+    defaultPath: path.join(app.getPath('documents'), `console-${new Date().toISOString().replace(/[:.]/g, '-')}.log`),
+    filters: [
+      { name: 'Log Files', extensions: ['log', 'txt'] },
+    ],
+  });
+  if (saveResult.canceled || !saveResult.filePath) {
+    return { canceled: true };
+  }
   
-  console.warn = function(...args) {
-    original.warn.apply(console, args);
-    sendToParent('warn', args);
-  };
+  try {
+    await fs.writeFile(saveResult.filePath, text);
+    return { success: true, filePath: saveResult.filePath };
+  } catch (error: unknown) {
+    return { success: false, error: getErrorMessage(error) };
+  }
+});
+
+// Save a screenshot of the preview canvas (a PNG data URL) as a file
+ipcMain.handle('save-screenshot', async (event, dataUrl: string, fileName: string) => {
+  if (!mainWindow) return { canceled: true };
   
-  console.info = function(...args) {
-    original.info.apply(console, args);
-    sendToParent('info', args);
-  };
+  const prefix = 'data:image/png;base64,';
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith(prefix)) {
+    return { success: false, error: 'Not a PNG image' };
+  }
   
-  window.addEventListener('error', function(e) {
-    sendToParent('error', [e.message + ' at ' + e.filename + ':' + e.lineno]);
+  const saveResult = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save Screenshot',
+    defaultPath: path.join(app.getPath('pictures'), path.basename(fileName || 'screenshot.png')),
+    filters: [
+      { name: 'PNG Images', extensions: ['png'] },
+    ],
   });
-})();
-</script>
-`;
-        
-        html = html.replace('</head>', captureScript + '</head>');
-        res.send(html);
-      } catch (error) {
-        next();
-      }
-    });
-    
-    app.use(express.static(outputPath));
-    
-    testServer = app.listen(currentPort, () => {
-      const url = `http://localhost:${currentPort}`;
-      if (mainWindow) mainWindow.webContents.send('log-message', { 
-        type: 'success', 
-        text: `Test server started at ${url}\n` 
-      });
-    });
-    
-    return { success: true, port: currentPort, url: `http://localhost:${currentPort}` };
-    
+  if (saveResult.canceled || !saveResult.filePath) {
+    return { canceled: true };
+  }
+  
+  try {
+    await fs.writeFile(saveResult.filePath, Buffer.from(dataUrl.slice(prefix.length), 'base64'));
+    return { success: true, filePath: saveResult.filePath };
   } catch (error: unknown) {
     return { success: false, error: getErrorMessage(error) };
   }
 });
 
-// Stop test server
-ipcMain.handle('stop-test-server', async () => {
-  stopTestServer();
+// Stop the project's test server
+ipcMain.handle('stop-test-server', async (event, projectPath) => {
+  const session = sessions.get(projectPath);
+  if (session) {
+    stopTestServer(session);
+  }
   return { success: true };
 });
 
@@ -609,7 +1416,8 @@ ipcMain.handle('open-in-eez-studio', async (event, projectPath) => {
   }
 });
 
-ipcMain.handle('open-in-vscode', async (event, folderPath) => {
+// Open a folder in VS Code, optionally jumping to a file location ({ file, line, column })
+ipcMain.handle('open-in-vscode', async (event, folderPath, location) => {
   try {
     const { exec } = require('child_process');
     const util = require('util');
@@ -623,13 +1431,31 @@ ipcMain.handle('open-in-vscode', async (event, folderPath) => {
     }
     
     // Open the folder in VS Code
-    await execAsync(`code "${folderPath}"`);
+    if (location && location.file) {
+      let target = location.file;
+      if (location.line) {
+        target += `:${location.line}`;
+        if (location.column) {
+          target += `:${location.column}`;
+        }
+      }
+      await execAsync(`code "${folderPath}" --goto "${target}"`);
+    } else {
+      await execAsync(`code "${folderPath}"`);
+    }
     return { success: true };
   } catch (error: unknown) {
     return { success: false, error: getErrorMessage(error) };
   }
 });
 
+// DevTools of the app window, detached; the preview's frame and the sources of a debug build are in its Sources panel
+ipcMain.handle('open-preview-devtools', async () => {
+  if (!mainWindow) return { success: false, error: 'No window' };
+  mainWindow.webContents.openDevTools({ mode: 'detach', activate: true });
+  return { success: true };
+});
+
 // Check if folder exists
 ipcMain.handle('check-folder-exists', async (event, folderPath) => {
   try {
@@ -650,266 +1476,73 @@ ipcMain.handle('check-file-exists', async (event, filePath) => {
   }
 });
 
-// Abort current operation
-ipcMain.handle('abort-operation', async () => {
-  if (currentDockerProcess) {
-    try {
-      // Kill the Docker process and its children
-      currentDockerProcess.kill('SIGTERM');
-      // Give it a moment, then force kill if needed
-      setTimeout(() => {
-        if (currentDockerProcess && !currentDockerProcess.killed) {
-          currentDockerProcess.kill('SIGKILL');
-        }
-      }, 1000);
-      currentDockerProcess = null;
-      return { success: true };
-    } catch (error: unknown) {
-      return { success: false, error: getErrorMessage(error) };
-    }
+// Abort the project's running operation
+ipcMain.handle('abort-operation', async (event, projectPath) => {
+  const session = getSession(projectPath);
+  
+  // The renderer doesn't run the remaining steps of an aborted Build
+  finishBuildRecording(session, 'aborted');
+  
+  // The signal kills spawned processes and removes their containers,
+  // the aborted handler releases the volume once its backend call has settled
+  if (session.operation) {
+    session.operation.abort();
+    return { success: true };
   }
+  
+  // Between the steps of a Build the volume is held but nothing uses it
+  releaseVolume(session);
   return { success: false, error: 'No operation running' };
 });
 
-// Helper functions
-
-interface DockerCommandResult {
-  success: boolean;
-  code?: number;
-  output?: string;
-  error?: string;
-}
-
-async function runDockerCommand(
-  command: string,
-  args: string[],
-  env: Record<string, string>,
-  cwd: string
-): Promise<DockerCommandResult> {
-  return new Promise((resolve) => {
-    // Log the command for debugging
-    if (mainWindow) {
-      const cmdLine = `${command} ${args.join(' ')}`;
-      console.log('Running docker command:', cmdLine);
-      if (mainWindow) mainWindow.webContents.send('log-message', { 
-        type: 'debug', 
-        text: `DEBUG: ${cmdLine}\n` 
-      });
-    }
-    
-    const dockerProcess = spawn(command, args, {
-      cwd,
-      env: { ...process.env, ...env },
-      shell: true
-    });
-
-    // Track the current process so it can be aborted
-    currentDockerProcess = dockerProcess;
-
-    let output = '';
-
-    dockerProcess.stdout.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', { type: 'stdout', text });
-      }
-    });
-
-    dockerProcess.stderr.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', { type: 'stderr', text });
-      }
-    });
-
-    dockerProcess.on('close', (code) => {
-      currentDockerProcess = null;
-      resolve({
-        success: code === 0,
-        code: code ?? undefined,
-        output
-      });
-    });
-
-    dockerProcess.on('error', (error) => {
-      currentDockerProcess = null;
-      resolve({
-        success: false,
-        error: getErrorMessage(error),
-        output
-      });
-    });
-  });
-}
-
-// Run docker command as a single string (for commands with complex quoting)
-async function runDockerCommandString(
-  commandString: string,
-  env: Record<string, string>,
-  cwd: string
-): Promise<DockerCommandResult> {
-  return new Promise((resolve) => {
-    if (mainWindow) {
-      console.log('Running docker command string:', commandString);
-      if (mainWindow) mainWindow.webContents.send('log-message', { 
-        type: 'debug', 
-        text: `DEBUG: ${commandString}\n` 
-      });
-    }
-    
-    const dockerProcess = spawn(commandString, [], {
-      cwd,
-      env: { ...process.env, ...env },
-      shell: true
-    });
-
-    // Track the current process so it can be aborted
-    currentDockerProcess = dockerProcess;
-
-    let output = '';
-
-    dockerProcess.stdout.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', { type: 'stdout', text });
-      }
-    });
-
-    dockerProcess.stderr.on('data', (data) => {
-      const text = data.toString();
-      output += text;
-      
-      if (mainWindow && !shouldFilterDockerMessage(text)) {
-        if (mainWindow) mainWindow.webContents.send('docker-output', { type: 'stderr', text });
+// Watch the project's sources, project file and fonts; changes are sent to the
+// renderer, which runs the rebuild
+async function startProjectWatcher(session: ProjectSession): Promise<void> {
+  stopProjectWatcher(session);
+  const generation = session.watchGeneration;
+  const { projectPath } = session;
+  const projectLog = getProjectLog(projectPath);
+  
+  const projectInfo = await readProjectFile(projectPath, () => {});
+  
+  // Another start or a stop happened while the project file was read
+  if (generation !== session.watchGeneration) return;
+  
+  session.watcher = watchProject(projectInfo, {
+    onChange: (files) => {
+      // Destination folder or fonts may have changed in the project file
+      if (files.some(file => path.resolve(file) === path.resolve(projectPath))) {
+        startProjectWatcher(session).catch((error) => {
+          projectLog(`Failed to restart file watcher: ${getErrorMessage(error)}`, 'warning');
+        });
       }
-    });
-
-    dockerProcess.on('close', (code) => {
-      resolve({
-        success: code === 0,
-        code: code ?? undefined,
-        output
-      });
-    });
-
-    dockerProcess.on('error', (error) => {
-      resolve({
-        success: false,
-        error: getErrorMessage(error),
-        output
-      });
-    });
+      if (mainWindow) mainWindow.webContents.send('project-changed', { projectPath, files });
+    },
+    onError: (error) => projectLog(`File watcher error: ${error.message}`, 'warning'),
   });
 }
 
-async function createTempContainer(env: Record<string, string>, dockerPath: string): Promise<string> {
-  const result = await runDockerCommand('docker-compose', [
-    'run', '-d', '--remove-orphans', 'emscripten-build',
-    'sleep', '60'
-  ], env, dockerPath);
-  
-  // Extract container ID from output
-  const containerId = (result as any).output.trim().split('\n').pop();
-  return containerId;
-}
-
-function findAvailablePort(startPort: number): Promise<number> {
-  return new Promise((resolve) => {
-    const testServer = require('net').createServer();
-    
-    testServer.listen(startPort, () => {
-      const port = testServer.address().port;
-      testServer.close(() => resolve(port));
-    });
-    
-    testServer.on('error', () => {
-      resolve(findAvailablePort(startPort + 1));
-    });
-  });
+function stopProjectWatcher(session: ProjectSession): void {
+  session.watchGeneration++;
+  if (session.watcher) {
+    session.watcher.close();
+    session.watcher = null;
+  }
 }
 
-function stopTestServer(): void {
-  if (testServer) {
-    testServer.close();
-    testServer = null;
-    currentPort = null;
+function stopTestServer(session: ProjectSession): void {
+  if (session.testServer) {
+    session.testServer.close();
+    session.testServer = null;
+    session.testServerPort = null;
+    session.testServerCertificate = null;
   }
 }
 
-async function checkBuildStatus(projectName: string): Promise<{ setupComplete: boolean; buildComplete: boolean }> {
+async function checkBuildStatus(config: BuildConfig): Promise<BuildStatus> {
   try {
-    const dockerPath = path.join(__dirname, '../../docker-build');
-    const env = { PROJECT_VOLUME: projectName };
-    
-    // Check if CMakeLists.txt exists (indicates setup was done)
-    const setupResult = await runDockerCommandSilent('docker-compose', [
-      'run', '--rm', '--remove-orphans', 'emscripten-build',
-      'test', '-f', '/project/CMakeLists.txt'
-    ], env, dockerPath);
-    
-    const setupComplete = (setupResult as any).success;
-    
-    // Check if build output exists (index.wasm)
-    const buildResult = await runDockerCommandSilent('docker-compose', [
-      'run', '--rm', '--remove-orphans', 'emscripten-build',
-      'test', '-f', '/project/build/index.wasm'
-    ], env, dockerPath);
-    
-    const buildComplete = (buildResult as any).success;
-    
-    return { setupComplete, buildComplete };
+    return await getBuildBackend(config).getStatus(config);
   } catch (error) {
     return { setupComplete: false, buildComplete: false };
   }
 }
-
-async function runDockerCommandSilent(
-  command: string,
-  args: string[],
-  env: Record<string, string>,
-  cwd: string
-): Promise<DockerCommandResult> {
-  return new Promise((resolve) => {
-    const dockerProcess = spawn(command, args, {
-      cwd,
-      env: { ...process.env, ...env },
-      shell: true
-    });
-
-    let output = '';
-
-    dockerProcess.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
-    dockerProcess.stderr.on('data', (data) => {
-      output += data.toString();
-    });
-
-    dockerProcess.on('close', (code) => {
-      resolve({
-        success: code === 0,
-        code: code ?? undefined,
-        output
-      });
-    });
-
-    dockerProcess.on('error', (error) => {
-      resolve({
-        success: false,
-        error: getErrorMessage(error),
-        output
-      });
-    });
-  });
-}
-
-
-
-
@@ -2,23 +2,48 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   selectProjectFile: () => ipcRenderer.invoke('select-project-file'),
+  selectOutputFolder: (projectPath) => ipcRenderer.invoke('select-output-folder', projectPath),
   getRecentProjects: () => ipcRenderer.invoke('get-recent-projects'),
   addToRecentProjects: (projectPath) => ipcRenderer.invoke('add-to-recent-projects', projectPath),
   removeFromRecentProjects: (projectPath) => ipcRenderer.invoke('remove-from-recent-projects', projectPath),
+  getProjectSettings: (projectPath) => ipcRenderer.invoke('get-project-settings', projectPath),
+  updateProjectSettings: (projectPath, changes) => ipcRenderer.invoke('update-project-settings', projectPath, changes),
+  getAppSettings: () => ipcRenderer.invoke('get-app-settings'),
+  updateAppSettings: (changes) => ipcRenderer.invoke('update-app-settings', changes),
   checkDocker: () => ipcRenderer.invoke('check-docker'),
+  checkBackend: (projectPath) => ipcRenderer.invoke('check-backend', projectPath),
   readProjectFile: (path) => ipcRenderer.invoke('read-project-file', path),
+  checkProject: (projectPath, lvglVersions) => ipcRenderer.invoke('check-project', projectPath, lvglVersions),
   setupProject: (projectInfo) => ipcRenderer.invoke('setup-project', projectInfo),
   buildProject: (projectInfo) => ipcRenderer.invoke('build-project', projectInfo),
-  cleanBuild: () => ipcRenderer.invoke('clean-build'),
-  cleanProject: () => ipcRenderer.invoke('clean-project'),
-  extractBuild: () => ipcRenderer.invoke('extract-build'),
-  startTestServer: (outputPath) => ipcRenderer.invoke('start-test-server', outputPath),
-  stopTestServer: () => ipcRenderer.invoke('stop-test-server'),
+  cleanBuild: (projectPath) => ipcRenderer.invoke('clean-build', projectPath),
+  cleanProject: (projectPath) => ipcRenderer.invoke('clean-project', projectPath),
+  extractBuild: (projectPath) => ipcRenderer.invoke('extract-build', projectPath),
+  buildMatrix: (projectPath, matrix) => ipcRenderer.invoke('build-matrix', projectPath, matrix),
+  exportBuild: (projectInfo, outputPath, options) => ipcRenderer.invoke('export-build', projectInfo, outputPath, options),
+  runUiTest: (projectPath, outputPath, displaySize, screenshotMode) => ipcRenderer.invoke('run-ui-test', projectPath, outputPath, displaySize, screenshotMode),
+  openScreenshotReport: (reportPath) => ipcRenderer.invoke('open-screenshot-report', reportPath),
+  listBuildHistory: () => ipcRenderer.invoke('list-build-history'),
+  getBuildEstimate: (projectPath) => ipcRenderer.invoke('get-build-estimate', projectPath),
+  readBuildLog: (id) => ipcRenderer.invoke('read-build-log', id),
+  diffBuildDurations: (beforeId, afterId) => ipcRenderer.invoke('diff-build-durations', beforeId, afterId),
+  deleteBuildRecord: (id) => ipcRenderer.invoke('delete-build-record', id),
+  listVolumes: () => ipcRenderer.invoke('list-volumes'),
+  inspectVolume: (volumeName) => ipcRenderer.invoke('inspect-volume', volumeName),
+  removeVolume: (volumeName) => ipcRenderer.invoke('remove-volume', volumeName),
+  startTestServer: (projectPath, outputPath, sourcesDir) => ipcRenderer.invoke('start-test-server', projectPath, outputPath, sourcesDir),
+  openPreviewDevTools: () => ipcRenderer.invoke('open-preview-devtools'),
+  exportConsoleLog: (text) => ipcRenderer.invoke('export-console-log', text),
+  saveScreenshot: (dataUrl, fileName) => ipcRenderer.invoke('save-screenshot', dataUrl, fileName),
+  stopTestServer: (projectPath) => ipcRenderer.invoke('stop-test-server', projectPath),
   openInEEZStudio: (projectPath) => ipcRenderer.invoke('open-in-eez-studio', projectPath),
-  openInVSCode: (folderPath) => ipcRenderer.invoke('open-in-vscode', folderPath),
+  openInVSCode: (folderPath, location) => ipcRenderer.invoke('open-in-vscode', folderPath, location),
   checkFolderExists: (folderPath) => ipcRenderer.invoke('check-folder-exists', folderPath),
   checkFileExists: (filePath) => ipcRenderer.invoke('check-file-exists', filePath),
-  abortOperation: () => ipcRenderer.invoke('abort-operation'),
+  abortOperation: (projectPath) => ipcRenderer.invoke('abort-operation', projectPath),
+  startWatch: (projectPath) => ipcRenderer.invoke('start-watch', projectPath),
+  stopWatch: (projectPath) => ipcRenderer.invoke('stop-watch', projectPath),
+  closeProject: (projectPath) => ipcRenderer.invoke('close-project', projectPath),
   
   // Event listeners
   onDockerOutput: (callback) => {
@@ -26,5 +51,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   onLogMessage: (callback) => {
     ipcRenderer.on('log-message', (event, data) => callback(data));
+  },
+  onProjectChanged: (callback) => {
+    ipcRenderer.on('project-changed', (event, data) => callback(data));
+  },
+  onMatrixProgress: (callback) => {
+    ipcRenderer.on('matrix-progress', (event, data) => callback(data));
+  },
+  onBuildProgress: (callback) => {
+    ipcRenderer.on('build-progress', (event, data) => callback(data));
+  },
+  onBuildHistoryChanged: (callback) => {
+    ipcRenderer.on('build-history-changed', () => callback());
   }
 });
@@ -0,0 +1,68 @@
+// Script injected into the served index.html, after the console capture. It
+// keeps the drawing buffer of WebGL canvases, so the LVGL canvas can be read
+// back at any time, and answers screenshot requests with a PNG of the canvas
+// at its native resolution. When the page is shown in the preview frame, the
+// page margins are removed and the canvas is pinned to the top left corner,
+// so the frame (sized to the display) shows exactly the display (the UI test
+// window applies the same PREVIEW_LAYOUT_CSS).
+//
+// A message { type: 'screenshot-request', id } from the parent window is
+// answered with { type: 'screenshot', id, dataUrl, width, height }, or
+// { type: 'screenshot', id, error } if there is no canvas to capture.
+export const PREVIEW_LAYOUT_CSS =
+  'html, body { margin: 0 !important; padding: 0 !important; overflow: hidden !important; background: #000; }' +
+  'canvas { position: fixed !important; left: 0 !important; top: 0 !important;' +
+  ' width: auto !important; height: auto !important; image-rendering: pixelated; }';
+
+export const PREVIEW_SUPPORT_SCRIPT = `
+<script>
+(function() {
+  const getContext = HTMLCanvasElement.prototype.getContext;
+  HTMLCanvasElement.prototype.getContext = function(type, attributes) {
+    if (type === 'webgl' || type === 'webgl2' || type === 'experimental-webgl') {
+      attributes = Object.assign({}, attributes, { preserveDrawingBuffer: true });
+    }
+    return getContext.call(this, type, attributes);
+  };
+
+  function findCanvas() {
+    const module = window.Module;
+    if (module && module.canvas instanceof HTMLCanvasElement) {
+      return module.canvas;
+    }
+    return document.querySelector('canvas');
+  }
+
+  function screenshot() {
+    const canvas = findCanvas();
+    if (!canvas) {
+      throw new Error('The page has no canvas');
+    }
+    if (canvas.width === 0 || canvas.height === 0) {
+      throw new Error('The canvas is empty, the simulator has not started yet');
+    }
+    return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+  }
+
+  // Also used by windows that load the page directly
+  Object.defineProperty(window, '__eezPreview', { value: { screenshot: screenshot } });
+
+  window.addEventListener('message', function(e) {
+    if (e.source !== window.parent || !e.data || e.data.type !== 'screenshot-request') return;
+    let reply;
+    try {
+      reply = Object.assign({ type: 'screenshot', id: e.data.id }, screenshot());
+    } catch (err) {
+      reply = { type: 'screenshot', id: e.data.id, error: err.message };
+    }
+    window.parent.postMessage(reply, '*');
+  });
+
+  if (window.parent !== window) {
+    const style = document.createElement('style');
+    style.textContent = ${JSON.stringify(PREVIEW_LAYOUT_CSS)};
+    document.head.appendChild(style);
+  }
+})();
+</script>
+`;
@@ -0,0 +1,112 @@
+// Hidden window that loads the simulator for a UI test and implements the
+// scenario runner's UiTestDriver: mouse and keyboard input go through
+// webContents.sendInputEvent at display coordinates, console output is taken
+// from the window's console-message events and screenshots are read from the
+// canvas by the injected preview support script.
+import { BrowserWindow } from 'electron';
+import { DisplaySize } from '../../scripts/build-matrix';
+import { UiTestConsoleMessage, UiTestDriver } from '../../scripts/ui-test';
+import { PREVIEW_LAYOUT_CSS } from './preview-support';
+
+export interface UiTestWindow extends UiTestDriver {
+  close(): void;
+}
+
+// console-message levels (verbose, info, warning, error)
+const CONSOLE_LEVELS: UiTestConsoleMessage['level'][] = ['debug', 'info', 'warn', 'error'];
+
+// LVGL polls the pointer on its timer, so a press and release within one tick could be missed
+const CLICK_HOLD_MS = 100;
+
+// Pause between typed characters, for the same reason
+const KEY_INTERVAL_MS = 20;
+
+function delay(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Open url in a hidden window the size of the display; resolves once the page has loaded
+ */
+export async function openUiTestWindow(url: string, displaySize: DisplaySize, timeoutMs: number): Promise<UiTestWindow> {
+  const window = new BrowserWindow({
+    show: false,
+    useContentSize: true,
+    width: displaySize.width,
+    height: displaySize.height,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      // Renders without being shown, and keeps timers and animation frames at full rate
+      offscreen: true,
+      backgroundThrottling: false,
+    },
+  });
+  const contents = window.webContents;
+  const messages: UiTestConsoleMessage[] = [];
+
+  contents.on('console-message', (event, level, message) => {
+    messages.push({ level: CONSOLE_LEVELS[level] || 'log', message, timestamp: Date.now() });
+  });
+  contents.on('render-process-gone', (event, details) => {
+    messages.push({ level: 'error', message: `The simulator page crashed (${details.reason})`, timestamp: Date.now() });
+  });
+  // Canvas at the top left corner at its native size, so input coordinates are display coordinates
+  contents.on('dom-ready', () => {
+    contents.insertCSS(PREVIEW_LAYOUT_CSS);
+  });
+
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    await Promise.race([
+      window.loadURL(url),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`The simulator page did not load within ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+  } catch (error) {
+    window.destroy();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return {
+    console: messages,
+
+    async click(x: number, y: number) {
+      contents.sendInputEvent({ type: 'mouseMove', x, y });
+      contents.sendInputEvent({ type: 'mouseDown', x, y, button: 'left', clickCount: 1 });
+      await delay(CLICK_HOLD_MS);
+      contents.sendInputEvent({ type: 'mouseUp', x, y, button: 'left', clickCount: 1 });
+    },
+
+    async type(text: string) {
+      for (const char of text) {
+        contents.sendInputEvent({ type: 'keyDown', keyCode: char });
+        contents.sendInputEvent({ type: 'char', keyCode: char });
+        contents.sendInputEvent({ type: 'keyUp', keyCode: char });
+        await delay(KEY_INTERVAL_MS);
+      }
+    },
+
+    async pressKey(key: string) {
+      contents.sendInputEvent({ type: 'keyDown', keyCode: key });
+      contents.sendInputEvent({ type: 'keyUp', keyCode: key });
+      await delay(KEY_INTERVAL_MS);
+    },
+
+    async screenshot() {
+      const result = await contents.executeJavaScript(
+        'window.__eezPreview ? window.__eezPreview.screenshot() : Promise.reject(new Error("Preview support script not loaded"))'
+      );
+      return Buffer.from(result.dataUrl.slice(result.dataUrl.indexOf(',') + 1), 'base64');
+    },
+
+    close() {
+      if (!window.isDestroyed()) {
+        window.destroy();
+      }
+    },
+  };
+}
@@ -1,48 +1,146 @@
-// Application State
-let state = {
-  projectPath: null,
-  projectInfo: null,
-  setupComplete: false,
-  buildComplete: false,
-  testRunning: false,
-  operationRunning: false,
-  abortRequested: false,
-  outputPath: null,
-  testUrl: null,
+// App-wide preferences of the log, console and preview (saved in localStorage)
+const preferences = {
   showTimestamps: true,
   autoScroll: true,
   wordWrap: true,
-  recentProjects: []
+  watchEnabled: false,
+  exportLauncher: false,
+  compareScreenshots: false,
+  showErrors: true,
+  showWarnings: true,
+  consoleFilters: { error: true, warn: true, info: true, log: true },
+  consoleTimestamps: true,
+  previewZoom: 'fit',
+  previewRotation: 0,
+  previewBezel: false
 };
 
+// Open projects (one tab each) and what their tabs share
+const workspace = {
+  projects: [],
+  recentProjects: [],
+  historyRecords: [],
+  historySelection: []
+};
+
+// Levels of preview console messages
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Oldest preview console messages are dropped beyond this
+const MAX_CONSOLE_MESSAGES = 5000;
+
+// Largest zoom the Fit setting picks for small displays
+const MAX_FIT_ZOOM = 4;
+
+// Time the simulator page gets to answer a screenshot request
+const SCREENSHOT_TIMEOUT_MS = 5000;
+
+// Icons of the project check's severities
+const CHECK_ICONS = { ok: '✓', info: 'i', warning: '⚠', error: '✗' };
+
+// Steps of a Build, and their share of the progress bar until the project has a build to estimate from
+const BUILD_STEPS = ['setup', 'build', 'extract'];
+const BUILD_STEP_LABELS = { setup: 'Setup', build: 'Build', extract: 'Extract' };
+const DEFAULT_STEP_WEIGHTS = { setup: 20, build: 75, extract: 5 };
+
+// Share of the Build step that compiling takes (linking and emcc's post-link passes take the rest)
+const COMPILE_SHARE = 0.9;
+
+// A step that takes longer than its estimate stays just short of done
+const MAX_TIME_FRACTION = 0.95;
+
+// Inputs of the Build Options (saved together, disabled while an operation runs)
+const BUILD_OPTION_INPUTS = ['chkDebugBuild', 'buildOptimization', 'buildColorDepth', 'buildAssertions', 'buildMemorySize', 'chkDebugSymbols', 'buildDefines', 'buildLvConf'];
+
 // DOM Elements
 const elements = {
+  projectTabs: document.getElementById('projectTabs'),
+  btnOpenProjectTab: document.getElementById('btnOpenProjectTab'),
   projectPath: document.getElementById('projectPath'),
   btnSelectProject: document.getElementById('btnSelectProject'),
   btnPaste: document.getElementById('btnPaste'),
   btnRecentProjects: document.getElementById('btnRecentProjects'),
   recentProjectsMenu: document.getElementById('recentProjectsMenu'),
   projectInfo: document.getElementById('projectInfo'),
+  infoProjectPath: document.getElementById('infoProjectPath'),
   infoLvglVersion: document.getElementById('infoLvglVersion'),
   infoFlowSupport: document.getElementById('infoFlowSupport'),
+  backendSelect: document.getElementById('backendSelect'),
+  dockerBackendSettings: document.getElementById('dockerBackendSettings'),
+  localBackendSettings: document.getElementById('localBackendSettings'),
+  volumeName: document.getElementById('volumeName'),
+  repositoryUrl: document.getElementById('repositoryUrl'),
+  repositoryRef: document.getElementById('repositoryRef'),
+  outputPath: document.getElementById('outputPath'),
+  btnSelectOutputPath: document.getElementById('btnSelectOutputPath'),
+  infoSimulatorCommit: document.getElementById('infoSimulatorCommit'),
+  emsdkDir: document.getElementById('emsdkDir'),
+  runtimeSelect: document.getElementById('runtimeSelect'),
+  infoRuntime: document.getElementById('infoRuntime'),
+  infoWorkDir: document.getElementById('infoWorkDir'),
   btnReloadProject: document.getElementById('btnReloadProject'),
   btnOpenInEEZStudio: document.getElementById('btnOpenInEEZStudio'),
   btnOpenInVSCode: document.getElementById('btnOpenInVSCode'),
   
   buildStatus: document.getElementById('buildStatus'),
   testStatus: document.getElementById('testStatus'),
+  exportStatus: document.getElementById('exportStatus'),
   
   btnBuild: document.getElementById('btnBuild'),
   btnCleanBuild: document.getElementById('btnCleanBuild'),
   btnCleanAll: document.getElementById('btnCleanAll'),
+  btnCheckProject: document.getElementById('btnCheckProject'),
   btnTest: document.getElementById('btnTest'),
   btnStopTest: document.getElementById('btnStopTest'),
+  testServerUrls: document.getElementById('testServerUrls'),
+  chkCrossOriginIsolation: document.getElementById('chkCrossOriginIsolation'),
+  chkCompression: document.getElementById('chkCompression'),
+  chkHttps: document.getElementById('chkHttps'),
+  testServerHost: document.getElementById('testServerHost'),
   btnAbort: document.getElementById('btnAbort'),
+  buildProgress: document.getElementById('buildProgress'),
+  buildProgressBar: document.getElementById('buildProgressBar'),
+  buildProgressText: document.getElementById('buildProgressText'),
+  buildProgressEta: document.getElementById('buildProgressEta'),
+  projectChecklist: document.getElementById('projectChecklist'),
+  projectChecklistSummary: document.getElementById('projectChecklistSummary'),
+  projectChecklistItems: document.getElementById('projectChecklistItems'),
+  btnExport: document.getElementById('btnExport'),
+  btnRunUiTest: document.getElementById('btnRunUiTest'),
+  btnUpdateBaselines: document.getElementById('btnUpdateBaselines'),
+  btnOpenScreenshotReport: document.getElementById('btnOpenScreenshotReport'),
+  chkCompareScreenshots: document.getElementById('chkCompareScreenshots'),
+  chkExportLauncher: document.getElementById('chkExportLauncher'),
+  chkWatch: document.getElementById('chkWatch'),
+  chkDebugBuild: document.getElementById('chkDebugBuild'),
+  chkOffline: document.getElementById('chkOffline'),
+  offlineSettings: document.getElementById('offlineSettings'),
+  offlineSeed: document.getElementById('offlineSeed'),
+  offlineBadge: document.getElementById('offlineBadge'),
+  matrixLvglVersions: document.getElementById('matrixLvglVersions'),
+  matrixDisplaySizes: document.getElementById('matrixDisplaySizes'),
+  btnBuildMatrix: document.getElementById('btnBuildMatrix'),
+  buildOptionsHint: document.getElementById('buildOptionsHint'),
+  buildOptimization: document.getElementById('buildOptimization'),
+  buildColorDepth: document.getElementById('buildColorDepth'),
+  buildAssertions: document.getElementById('buildAssertions'),
+  buildMemorySize: document.getElementById('buildMemorySize'),
+  chkDebugSymbols: document.getElementById('chkDebugSymbols'),
+  buildDefines: document.getElementById('buildDefines'),
+  buildLvConf: document.getElementById('buildLvConf'),
   
   tabLogs: document.getElementById('tabLogs'),
+  tabProblems: document.getElementById('tabProblems'),
   tabPreview: document.getElementById('tabPreview'),
+  tabMatrix: document.getElementById('tabMatrix'),
+  tabHistory: document.getElementById('tabHistory'),
+  tabVolumes: document.getElementById('tabVolumes'),
   tabContentLogs: document.getElementById('tabContentLogs'),
+  tabContentProblems: document.getElementById('tabContentProblems'),
   tabContentPreview: document.getElementById('tabContentPreview'),
+  tabContentMatrix: document.getElementById('tabContentMatrix'),
+  tabContentHistory: document.getElementById('tabContentHistory'),
+  tabContentVolumes: document.getElementById('tabContentVolumes'),
   
   logOutput: document.getElementById('logOutput'),
   logContainer: document.getElementById('logContainer'),
@@ -55,35 +153,177 @@ const elements = {
   btnToggleWrap: document.getElementById('btnToggleWrap'),
   
   testView: document.getElementById('testView'),
-  testFrame: document.getElementById('testFrame'),
-  testConsoleOutput: document.getElementById('testConsoleOutput')
+  previewZoom: document.getElementById('previewZoom'),
+  btnRotatePreview: document.getElementById('btnRotatePreview'),
+  btnPreviewBezel: document.getElementById('btnPreviewBezel'),
+  previewInfo: document.getElementById('previewInfo'),
+  btnPreviewScreenshot: document.getElementById('btnPreviewScreenshot'),
+  btnPreviewDevTools: document.getElementById('btnPreviewDevTools'),
+  previewViewport: document.getElementById('previewViewport'),
+  previewStage: document.getElementById('previewStage'),
+  previewDevice: document.getElementById('previewDevice'),
+  testConsoleOutput: document.getElementById('testConsoleOutput'),
+  previewBadge: document.getElementById('previewBadge'),
+  btnConsoleErrors: document.getElementById('btnConsoleErrors'),
+  btnConsoleWarnings: document.getElementById('btnConsoleWarnings'),
+  btnConsoleInfo: document.getElementById('btnConsoleInfo'),
+  btnConsoleLog: document.getElementById('btnConsoleLog'),
+  consoleSearch: document.getElementById('consoleSearch'),
+  btnConsoleTimestamps: document.getElementById('btnConsoleTimestamps'),
+  btnCopyConsole: document.getElementById('btnCopyConsole'),
+  btnExportConsole: document.getElementById('btnExportConsole'),
+  btnClearConsole: document.getElementById('btnClearConsole'),
+  
+  problemsBadge: document.getElementById('problemsBadge'),
+  btnFilterErrors: document.getElementById('btnFilterErrors'),
+  btnFilterWarnings: document.getElementById('btnFilterWarnings'),
+  problemsSearch: document.getElementById('problemsSearch'),
+  problemList: document.getElementById('problemList'),
+  
+  matrixSummary: document.getElementById('matrixSummary'),
+  matrixList: document.getElementById('matrixList'),
+  
+  historyLimit: document.getElementById('historyLimit'),
+  btnCompareBuilds: document.getElementById('btnCompareBuilds'),
+  btnRefreshHistory: document.getElementById('btnRefreshHistory'),
+  historyList: document.getElementById('historyList'),
+  historyDetails: document.getElementById('historyDetails'),
+  
+  btnRefreshVolumes: document.getElementById('btnRefreshVolumes'),
+  volumeList: document.getElementById('volumeList'),
+  volumeDetails: document.getElementById('volumeDetails')
+};
+
+// Tab buttons and content panels, keyed by tab name
+const tabs = {
+  logs: { button: elements.tabLogs, content: elements.tabContentLogs },
+  problems: { button: elements.tabProblems, content: elements.tabContentProblems },
+  preview: { button: elements.tabPreview, content: elements.tabContentPreview },
+  matrix: { button: elements.tabMatrix, content: elements.tabContentMatrix },
+  history: { button: elements.tabHistory, content: elements.tabContentHistory },
+  volumes: { button: elements.tabVolumes, content: elements.tabContentVolumes }
 };
 
+// Status badges of a project, shown while its tab is active
+const STATUS_BADGES = ['buildStatus', 'testStatus', 'exportStatus', 'uiTestStatus'];
+
+// State of an open project; its log and preview frame are elements of its own,
+// shown while its tab is active
+function createProjectState(projectPath) {
+  return {
+    projectPath,
+    projectInfo: null,
+    setupComplete: false,
+    buildComplete: false,
+    testRunning: false,
+    operationRunning: false,
+    abortRequested: false,
+    outputPath: null,
+    testUrl: null,
+    testServerUrls: [],
+    watchEnabled: preferences.watchEnabled,
+    screenshotReportPath: null,
+    buildProgress: null,
+    projectCheck: null,
+    rebuildPending: false,
+    diagnostics: [],
+    consoleMessages: [],
+    previewSize: null,
+    matrixResults: [],
+    matrixOutputPath: null,
+    statuses: {},
+    logOutput: projectPath ? createLogOutput() : elements.logOutput,
+    frame: null
+  };
+}
+
+function createLogOutput() {
+  const logOutput = document.createElement('div');
+  logOutput.className = 'log-output';
+  logOutput.classList.toggle('no-wrap', !preferences.wordWrap);
+  logOutput.style.display = 'none';
+  elements.logContainer.appendChild(logOutput);
+  return logOutput;
+}
+
+// Shown while no project is open
+const noProject = createProjectState(null);
+
+// The project of the active tab
+let state = noProject;
+
 // Load toggle button states from localStorage
 function loadToggleStates() {
   const savedTimestamps = localStorage.getItem('showTimestamps');
   const savedAutoscroll = localStorage.getItem('autoScroll');
   const savedWordWrap = localStorage.getItem('wordWrap');
+  const savedWatch = localStorage.getItem('watchEnabled');
+  const savedExportLauncher = localStorage.getItem('exportLauncher');
+  const savedCompareScreenshots = localStorage.getItem('compareScreenshots');
+  const savedConsoleTimestamps = localStorage.getItem('consoleTimestamps');
+  const savedPreviewZoom = localStorage.getItem('previewZoom');
+  const savedPreviewRotation = localStorage.getItem('previewRotation');
+  const savedPreviewBezel = localStorage.getItem('previewBezel');
   
   if (savedTimestamps !== null) {
-    state.showTimestamps = savedTimestamps === 'true';
+    preferences.showTimestamps = savedTimestamps === 'true';
   }
   if (savedAutoscroll !== null) {
-    state.autoScroll = savedAutoscroll === 'true';
+    preferences.autoScroll = savedAutoscroll === 'true';
   }
   if (savedWordWrap !== null) {
-    state.wordWrap = savedWordWrap === 'true';
+    preferences.wordWrap = savedWordWrap === 'true';
+  }
+  if (savedWatch !== null) {
+    preferences.watchEnabled = savedWatch === 'true';
+  }
+  if (savedExportLauncher !== null) {
+    preferences.exportLauncher = savedExportLauncher === 'true';
+  }
+  if (savedCompareScreenshots !== null) {
+    preferences.compareScreenshots = savedCompareScreenshots === 'true';
+  }
+  if (savedConsoleTimestamps !== null) {
+    preferences.consoleTimestamps = savedConsoleTimestamps === 'true';
+  }
+  if (savedPreviewZoom !== null && elements.previewZoom.querySelector(`option[value="${savedPreviewZoom}"]`)) {
+    preferences.previewZoom = savedPreviewZoom;
+  }
+  if (savedPreviewRotation !== null && [0, 90, 180, 270].includes(Number(savedPreviewRotation))) {
+    preferences.previewRotation = Number(savedPreviewRotation);
+  }
+  if (savedPreviewBezel !== null) {
+    preferences.previewBezel = savedPreviewBezel === 'true';
   }
   
   // Apply states to UI
-  elements.btnToggleTimestamp.classList.toggle('toggle-active', state.showTimestamps);
-  elements.btnToggleAutoscroll.classList.toggle('toggle-active', state.autoScroll);
-  elements.btnToggleWrap.classList.toggle('toggle-active', state.wordWrap);
-  elements.logOutput.classList.toggle('no-wrap', !state.wordWrap);
+  elements.btnToggleTimestamp.classList.toggle('toggle-active', preferences.showTimestamps);
+  elements.btnToggleAutoscroll.classList.toggle('toggle-active', preferences.autoScroll);
+  elements.btnToggleWrap.classList.toggle('toggle-active', preferences.wordWrap);
+  state.logOutput.classList.toggle('no-wrap', !preferences.wordWrap);
+  elements.chkWatch.checked = preferences.watchEnabled;
+  elements.chkExportLauncher.checked = preferences.exportLauncher;
+  elements.chkCompareScreenshots.checked = preferences.compareScreenshots;
+  elements.btnConsoleTimestamps.classList.toggle('toggle-active', preferences.consoleTimestamps);
+  elements.testConsoleOutput.classList.toggle('hide-timestamps', !preferences.consoleTimestamps);
+  elements.previewZoom.value = preferences.previewZoom;
+  elements.btnPreviewBezel.classList.toggle('toggle-active', preferences.previewBezel);
 }
 
 // Initialize
 async function init() {
+  // Load app-wide settings
+  const appSettings = await window.electronAPI.getAppSettings();
+  elements.emsdkDir.value = appSettings.emsdkDir || '';
+  elements.runtimeSelect.value = appSettings.runtime ? `${appSettings.runtime.engine}:${appSettings.runtime.compose}` : '';
+  elements.offlineSeed.value = appSettings.seedPath || '';
+  elements.historyLimit.value = appSettings.historyLimit;
+  showTestServerSettings(appSettings.testServer);
+  showOfflineMode(appSettings.offline);
+  if (appSettings.offline) {
+    logMessage('warning', `Running in offline mode (seed: ${appSettings.seedPath || 'not set'}). The simulator is not cloned or fetched from the network.`);
+  }
+  
   // Check Docker status
   await checkDockerStatus();
   
@@ -96,6 +336,10 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
   
+  // Empty Problems and Matrix tabs
+  renderProblems();
+  renderMatrix();
+  
   // Setup IPC listeners
   setupIPCListeners();
   
@@ -105,35 +349,36 @@ async function init() {
   // Setup test splitter
   setupTestSplitter();
   
-  // Restore last project path
+  // Reopen the projects of the last session (or the last project of older versions)
   const lastProjectPath = localStorage.getItem('lastProjectPath');
-  if (lastProjectPath) {
+  const openProjects = JSON.parse(localStorage.getItem('openProjects') || 'null') || (lastProjectPath ? [lastProjectPath] : []);
+  const activeProject = localStorage.getItem('activeProject');
+  for (const projectPath of openProjects) {
     try {
-      await loadProject(lastProjectPath);
+      await openProject(projectPath);
     } catch (error) {
-      logMessage('warning', `Could not restore last project: ${error.message}`);
+      logMessage('warning', `Could not restore project ${projectPath}: ${error.message}`);
     }
   }
+  if (findProject(activeProject)) {
+    activateProject(findProject(activeProject));
+  }
   
   // Update UI
   updateUI();
 }
 
-// Check Docker status
+// Detect the container runtime (Docker or Podman)
 async function checkDockerStatus() {
   const status = await window.electronAPI.checkDocker();
+  elements.infoRuntime.textContent = status.description || 'not found';
   
-  if (!status.installed) {
-    logMessage('error', 'Docker is not installed. Please install Docker Desktop from https://www.docker.com/products/docker-desktop');
-    return;
-  }
-  
-  if (!status.running) {
-    logMessage('warning', 'Docker is not running. Please start Docker Desktop.');
+  if (!status.available) {
+    logMessage('error', `No usable container runtime: ${status.error}. Please install Docker Desktop from https://www.docker.com/products/docker-desktop or Podman from https://podman.io`);
     return;
   }
   
-  logMessage('success', 'Docker is ready.');
+  logMessage('success', `Container runtime ready: ${status.description}`);
 }
 
 // Load recent projects
@@ -141,20 +386,21 @@ async function loadRecentProjects() {
   const projects = await window.electronAPI.getRecentProjects();
   
   // Store projects for menu rendering
-  state.recentProjects = projects;
+  workspace.recentProjects = projects;
 }
 
 // Setup event listeners
 function setupEventListeners() {
   // Project selection
   elements.btnSelectProject.addEventListener('click', selectProjectFile);
+  elements.btnOpenProjectTab.addEventListener('click', selectProjectFile);
   
   // Paste button
   elements.btnPaste.addEventListener('click', async () => {
     try {
       const text = await navigator.clipboard.readText();
       if (text && text.trim().endsWith('.eez-project')) {
-        loadProject(text.trim());
+        openProject(text.trim());
       }
     } catch (err) {
       logMessage('error', 'Failed to read clipboard');
@@ -163,12 +409,6 @@ function setupEventListeners() {
   
   // Check clipboard periodically to enable/disable paste button
   setInterval(async () => {
-    // Always disable if operation is running or test is running
-    if (state.operationRunning || state.testRunning) {
-      elements.btnPaste.disabled = true;
-      return;
-    }
-    
     try {
       const text = await navigator.clipboard.readText();
       const trimmed = text ? text.trim() : '';
@@ -189,7 +429,7 @@ elements.btnRecentProjects.addEventListener('click', (e) => {
   
   // Open dropdown on input focus (optional - click on input)
   elements.projectPath.addEventListener('click', () => {
-    if (!comboboxState.isOpen && state.recentProjects.length > 0) {
+    if (!comboboxState.isOpen && workspace.recentProjects.length > 0) {
       openCombobox();
     }
   });
@@ -203,36 +443,90 @@ elements.btnRecentProjects.addEventListener('click', (e) => {
   });
   
   // Allow pasting path directly
-  elements.projectPath.addEventListener('change', (e) => {
-    const path = e.target.value.trim();
-    if (path && path.endsWith('.eez-project') && path !== state.projectPath) {
-      loadProject(path);
-    }
-  });
-  
-  elements.projectPath.addEventListener('blur', (e) => {
-    const path = e.target.value.trim();
-    if (path && path.endsWith('.eez-project') && path !== state.projectPath) {
-      loadProject(path);
-    }
-  });
+  elements.projectPath.addEventListener('change', openTypedProject);
+  elements.projectPath.addEventListener('blur', openTypedProject);
   
   // Action buttons
-  elements.btnBuild.addEventListener('click', buildProject);
+  elements.btnBuild.addEventListener('click', () => buildProject(state));
   elements.btnCleanBuild.addEventListener('click', cleanBuildProject);
   elements.btnCleanAll.addEventListener('click', cleanAllProject);
-  elements.btnTest.addEventListener('click', runTest);
-  elements.btnStopTest.addEventListener('click', stopTest);
+  elements.btnCheckProject.addEventListener('click', checkProjectFile);
+  elements.btnBuildMatrix.addEventListener('click', buildMatrix);
+  elements.btnTest.addEventListener('click', () => runTest());
+  elements.btnStopTest.addEventListener('click', () => stopTest(state));
+  elements.btnConsoleErrors.addEventListener('click', () => toggleConsoleFilter('error'));
+  elements.btnConsoleWarnings.addEventListener('click', () => toggleConsoleFilter('warn'));
+  elements.btnConsoleInfo.addEventListener('click', () => toggleConsoleFilter('info'));
+  elements.btnConsoleLog.addEventListener('click', () => toggleConsoleFilter('log'));
+  elements.consoleSearch.addEventListener('input', renderConsole);
+  elements.btnConsoleTimestamps.addEventListener('click', toggleConsoleTimestamps);
+  elements.btnCopyConsole.addEventListener('click', copyConsoleToClipboard);
+  elements.btnExportConsole.addEventListener('click', exportConsole);
+  elements.btnClearConsole.addEventListener('click', () => clearConsole());
+  elements.previewZoom.addEventListener('change', changePreviewZoom);
+  elements.btnRotatePreview.addEventListener('click', rotatePreview);
+  elements.btnPreviewBezel.addEventListener('click', togglePreviewBezel);
+  elements.btnPreviewScreenshot.addEventListener('click', saveScreenshot);
+  elements.btnPreviewDevTools.addEventListener('click', () => window.electronAPI.openPreviewDevTools());
+  
+  // Fit follows the size of the preview (window, splitters); sizes are only known while it is shown
+  new ResizeObserver(() => layoutPreview()).observe(elements.previewViewport);
+  elements.chkCrossOriginIsolation.addEventListener('change', changeTestServerSettings);
+  elements.chkCompression.addEventListener('change', changeTestServerSettings);
+  elements.chkHttps.addEventListener('change', changeTestServerSettings);
+  elements.testServerHost.addEventListener('change', changeTestServerSettings);
   elements.btnAbort.addEventListener('click', abortOperation);
+  elements.chkWatch.addEventListener('change', toggleWatch);
+  elements.btnExport.addEventListener('click', exportBuild);
+  elements.btnRunUiTest.addEventListener('click', () => runUiTest(preferences.compareScreenshots ? 'compare' : undefined));
+  elements.btnUpdateBaselines.addEventListener('click', () => runUiTest('update'));
+  elements.btnOpenScreenshotReport.addEventListener('click', openScreenshotReport);
+  elements.chkCompareScreenshots.addEventListener('change', () => {
+    preferences.compareScreenshots = elements.chkCompareScreenshots.checked;
+    localStorage.setItem('compareScreenshots', preferences.compareScreenshots);
+  });
+  elements.chkExportLauncher.addEventListener('change', () => {
+    preferences.exportLauncher = elements.chkExportLauncher.checked;
+    localStorage.setItem('exportLauncher', preferences.exportLauncher);
+  });
   
   // Open in VS Code button
   elements.btnReloadProject.addEventListener('click', reloadProject);
   elements.btnOpenInEEZStudio.addEventListener('click', openInEEZStudio);
   elements.btnOpenInVSCode.addEventListener('click', openInVSCode);
   
+  // Per-project Docker volume and build backend
+  elements.volumeName.addEventListener('change', changeVolumeName);
+  elements.repositoryUrl.addEventListener('change', changeRepository);
+  elements.repositoryRef.addEventListener('change', changeRepository);
+  elements.outputPath.addEventListener('change', changeOutputPath);
+  elements.btnSelectOutputPath.addEventListener('click', selectOutputFolder);
+  elements.backendSelect.addEventListener('change', changeBackend);
+  elements.emsdkDir.addEventListener('change', changeEmsdkDir);
+  elements.runtimeSelect.addEventListener('change', changeRuntime);
+  elements.chkOffline.addEventListener('change', changeOfflineMode);
+  elements.offlineSeed.addEventListener('change', changeOfflineSeed);
+  elements.matrixLvglVersions.addEventListener('change', changeMatrixSettings);
+  elements.matrixDisplaySizes.addEventListener('change', changeMatrixSettings);
+  BUILD_OPTION_INPUTS.forEach((id) => elements[id].addEventListener('change', changeBuildOptions));
+  
   // Tab switching
-  elements.tabLogs.addEventListener('click', () => switchTab('logs'));
-  elements.tabPreview.addEventListener('click', () => switchTab('preview'));
+  Object.entries(tabs).forEach(([tabName, tab]) => {
+    tab.button.addEventListener('click', () => switchTab(tabName));
+  });
+  
+  // Problems tab
+  elements.btnFilterErrors.addEventListener('click', () => toggleProblemFilter('showErrors'));
+  elements.btnFilterWarnings.addEventListener('click', () => toggleProblemFilter('showWarnings'));
+  elements.problemsSearch.addEventListener('input', renderProblems);
+  
+  // History tab
+  elements.historyLimit.addEventListener('change', changeHistoryLimit);
+  elements.btnCompareBuilds.addEventListener('click', compareBuilds);
+  elements.btnRefreshHistory.addEventListener('click', refreshHistory);
+  
+  // Volumes tab
+  elements.btnRefreshVolumes.addEventListener('click', refreshVolumes);
   
   // Log toolbar
   elements.btnCopyLog.addEventListener('click', copyLogToClipboard);
@@ -250,19 +544,49 @@ function setupIPCListeners() {
     appendDockerOutput(data.text, data.type === 'stderr' ? 'warning' : 'info');
   });
   
-  // Log messages
+  // Log messages (of a project, or of the app, which go to the active tab)
   window.electronAPI.onLogMessage((data) => {
     // Filter out debug messages
     if (data.text && data.text.trim().toLowerCase().startsWith('debug:')) {
       return;
     }
-    logMessage(data.type, data.text);
+    const project = data.projectPath ? findProject(data.projectPath) : state;
+    if (project) {
+      logMessage(data.type, data.text, project);
+    }
+  });
+  
+  // Watch mode: project sources changed
+  window.electronAPI.onProjectChanged((data) => {
+    handleProjectChanged(data.projectPath, data.files);
+  });
+  
+  // A build was added to the history
+  window.electronAPI.onBuildHistoryChanged(() => {
+    if (elements.tabHistory.classList.contains('active')) {
+      refreshHistory();
+    }
   });
   
-  // Console messages from iframe (set up once globally)
+  // Setup and Build report their phase and percentage
+  window.electronAPI.onBuildProgress(updateBuildProgress);
+  
+  // Build matrix: a combination started or finished
+  window.electronAPI.onMatrixProgress((data) => {
+    const project = findProject(data.projectPath);
+    if (!project) return;
+    project.matrixResults[data.index] = data.result || { entry: data.entry, status: 'running' };
+    renderMatrix();
+  });
+  
+  // Console messages and screenshots from the projects' preview frames (set up once globally)
   window.addEventListener('message', (event) => {
-    if (event.data && event.data.type === 'console') {
-      appendConsoleMessage(event.data.level, event.data.message);
+    const project = workspace.projects.find((candidate) => candidate.frame && candidate.frame.contentWindow === event.source);
+    if (!project || !event.data) return;
+    if (event.data.type === 'console') {
+      appendConsoleMessage(event.data, project);
+    } else if (event.data.type === 'screenshot') {
+      resolveScreenshot(event.data);
     }
   });
 }
@@ -272,17 +596,179 @@ async function selectProjectFile() {
   const result = await window.electronAPI.selectProjectFile();
   
   if (result.success) {
-    await loadProject(result.path);
+    await openProject(result.path);
+    await loadRecentProjects();
+  }
+}
+
+// Open the path typed or pasted into the combobox
+function openTypedProject() {
+  const path = elements.projectPath.value.trim();
+  if (path && path.endsWith('.eez-project')) {
+    elements.projectPath.value = '';
+    openProject(path);
+  }
+}
+
+function findProject(projectPath) {
+  return workspace.projects.find((project) => project.projectPath === projectPath);
+}
+
+// File name of a project without the extension
+function getProjectName(projectPath) {
+  return projectPath.split(/[\\/]/).pop().replace(/\.eez-project$/, '');
+}
+
+// Open a project in a tab of its own (or switch to its tab if it is open already)
+async function openProject(projectPath) {
+  if (findProject(projectPath)) {
+    activateProject(findProject(projectPath));
+    return;
+  }
+  
+  const fileExistsResult = await window.electronAPI.checkFileExists(projectPath);
+  if (!fileExistsResult.exists) {
+    logMessage('error', `Project file not found: ${projectPath}`);
+    await window.electronAPI.removeFromRecentProjects(projectPath);
     await loadRecentProjects();
+    return;
+  }
+  
+  // Opened a second time while the file was checked
+  if (findProject(projectPath)) {
+    activateProject(findProject(projectPath));
+    return;
+  }
+  
+  const project = createProjectState(projectPath);
+  // The messages logged before the first project was opened move to its log
+  if (!state.projectPath) {
+    project.logOutput.append(...state.logOutput.childNodes);
+  }
+  workspace.projects.push(project);
+  activateProject(project);
+  
+  await loadProject(project);
+}
+
+// Show a project's tab: its settings, statuses, log, preview and results
+function activateProject(project) {
+  state.logOutput.style.display = 'none';
+  if (state.frame) {
+    state.frame.style.display = 'none';
+  }
+  
+  state = project;
+  state.logOutput.style.display = '';
+  if (state.frame) {
+    state.frame.style.display = '';
+  }
+  filterLogs();
+  
+  showProjectInfo();
+  STATUS_BADGES.forEach(renderStatus);
+  renderBuildProgress();
+  renderProjectCheck();
+  renderDiagnostics();
+  renderConsole();
+  updateConsoleCounts();
+  renderTestView();
+  layoutPreview();
+  elements.btnOpenScreenshotReport.style.display = state.screenshotReportPath ? 'inline-block' : 'none';
+  elements.chkWatch.checked = state.watchEnabled;
+  if (elements.tabVolumes.classList.contains('active')) {
+    refreshVolumes();
+  }
+  
+  saveOpenProjects();
+  updateUI();
+}
+
+// Close a project's tab: its running operation is aborted and its test server stopped
+async function closeProject(project) {
+  if (project.operationRunning && !confirm(`${getProjectName(project.projectPath)} is still running an operation.\n\nAbort it and close the project?`)) {
+    return;
   }
+  
+  const index = workspace.projects.indexOf(project);
+  if (index < 0) return;
+  
+  workspace.projects.splice(index, 1);
+  project.abortRequested = true;
+  endBuildProgress(project);
+  project.logOutput.remove();
+  if (project.frame) {
+    project.frame.remove();
+  }
+  
+  if (project === state) {
+    activateProject(workspace.projects[Math.min(index, workspace.projects.length - 1)] || noProject);
+  } else {
+    saveOpenProjects();
+    updateUI();
+  }
+  
+  await window.electronAPI.closeProject(project.projectPath);
+}
+
+// Remember the open projects for the next start
+function saveOpenProjects() {
+  localStorage.setItem('openProjects', JSON.stringify(workspace.projects.map((project) => project.projectPath)));
+  localStorage.setItem('activeProject', state.projectPath || '');
+}
+
+// Render the project tabs, with an indicator of what each project is doing
+function renderProjectTabs() {
+  elements.projectTabs.querySelectorAll('.project-tab').forEach((tab) => tab.remove());
+  
+  workspace.projects.forEach((project) => {
+    const tab = document.createElement('div');
+    tab.className = 'project-tab';
+    tab.classList.toggle('active', project === state);
+    tab.title = project.projectPath;
+    tab.addEventListener('click', () => activateProject(project));
+    
+    const buildStatus = project.statuses.buildStatus;
+    let indicator = '';
+    if (project.operationRunning) {
+      indicator = 'running';
+    } else if (project.testRunning) {
+      indicator = 'testing';
+    } else if (buildStatus && buildStatus.status === 'error') {
+      indicator = 'error';
+    } else if (project.buildComplete) {
+      indicator = 'completed';
+    }
+    const indicatorSpan = document.createElement('span');
+    indicatorSpan.className = `project-tab-indicator ${indicator}`;
+    tab.appendChild(indicatorSpan);
+    
+    const name = document.createElement('span');
+    name.className = 'project-tab-name';
+    name.textContent = getProjectName(project.projectPath);
+    tab.appendChild(name);
+    
+    const btnClose = document.createElement('button');
+    btnClose.className = 'project-tab-close';
+    btnClose.textContent = '×';
+    btnClose.title = 'Close Project';
+    btnClose.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeProject(project);
+    });
+    tab.appendChild(btnClose);
+    
+    elements.projectTabs.insertBefore(tab, elements.btnOpenProjectTab);
+  });
 }
 
-// Open src/ui folder in VS Code
+// Reload the project file of the active tab
 async function reloadProject() {
   if (!state.projectPath) return;
   
-  logMessage('info', `Reloading project file: ${state.projectPath}`);
-  await loadProject(state.projectPath);
+  const project = state;
+  logMessage('info', `Reloading project file: ${project.projectPath}`);
+  await loadProject(project);
 }
 
 async function openInEEZStudio() {
@@ -317,6 +803,9 @@ async function openInVSCode() {
 async function checkSrcUiFolderExists(folderPath) {
   const result = await window.electronAPI.checkFolderExists(folderPath);
   
+  // Another tab was activated meanwhile
+  if (!state.projectInfo || state.projectInfo.uiDir !== folderPath) return;
+  
   if (result.exists) {
     elements.btnOpenInVSCode.style.display = 'inline-block';
   } else {
@@ -427,13 +916,15 @@ function handleComboboxKeydown(e) {
     case 'Enter':
       e.preventDefault();
       if (comboboxState.highlightedIndex >= 0 && comboboxState.highlightedIndex < itemCount) {
-        const selectedProject = state.recentProjects[comboboxState.highlightedIndex];
+        const selectedProject = workspace.recentProjects[comboboxState.highlightedIndex];
         closeCombobox();
-        loadProject(selectedProject);
+        openProject(selectedProject);
       } else if (elements.projectPath.value.trim()) {
-        // Load typed path
+        // Open typed path
+        const typedPath = elements.projectPath.value.trim();
         closeCombobox();
-        loadProject(elements.projectPath.value.trim());
+        elements.projectPath.value = '';
+        openProject(typedPath);
       }
       break;
       
@@ -454,7 +945,7 @@ function renderRecentProjectsMenu() {
   const currentPath = state.projectPath;
   menu.innerHTML = '';
   
-  if (state.recentProjects.length === 0) {
+  if (workspace.recentProjects.length === 0) {
     const empty = document.createElement('div');
     empty.className = 'combobox-empty';
     empty.textContent = 'No recent projects';
@@ -462,13 +953,16 @@ function renderRecentProjectsMenu() {
     return;
   }
   
-  state.recentProjects.forEach((project, index) => {
+  workspace.recentProjects.forEach((project, index) => {
     const item = document.createElement('div');
     item.className = 'combobox-item';
     
-    // Mark current project as selected
+    // Mark the active project as selected, and the other open ones
     if (project === currentPath) {
       item.classList.add('selected');
+    } else if (findProject(project)) {
+      item.classList.add('open');
+      item.title = 'Open in a tab';
     }
     
     // Create text span for the project path
@@ -478,7 +972,8 @@ function renderRecentProjectsMenu() {
     
     item.addEventListener('click', () => {
       closeCombobox();
-      loadProject(project);
+      elements.projectPath.value = '';
+      openProject(project);
     });
     
     item.addEventListener('mouseenter', () => {
@@ -489,426 +984,1984 @@ function renderRecentProjectsMenu() {
   });
 }
 
-// Load project
-async function loadProject(projectPath) {
-  elements.projectPath.value = projectPath;
+// Read a project's file and settings and restore its build state
+async function loadProject(project) {
+  const projectPath = project.projectPath;
+  setProjectCheck(null, project);
   
   // Check if file exists first
   const fileExistsResult = await window.electronAPI.checkFileExists(projectPath);
   if (!fileExistsResult.exists) {
-    logMessage('error', `Project file not found: ${projectPath}`);
+    logMessage('error', `Project file not found: ${projectPath}`, project);
     // Remove from recent projects
     await window.electronAPI.removeFromRecentProjects(projectPath);
     await loadRecentProjects();
     
-    state.projectPath = null;
-    state.projectInfo = null;
-    elements.projectInfo.style.display = 'none';
-    elements.btnOpenInVSCode.style.display = 'none';
+    project.projectInfo = null;
+    if (project === state) {
+      showProjectInfo();
+    }
+    await updateWatch(project);
     updateUI();
     return;
   }
   
-  // Check if it's a different project - if so, reset workflow state
-  const isDifferentProject = state.projectPath && state.projectPath !== projectPath;
-  
-  state.projectPath = projectPath;
-  
-  // Save project path to localStorage
-  localStorage.setItem('lastProjectPath', projectPath);
-  
-  logMessage('info', `Selected project file: ${projectPath}`);
+  logMessage('info', `Selected project file: ${projectPath}`, project);
   
   const result = await window.electronAPI.readProjectFile(projectPath);
   
   if (result.success) {
-    state.projectInfo = result;
+    project.projectInfo = result;
     
     // Add to recent projects
     await window.electronAPI.addToRecentProjects(projectPath);
     await loadRecentProjects();
     
-    // Update project info display
-    elements.infoLvglVersion.textContent = result.lvglVersion;
-    elements.infoFlowSupport.textContent = result.flowSupport ? 'Yes' : 'No';
-    elements.projectInfo.style.display = 'block';
+    if (project === state) {
+      showProjectInfo();
+    }
     
-    // Show VS Code button if destination folder exists
-    // Use uiDir from result which is already resolved from destinationFolder
-    checkSrcUiFolderExists(result.uiDir);
+    logMessage('success', `Project loaded: LVGL ${result.lvglVersion} (${result.flowSupport ? 'with' : 'no'} flow support)`, project);
     
-    logMessage('success', `Project loaded: LVGL ${result.lvglVersion} (${result.flowSupport ? 'with' : 'no'} flow support)`);
+    // Restore workflow state from build status
+    project.setupComplete = result.setupComplete || false;
+    project.buildComplete = result.buildComplete || false;
+    project.testRunning = false;
     
-    // If switching to a different project, reset workflow state
-    if (isDifferentProject) {
-      logMessage('info', 'Different project selected - resetting workflow state.');
-      
-      // Stop test if running (check before resetting state)
-      if (state.testRunning) {
-        await stopTest();
-      }
-      
-      state.setupComplete = false;
-      state.buildComplete = false;
-      state.testRunning = false;
-      
-      // Reset status indicators
-      setStatus('buildStatus', 'pending', '');
-      setStatus('testStatus', 'pending', '');
-    } else {
-      // Restore workflow state from build status (for initial load or same project)
-      state.setupComplete = result.setupComplete || false;
-      state.buildComplete = result.buildComplete || false;
-      state.testRunning = false;
-      
-      // Set outputPath if build is complete (so Test button works on app restart)
-      if (state.buildComplete) {
-        state.outputPath = result.outputPath;
-      }
-      
-      // Update status indicators
-      if (state.buildComplete) {
-        setStatus('buildStatus', 'completed', '✓ Complete');
-        logMessage('info', 'Previous build detected. Ready to test.');
-      }
+    // Set outputPath if build is complete (so Test button works on app restart)
+    if (project.buildComplete) {
+      project.outputPath = result.outputPath;
+      setStatus('buildStatus', 'completed', '✓ Complete', project);
+      logMessage('info', 'Previous build detected. Ready to test.', project);
     }
     
+    await updateWatch(project);
     updateUI();
   } else {
-    logMessage('error', `Failed to load project: ${result.error}`);
-    state.projectInfo = null;
+    logMessage('error', `Failed to load project: ${result.error}`, project);
+    project.projectInfo = null;
+    if (project === state) {
+      showProjectInfo();
+    }
+    await updateWatch(project);
+    updateUI();
+  }
+}
+
+// Show the file info and settings of the active project
+function showProjectInfo() {
+  const projectInfo = state.projectInfo;
+  if (!projectInfo) {
     elements.projectInfo.style.display = 'none';
     elements.btnOpenInVSCode.style.display = 'none';
-    updateUI();
+    return;
   }
+  
+  elements.infoProjectPath.textContent = state.projectPath;
+  elements.infoLvglVersion.textContent = projectInfo.lvglVersion;
+  elements.infoFlowSupport.textContent = projectInfo.flowSupport ? 'Yes' : 'No';
+  elements.volumeName.value = projectInfo.volumeName !== projectInfo.defaultVolumeName ? projectInfo.volumeName : '';
+  elements.volumeName.placeholder = projectInfo.defaultVolumeName;
+  updateBackendSettings(projectInfo);
+  elements.repositoryUrl.value = projectInfo.repositoryUrl || '';
+  elements.repositoryUrl.placeholder = projectInfo.defaultRepositoryUrl;
+  elements.repositoryRef.value = projectInfo.repositoryRef || '';
+  elements.outputPath.value = projectInfo.outputPath !== projectInfo.defaultOutputPath ? projectInfo.outputPath : '';
+  elements.outputPath.placeholder = projectInfo.defaultOutputPath;
+  showSimulatorCommit(projectInfo.repository);
+  elements.matrixLvglVersions.value = projectInfo.matrixLvglVersions || '';
+  elements.matrixDisplaySizes.value = projectInfo.matrixDisplaySizes || '';
+  showBuildOptions(projectInfo);
+  elements.projectInfo.style.display = 'block';
+  
+  // Show VS Code button if destination folder exists
+  // Use uiDir from projectInfo which is already resolved from destinationFolder
+  checkSrcUiFolderExists(projectInfo.uiDir);
 }
 
-// Build project (Setup -> Build -> Extract)
-async function buildProject() {
-  if (!state.projectInfo) return;
+// Build project, then pick up changes that arrived during the build (watch mode)
+async function buildProject(project, options = {}) {
+  await runBuildPipeline(project, options);
+  
+  if (project.rebuildPending && project.watchEnabled) {
+    project.rebuildPending = false;
+    await buildProject(project, { fromWatch: true });
+  }
+}
+
+// Run the build pipeline (Setup -> Build -> Extract)
+// Rebuilds triggered by watch mode keep the test server running and reload the preview
+async function runBuildPipeline(project, options = {}) {
+  if (!project.projectInfo || project.operationRunning) return;
+  
+  // Running from here on, so a watch event or a Build click during the awaits below doesn't start a second pipeline
+  project.operationRunning = true;
+  project.abortRequested = false;
+  updateUI();
+  
+  const reloadPreviewAfterBuild = options.fromWatch && project.testRunning;
   
   // Stop test if running
-  if (state.testRunning) {
-    await stopTest();
+  if (project.testRunning && !reloadPreviewAfterBuild) {
+    await stopTest(project);
   }
   
   // Re-read project file to get latest settings (in case LVGL version changed)
-  if (state.projectPath) {
-    logMessage('info', 'Re-reading project file for latest settings...');
-    const result = await window.electronAPI.readProjectFile(state.projectPath);
+  if (project.projectPath) {
+    logMessage('info', 'Re-reading project file for latest settings...', project);
+    const result = await window.electronAPI.readProjectFile(project.projectPath);
     
     if (result.success) {
-      state.projectInfo = result;
+      project.projectInfo = result;
       
       // Update project info display
-      elements.infoLvglVersion.textContent = result.lvglVersion;
-      elements.infoFlowSupport.textContent = result.flowSupport ? 'Yes' : 'No';
+      if (project === state) {
+        elements.infoLvglVersion.textContent = result.lvglVersion;
+        elements.infoFlowSupport.textContent = result.flowSupport ? 'Yes' : 'No';
+      }
       
-      logMessage('success', `Detected project: LVGL ${result.lvglVersion} (${result.flowSupport ? 'with' : 'no'} flow support)`);
+      logMessage('success', `Detected project: LVGL ${result.lvglVersion} (${result.flowSupport ? 'with' : 'no'} flow support)`, project);
     } else {
-      logMessage('error', `Failed to read project: ${result.error}`);
+      logMessage('error', `Failed to read project: ${result.error}`, project);
+      project.operationRunning = false;
+      updateUI();
       return;
     }
   }
   
-  state.operationRunning = true;
-  state.abortRequested = false;
-  updateUI();
+  // Pre-flight check: don't start a build that can't succeed (or of a project closed or aborted meanwhile)
+  if (!(await preflightCheck(project)) || !workspace.projects.includes(project) || project.abortRequested) {
+    project.operationRunning = false;
+    project.abortRequested = false;
+    updateUI();
+    return;
+  }
+  
+  await beginBuildProgress(project);
   
   const startTime = Date.now();
-  logMessage('info', '=== Starting Build (Setup -> Build -> Extract) ===');
+  logMessage('info', '=== Starting Build (Setup -> Build -> Extract) ===', project);
+  setDiagnostics([], project);
+  setStatus('exportStatus', 'pending', '', project);
+  setStatus('uiTestStatus', 'pending', '', project);
+  setScreenshotReport(null, project);
   
   // Step 1: Run Setup
-  logMessage('info', 'Step 1/3: Running Setup...');
-  setStatus('buildStatus', 'in-progress', 'Setup...');
+  logMessage('info', 'Step 1/3: Running Setup...', project);
+  setStatus('buildStatus', 'in-progress', 'Setup...', project);
   
-  const setupResult = await window.electronAPI.setupProject(state.projectInfo);
+  const setupResult = await window.electronAPI.setupProject(project.projectInfo);
   
   // Check if aborted during operation
-  if (state.abortRequested) {
-    logMessage('warning', 'Setup aborted by user');
-    state.setupComplete = false;
-    state.buildComplete = false;
-    setStatus('buildStatus', 'error', '✗ Aborted');
-    state.operationRunning = false;
-    state.abortRequested = false;
+  if (setupResult.aborted || project.abortRequested) {
+    logMessage('warning', 'Setup aborted by user', project);
+    project.setupComplete = false;
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+    project.operationRunning = false;
+    project.abortRequested = false;
     updateUI();
     return;
   }
   
   if (!setupResult.success) {
-    logMessage('error', 'Setup failed - aborting Build');
-    state.setupComplete = false;
-    state.buildComplete = false;
-    setStatus('buildStatus', 'error', '✗ Failed');
-    state.operationRunning = false;
+    logMessage('error', 'Setup failed - aborting Build', project);
+    project.setupComplete = false;
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+    project.operationRunning = false;
     updateUI();
     return;
   }
   
-  state.setupComplete = true;
+  project.setupComplete = true;
+  setSimulatorRepository(setupResult.repository, project);
   
   // Check for abort
-  if (state.abortRequested) {
-    logMessage('warning', 'Build aborted after Setup');
-    state.operationRunning = false;
-    state.abortRequested = false;
+  if (project.abortRequested) {
+    logMessage('warning', 'Build aborted after Setup', project);
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+    project.operationRunning = false;
+    project.abortRequested = false;
     updateUI();
     return;
   }
   
   // Step 2: Run Build
-  logMessage('info', 'Step 2/3: Running Build...');
-  setStatus('buildStatus', 'in-progress', 'Building...');
+  logMessage('info', 'Step 2/3: Running Build...', project);
+  setStatus('buildStatus', 'in-progress', 'Building...', project);
+  setBuildProgressStep(project, 'build');
   
-  const buildResult = await window.electronAPI.buildProject(state.projectInfo);
+  const buildResult = await window.electronAPI.buildProject(project.projectInfo);
+  setDiagnostics(buildResult.diagnostics || [], project);
   
   // Check if aborted during operation
-  if (state.abortRequested) {
-    logMessage('warning', 'Build aborted by user');
-    state.buildComplete = false;
-    setStatus('buildStatus', 'error', '✗ Aborted');
-    state.operationRunning = false;
-    state.abortRequested = false;
+  if (buildResult.aborted || project.abortRequested) {
+    logMessage('warning', 'Build aborted by user', project);
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+    project.operationRunning = false;
+    project.abortRequested = false;
     updateUI();
     return;
   }
   
   if (!buildResult.success) {
-    logMessage('error', 'Build failed');
-    state.buildComplete = false;
-    setStatus('buildStatus', 'error', '✗ Failed');
-    state.operationRunning = false;
+    logMessage('error', 'Build failed', project);
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+    project.operationRunning = false;
     updateUI();
+    if (project === state && project.diagnostics.some((diagnostic) => diagnostic.severity === 'error')) {
+      switchTab('problems');
+    }
     return;
   }
   
   // Check for abort
-  if (state.abortRequested) {
-    logMessage('warning', 'Build aborted after compilation');
-    state.operationRunning = false;
-    state.abortRequested = false;
+  if (project.abortRequested) {
+    logMessage('warning', 'Build aborted after compilation', project);
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+    project.operationRunning = false;
+    project.abortRequested = false;
     updateUI();
     return;
   }
   
   // Step 3: Extract files for testing
-  logMessage('info', 'Step 3/3: Extracting files...');
-  setStatus('buildStatus', 'in-progress', 'Extracting...');
+  logMessage('info', 'Step 3/3: Extracting files...', project);
+  setStatus('buildStatus', 'in-progress', 'Extracting...', project);
+  setBuildProgressStep(project, 'extract');
   
-  const extractResult = await window.electronAPI.extractBuild();
+  const extractResult = await window.electronAPI.extractBuild(project.projectPath);
+  
+  // Check if aborted during operation
+  if (extractResult.aborted || project.abortRequested) {
+    logMessage('warning', 'Extract aborted by user', project);
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+    project.operationRunning = false;
+    project.abortRequested = false;
+    updateUI();
+    return;
+  }
   
   if (!extractResult.success) {
-    logMessage('error', 'Extract failed');
-    state.buildComplete = false;
-    setStatus('buildStatus', 'error', '✗ Failed');
-    state.operationRunning = false;
+    logMessage('error', 'Extract failed', project);
+    project.buildComplete = false;
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+    project.operationRunning = false;
     updateUI();
     return;
   }
   
-  state.outputPath = extractResult.outputPath;
-  state.buildComplete = true;
-  setStatus('buildStatus', 'completed', '✓ Complete');
+  project.outputPath = extractResult.outputPath;
+  project.buildComplete = true;
+  setStatus('buildStatus', 'completed', '✓ Complete', project);
   
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-  logMessage('success', `Build completed successfully in ${elapsed}s`);
+  logMessage('success', `Build completed successfully in ${elapsed}s`, project);
   
-  state.operationRunning = false;
+  project.operationRunning = false;
   updateUI();
-}
-
-// Clean build directory only
-async function cleanBuildProject() {
-  if (!state.projectInfo) return;
   
-  // Stop test if running
-  if (state.testRunning) {
-    await stopTest();
+  if (reloadPreviewAfterBuild) {
+    reloadPreview(project);
   }
+}
+
+// Show the progress bar of a Build, with an ETA from the project's past builds
+async function beginBuildProgress(project) {
+  const result = await window.electronAPI.getBuildEstimate(project.projectPath);
+  project.buildProgress = {
+    estimate: result.success ? result.estimate : undefined,
+    startTime: Date.now(),
+    timer: setInterval(() => renderBuildProgress(project), 1000)
+  };
+  setBuildProgressStep(project, 'setup');
+}
+
+function setBuildProgressStep(project, step) {
+  if (!project.buildProgress) return;
   
-  state.operationRunning = true;
-  setStatus('buildStatus', 'in-progress', 'Cleaning...');
-  updateUI();
-  
-  logMessage('info', '=== Cleaning Build Directory ===');
+  Object.assign(project.buildProgress, { step, stepStartTime: Date.now(), phase: null, message: '', percent: undefined });
+  renderBuildProgress(project);
+}
+
+// A progress event of a project's running step (phase, message and the tool's percentage)
+function updateBuildProgress(progress) {
+  const project = findProject(progress.projectPath);
+  if (!project || !project.buildProgress || progress.step !== project.buildProgress.step) return;
   
-  const result = await window.electronAPI.cleanBuild();
+  Object.assign(project.buildProgress, { phase: progress.phase, message: progress.message, percent: progress.percent });
+  renderBuildProgress(project);
+}
+
+// Hide the progress bar (called by updateUI once the project runs no operation)
+function endBuildProgress(project) {
+  if (!project.buildProgress) return;
   
-  if (result.success) {
-    state.buildComplete = false;
-    setStatus('buildStatus', 'pending', '');
-    setStatus('testStatus', 'pending', '');
-    logMessage('success', 'Build directory cleaned successfully');
+  clearInterval(project.buildProgress.timer);
+  project.buildProgress = null;
+  renderBuildProgress(project);
+}
+
+// Fraction of the running step that is done: make's percentage while compiling,
+// otherwise the time spent against the step's estimate
+function getStepFraction(progress, expectedMs) {
+  if (progress.step === 'build' && progress.phase === 'compile' && progress.percent !== undefined) {
+    return COMPILE_SHARE * progress.percent / 100;
+  }
+  const timeFraction = expectedMs ? Math.min((Date.now() - progress.stepStartTime) / expectedMs, MAX_TIME_FRACTION) : 0;
+  if (progress.step === 'build' && progress.phase === 'link') {
+    return Math.max(timeFraction, COMPILE_SHARE);
+  }
+  return timeFraction;
+}
+
+// The progress bar shows the active project's Build
+function renderBuildProgress(project = state) {
+  if (project !== state) return;
+  
+  const progress = state.buildProgress;
+  elements.buildProgress.style.display = progress ? 'block' : 'none';
+  if (!progress) return;
+  
+  const estimate = progress.estimate;
+  const weights = estimate && estimate.totalMs > 0 ? estimate.steps : DEFAULT_STEP_WEIGHTS;
+  const stepIndex = BUILD_STEPS.indexOf(progress.step);
+  const sum = (steps) => steps.reduce((total, step) => total + weights[step], 0);
+  const fraction = getStepFraction(progress, estimate && estimate.steps[progress.step]);
+  const percent = Math.min(99, Math.floor((sum(BUILD_STEPS.slice(0, stepIndex)) + weights[progress.step] * fraction) / sum(BUILD_STEPS) * 100));
+  
+  elements.buildProgressBar.style.width = `${percent}%`;
+  const details = [progress.message, progress.percent !== undefined ? `${progress.percent}%` : ''].filter(Boolean).join(' ');
+  elements.buildProgressText.textContent = `${percent}% · ${BUILD_STEP_LABELS[progress.step]}${details ? `: ${details}` : ''}`;
+  elements.buildProgressText.title = elements.buildProgressText.textContent;
+  
+  const elapsed = formatClock(Date.now() - progress.startTime);
+  if (!estimate || estimate.totalMs === 0) {
+    elements.buildProgressEta.textContent = `${elapsed} · no estimate yet`;
+  } else if (Date.now() - progress.stepStartTime > estimate.steps[progress.step] && fraction === MAX_TIME_FRACTION) {
+    elements.buildProgressEta.textContent = `${elapsed} · longer than usual`;
   } else {
-    logMessage('error', 'Failed to clean build directory');
-    setStatus('buildStatus', 'error', '✗ Failed');
+    const remaining = sum(BUILD_STEPS.slice(stepIndex + 1)) + weights[progress.step] * (1 - fraction);
+    elements.buildProgressEta.textContent = `${elapsed} · about ${formatClock(remaining)} left`;
   }
-  
-  state.operationRunning = false;
-  updateUI();
+  elements.buildProgressEta.title = `Estimate from the last ${estimate ? estimate.samples : 0} successful build(s) of this project`;
 }
 
-// Clean all (delete entire /project directory)
-async function cleanAllProject() {
-  if (!state.projectInfo) return;
+// Format a duration in milliseconds as m:ss
+function formatClock(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Build every LVGL version / display size combination into its own output folder
+async function buildMatrix() {
+  if (!state.projectInfo || state.operationRunning) return;
+  
+  const project = state;
+  const matrix = {
+    lvglVersions: elements.matrixLvglVersions.value,
+    displaySizes: elements.matrixDisplaySizes.value
+  };
+  
+  // Running from here on, like a Build, so nothing else starts during the awaits below
+  project.operationRunning = true;
+  project.abortRequested = false;
+  updateUI();
   
   // Stop test if running
-  if (state.testRunning) {
-    await stopTest();
+  if (project.testRunning) {
+    await stopTest(project);
   }
   
-  state.operationRunning = true;
-  setStatus('buildStatus', 'in-progress', 'Cleaning...');
-  updateUI();
+  if (!(await preflightCheck(project, matrix.lvglVersions)) || !workspace.projects.includes(project) || project.abortRequested) {
+    project.operationRunning = false;
+    project.abortRequested = false;
+    updateUI();
+    return;
+  }
   
-  logMessage('info', '=== Cleaning All Project Files ===');
+  logMessage('info', '=== Starting Build Matrix ===', project);
+  setStatus('buildStatus', 'in-progress', 'Matrix...', project);
+  setDiagnostics([], project);
+  project.matrixResults = [];
+  project.matrixOutputPath = null;
+  renderMatrix();
+  if (project === state) {
+    switchTab('matrix');
+  }
   
-  const result = await window.electronAPI.cleanProject();
+  const result = await window.electronAPI.buildMatrix(project.projectPath, matrix);
   
-  if (result.success) {
-    state.setupComplete = false;
-    state.buildComplete = false;
-    setStatus('buildStatus', 'pending', '');
-    setStatus('testStatus', 'pending', '');
-    logMessage('success', 'Project cleaned successfully');
+  if (result.aborted && !result.entries) {
+    logMessage('warning', 'Build matrix aborted by user', project);
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+  } else if (!result.success) {
+    logMessage('error', 'Build matrix failed', project);
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+    if (project === state) {
+      switchTab('logs');
+    }
   } else {
-    logMessage('error', 'Failed to clean project');
-    setStatus('buildStatus', 'error', '✗ Failed');
+    project.setupComplete = true;
+    setSimulatorRepository(result.repository, project);
+    project.matrixResults = result.entries;
+    project.matrixOutputPath = result.outputPath;
+    renderMatrix();
+    
+    const failed = result.entries.filter((entry) => entry.status !== 'success').length;
+    if (result.aborted) {
+      logMessage('warning', 'Build matrix aborted by user', project);
+      setStatus('buildStatus', 'error', '✗ Aborted', project);
+    } else if (failed > 0) {
+      logMessage('error', `Build matrix: ${failed} of ${result.entries.length} combination(s) failed`, project);
+      setStatus('buildStatus', 'error', `✗ ${failed} failed`, project);
+    } else {
+      logMessage('success', `Build matrix: all ${result.entries.length} combination(s) succeeded`, project);
+      setStatus('buildStatus', 'completed', '✓ Matrix', project);
+    }
   }
   
-  state.operationRunning = false;
+  project.operationRunning = false;
+  project.abortRequested = false;
   updateUI();
 }
 
-// Abort current operation
-async function abortOperation() {
-  if (!state.operationRunning) return;
-  
-  logMessage('warning', 'Aborting operation...');
-  
-  // Call the main process to kill the Docker process
-  const result = await window.electronAPI.abortOperation();
-  
-  if (result.success) {
-    logMessage('info', 'Operation aborted successfully');
-  } else {
-    logMessage('warning', `Abort signal sent: ${result.error || 'Unknown'}`);
+// Check the project file and show the checklist; resolves with the report (null if the check couldn't run)
+async function runProjectCheck(project, lvglVersions) {
+  const result = await window.electronAPI.checkProject(project.projectPath, lvglVersions);
+  if (!result.success) {
+    logMessage('error', `Project check failed: ${result.error}`, project);
+    setProjectCheck(null, project);
+    return null;
   }
   
-  state.operationRunning = false;
-  state.abortRequested = true;
-  updateUI();
+  const report = result.report;
+  setProjectCheck(report, project);
+  for (const check of report.checks) {
+    if (check.severity === 'error' || check.severity === 'warning') {
+      logMessage(check.severity, check.message, project);
+    }
+  }
+  return report;
 }
 
-// Run test
-async function runTest() {
-  if (!state.projectInfo || !state.buildComplete || !state.outputPath) return;
-  
-  state.operationRunning = true;
-  elements.btnTest.disabled = true;
-  setStatus('testStatus', 'in-progress', 'Starting server...');
-  updateUI();
-  
-  logMessage('info', '=== Starting Test ===');
-  
-  // Start test server (files already extracted during build)
-  const serverResult = await window.electronAPI.startTestServer(state.outputPath);
-  
-  if (serverResult.success) {
-    state.testRunning = true;
-    state.testUrl = serverResult.url;
-    setStatus('testStatus', 'completed', '✓ Running');
-    
-    // Show test view and Preview tab
-    elements.testView.style.display = 'flex';
-    elements.tabPreview.style.display = 'inline-block';
-    switchTab('preview');
-    
-    // Clear console output
-    elements.testConsoleOutput.innerHTML = '';
-    
-    // Force cache-busting reload by clearing iframe and adding timestamp
-    elements.testFrame.src = 'about:blank';
-    setTimeout(() => {
-      elements.testFrame.src = serverResult.url + '?t=' + Date.now();
-    }, 100);
-    
-    elements.btnTest.style.display = 'none';
-    elements.btnStopTest.style.display = 'inline-block';
-  } else {
-    setStatus('testStatus', 'error', '✗ Failed');
+// Run the check before Build and Build Matrix; false if the build must not start
+async function preflightCheck(project, lvglVersions) {
+  const report = await runProjectCheck(project, lvglVersions);
+  if (report && report.passed) {
+    return true;
   }
-  
-  state.operationRunning = false;
-  updateUI();
+  if (report) {
+    logMessage('error', `Build not started: the project check found ${report.errors} error(s)`, project);
+  }
+  setStatus('buildStatus', 'error', '✗ Check failed', project);
+  return false;
 }
 
-// Stop test
-async function stopTest() {
-  await window.electronAPI.stopTestServer();
-  
-  state.testRunning = false;
-  state.testUrl = null;
-  setStatus('testStatus', 'pending', '');
-  
-  // Hide test view and Preview tab
-  elements.testView.style.display = 'none';
-  elements.tabPreview.style.display = 'none';
-  switchTab('logs');
-  
-  elements.btnStopTest.style.display = 'none';
-  elements.btnTest.style.display = 'inline-block';
-  
-  logMessage('info', 'Test server stopped.');
+// Check Project button: validate the project file without building
+async function checkProjectFile() {
+  if (!state.projectPath) return;
   
-  updateUI();
+  const project = state;
+  logMessage('info', `Checking project file: ${project.projectPath}`, project);
+  const report = await runProjectCheck(project);
+  if (report) {
+    logMessage(report.passed ? 'success' : 'error', formatProjectCheckSummary(report), project);
+  }
 }
 
-// Append console message
-function appendConsoleMessage(level, message) {
-  const line = document.createElement('div');
-  line.className = `console-line ${level}`;
-  line.textContent = `[${level.toUpperCase()}] ${message}`;
-  elements.testConsoleOutput.appendChild(line);
-  elements.testConsoleOutput.scrollTop = elements.testConsoleOutput.scrollHeight;
+function formatProjectCheckSummary(report) {
+  if (report.errors === 0 && report.warnings === 0) {
+    return 'Project check passed';
+  }
+  return `Project check: ${report.errors} error(s), ${report.warnings} warning(s)`;
 }
 
-// Switch between tabs
-function switchTab(tabName) {
-  if (tabName === 'logs') {
-    elements.tabLogs.classList.add('active');
-    elements.tabPreview.classList.remove('active');
-    elements.tabContentLogs.classList.add('active');
-    elements.tabContentLogs.style.display = '';
-    elements.tabContentPreview.classList.remove('active');
-    elements.tabContentPreview.style.display = 'none';
-  } else if (tabName === 'preview') {
-    elements.tabLogs.classList.remove('active');
-    elements.tabPreview.classList.add('active');
-    elements.tabContentLogs.classList.remove('active');
-    elements.tabContentLogs.style.display = 'none';
-    elements.tabContentPreview.classList.add('active');
-    elements.tabContentPreview.style.display = '';
-  }
+// Keep the report of a project's last check
+function setProjectCheck(report, project = state) {
+  project.projectCheck = report;
+  renderProjectCheck();
 }
 
-// Update UI state
-function updateUI() {
-  // Disable all buttons if any operation is running
+// Show the checklist of the active project's last check in the Build section (collapsed when everything passed)
+function renderProjectCheck() {
+  const report = state.projectCheck;
+  elements.projectChecklistItems.innerHTML = '';
+  if (!report) {
+    elements.projectChecklist.style.display = 'none';
+    return;
+  }
+  
+  for (const check of report.checks) {
+    const item = document.createElement('li');
+    const icon = document.createElement('span');
+    icon.className = `check-icon ${check.severity}`;
+    icon.textContent = CHECK_ICONS[check.severity];
+    const message = document.createElement('span');
+    message.textContent = check.message;
+    if (check.path) {
+      message.title = check.path;
+    }
+    item.append(icon, message);
+    elements.projectChecklistItems.appendChild(item);
+  }
+  
+  const problems = report.errors > 0 ? 'error' : report.warnings > 0 ? 'warning' : '';
+  elements.projectChecklist.className = `project-checklist ${problems}`.trim();
+  elements.projectChecklistSummary.textContent = formatProjectCheckSummary(report);
+  elements.projectChecklist.open = !!problems;
+  elements.projectChecklist.style.display = 'block';
+}
+
+// Render the per-combination results of the build matrix
+function renderMatrix() {
+  elements.matrixList.innerHTML = '';
+  
+  const results = state.matrixResults.filter(Boolean);
+  const succeeded = results.filter((result) => result.status === 'success').length;
+  elements.matrixSummary.textContent = results.length > 0
+    ? `${succeeded} of ${results.length} succeeded${state.matrixOutputPath ? ` — ${state.matrixOutputPath}` : ''}`
+    : '';
+  
+  if (results.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.className = 'empty';
+    cell.textContent = 'Enter LVGL versions and/or display sizes and click Build Matrix';
+    row.appendChild(cell);
+    elements.matrixList.appendChild(row);
+    return;
+  }
+  
+  results.forEach((result) => {
+    const row = document.createElement('tr');
+    const finished = result.status !== 'running' && result.status !== 'skipped';
+    
+    const cells = [
+      result.entry.lvglVersion,
+      `${result.entry.displayWidth}x${result.entry.displayHeight}`,
+      result.status,
+      finished ? `${(result.durationMs / 1000).toFixed(1)}s` : '',
+      finished ? `${result.summary.errors} / ${result.summary.warnings}` : '',
+      result.status === 'success' ? result.entry.name : result.error || ''
+    ];
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 2) {
+        cell.className = `matrix-status ${result.status}`;
+      }
+      row.appendChild(cell);
+    });
+    
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    
+    if (result.diagnostics && result.diagnostics.length > 0) {
+      const btnProblems = document.createElement('button');
+      btnProblems.className = 'btn btn-small';
+      btnProblems.textContent = 'Problems';
+      btnProblems.addEventListener('click', () => {
+        setDiagnostics(result.diagnostics);
+        switchTab('problems');
+      });
+      actions.appendChild(btnProblems);
+    }
+    
+    if (result.status === 'success') {
+      const btnTest = document.createElement('button');
+      btnTest.className = 'btn btn-small';
+      btnTest.textContent = 'Test';
+      btnTest.disabled = state.operationRunning || state.testRunning;
+      btnTest.addEventListener('click', () => runTest(result.outputPath, {
+        width: result.entry.displayWidth,
+        height: result.entry.displayHeight
+      }));
+      actions.appendChild(btnTest);
+    }
+    
+    row.appendChild(actions);
+    elements.matrixList.appendChild(row);
+  });
+}
+
+// Save the build matrix versions and sizes of the current project
+async function changeMatrixSettings() {
+  if (!state.projectPath) return;
+  
+  await window.electronAPI.updateProjectSettings(state.projectPath, {
+    matrixLvglVersions: elements.matrixLvglVersions.value.trim() || undefined,
+    matrixDisplaySizes: elements.matrixDisplaySizes.value.trim() || undefined
+  });
+}
+
+// Show the build options the app sets for the current project
+function showBuildOptions(projectInfo) {
+  const overrides = projectInfo.buildOptionOverrides || {};
+  elements.chkDebugBuild.checked = !!overrides.debugBuild;
+  elements.buildOptimization.value = overrides.optimization || '';
+  elements.buildColorDepth.value = overrides.colorDepth !== undefined ? String(overrides.colorDepth) : '';
+  elements.buildColorDepth.options[0].textContent = projectInfo.colorDepth !== undefined ? `Project (${projectInfo.colorDepth} bit)` : 'Project';
+  elements.buildAssertions.value = overrides.assertions !== undefined ? String(overrides.assertions) : '';
+  elements.buildMemorySize.value = overrides.memorySize !== undefined ? String(overrides.memorySize) : '';
+  elements.chkDebugSymbols.checked = !!overrides.debugSymbols;
+  elements.buildDefines.value = Object.entries(overrides.defines || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+  elements.buildLvConf.value = overrides.lvConfPath || '';
+  // The build log shows the options a build uses, including the file's
+  elements.buildOptionsHint.textContent = `Options set here replace those of ${projectInfo.buildOptionsPath} (if it exists) and the project's settings.`;
+}
+
+// Save the build options of the current project (checked by the main process)
+async function changeBuildOptions() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const defines = {};
+  for (const line of elements.buildDefines.value.split('\n').map((l) => l.trim()).filter(Boolean)) {
+    const separator = line.indexOf('=');
+    defines[(separator < 0 ? line : line.slice(0, separator)).trim()] = separator < 0 ? '1' : line.slice(separator + 1).trim();
+  }
+  const buildOptions = {
+    debugBuild: elements.chkDebugBuild.checked || undefined,
+    optimization: elements.buildOptimization.value || undefined,
+    colorDepth: elements.buildColorDepth.value ? Number(elements.buildColorDepth.value) : undefined,
+    assertions: elements.buildAssertions.value ? Number(elements.buildAssertions.value) : undefined,
+    memorySize: elements.buildMemorySize.value ? Number(elements.buildMemorySize.value) : undefined,
+    debugSymbols: elements.chkDebugSymbols.checked || undefined,
+    defines: Object.keys(defines).length > 0 ? defines : undefined,
+    lvConf: elements.buildLvConf.value.trim() || undefined,
+  };
+  
+  let projectSettings;
+  try {
+    projectSettings = await window.electronAPI.updateProjectSettings(project.projectPath, { buildOptions });
+  } catch (error) {
+    logMessage('error', error.message, project);
+    if (project === state) {
+      showBuildOptions(project.projectInfo);
+    }
+    return;
+  }
+  
+  // Applied when the next build reads the project file
+  project.projectInfo.buildOptionOverrides = projectSettings.buildOptions;
+  if (project === state) {
+    showBuildOptions(project.projectInfo);
+  }
+  logMessage('info', 'Build options saved (used by the next build)', project);
+}
+
+// Package the last build as a zip or tar.gz
+async function exportBuild() {
+  if (!state.projectInfo || !state.buildComplete || !state.outputPath) return;
+  
+  const project = state;  
+  project.operationRunning = true;
+  setStatus('exportStatus', 'in-progress', 'Exporting...', project);
+  updateUI();
+  
+  const result = await window.electronAPI.exportBuild(project.projectInfo, project.outputPath, { launcher: preferences.exportLauncher });
+  
+  if (result.success) {
+    setStatus('exportStatus', 'completed', '✓ Exported', project);
+    logMessage('success', `Build exported to ${result.exportPath} (${(result.size / 1024 / 1024).toFixed(1)} MB, ${result.manifest.files.length} file(s))`, project);
+  } else if (result.canceled) {
+    setStatus('exportStatus', 'pending', '', project);
+  } else {
+    setStatus('exportStatus', 'error', '✗ Failed', project);
+  }
+  
+  project.operationRunning = false;
+  updateUI();
+}
+
+// Toggle watch mode of the active project (newly opened projects start with the last setting)
+async function toggleWatch() {
+  const project = state;
+  project.watchEnabled = elements.chkWatch.checked;
+  project.rebuildPending = false;
+  preferences.watchEnabled = project.watchEnabled;
+  localStorage.setItem('watchEnabled', preferences.watchEnabled);
+  
+  await updateWatch(project);
+  
+  if (project.projectInfo) {
+    logMessage('info', project.watchEnabled ? 'Watching project for changes.' : 'Stopped watching project.', project);
+  }
+}
+
+// Start or stop the file watcher of a project
+async function updateWatch(project) {
+  if (project.watchEnabled && project.projectPath && project.projectInfo) {
+    const result = await window.electronAPI.startWatch(project.projectPath);
+    if (!result.success) {
+      logMessage('warning', `Failed to watch project: ${result.error}`, project);
+    }
+  } else if (project.projectPath) {
+    await window.electronAPI.stopWatch(project.projectPath);
+  }
+}
+
+// Watch mode: rebuild after a change (or once the running operation has finished)
+async function handleProjectChanged(projectPath, files) {
+  const project = findProject(projectPath);
+  if (!project || !project.watchEnabled) return;
+  
+  const fileNames = files.map(file => file.split(/[\\/]/).pop());
+  logMessage('info', `Change detected: ${fileNames.join(', ')}`, project);
+  
+  if (project.operationRunning) {
+    project.rebuildPending = true;
+    return;
+  }
+  
+  await buildProject(project, { fromWatch: true });
+}
+
+// Reload the preview with cache-busting
+function reloadPreview(project) {
+  if (!project.testRunning || !project.testUrl) return;
+  
+  clearConsole(project);
+  project.frame.src = 'about:blank';
+  setTimeout(() => {
+    project.frame.src = project.testUrl + '?t=' + Date.now();
+  }, 100);
+  
+  logMessage('info', 'Preview reloaded.', project);
+}
+
+// Clean build directory only
+async function cleanBuildProject() {
+  if (!state.projectInfo) return;
+  
+  const project = state;  
+  // Stop test if running
+  if (project.testRunning) {
+    await stopTest(project);
+  }
+  
+  project.operationRunning = true;
+  project.abortRequested = false;
+  setStatus('buildStatus', 'in-progress', 'Cleaning...', project);
+  updateUI();
+  
+  logMessage('info', '=== Cleaning Build Directory ===', project);
+  
+  const result = await window.electronAPI.cleanBuild(project.projectPath);
+  
+  if (result.aborted) {
+    logMessage('warning', 'Clean aborted by user', project);
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+  } else if (result.success) {
+    project.buildComplete = false;
+    setStatus('buildStatus', 'pending', '', project);
+    setStatus('testStatus', 'pending', '', project);
+    logMessage('success', 'Build directory cleaned successfully', project);
+  } else {
+    logMessage('error', 'Failed to clean build directory', project);
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+  }
+  
+  project.operationRunning = false;
+  project.abortRequested = false;
+  updateUI();
+}
+
+// Clean all (delete entire /project directory)
+async function cleanAllProject() {
+  if (!state.projectInfo) return;
+  
+  const project = state;  
+  // Stop test if running
+  if (project.testRunning) {
+    await stopTest(project);
+  }
+  
+  project.operationRunning = true;
+  project.abortRequested = false;
+  setStatus('buildStatus', 'in-progress', 'Cleaning...', project);
+  updateUI();
+  
+  logMessage('info', '=== Cleaning All Project Files ===', project);
+  
+  const result = await window.electronAPI.cleanProject(project.projectPath);
+  
+  if (result.aborted) {
+    logMessage('warning', 'Clean aborted by user', project);
+    setStatus('buildStatus', 'error', '✗ Aborted', project);
+  } else if (result.success) {
+    project.setupComplete = false;
+    project.buildComplete = false;
+    setSimulatorRepository(undefined, project);
+    setStatus('buildStatus', 'pending', '', project);
+    setStatus('testStatus', 'pending', '', project);
+    logMessage('success', 'Project cleaned successfully', project);
+  } else {
+    logMessage('error', 'Failed to clean project', project);
+    setStatus('buildStatus', 'error', '✗ Failed', project);
+  }
+  
+  project.operationRunning = false;
+  project.abortRequested = false;
+  updateUI();
+}
+
+// Abort current operation
+async function abortOperation() {
+  if (!state.operationRunning || state.abortRequested) return;
+  
+  const project = state;  
+  logMessage('warning', 'Aborting operation...', project);
+  
+  // The running operation notices the abort and resets operationRunning itself
+  project.abortRequested = true;
+  updateUI();
+  
+  // Call the main process to kill the Docker processes and containers
+  const result = await window.electronAPI.abortOperation(project.projectPath);
+  
+  if (result.success) {
+    logMessage('info', 'Abort requested, stopping Docker processes...', project);
+  } else {
+    logMessage('warning', `Abort signal sent: ${result.error || 'Unknown'}`, project);
+  }
+}
+
+// Run the project's UI smoke test (<project>.ui-test.json) against the last build;
+// screenshotMode 'compare' checks its screenshots against the baselines, 'update' replaces them
+async function runUiTest(screenshotMode) {
+  if (!state.projectInfo || !state.buildComplete || !state.outputPath) return;
+  
+  const project = state;  
+  project.operationRunning = true;
+  project.abortRequested = false;
+  setStatus('uiTestStatus', 'in-progress', screenshotMode === 'update' ? 'Updating...' : 'Running...', project);
+  setScreenshotReport(null, project);
+  updateUI();
+  
+  logMessage('info', screenshotMode === 'update' ? '=== Updating UI Test Baselines ===' : '=== Running UI Test ===', project);
+  const result = await window.electronAPI.runUiTest(project.projectPath, project.outputPath, {
+    width: project.projectInfo.displayWidth,
+    height: project.projectInfo.displayHeight
+  }, screenshotMode);
+  
+  if (result.success) {
+    const { steps, passed, regression } = result.result;
+    const passedSteps = steps.filter(step => step.status === 'passed').length;
+    let text;
+    if (passed) {
+      text = regression && regression.mode === 'update' ? '✓ Baselines updated' : '✓ Passed';
+    } else if (regression && !regression.passed && passedSteps === steps.length) {
+      const matching = regression.comparisons.filter(comparison => comparison.status === 'passed').length;
+      text = `✗ Screenshots differ (${matching}/${regression.comparisons.length})`;
+    } else {
+      text = `✗ Failed (${passedSteps}/${steps.length})`;
+    }
+    setStatus('uiTestStatus', passed ? 'completed' : 'error', text, project);
+    setScreenshotReport(regression ? regression.reportPath : null, project);
+  } else if (result.aborted) {
+    setStatus('uiTestStatus', 'error', '✗ Aborted', project);
+  } else {
+    setStatus('uiTestStatus', 'error', '✗ Error', project);
+  }
+  
+  project.operationRunning = false;
+  updateUI();
+}
+
+// Show or hide the Open Report button of a project's last screenshot comparison
+function setScreenshotReport(reportPath, project = state) {
+  project.screenshotReportPath = reportPath;
+  if (project === state) {
+    elements.btnOpenScreenshotReport.style.display = reportPath ? 'inline-block' : 'none';
+  }
+}
+
+async function openScreenshotReport() {
+  if (!state.screenshotReportPath) return;
+  
+  const result = await window.electronAPI.openScreenshotReport(state.screenshotReportPath);
+  if (!result.success) {
+    logMessage('error', `Failed to open the screenshot report: ${result.error}`);
+  }
+}
+
+// Run test (of the last build, or of a build matrix combination with its display size)
+async function runTest(outputPath, displaySize) {
+  const project = state;
+  const testOutputPath = outputPath || (project.buildComplete ? project.outputPath : null);
+  if (!project.projectInfo || !testOutputPath) return;
+  
+  project.operationRunning = true;
+  elements.btnTest.disabled = true;
+  setStatus('testStatus', 'in-progress', 'Starting server...', project);
+  updateUI();
+  
+  logMessage('info', '=== Starting Test ===', project);
+  
+  // Start the project's test server (files already extracted during build)
+  // The sources are only served for a debug build's source map
+  const serverResult = await window.electronAPI.startTestServer(project.projectPath, testOutputPath, project.projectInfo.uiDir);
+  
+  if (serverResult.success) {
+    project.testRunning = true;
+    project.testUrl = serverResult.url;
+    project.testServerUrls = [serverResult.url, ...serverResult.lanUrls];
+    project.previewSize = displaySize || { width: project.projectInfo.displayWidth, height: project.projectInfo.displayHeight };
+    setStatus('testStatus', 'completed', '✓ Running', project);
+    
+    // Clear console output
+    clearConsole(project);
+    
+    // Force cache-busting reload by clearing iframe and adding timestamp
+    const frame = getPreviewFrame(project);
+    frame.src = 'about:blank';
+    setTimeout(() => {
+      frame.src = serverResult.url + '?t=' + Date.now();
+    }, 100);
+    
+    // Show test view and Preview tab
+    if (project === state) {
+      renderTestView();
+      switchTab('preview');
+      layoutPreview();
+    }
+  } else {
+    setStatus('testStatus', 'error', '✗ Failed', project);
+    logMessage('error', `Failed to start the test server: ${serverResult.error}`, project);
+  }
+  
+  project.operationRunning = false;
+  updateUI();
+}
+
+// Stop a project's test
+async function stopTest(project) {
+  await window.electronAPI.stopTestServer(project.projectPath);
+  
+  project.testRunning = false;
+  project.testUrl = null;
+  project.testServerUrls = [];
+  setStatus('testStatus', 'pending', '', project);
+  if (project.frame) {
+    project.frame.remove();
+    project.frame = null;
+  }
+  
+  // Hide test view and Preview tab
+  if (project === state) {
+    renderTestView();
+  }
+  
+  logMessage('info', 'Test server stopped.', project);
+  
+  updateUI();
+}
+
+// The preview frame of a project (each has its own, only the active project's is shown)
+function getPreviewFrame(project) {
+  if (!project.frame) {
+    project.frame = document.createElement('iframe');
+    project.frame.setAttribute('sandbox', 'allow-scripts allow-same-origin');
+    project.frame.style.display = project === state ? '' : 'none';
+    elements.previewDevice.appendChild(project.frame);
+  }
+  return project.frame;
+}
+
+// Show the Preview tab, the Stop Test button and the server's addresses while the active project's test runs
+function renderTestView() {
+  elements.testView.style.display = state.testRunning ? 'flex' : 'none';
+  elements.tabPreview.style.display = state.testRunning ? 'inline-block' : 'none';
+  elements.btnTest.style.display = state.testRunning ? 'none' : 'inline-block';
+  elements.btnStopTest.style.display = state.testRunning ? 'inline-block' : 'none';
+  showTestServerUrls(state.testServerUrls);
+  
+  if (!state.testRunning && elements.tabPreview.classList.contains('active')) {
+    switchTab('logs');
+  }
+}
+
+// Size the preview frame to the display resolution, then zoom and rotate the device
+function layoutPreview() {
+  const viewport = elements.previewViewport;
+  if (!state.frame || !state.previewSize || viewport.clientWidth === 0 || viewport.clientHeight === 0) return;
+  
+  const { width, height } = state.previewSize;
+  state.frame.style.width = width + 'px';
+  state.frame.style.height = height + 'px';
+  elements.previewDevice.classList.toggle('bezel', preferences.previewBezel);
+  elements.btnRotatePreview.textContent = `⟳ ${preferences.previewRotation}°`;
+  
+  // Layout sizes ignore the transform: they include the frame, but not the rotation
+  const sideways = preferences.previewRotation % 180 !== 0;
+  const deviceWidth = sideways ? elements.previewDevice.offsetHeight : elements.previewDevice.offsetWidth;
+  const deviceHeight = sideways ? elements.previewDevice.offsetWidth : elements.previewDevice.offsetHeight;
+  
+  let zoom;
+  if (preferences.previewZoom === 'fit') {
+    zoom = Math.min(viewport.clientWidth / deviceWidth, viewport.clientHeight / deviceHeight, MAX_FIT_ZOOM);
+  } else {
+    zoom = Number(preferences.previewZoom) / 100;
+  }
+  
+  elements.previewStage.style.width = Math.floor(deviceWidth * zoom) + 'px';
+  elements.previewStage.style.height = Math.floor(deviceHeight * zoom) + 'px';
+  elements.previewDevice.style.transform = `translate(-50%, -50%) rotate(${preferences.previewRotation}deg) scale(${zoom})`;
+  elements.previewInfo.textContent = `${width}×${height} at ${Math.round(zoom * 100)}%`;
+}
+
+function changePreviewZoom() {
+  preferences.previewZoom = elements.previewZoom.value;
+  localStorage.setItem('previewZoom', preferences.previewZoom);
+  layoutPreview();
+}
+
+function rotatePreview() {
+  preferences.previewRotation = (preferences.previewRotation + 90) % 360;
+  localStorage.setItem('previewRotation', preferences.previewRotation);
+  layoutPreview();
+}
+
+function togglePreviewBezel() {
+  preferences.previewBezel = !preferences.previewBezel;
+  elements.btnPreviewBezel.classList.toggle('toggle-active', preferences.previewBezel);
+  localStorage.setItem('previewBezel', preferences.previewBezel);
+  layoutPreview();
+}
+
+// Screenshot requests sent to the preview, by id
+const pendingScreenshots = new Map();
+let nextScreenshotId = 1;
+
+// Ask the simulator page for a PNG of its canvas (native resolution, without zoom or rotation)
+function requestScreenshot() {
+  return new Promise((resolve, reject) => {
+    const id = nextScreenshotId++;
+    const timer = setTimeout(() => {
+      pendingScreenshots.delete(id);
+      reject(new Error('The preview did not answer, is the simulator page loaded?'));
+    }, SCREENSHOT_TIMEOUT_MS);
+    pendingScreenshots.set(id, { resolve, reject, timer });
+    state.frame.contentWindow.postMessage({ type: 'screenshot-request', id }, '*');
+  });
+}
+
+function resolveScreenshot(data) {
+  const request = pendingScreenshots.get(data.id);
+  if (!request) return;
+  
+  pendingScreenshots.delete(data.id);
+  clearTimeout(request.timer);
+  if (data.error) {
+    request.reject(new Error(data.error));
+  } else {
+    request.resolve(data);
+  }
+}
+
+// Save a screenshot of the display as a PNG file
+async function saveScreenshot() {
+  if (!state.testRunning) return;
+  
+  const project = state;
+  let screenshot;
+  try {
+    screenshot = await requestScreenshot();
+  } catch (error) {
+    logMessage('error', `Screenshot failed: ${error.message}`, project);
+    return;
+  }
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileName = `${getProjectName(project.projectPath)}-${screenshot.width}x${screenshot.height}-${timestamp}.png`;
+  
+  const result = await window.electronAPI.saveScreenshot(screenshot.dataUrl, fileName);
+  if (result.success) {
+    logMessage('success', `Screenshot saved (${screenshot.width}×${screenshot.height}): ${result.filePath}`, project);
+  } else if (!result.canceled) {
+    logMessage('error', `Failed to save the screenshot: ${result.error}`, project);
+  }
+}
+
+// Show the addresses of the running test server
+function showTestServerUrls(urls) {
+  elements.testServerUrls.innerHTML = '';
+  for (const url of urls) {
+    const line = document.createElement('div');
+    line.textContent = url;
+    elements.testServerUrls.appendChild(line);
+  }
+  elements.testServerUrls.style.display = urls.length > 0 ? 'block' : 'none';
+}
+
+function showTestServerSettings(testServer) {
+  elements.chkCrossOriginIsolation.checked = testServer.crossOriginIsolation;
+  elements.chkCompression.checked = testServer.compression;
+  elements.chkHttps.checked = testServer.https;
+  elements.testServerHost.value = testServer.host;
+}
+
+// Change the test server options (shared by all projects, used by the next Start Test)
+async function changeTestServerSettings() {
+  const appSettings = await window.electronAPI.updateAppSettings({
+    testServer: {
+      crossOriginIsolation: elements.chkCrossOriginIsolation.checked,
+      compression: elements.chkCompression.checked,
+      https: elements.chkHttps.checked,
+      host: elements.testServerHost.value,
+    },
+  });
+  showTestServerSettings(appSettings.testServer);
+  logMessage('info', workspace.projects.some((project) => project.testRunning)
+    ? 'Test server options changed, restart the test to apply them.'
+    : 'Test server options changed.');
+}
+
+// Append a message from a project's preview console (see src/main/console-capture.ts)
+function appendConsoleMessage(data, project) {
+  const message = {
+    level: CONSOLE_LEVELS.includes(data.level) ? data.level : 'log',
+    text: String(data.message),
+    stack: data.stack ? String(data.stack) : undefined,
+    source: data.source || 'console',
+    timestamp: data.timestamp || Date.now(),
+  };
+  project.consoleMessages.push(message);
+  
+  // A preview stuck in a loop mustn't fill up the memory
+  const trimmed = project.consoleMessages.length > MAX_CONSOLE_MESSAGES;
+  if (trimmed) {
+    project.consoleMessages.splice(0, project.consoleMessages.length - MAX_CONSOLE_MESSAGES * 0.9);
+  }
+  
+  // Only the active project's console is shown
+  if (project !== state) return;
+  
+  if (trimmed) {
+    updateConsoleCounts();
+    renderConsole();
+    return;
+  }
+  
+  updateConsoleCounts();
+  if (isConsoleMessageVisible(message)) {
+    const output = elements.testConsoleOutput;
+    const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+    output.appendChild(createConsoleLine(message));
+    if (atBottom) {
+      output.scrollTop = output.scrollHeight;
+    }
+  }
+}
+
+// Filter group of a console level (debug messages are shown with log)
+function getConsoleFilter(level) {
+  return level === 'debug' ? 'log' : level;
+}
+
+function isConsoleMessageVisible(message) {
+  if (!preferences.consoleFilters[getConsoleFilter(message.level)]) {
+    return false;
+  }
+  const searchTerm = elements.consoleSearch.value.toLowerCase();
+  return !searchTerm ||
+    message.text.toLowerCase().includes(searchTerm) ||
+    (message.stack || '').toLowerCase().includes(searchTerm);
+}
+
+function formatConsoleTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.toLocaleTimeString(undefined, { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function createConsoleLine(message) {
+  const line = document.createElement('div');
+  line.className = `console-line ${message.level}`;
+  
+  const timestamp = document.createElement('span');
+  timestamp.className = 'console-timestamp';
+  timestamp.textContent = `[${formatConsoleTime(message.timestamp)}]`;
+  line.appendChild(timestamp);
+  
+  line.appendChild(document.createTextNode(`[${message.level.toUpperCase()}] `));
+  if (message.source !== 'console') {
+    const source = document.createElement('span');
+    source.className = 'console-source';
+    source.textContent = `(${message.source})`;
+    line.appendChild(source);
+  }
+  line.appendChild(document.createTextNode(message.text));
+  
+  if (message.stack) {
+    const details = document.createElement('details');
+    details.className = 'console-stack';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Stack trace';
+    const stack = document.createElement('pre');
+    stack.textContent = message.stack;
+    details.appendChild(summary);
+    details.appendChild(stack);
+    line.appendChild(details);
+  }
+  
+  return line;
+}
+
+// Show the messages that pass the level filters and the search
+function renderConsole() {
+  elements.testConsoleOutput.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  state.consoleMessages
+    .filter(isConsoleMessageVisible)
+    .forEach((message) => fragment.appendChild(createConsoleLine(message)));
+  elements.testConsoleOutput.appendChild(fragment);
+  elements.testConsoleOutput.scrollTop = elements.testConsoleOutput.scrollHeight;
+}
+
+// Message counts on the filter buttons and the Preview tab
+function updateConsoleCounts() {
+  const counts = { error: 0, warn: 0, info: 0, log: 0 };
+  state.consoleMessages.forEach((message) => counts[getConsoleFilter(message.level)]++);
+  
+  elements.btnConsoleErrors.textContent = `✖ ${counts.error}`;
+  elements.btnConsoleWarnings.textContent = `⚠ ${counts.warn}`;
+  elements.btnConsoleInfo.textContent = `ℹ ${counts.info}`;
+  elements.btnConsoleLog.textContent = `≡ ${counts.log}`;
+  
+  const total = state.consoleMessages.length;
+  elements.previewBadge.textContent = total;
+  elements.previewBadge.className = `tab-badge ${counts.error > 0 ? 'error' : counts.warn > 0 ? 'warning' : ''}`;
+  elements.previewBadge.style.display = total > 0 ? 'inline-block' : 'none';
+}
+
+// Show or hide a console level
+function toggleConsoleFilter(filterName) {
+  preferences.consoleFilters[filterName] = !preferences.consoleFilters[filterName];
+  const buttons = {
+    error: elements.btnConsoleErrors,
+    warn: elements.btnConsoleWarnings,
+    info: elements.btnConsoleInfo,
+    log: elements.btnConsoleLog,
+  };
+  buttons[filterName].classList.toggle('toggle-active', preferences.consoleFilters[filterName]);
+  renderConsole();
+}
+
+function toggleConsoleTimestamps() {
+  preferences.consoleTimestamps = !preferences.consoleTimestamps;
+  localStorage.setItem('consoleTimestamps', preferences.consoleTimestamps);
+  elements.btnConsoleTimestamps.classList.toggle('toggle-active', preferences.consoleTimestamps);
+  elements.testConsoleOutput.classList.toggle('hide-timestamps', !preferences.consoleTimestamps);
+}
+
+// The visible console messages as text, with their stack traces indented
+function getConsoleText() {
+  return state.consoleMessages
+    .filter(isConsoleMessageVisible)
+    .map((message) => {
+      const source = message.source !== 'console' ? `(${message.source})` : '';
+      const line = `[${formatConsoleTime(message.timestamp)}] [${message.level.toUpperCase()}] ${source}${message.text}`;
+      return message.stack ? `${line}\n${message.stack.replace(/^/gm, '    ')}` : line;
+    })
+    .join('\n');
+}
+
+function copyConsoleToClipboard() {
+  navigator.clipboard.writeText(getConsoleText()).then(() => {
+    const originalText = elements.btnCopyConsole.textContent;
+    elements.btnCopyConsole.textContent = '✓';
+    setTimeout(() => {
+      elements.btnCopyConsole.textContent = originalText;
+    }, 1000);
+  }).catch((err) => {
+    logMessage('error', `Failed to copy the console: ${err.message}`);
+  });
+}
+
+async function exportConsole() {
+  const result = await window.electronAPI.exportConsoleLog(getConsoleText() + '\n');
+  if (result.success) {
+    logMessage('success', `Console saved to ${result.filePath}`);
+  } else if (!result.canceled) {
+    logMessage('error', `Failed to save the console: ${result.error}`);
+  }
+}
+
+function clearConsole(project = state) {
+  project.consoleMessages = [];
+  if (project === state) {
+    elements.testConsoleOutput.innerHTML = '';
+    updateConsoleCounts();
+  }
+}
+
+// Switch between tabs
+function switchTab(tabName) {
+  Object.entries(tabs).forEach(([name, tab]) => {
+    const isActive = name === tabName;
+    tab.button.classList.toggle('active', isActive);
+    tab.content.classList.toggle('active', isActive);
+    tab.content.style.display = isActive ? '' : 'none';
+  });
+  
+  if (tabName === 'volumes') {
+    refreshVolumes();
+  } else if (tabName === 'history') {
+    refreshHistory();
+  }
+}
+
+// Replace a project's compiler diagnostics (shown in the Problems tab while its tab is active)
+function setDiagnostics(diagnostics, project = state) {
+  project.diagnostics = diagnostics;
+  if (project === state) {
+    renderDiagnostics();
+  }
+}
+
+// Counts of the active project's diagnostics on the filter buttons and the Problems tab, and the list
+function renderDiagnostics() {
+  const diagnostics = state.diagnostics;
+  const errors = diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+  
+  elements.btnFilterErrors.textContent = `✖ ${errors}`;
+  elements.btnFilterWarnings.textContent = `⚠ ${warnings}`;
+  elements.problemsBadge.textContent = diagnostics.length;
+  elements.problemsBadge.className = `tab-badge ${errors > 0 ? 'error' : 'warning'}`;
+  elements.problemsBadge.style.display = diagnostics.length > 0 ? 'inline-block' : 'none';
+  
+  renderProblems();
+}
+
+// Show or hide errors/warnings in the Problems tab
+function toggleProblemFilter(filterName) {
+  preferences[filterName] = !preferences[filterName];
+  const button = filterName === 'showErrors' ? elements.btnFilterErrors : elements.btnFilterWarnings;
+  button.classList.toggle('toggle-active', preferences[filterName]);
+  renderProblems();
+}
+
+// Render the Problems tab
+function renderProblems() {
+  const searchTerm = elements.problemsSearch.value.toLowerCase();
+  const visible = state.diagnostics.filter((diagnostic) => {
+    if (diagnostic.severity === 'error' ? !preferences.showErrors : !preferences.showWarnings) {
+      return false;
+    }
+    return !searchTerm ||
+      diagnostic.message.toLowerCase().includes(searchTerm) ||
+      (diagnostic.file || '').toLowerCase().includes(searchTerm);
+  });
+  
+  elements.problemList.innerHTML = '';
+  
+  if (visible.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = state.diagnostics.length === 0 ? 'No problems' : 'No problems match the filter';
+    elements.problemList.appendChild(empty);
+    return;
+  }
+  
+  visible.forEach((diagnostic) => {
+    const item = document.createElement('div');
+    item.className = 'problem';
+    
+    const header = document.createElement('div');
+    header.className = 'problem-header';
+    
+    const icon = document.createElement('span');
+    icon.className = `problem-icon ${diagnostic.severity}`;
+    icon.textContent = diagnostic.severity === 'error' ? '✖' : '⚠';
+    header.appendChild(icon);
+    
+    const message = document.createElement('span');
+    message.className = 'problem-message';
+    message.textContent = diagnostic.message;
+    if (diagnostic.flag) {
+      const flag = document.createElement('span');
+      flag.className = 'problem-flag';
+      flag.textContent = `[${diagnostic.flag}]`;
+      message.appendChild(flag);
+    }
+    header.appendChild(message);
+    
+    if (diagnostic.file) {
+      header.appendChild(createProblemLocation(diagnostic));
+    }
+    item.appendChild(header);
+    
+    diagnostic.notes.forEach((note) => {
+      const noteLine = document.createElement('div');
+      noteLine.className = 'problem-note';
+      
+      const noteMessage = document.createElement('span');
+      noteMessage.className = 'problem-message';
+      noteMessage.textContent = note.message;
+      noteLine.appendChild(noteMessage);
+      
+      if (note.file) {
+        noteLine.appendChild(createProblemLocation(note));
+      }
+      item.appendChild(noteLine);
+    });
+    
+    elements.problemList.appendChild(item);
+  });
+}
+
+// Clickable file:line:column link that opens the location in VS Code
+function createProblemLocation(location) {
+  const link = document.createElement('span');
+  link.className = 'problem-location';
+  
+  let text = location.file;
+  const projectDir = state.projectInfo ? state.projectInfo.projectDir : null;
+  if (projectDir && text.startsWith(projectDir)) {
+    text = text.slice(projectDir.length).replace(/^[\\/]+/, '');
+  }
+  if (location.line) {
+    text += `:${location.line}`;
+    if (location.column) {
+      text += `:${location.column}`;
+    }
+  }
+  
+  link.textContent = text;
+  link.title = `Open ${location.file} in VS Code`;
+  link.addEventListener('click', () => openProblemInVSCode(location));
+  return link;
+}
+
+async function openProblemInVSCode(location) {
+  if (!state.projectInfo) return;
+  
+  const result = await window.electronAPI.openInVSCode(state.projectInfo.uiDir, {
+    file: location.file,
+    line: location.line,
+    column: location.column
+  });
+  
+  if (!result.success) {
+    logMessage('error', `Failed to open in VS Code: ${result.error}`);
+  }
+}
+
+// Change the Docker volume used by the current project
+async function changeVolumeName() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const volumeName = elements.volumeName.value.trim();
+  if (volumeName && !/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(volumeName)) {
+    logMessage('error', `Invalid Docker volume name: ${volumeName}`);
+    elements.volumeName.value = state.projectInfo && state.projectInfo.volumeName !== state.projectInfo.defaultVolumeName
+      ? state.projectInfo.volumeName
+      : '';
+    return;
+  }
+  
+  await window.electronAPI.updateProjectSettings(project.projectPath, { volumeName: volumeName || undefined });
+  logMessage('info', `Docker volume set to ${volumeName || elements.volumeName.placeholder}`, project);
+  
+  // Reload so build status reflects the selected volume
+  await loadProject(project);
+}
+
+// Change the simulator repository URL or pinned revision of the current project
+async function changeRepository() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const repositoryUrl = elements.repositoryUrl.value.trim();
+  const repositoryRef = elements.repositoryRef.value.trim();
+  const defaultRepositoryUrl = elements.repositoryUrl.placeholder;
+  await window.electronAPI.updateProjectSettings(project.projectPath, {
+    repositoryUrl: repositoryUrl || undefined,
+    repositoryRef: repositoryRef || undefined,
+  });
+  project.projectInfo.repositoryUrl = repositoryUrl || undefined;
+  project.projectInfo.repositoryRef = repositoryRef || undefined;
+  logMessage('info', `Simulator set to ${repositoryRef || 'default branch'} of ${repositoryUrl || defaultRepositoryUrl} (checked out on the next build)`, project);
+}
+
+// Change the folder the current project's build is extracted to
+async function changeOutputPath() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const outputPath = elements.outputPath.value.trim();
+  try {
+    await window.electronAPI.updateProjectSettings(project.projectPath, { outputPath: outputPath || undefined });
+  } catch (error) {
+    logMessage('error', error.message, project);
+    if (project === state) {
+      elements.outputPath.value = project.projectInfo.outputPath !== project.projectInfo.defaultOutputPath ? project.projectInfo.outputPath : '';
+    }
+    return;
+  }
+  project.projectInfo.outputPath = outputPath || project.projectInfo.defaultOutputPath;
+  logMessage('info', `Output folder set to ${project.projectInfo.outputPath} (used by the next extract)`, project);
+}
+
+// Browse for the output folder of the current project
+async function selectOutputFolder() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const result = await window.electronAPI.selectOutputFolder(project.projectPath);
+  if (result.success && project === state) {
+    elements.outputPath.value = result.path;
+    await changeOutputPath();
+  }
+}
+
+// Remember the simulator commit checked out for a project
+function setSimulatorRepository(repository, project = state) {
+  if (!project.projectInfo) return;
+  
+  project.projectInfo.repository = repository;
+  if (project === state) {
+    showSimulatorCommit(repository);
+  }
+}
+
+// Show the checked out simulator commit
+function showSimulatorCommit(repository) {
+  if (!repository) {
+    elements.infoSimulatorCommit.textContent = 'not checked out';
+    elements.infoSimulatorCommit.title = '';
+    return;
+  }
+  
+  const label = repository.ref || repository.describe;
+  elements.infoSimulatorCommit.textContent = `${repository.commit.slice(0, 12)}${label ? ` (${label})` : ''}`;
+  elements.infoSimulatorCommit.title = `${repository.commit}\n${repository.url}`;
+}
+
+// Show the settings of the project's build backend
+function updateBackendSettings(projectInfo) {
+  const isLocal = projectInfo.backend === 'local';
+  elements.backendSelect.value = projectInfo.backend || 'docker';
+  elements.dockerBackendSettings.style.display = isLocal ? 'none' : 'block';
+  elements.localBackendSettings.style.display = isLocal ? 'block' : 'none';
+  elements.infoWorkDir.textContent = projectInfo.workDir || '';
+}
+
+// Change the build backend of the current project
+async function changeBackend() {
+  if (!state.projectPath) return;
+  
+  const project = state;
+  const backend = elements.backendSelect.value;
+  const backendName = elements.backendSelect.selectedOptions[0].textContent;
+  await window.electronAPI.updateProjectSettings(project.projectPath, { backend: backend === 'docker' ? undefined : backend });
+  logMessage('info', `Build backend set to ${backendName}`, project);
+  
+  // Reload so build status reflects the selected backend
+  await loadProject(project);
+  await window.electronAPI.checkBackend(project.projectPath);
+}
+
+// Change the emsdk installation used by the local backend
+async function changeEmsdkDir() {
+  const emsdkDir = elements.emsdkDir.value.trim();
+  await window.electronAPI.updateAppSettings({ emsdkDir });
+  logMessage('info', emsdkDir ? `emsdk directory set to ${emsdkDir}` : 'emsdk directory cleared (using EMSDK or emcc on PATH)');
+  
+  if (state.projectPath && elements.backendSelect.value === 'local') {
+    await window.electronAPI.checkBackend(state.projectPath);
+  }
+}
+
+// Change the container runtime used by the Docker backend
+async function changeRuntime() {
+  const [engine, compose] = elements.runtimeSelect.value.split(':');
+  await window.electronAPI.updateAppSettings({ runtime: engine ? { engine, compose } : undefined });
+  logMessage('info', `Container runtime set to ${elements.runtimeSelect.selectedOptions[0].textContent}`);
+  await checkDockerStatus();
+}
+
+// Switch offline mode on or off
+async function changeOfflineMode() {
+  const offline = elements.chkOffline.checked;
+  await window.electronAPI.updateAppSettings({ offline });
+  showOfflineMode(offline);
+  logMessage(offline ? 'warning' : 'info', offline
+    ? 'Offline mode on: the simulator is seeded from the offline seed and never fetched.'
+    : 'Offline mode off: the simulator is cloned and updated from its repository.');
+}
+
+// Change the checkout or git bundle used to seed the simulator offline
+async function changeOfflineSeed() {
+  const seedPath = elements.offlineSeed.value.trim();
+  await window.electronAPI.updateAppSettings({ seedPath });
+  logMessage('info', seedPath ? `Offline seed set to ${seedPath}` : 'Offline seed cleared');
+}
+
+// Show whether the app is running offline
+function showOfflineMode(offline) {
+  elements.chkOffline.checked = !!offline;
+  elements.offlineSettings.style.display = offline ? 'block' : 'none';
+  elements.offlineBadge.style.display = offline ? 'inline-block' : 'none';
+}
+
+// Refresh the build history list
+async function refreshHistory() {
+  const result = await window.electronAPI.listBuildHistory();
+  
+  if (!result.success) {
+    logMessage('error', `Failed to read the build history: ${result.error}`);
+    return;
+  }
+  
+  workspace.historyRecords = result.records;
+  workspace.historySelection = workspace.historySelection.filter((id) => result.records.some((record) => record.id === id));
+  renderHistory();
+}
+
+// Render the build history table
+function renderHistory() {
+  elements.historyList.innerHTML = '';
+  elements.btnCompareBuilds.disabled = workspace.historySelection.length !== 2;
+  
+  if (workspace.historyRecords.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 11;
+    cell.className = 'empty';
+    cell.textContent = 'No builds recorded yet';
+    row.appendChild(cell);
+    elements.historyList.appendChild(row);
+    return;
+  }
+  
+  workspace.historyRecords.forEach((record) => {
+    const row = document.createElement('tr');
+    if (record.projectPath === state.projectPath) {
+      row.classList.add('current');
+    }
+    
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Check two builds to compare their durations';
+    checkbox.checked = workspace.historySelection.includes(record.id);
+    checkbox.addEventListener('change', () => toggleHistorySelection(record.id, checkbox.checked));
+    selectCell.appendChild(checkbox);
+    row.appendChild(selectCell);
+    
+    const cells = [
+      new Date(record.startedAt).toLocaleString(),
+      record.projectName,
+      record.lvglVersion,
+      `${record.displayWidth}x${record.displayHeight}`,
+      record.status,
+      formatDuration(record.steps.setup),
+      formatDuration(record.steps.build),
+      formatDuration(record.steps.extract),
+      formatDuration(record.durationMs)
+    ];
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 1) {
+        cell.title = record.projectPath;
+      } else if (index === 4) {
+        cell.className = `matrix-status ${record.status}`;
+        cell.title = record.error || '';
+      }
+      row.appendChild(cell);
+    });
+    
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    
+    const btnLog = document.createElement('button');
+    btnLog.className = 'btn btn-small';
+    btnLog.textContent = 'Log';
+    btnLog.addEventListener('click', () => showBuildLog(record));
+    actions.appendChild(btnLog);
+    
+    if (record.artifactsPath) {
+      const btnTest = document.createElement('button');
+      btnTest.className = 'btn btn-small';
+      btnTest.textContent = 'Test';
+      btnTest.title = 'Serve the output of this build in the preview';
+      btnTest.disabled = state.operationRunning || state.testRunning;
+      btnTest.addEventListener('click', () => runTest(record.artifactsPath, {
+        width: record.displayWidth,
+        height: record.displayHeight
+      }));
+      actions.appendChild(btnTest);
+    }
+    
+    const btnDelete = document.createElement('button');
+    btnDelete.className = 'btn btn-small';
+    btnDelete.textContent = 'Delete';
+    btnDelete.addEventListener('click', () => deleteBuildRecord(record));
+    actions.appendChild(btnDelete);
+    
+    row.appendChild(actions);
+    elements.historyList.appendChild(row);
+  });
+}
+
+// Check or uncheck a build for comparison (the two most recently checked are kept)
+function toggleHistorySelection(id, checked) {
+  workspace.historySelection = workspace.historySelection.filter((selectedId) => selectedId !== id);
+  if (checked) {
+    workspace.historySelection = [...workspace.historySelection, id].slice(-2);
+  }
+  renderHistory();
+}
+
+// Show the full log of a past build
+async function showBuildLog(record) {
+  elements.historyDetails.style.display = 'block';
+  elements.historyDetails.textContent = `Loading log of ${record.projectName} (${new Date(record.startedAt).toLocaleString()})...`;
+  
+  const result = await window.electronAPI.readBuildLog(record.id);
+  elements.historyDetails.textContent = result.success
+    ? result.log
+    : `Failed to read the log: ${result.error}`;
+}
+
+// Compare the step durations of the two checked builds (older one first)
+async function compareBuilds() {
+  const [before, after] = workspace.historyRecords
+    .filter((record) => workspace.historySelection.includes(record.id))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  if (!before || !after) return;
+  
+  const result = await window.electronAPI.diffBuildDurations(before.id, after.id);
+  elements.historyDetails.style.display = 'block';
+  
+  if (!result.success) {
+    elements.historyDetails.textContent = `Failed to compare builds: ${result.error}`;
+    return;
+  }
+  
+  const lines = [
+    `Before: ${before.projectName}, LVGL ${before.lvglVersion}, ${new Date(before.startedAt).toLocaleString()} (${before.status})`,
+    `After:  ${after.projectName}, LVGL ${after.lvglVersion}, ${new Date(after.startedAt).toLocaleString()} (${after.status})`,
+    '',
+    `${'Step'.padEnd(10)}${'Before'.padStart(10)}${'After'.padStart(10)}${'Change'.padStart(20)}`
+  ];
+  result.diff.forEach((step) => {
+    let change = '';
+    if (step.deltaMs !== undefined) {
+      const sign = step.deltaMs > 0 ? '+' : '';
+      const percent = step.beforeMs > 0 ? ` (${sign}${Math.round(step.deltaMs / step.beforeMs * 100)}%)` : '';
+      change = `${sign}${formatDuration(step.deltaMs)}${percent}`;
+    }
+    lines.push(`${step.step.padEnd(10)}${formatDuration(step.beforeMs).padStart(10)}${formatDuration(step.afterMs).padStart(10)}${change.padStart(20)}`);
+  });
+  elements.historyDetails.textContent = lines.join('\n');
+}
+
+// Delete a past build with its log and output
+async function deleteBuildRecord(record) {
+  if (!confirm(`Delete the build of ${record.projectName} from ${new Date(record.startedAt).toLocaleString()}?`)) {
+    return;
+  }
+  
+  const result = await window.electronAPI.deleteBuildRecord(record.id);
+  if (!result.success) {
+    logMessage('error', `Failed to delete build: ${result.error}`);
+  }
+  
+  elements.historyDetails.style.display = 'none';
+  await refreshHistory();
+}
+
+// Change how many builds are kept in the history
+async function changeHistoryLimit() {
+  try {
+    const appSettings = await window.electronAPI.updateAppSettings({ historyLimit: elements.historyLimit.value });
+    logMessage('info', appSettings.historyLimit > 0
+      ? `Build history keeps the last ${appSettings.historyLimit} build(s)`
+      : 'Build history turned off');
+  } catch (error) {
+    logMessage('error', error.message);
+    const appSettings = await window.electronAPI.getAppSettings();
+    elements.historyLimit.value = appSettings.historyLimit;
+  }
+  
+  await refreshHistory();
+}
+
+// Format a duration in milliseconds as seconds (empty if unknown)
+function formatDuration(ms) {
+  return ms === undefined ? '' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Refresh the Docker volume list
+async function refreshVolumes() {
+  const result = await window.electronAPI.listVolumes();
+  
+  elements.volumeList.innerHTML = '';
+  
+  if (!result.success) {
+    logMessage('error', `Failed to list volumes: ${result.error}`);
+    return;
+  }
+  
+  if (result.volumes.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.className = 'empty';
+    cell.textContent = 'No project volumes';
+    row.appendChild(cell);
+    elements.volumeList.appendChild(row);
+    return;
+  }
+  
+  const currentVolume = state.projectInfo ? state.projectInfo.volumeName : null;
+  
+  result.volumes.forEach((volume) => {
+    const row = document.createElement('tr');
+    if (volume.name === currentVolume) {
+      row.classList.add('current');
+    }
+    
+    const cells = [
+      volume.name,
+      volume.projectPath || '(shared)',
+      volume.createdAt ? new Date(volume.createdAt).toLocaleString() : ''
+    ];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    
+    const btnInspect = document.createElement('button');
+    btnInspect.className = 'btn btn-small';
+    btnInspect.textContent = 'Inspect';
+    btnInspect.addEventListener('click', () => inspectVolume(volume.name));
+    actions.appendChild(btnInspect);
+    
+    const btnDelete = document.createElement('button');
+    btnDelete.className = 'btn btn-small';
+    btnDelete.textContent = 'Delete';
+    // A volume can't be deleted while a project builds in it
+    btnDelete.disabled = workspace.projects.some((project) => project.operationRunning && project.projectInfo && project.projectInfo.volumeName === volume.name);
+    btnDelete.addEventListener('click', () => deleteVolume(volume.name));
+    actions.appendChild(btnDelete);
+    
+    row.appendChild(actions);
+    elements.volumeList.appendChild(row);
+  });
+}
+
+// Show details of a Docker volume
+async function inspectVolume(volumeName) {
+  elements.volumeDetails.style.display = 'block';
+  elements.volumeDetails.textContent = `Inspecting ${volumeName}...`;
+  
+  const result = await window.electronAPI.inspectVolume(volumeName);
+  
+  if (!result.success) {
+    elements.volumeDetails.textContent = `Failed to inspect ${volumeName}: ${result.error}`;
+    return;
+  }
+  
+  const details = result.details;
+  elements.volumeDetails.textContent = [
+    `Volume:         ${details.name}`,
+    `Project:        ${details.projectPath || '(shared)'}`,
+    `Created:        ${details.createdAt || 'unknown'}`,
+    `Mountpoint:     ${details.mountpoint || 'unknown'}`,
+    `Size:           ${details.sizeKb !== undefined ? (details.sizeKb / 1024).toFixed(1) + ' MB' : 'unknown'}`,
+    `Setup complete: ${details.setupComplete ? 'yes' : 'no'}`,
+    `Build complete: ${details.buildComplete ? 'yes' : 'no'}`
+  ].join('\n');
+}
+
+// Delete a Docker volume
+async function deleteVolume(volumeName) {
+  if (!confirm(`Delete Docker volume "${volumeName}"?\n\nThe simulator checkout and build cache in this volume will be lost.`)) {
+    return;
+  }
+  
+  const result = await window.electronAPI.removeVolume(volumeName);
+  
+  if (result.success) {
+    logMessage('success', `Docker volume ${volumeName} deleted.`);
+    elements.volumeDetails.style.display = 'none';
+    
+    // Deleting a project's volume resets its build state
+    workspace.projects
+      .filter((project) => project.projectInfo && project.projectInfo.volumeName === volumeName)
+      .forEach((project) => {
+        project.setupComplete = false;
+        project.buildComplete = false;
+        setStatus('buildStatus', 'pending', '', project);
+      });
+    updateUI();
+  } else {
+    logMessage('error', `Failed to delete volume: ${result.error}`);
+  }
+  
+  await refreshVolumes();
+}
+
+// Update UI state
+function updateUI() {
+  workspace.projects.forEach((project) => {
+    if (!project.operationRunning) {
+      endBuildProgress(project);
+    }
+  });
+  renderProjectTabs();
+  
+  // Projects can always be opened; the app-wide settings are kept while any project runs an operation
+  const anyOperationRunning = workspace.projects.some((project) => project.operationRunning);
+  
+  // Disable all buttons if an operation of the active project is running
   if (state.operationRunning) {
-    elements.projectPath.disabled = true;
-    elements.btnSelectProject.disabled = true;
-    elements.btnPaste.disabled = true;
-    elements.btnRecentProjects.disabled = true;
     elements.btnReloadProject.disabled = true;
+    elements.volumeName.disabled = true;
+    elements.repositoryUrl.disabled = true;
+    elements.repositoryRef.disabled = true;
+    elements.outputPath.disabled = true;
+    elements.btnSelectOutputPath.disabled = true;
+    elements.backendSelect.disabled = true;
+    elements.emsdkDir.disabled = true;
+    elements.runtimeSelect.disabled = true;
+    elements.chkOffline.disabled = true;
+    elements.offlineSeed.disabled = true;
+    elements.matrixLvglVersions.disabled = true;
+    elements.matrixDisplaySizes.disabled = true;
+    BUILD_OPTION_INPUTS.forEach((id) => { elements[id].disabled = true; });
     elements.btnBuild.disabled = true;
+    elements.btnBuildMatrix.disabled = true;
     elements.btnCleanBuild.disabled = true;
     elements.btnCleanAll.disabled = true;
+    elements.btnCheckProject.disabled = true;
     elements.btnTest.disabled = true;
+    elements.btnExport.disabled = true;
+    elements.btnRunUiTest.disabled = true;
+    elements.btnUpdateBaselines.disabled = true;
+    renderMatrix();
+    renderHistory();
     
     // Show Abort button when operation is running
     elements.btnAbort.style.display = 'inline-block';
+    elements.btnAbort.disabled = state.abortRequested;
     return;
   }
   
@@ -917,38 +2970,81 @@ function updateUI() {
   
   // Disable all buttons if test is running (except Stop Test which is shown instead)
   if (state.testRunning) {
-    elements.projectPath.disabled = true;
-    elements.btnSelectProject.disabled = true;
-    elements.btnPaste.disabled = true;
-    elements.btnRecentProjects.disabled = true;
     elements.btnReloadProject.disabled = true;
+    elements.volumeName.disabled = true;
+    elements.repositoryUrl.disabled = true;
+    elements.repositoryRef.disabled = true;
+    elements.outputPath.disabled = true;
+    elements.btnSelectOutputPath.disabled = true;
+    elements.backendSelect.disabled = true;
+    elements.emsdkDir.disabled = true;
+    elements.runtimeSelect.disabled = true;
+    elements.chkOffline.disabled = true;
+    elements.offlineSeed.disabled = true;
+    elements.matrixLvglVersions.disabled = true;
+    elements.matrixDisplaySizes.disabled = true;
+    BUILD_OPTION_INPUTS.forEach((id) => { elements[id].disabled = true; });
     elements.btnBuild.disabled = true;
+    elements.btnBuildMatrix.disabled = true;
     elements.btnCleanBuild.disabled = true;
     elements.btnCleanAll.disabled = true;
+    elements.btnCheckProject.disabled = true;
     elements.btnTest.disabled = true;
+    elements.btnExport.disabled = true;
+    elements.btnRunUiTest.disabled = true;
+    elements.btnUpdateBaselines.disabled = true;
+    renderMatrix();
+    renderHistory();
     return;
   }
   
   // Enable/disable buttons based on state
-  elements.projectPath.disabled = false;
-  elements.btnSelectProject.disabled = false;
-  elements.btnRecentProjects.disabled = false;
-  // btnPaste is controlled by clipboard check interval
   elements.btnReloadProject.disabled = !state.projectInfo;
+  elements.volumeName.disabled = !state.projectInfo;
+  elements.repositoryUrl.disabled = !state.projectInfo;
+  elements.repositoryRef.disabled = !state.projectInfo;
+  elements.outputPath.disabled = !state.projectInfo;
+  elements.btnSelectOutputPath.disabled = !state.projectInfo;
+  elements.backendSelect.disabled = !state.projectInfo;
+  elements.emsdkDir.disabled = anyOperationRunning;
+  elements.runtimeSelect.disabled = anyOperationRunning;
+  elements.chkOffline.disabled = anyOperationRunning;
+  elements.offlineSeed.disabled = anyOperationRunning;
+  elements.matrixLvglVersions.disabled = !state.projectInfo;
+  elements.matrixDisplaySizes.disabled = !state.projectInfo;
+  BUILD_OPTION_INPUTS.forEach((id) => { elements[id].disabled = !state.projectInfo; });
   elements.btnBuild.disabled = !state.projectInfo;
+  elements.btnBuildMatrix.disabled = !state.projectInfo;
   elements.btnCleanBuild.disabled = !state.projectInfo;
   elements.btnCleanAll.disabled = !state.projectInfo;
+  elements.btnCheckProject.disabled = !state.projectPath;
   elements.btnTest.disabled = !state.buildComplete || state.testRunning;
+  elements.btnExport.disabled = !state.buildComplete;
+  elements.btnRunUiTest.disabled = !state.buildComplete;
+  elements.btnUpdateBaselines.disabled = !state.buildComplete;
+  renderMatrix();
+  renderHistory();
   
   // Update status badges
   if (!state.projectInfo) {
     setStatus('buildStatus', 'pending', '');
     setStatus('testStatus', 'pending', '');
+    setStatus('exportStatus', 'pending', '');
+    setStatus('uiTestStatus', 'pending', '');
+    setScreenshotReport(null);
   }
 }
 
-// Set status badge
-function setStatus(elementId, status, text) {
+// Set a project's status badge (shown while its tab is active)
+function setStatus(elementId, status, text, project = state) {
+  project.statuses[elementId] = { status, text };
+  if (project === state) {
+    renderStatus(elementId);
+  }
+}
+
+function renderStatus(elementId) {
+  const { status, text } = state.statuses[elementId] || { status: 'pending', text: '' };
   const element = document.getElementById(elementId);
   element.className = `status-badge ${status}`;
   element.textContent = text;
@@ -961,8 +3057,8 @@ function setStatus(elementId, status, text) {
   }
 }
 
-// Log message
-function logMessage(type, text) {
+// Log message (to the active project's log unless a project is given)
+function logMessage(type, text, project = state) {
   const timestamp = new Date().toLocaleTimeString();
   const line = document.createElement('div');
   line.className = `log-line ${type}`;
@@ -971,16 +3067,16 @@ function logMessage(type, text) {
   const timestampSpan = document.createElement('span');
   timestampSpan.className = 'log-timestamp';
   timestampSpan.textContent = `[${timestamp}]`;
-  timestampSpan.style.display = state.showTimestamps ? 'inline' : 'none';
+  timestampSpan.style.display = preferences.showTimestamps ? 'inline' : 'none';
   
   const textNode = document.createTextNode(' ' + text);
   
   line.appendChild(timestampSpan);
   line.appendChild(textNode);
   
-  elements.logOutput.appendChild(line);
+  project.logOutput.appendChild(line);
   
-  if (state.autoScroll) {
+  if (preferences.autoScroll && project === state) {
     elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
   }
 }
@@ -998,7 +3094,7 @@ function appendDockerOutput(text, type = 'info') {
 
 // Copy log to clipboard
 function copyLogToClipboard() {
-  const logText = elements.logOutput.innerText;
+  const logText = state.logOutput.innerText;
   navigator.clipboard.writeText(logText).then(() => {
     // Visual feedback
     const originalText = elements.btnCopyLog.textContent;
@@ -1014,41 +3110,44 @@ function copyLogToClipboard() {
 
 // Clear log
 function clearLog() {
-  elements.logOutput.innerHTML = '';
+  state.logOutput.innerHTML = '';
 }
 
 // Highlight C code with line numbers
 // Toggle timestamps
 function toggleTimestamps() {
-  state.showTimestamps = !state.showTimestamps;
-  localStorage.setItem('showTimestamps', state.showTimestamps);
-  elements.btnToggleTimestamp.classList.toggle('toggle-active', state.showTimestamps);
+  preferences.showTimestamps = !preferences.showTimestamps;
+  localStorage.setItem('showTimestamps', preferences.showTimestamps);
+  elements.btnToggleTimestamp.classList.toggle('toggle-active', preferences.showTimestamps);
   
-  const timestamps = elements.logOutput.querySelectorAll('.log-timestamp');
+  // In the logs of all projects
+  const timestamps = elements.logContainer.querySelectorAll('.log-timestamp');
   timestamps.forEach(ts => {
-    ts.style.display = state.showTimestamps ? 'inline' : 'none';
+    ts.style.display = preferences.showTimestamps ? 'inline' : 'none';
   });
 }
 
 // Toggle autoscroll
 function toggleAutoscroll() {
-  state.autoScroll = !state.autoScroll;
-  localStorage.setItem('autoScroll', state.autoScroll);
-  elements.btnToggleAutoscroll.classList.toggle('toggle-active', state.autoScroll);
+  preferences.autoScroll = !preferences.autoScroll;
+  localStorage.setItem('autoScroll', preferences.autoScroll);
+  elements.btnToggleAutoscroll.classList.toggle('toggle-active', preferences.autoScroll);
 }
 
 // Toggle word wrap
 function toggleWordWrap() {
-  state.wordWrap = !state.wordWrap;
-  localStorage.setItem('wordWrap', state.wordWrap);
-  elements.btnToggleWrap.classList.toggle('toggle-active', state.wordWrap);
-  elements.logOutput.classList.toggle('no-wrap', !state.wordWrap);
+  preferences.wordWrap = !preferences.wordWrap;
+  localStorage.setItem('wordWrap', preferences.wordWrap);
+  elements.btnToggleWrap.classList.toggle('toggle-active', preferences.wordWrap);
+  elements.logContainer.querySelectorAll('.log-output').forEach((logOutput) => {
+    logOutput.classList.toggle('no-wrap', !preferences.wordWrap);
+  });
 }
 
 // Filter logs
 function filterLogs() {
   const searchTerm = elements.logSearch.value.toLowerCase();
-  const lines = elements.logOutput.querySelectorAll('.log-line');
+  const lines = state.logOutput.querySelectorAll('.log-line');
   
   lines.forEach(line => {
     const text = line.textContent.toLowerCase();
@@ -1060,7 +3159,8 @@ function filterLogs() {
 function setupSplitter() {
   const splitter = document.getElementById('splitter');
   const leftPanel = document.querySelector('.left-panel');
-  const iframe = document.getElementById('testFrame');
+  // The preview frames mustn't take the mouse events while dragging
+  const previewDevice = elements.previewDevice;
   let isResizing = false;
   
   // Restore saved splitter position
@@ -1072,8 +3172,8 @@ function setupSplitter() {
   splitter.addEventListener('mousedown', (e) => {
     isResizing = true;
     document.body.style.cursor = 'col-resize';
-    if (iframe) {
-      iframe.style.pointerEvents = 'none';
+    if (previewDevice) {
+      previewDevice.style.pointerEvents = 'none';
     }
     e.preventDefault();
   });
@@ -1091,8 +3191,8 @@ function setupSplitter() {
     if (isResizing) {
       isResizing = false;
       document.body.style.cursor = 'default';
-      if (iframe) {
-        iframe.style.pointerEvents = 'auto';
+      if (previewDevice) {
+        previewDevice.style.pointerEvents = 'auto';
       }
       // Save splitter position
       const width = parseInt(leftPanel.style.width);
@@ -1108,14 +3208,15 @@ function setupTestSplitter() {
   const splitter = document.getElementById('testSplitter');
   const preview = document.querySelector('.test-preview');
   const testConsole = document.querySelector('.test-console');
-  const iframe = document.getElementById('testFrame');
+  // The preview frames mustn't take the mouse events while dragging
+  const previewDevice = elements.previewDevice;
   let isResizing = false;
   
   splitter.addEventListener('mousedown', (e) => {
     isResizing = true;
     document.body.style.cursor = 'row-resize';
-    if (iframe) {
-      iframe.style.pointerEvents = 'none';
+    if (previewDevice) {
+      previewDevice.style.pointerEvents = 'none';
     }
     e.preventDefault();
   });
@@ -1139,8 +3240,8 @@ function setupTestSplitter() {
     if (isResizing) {
       isResizing = false;
       document.body.style.cursor = 'default';
-      if (iframe) {
-        iframe.style.pointerEvents = 'auto';
+      if (previewDevice) {
+        previewDevice.style.pointerEvents = 'auto';
       }
     }
   });